@@ -288,6 +288,7 @@ class AnalyzerAgent {
 
     return {
       rootCauses: rootCauses,
+      evidence: this._collectEvidence(driftEvent),
       similarEvents: similarDrifts,
       confidence: confidence,
       timestamp: Date.now()
@@ -296,13 +297,15 @@ class AnalyzerAgent {
 
   _identifyRootCauses(driftEvent, context) {
     const causes = [];
+    const evidence = this._collectEvidence(driftEvent);
 
     // Analyze drift scores to identify likely causes
     if (driftEvent.scores?.psi > 0.2) {
       causes.push({
         cause: 'population_shift',
         confidence: Math.min(1, driftEvent.scores.psi / 0.3),
-        description: 'Significant population distribution shift detected (high PSI)'
+        description: 'Significant population distribution shift detected (high PSI)',
+        ...(evidence && { evidence: evidence.topBins.map(bin => bin.description) })
       });
     }
 
@@ -310,7 +313,8 @@ class AnalyzerAgent {
       causes.push({
         cause: 'distribution_change',
         confidence: Math.min(1, driftEvent.scores.ks / 0.4),
-        description: 'Data distribution has fundamentally changed (high KS statistic)'
+        description: 'Data distribution has fundamentally changed (high KS statistic)',
+        ...(evidence?.maxGap && { evidence: [evidence.maxGap.description] })
       });
     }
 
@@ -318,7 +322,8 @@ class AnalyzerAgent {
       causes.push({
         cause: 'mean_shift',
         confidence: Math.min(1, driftEvent.scores.statistical / 0.3),
-        description: 'Significant shift in mean values detected'
+        description: 'Significant shift in mean values detected',
+        ...(evidence && { evidence: evidence.quantileShifts.map(shift => shift.description) })
       });
     }
 
@@ -346,6 +351,52 @@ class AnalyzerAgent {
     return causes;
   }
 
+  /**
+   * Concrete evidence from the drift result's explanation (null when it has none):
+   * the bins contributing most to PSI, the largest quantile shifts and the KS gap location
+   */
+  _collectEvidence(driftEvent) {
+    const explanation = driftEvent.explanation;
+    if (!explanation) {
+      return null;
+    }
+
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const byMagnitude = key => (a, b) => Math.abs(b[key]) - Math.abs(a[key]);
+
+    const topBins = [...explanation.bins]
+      .filter(bin => bin.psiContribution !== 0)
+      .sort(byMagnitude('psiContribution'))
+      .slice(0, 3)
+      .map(bin => ({
+        ...bin,
+        description: `[${bin.lower.toFixed(2)}, ${bin.upper.toFixed(2)}]: ${percent(bin.baseline)} → ${percent(bin.current)} (PSI +${bin.psiContribution.toFixed(3)})`
+      }));
+
+    const quantileShifts = [...explanation.quantiles]
+      .sort(byMagnitude('shift'))
+      .slice(0, 3)
+      .map(quantile => ({
+        ...quantile,
+        description: `p${quantile.percentile}: ${quantile.baseline.toFixed(2)} → ${quantile.current.toFixed(2)}`
+      }));
+
+    const { maxGap } = explanation;
+    const gap = maxGap.location === null ? null : { ...maxGap };
+    if (gap) {
+      gap.description =
+        `CDF gap ${gap.statistic.toFixed(3)} at ${gap.location.toFixed(2)} ` +
+        `(${percent(gap.baselineCdf)} baseline vs ${percent(gap.currentCdf)} current)`;
+    }
+
+    return {
+      summary: explanation.summary,
+      topBins,
+      quantileShifts,
+      maxGap: gap
+    };
+  }
+
   _calculateAnalysisConfidence(driftEvent, similarEvents) {
     // Base confidence on drift severity and historical data
     let confidence = 0.5;
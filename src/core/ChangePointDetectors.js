@@ -0,0 +1,418 @@
+/**
+ * Sequential change-point detectors
+ *
+ * Online detectors that consume values one at a time in arrival order:
+ * - PageHinkley: cumulative deviation from the running mean
+ * - Cusum: two-sided tabular CUSUM against the baseline mean
+ * - Adwin: adaptive window that cuts when two sub-windows differ (Bifet & Gavaldà, 2007)
+ * - Ddm: error-rate control limits (Gama et al., 2004)
+ * - Eddm: distance between consecutive errors (Baena-García et al., 2006)
+ *
+ * Every detector is built from a baseline distribution and exposes:
+ * - update(value): true once a change is detected
+ * - changeStart: estimated onset (index into the values passed to update())
+ * - score: detection statistic relative to its alarm threshold (>= 1 at detection)
+ *
+ * DDM and EDDM monitor error streams. 0/1 data is used as-is; other numeric data
+ * counts a value as an error when it falls outside the baseline's central 95% range.
+ */
+
+import { StatisticsUtil } from '../utils/StatisticsUtil.js';
+
+/**
+ * Page-Hinkley test on values standardized by the baseline std
+ */
+export class PageHinkley {
+  /**
+   * @param {Object} options - { delta: tolerated drift (std units, 0.25), lambda: alarm threshold (15) }
+   * @param {Object} baseline - Baseline distribution
+   */
+  constructor(options, baseline) {
+    this.delta = options.delta ?? 0.25;
+    this.lambda = options.lambda ?? 15;
+    this.std = baseline.statistics.std || 1;
+
+    // Running mean seeded with the baseline
+    this.mean = baseline.statistics.mean;
+    this.count = baseline.statistics.count;
+
+    this.index = -1;
+    this.upSum = 0;
+    this.upMin = 0;
+    this.upMinIndex = -1;
+    this.downSum = 0;
+    this.downMax = 0;
+    this.downMaxIndex = -1;
+    this.changeStart = null;
+    this.statistic = 0;
+  }
+
+  update(value) {
+    this.index++;
+    this.count++;
+    this.mean += (value - this.mean) / this.count;
+    const z = (value - this.mean) / this.std;
+
+    // Increase: distance of the cumulative sum above its minimum
+    this.upSum += z - this.delta;
+    if (this.upSum < this.upMin) {
+      this.upMin = this.upSum;
+      this.upMinIndex = this.index;
+    }
+
+    // Decrease: distance of the cumulative sum below its maximum
+    this.downSum += z + this.delta;
+    if (this.downSum > this.downMax) {
+      this.downMax = this.downSum;
+      this.downMaxIndex = this.index;
+    }
+
+    const up = this.upSum - this.upMin;
+    const down = this.downMax - this.downSum;
+    this.statistic = Math.max(up, down);
+
+    if (this.statistic > this.lambda) {
+      this.changeStart = (up >= down ? this.upMinIndex : this.downMaxIndex) + 1;
+      return true;
+    }
+    return false;
+  }
+
+  get score() {
+    return this.statistic / this.lambda;
+  }
+}
+
+/**
+ * Two-sided tabular CUSUM on values standardized by the baseline
+ */
+export class Cusum {
+  /**
+   * @param {Object} options - { k: allowance (std units, 0.5), h: decision interval (8) }
+   * h = 8 keeps false alarms rare over batches of a few thousand values
+   * @param {Object} baseline - Baseline distribution
+   */
+  constructor(options, baseline) {
+    this.k = options.k ?? 0.5;
+    this.h = options.h ?? 8;
+    this.mean = baseline.statistics.mean;
+    this.std = baseline.statistics.std || 1;
+
+    this.index = -1;
+    this.high = 0;
+    this.low = 0;
+    this.highStart = 0;
+    this.lowStart = 0;
+    this.changeStart = null;
+    this.statistic = 0;
+  }
+
+  update(value) {
+    this.index++;
+    const z = (value - this.mean) / this.std;
+
+    // Onset is the first observation after the sum last sat at zero
+    if (this.high === 0) {
+      this.highStart = this.index;
+    }
+    if (this.low === 0) {
+      this.lowStart = this.index;
+    }
+    this.high = Math.max(0, this.high + z - this.k);
+    this.low = Math.max(0, this.low - z - this.k);
+    this.statistic = Math.max(this.high, this.low);
+
+    if (this.statistic > this.h) {
+      this.changeStart = this.high >= this.low ? this.highStart : this.lowStart;
+      return true;
+    }
+    return false;
+  }
+
+  get score() {
+    return this.statistic / this.h;
+  }
+}
+
+/**
+ * ADWIN with cut points checked every `clock` values
+ * Values are scaled to [0, 1] with the baseline range; the baseline warms up the window
+ */
+export class Adwin {
+  /**
+   * @param {Object} options - { delta: confidence (0.002), clock: check interval (32) }
+   * @param {Object} baseline - Baseline distribution
+   */
+  constructor(options, baseline) {
+    this.delta = options.delta ?? 0.002;
+    this.clock = options.clock ?? 32;
+    this.min = baseline.statistics.min;
+    this.range = baseline.statistics.max - baseline.statistics.min || 1;
+
+    this.window = [];
+    this.windowStart = 0; // Index of window[0]; negative while baseline values remain
+    this.changeStart = null;
+    this.statistic = 0;
+
+    for (const value of baseline.data) {
+      this._add(value);
+    }
+    this.windowStart -= baseline.data.length;
+    this.statistic = 0;
+  }
+
+  update(value) {
+    if (this._add(value)) {
+      this.changeStart = Math.max(0, this.windowStart);
+      return true;
+    }
+    return false;
+  }
+
+  get score() {
+    return this.statistic;
+  }
+
+  /**
+   * Helper: Append a value; returns true when the window was cut
+   */
+  _add(value) {
+    this.window.push(Math.min(1, Math.max(0, (value - this.min) / this.range)));
+    if (this.window.length % this.clock !== 0) {
+      return false;
+    }
+
+    const cut = this._findCut();
+    if (cut > 0) {
+      this.window = this.window.slice(cut);
+      this.windowStart += cut;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Helper: Cut with the largest margin over the ADWIN bound (0 if none)
+   */
+  _findCut() {
+    const n = this.window.length;
+    if (n < 2 * this.clock) {
+      return 0;
+    }
+
+    const prefix = new Array(n + 1).fill(0);
+    for (let i = 0; i < n; i++) {
+      prefix[i + 1] = prefix[i] + this.window[i];
+    }
+    const variance = StatisticsUtil.calculateStats(this.window).variance;
+    const logTerm = Math.log((2 * Math.log(n)) / this.delta);
+
+    let bestCut = 0;
+    let bestRatio = 0;
+    for (let cut = this.clock; cut <= n - this.clock; cut += this.clock) {
+      const n0 = cut;
+      const n1 = n - cut;
+      const m = 1 / (1 / n0 + 1 / n1);
+      const epsilon = Math.sqrt((2 / m) * variance * logTerm) + (2 / (3 * m)) * logTerm;
+      const gap = Math.abs(prefix[cut] / n0 - (prefix[n] - prefix[cut]) / n1);
+      const ratio = gap / epsilon;
+
+      if (ratio > bestRatio) {
+        bestRatio = ratio;
+        if (ratio > 1) {
+          bestCut = cut;
+        }
+      }
+    }
+
+    this.statistic = bestRatio;
+    return bestCut;
+  }
+}
+
+/**
+ * Helper: Map values to a 0/1 error stream relative to the baseline
+ */
+function createErrorIndicator(baseline) {
+  const isBinary = baseline.data.every(value => value === 0 || value === 1);
+  if (isBinary) {
+    return value => (value === 1 ? 1 : 0);
+  }
+
+  const low = StatisticsUtil.calculatePercentile(baseline.data, 2.5);
+  const high = StatisticsUtil.calculatePercentile(baseline.data, 97.5);
+  return value => (value < low || value > high ? 1 : 0);
+}
+
+/**
+ * Drift Detection Method: error rate leaving its best observed control limits
+ */
+export class Ddm {
+  /**
+   * @param {Object} options - { warningLevel: 2, driftLevel: 3, minSamples: 30 }
+   * @param {Object} baseline - Baseline distribution
+   */
+  constructor(options, baseline) {
+    this.warningLevel = options.warningLevel ?? 2;
+    this.driftLevel = options.driftLevel ?? 3;
+    this.minSamples = options.minSamples ?? 30;
+    this.isError = createErrorIndicator(baseline);
+
+    this.count = 0;
+    this.errors = 0;
+    this.pMin = Infinity;
+    this.sMin = Infinity;
+    this.index = -1;
+    this.warningStart = null;
+    this.changeStart = null;
+    this.statistic = 0;
+
+    for (const value of baseline.data) {
+      this.update(value);
+    }
+
+    // Reference the whole baseline rather than the luckiest prefix of it
+    if (this.count >= this.minSamples && this.errors > 0) {
+      this.pMin = this.errors / this.count;
+      this.sMin = Math.sqrt((this.pMin * (1 - this.pMin)) / this.count);
+    }
+    this.index = -1;
+    this.warningStart = null;
+    this.changeStart = null;
+    this.statistic = 0;
+  }
+
+  update(value) {
+    this.index++;
+    this.count++;
+    this.errors += this.isError(value);
+
+    const p = this.errors / this.count;
+    const s = Math.sqrt((p * (1 - p)) / this.count);
+    if (this.count < this.minSamples) {
+      return false;
+    }
+
+    // Best (lowest) control point seen so far; an error-free prefix gives no usable limit
+    if (p > 0 && p + s <= this.pMin + this.sMin) {
+      this.pMin = p;
+      this.sMin = s;
+    }
+    if (!Number.isFinite(this.pMin)) {
+      return false;
+    }
+
+    const level = this.sMin > 0 ? (p + s - this.pMin) / this.sMin : 0;
+    this.statistic = level / this.driftLevel;
+
+    if (level > this.driftLevel) {
+      this.changeStart = this.warningStart ?? this.index;
+      return true;
+    }
+    if (level > this.warningLevel) {
+      this.warningStart = this.warningStart ?? this.index;
+    } else {
+      this.warningStart = null;
+    }
+    return false;
+  }
+
+  get score() {
+    return this.statistic;
+  }
+}
+
+/**
+ * Early Drift Detection Method: shrinking distance between consecutive errors
+ */
+export class Eddm {
+  /**
+   * @param {Object} options - { warningRatio: 0.95, driftRatio: 0.9, minErrors: 30 }
+   * @param {Object} baseline - Baseline distribution
+   */
+  constructor(options, baseline) {
+    this.warningRatio = options.warningRatio ?? 0.95;
+    this.driftRatio = options.driftRatio ?? 0.9;
+    this.minErrors = options.minErrors ?? 30;
+    this.isError = createErrorIndicator(baseline);
+
+    this.index = -1;
+    /** @type {number|null} */
+    this.lastError = null;
+    this.errors = 0;
+    this.meanDistance = 0;
+    this.m2 = 0;
+    this.maxLevel = 0;
+    this.warningStart = null;
+    this.changeStart = null;
+    this.statistic = 0;
+
+    for (const value of baseline.data) {
+      this.update(value);
+    }
+
+    // Reference the whole baseline rather than its largest running level
+    if (this.errors >= this.minErrors) {
+      this.maxLevel = this.meanDistance + 2 * Math.sqrt(this.m2 / this.errors);
+    }
+    this.lastError = this.lastError === null ? null : this.lastError - this.index - 1;
+    this.statistic = 0;
+    this.index = -1;
+    this.warningStart = null;
+    this.changeStart = null;
+  }
+
+  update(value) {
+    this.index++;
+    if (!this.isError(value)) {
+      return false;
+    }
+
+    if (this.lastError === null) {
+      this.lastError = this.index;
+      return false;
+    }
+
+    // Welford update of the mean and spread of inter-error distances
+    const distance = this.index - this.lastError;
+    this.lastError = this.index;
+    this.errors++;
+    const delta = distance - this.meanDistance;
+    this.meanDistance += delta / this.errors;
+    this.m2 += delta * (distance - this.meanDistance);
+
+    // The reference level only settles once enough errors have been seen
+    if (this.errors < this.minErrors) {
+      return false;
+    }
+    const level = this.meanDistance + 2 * Math.sqrt(this.m2 / this.errors);
+    this.maxLevel = Math.max(this.maxLevel, level);
+
+    const ratio = level / this.maxLevel;
+    this.statistic = (1 - ratio) / (1 - this.driftRatio);
+
+    if (ratio < this.driftRatio) {
+      this.changeStart = this.warningStart ?? this.index;
+      return true;
+    }
+    if (ratio < this.warningRatio) {
+      this.warningStart = this.warningStart ?? this.index;
+    } else {
+      this.warningStart = null;
+    }
+    return false;
+  }
+
+  get score() {
+    return this.statistic;
+  }
+}
+
+// Method name → detector class, as selected through config.changePointMethods
+export const CHANGE_POINT_DETECTORS = {
+  pageHinkley: PageHinkley,
+  cusum: Cusum,
+  adwin: Adwin,
+  ddm: Ddm,
+  eddm: Eddm
+};
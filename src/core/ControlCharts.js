@@ -0,0 +1,340 @@
+/**
+ * ControlCharts - Statistical process control on a monitored value
+ *
+ * fit() computes control limits from baseline values taken in production order and
+ * split into rational subgroups of subgroupSize (1 gives individuals/moving-range charts):
+ * - X-bar chart: center ± A2·R-bar, with σ_within = R-bar / d2
+ * - R chart: D3·R-bar .. D4·R-bar (moving ranges of two for individuals)
+ * - EWMA of subgroup means: λ = 0.2, limits at L = 3 time-varying σ
+ * - Tabular CUSUM of standardized subgroup means: k = 0.5, h = 5
+ *
+ * evaluate() reports every subgroup (sample) of new values with the rules it violates.
+ * Run rules apply to the X-bar chart: 'nelson' (rules 1-8) or 'western_electric' (rules 1-4);
+ * the R, EWMA and CUSUM charts signal on points beyond their limits.
+ */
+
+import { Cusum } from './ChangePointDetectors.js';
+import { StatisticsUtil } from '../utils/StatisticsUtil.js';
+
+// Control chart constants by subgroup size (d2 estimates σ from the mean range)
+const D2 = { 2: 1.128, 3: 1.693, 4: 2.059, 5: 2.326, 6: 2.534, 7: 2.704, 8: 2.847, 9: 2.97, 10: 3.078 };
+const D3 = { 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 0.076, 8: 0.136, 9: 0.184, 10: 0.223 };
+const D4 = { 2: 3.267, 3: 2.574, 4: 2.282, 5: 2.114, 6: 2.004, 7: 1.924, 8: 1.864, 9: 1.816, 10: 1.777 };
+
+const MAX_SUBGROUP_SIZE = 10;
+
+/**
+ * Helper: Whether the last `length` z-scores all pass a test
+ */
+function lastRun(z, length, test) {
+  return z.length >= length && z.slice(-length).every(test);
+}
+
+/**
+ * Helper: Whether at least `count` of the last `length` z-scores lie beyond `limit` σ on one side
+ */
+function countBeyond(z, count, length, limit) {
+  if (z.length < length) {
+    return false;
+  }
+  const window = z.slice(-length);
+  return (
+    window.filter(value => value > limit).length >= count || window.filter(value => value < -limit).length >= count
+  );
+}
+
+const BEYOND_3_SIGMA = {
+  description: 'One point beyond 3σ',
+  test: z => Math.abs(z[z.length - 1]) > 3
+};
+const TWO_OF_THREE = {
+  description: 'Two of three points beyond 2σ on the same side',
+  test: z => countBeyond(z, 2, 3, 2)
+};
+const FOUR_OF_FIVE = {
+  description: 'Four of five points beyond 1σ on the same side',
+  test: z => countBeyond(z, 4, 5, 1)
+};
+
+/**
+ * Helper: Run of points on one side of the center line
+ */
+function sameSide(length) {
+  return {
+    description: `${length} points in a row on the same side of the center line`,
+    test: z => lastRun(z, length, value => value > 0) || lastRun(z, length, value => value < 0)
+  };
+}
+
+// Run rules on the standardized X-bar series; each test sees the z-scores up to the sample
+export const CONTROL_RULES = {
+  nelson: [
+    { rule: 1, ...BEYOND_3_SIGMA },
+    { rule: 2, ...sameSide(9) },
+    {
+      rule: 3,
+      description: '6 points in a row steadily increasing or decreasing',
+      test: z => {
+        const window = z.slice(-6);
+        const steps = window.slice(1).map((value, i) => value - window[i]);
+        return window.length === 6 && (steps.every(step => step > 0) || steps.every(step => step < 0));
+      }
+    },
+    {
+      rule: 4,
+      description: '14 points in a row alternating up and down',
+      test: z => {
+        const window = z.slice(-14);
+        const steps = window.slice(1).map((value, i) => value - window[i]);
+        return window.length === 14 && steps.every((step, i) => step !== 0 && (i === 0 || step * steps[i - 1] < 0));
+      }
+    },
+    { rule: 5, ...TWO_OF_THREE },
+    { rule: 6, ...FOUR_OF_FIVE },
+    {
+      rule: 7,
+      description: '15 points in a row within 1σ of the center line',
+      test: z => lastRun(z, 15, value => Math.abs(value) < 1)
+    },
+    {
+      rule: 8,
+      description: '8 points in a row beyond 1σ on either side',
+      test: z => lastRun(z, 8, value => Math.abs(value) > 1)
+    }
+  ],
+  western_electric: [
+    { rule: 1, ...BEYOND_3_SIGMA },
+    { rule: 2, ...TWO_OF_THREE },
+    { rule: 3, ...FOUR_OF_FIVE },
+    { rule: 4, ...sameSide(8) }
+  ]
+};
+
+export class ControlChart {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.subgroupSize] - Values per rational subgroup, 1-10 (default 5)
+   * @param {string} [options.rules] - 'nelson' or 'western_electric' (default 'nelson')
+   * @param {number} [options.ewmaLambda] - EWMA smoothing weight (default 0.2)
+   * @param {number} [options.ewmaLimit] - EWMA limit width in σ (default 3)
+   * @param {number} [options.cusumK] - CUSUM allowance in σ (default 0.5)
+   * @param {number} [options.cusumH] - CUSUM decision interval in σ (default 5)
+   */
+  constructor(options = {}) {
+    this.subgroupSize = options.subgroupSize ?? 5;
+    this.rules = options.rules || 'nelson';
+    this.ewmaLambda = options.ewmaLambda ?? 0.2;
+    this.ewmaLimit = options.ewmaLimit ?? 3;
+    this.cusumK = options.cusumK ?? 0.5;
+    this.cusumH = options.cusumH ?? 5;
+    this.limits = null;
+
+    if (!Number.isInteger(this.subgroupSize) || this.subgroupSize < 1 || this.subgroupSize > MAX_SUBGROUP_SIZE) {
+      throw new Error(`Subgroup size must be an integer from 1 to ${MAX_SUBGROUP_SIZE}, got ${this.subgroupSize}`);
+    }
+    if (!CONTROL_RULES[this.rules]) {
+      throw new Error(`Unknown control rules: ${this.rules}. Expected ${Object.keys(CONTROL_RULES).join(' or ')}`);
+    }
+  }
+
+  /**
+   * Fewest baseline values that give control limits
+   */
+  minimumValues() {
+    return 2 * Math.max(2, this.subgroupSize);
+  }
+
+  /**
+   * Compute control limits from baseline values in production order
+   *
+   * @param {Array<number>} values - Baseline values
+   * @returns {ControlChart} this
+   */
+  fit(values) {
+    if (values.length < this.minimumValues()) {
+      throw new Error(`Control limits need at least ${this.minimumValues()} baseline values, got ${values.length}`);
+    }
+
+    const { means, ranges } = this._subgroups(values);
+    const center = StatisticsUtil.calculateMean(means);
+    const rangeCenter = StatisticsUtil.calculateMean(ranges);
+    const sigma = this._sigmaWithin(ranges);
+    if (sigma === 0) {
+      throw new Error('Control limits need variation within the baseline subgroups');
+    }
+
+    // Means of n values vary by σ/√n; individuals use σ itself
+    const sigmaMean = sigma / Math.sqrt(this.subgroupSize);
+    const rangeSize = Math.max(2, this.subgroupSize);
+
+    this.limits = {
+      subgroupSize: this.subgroupSize,
+      subgroups: means.length,
+      sigmaWithin: sigma,
+      sigmaOverall: StatisticsUtil.calculateStd(values),
+      xbar: { center, ucl: center + 3 * sigmaMean, lcl: center - 3 * sigmaMean, sigma: sigmaMean },
+      range: { center: rangeCenter, ucl: D4[rangeSize] * rangeCenter, lcl: D3[rangeSize] * rangeCenter },
+      ewma: {
+        lambda: this.ewmaLambda,
+        ucl: center + this.ewmaLimit * sigmaMean * Math.sqrt(this.ewmaLambda / (2 - this.ewmaLambda)),
+        lcl: center - this.ewmaLimit * sigmaMean * Math.sqrt(this.ewmaLambda / (2 - this.ewmaLambda))
+      },
+      cusum: { k: this.cusumK, h: this.cusumH }
+    };
+
+    return this;
+  }
+
+  /**
+   * Chart new values against the baseline limits
+   * A trailing partial subgroup is left out (reported as ungroupedValues)
+   *
+   * @param {Array<number>} values - Values in production order
+   * @returns {Object} { samples: [{ sample, mean, range, ewma, cusum, violations }], violations, inControl, ... }
+   */
+  evaluate(values) {
+    if (!this.limits) {
+      throw new Error('Control limits not computed. Call fit() first.');
+    }
+
+    const { xbar, range, ewma } = this.limits;
+    const { means, ranges } = this._subgroups(values);
+    const rules = CONTROL_RULES[this.rules];
+    const cusum = new Cusum({ k: this.cusumK, h: this.cusumH }, { statistics: { mean: xbar.center, std: xbar.sigma } });
+
+    const z = [];
+    let smoothed = xbar.center;
+    const samples = means.map((mean, sample) => {
+      z.push((mean - xbar.center) / xbar.sigma);
+      const violations = rules
+        .filter(rule => rule.test(z))
+        .map(rule => ({ chart: 'xbar', rule: `${this.rules}_${rule.rule}`, description: rule.description }));
+
+      // Individuals have no moving range at the first sample
+      const sampleRange = this.subgroupSize === 1 ? (ranges[sample - 1] ?? null) : ranges[sample];
+      if (sampleRange !== null && (sampleRange > range.ucl || sampleRange < range.lcl)) {
+        violations.push({ chart: 'range', rule: 'beyond_limits', description: 'Range beyond its control limits' });
+      }
+
+      // EWMA limits widen towards their asymptote over the first samples
+      smoothed = this.ewmaLambda * mean + (1 - this.ewmaLambda) * smoothed;
+      const ewmaWidth =
+        this.ewmaLimit *
+        xbar.sigma *
+        Math.sqrt((this.ewmaLambda / (2 - this.ewmaLambda)) * (1 - (1 - this.ewmaLambda) ** (2 * (sample + 1))));
+      if (Math.abs(smoothed - xbar.center) > ewmaWidth) {
+        violations.push({ chart: 'ewma', rule: 'beyond_limits', description: 'EWMA beyond its control limits' });
+      }
+
+      if (cusum.update(mean)) {
+        const direction = cusum.high >= cusum.low ? 'upward' : 'downward';
+        violations.push({ chart: 'cusum', rule: 'beyond_limits', description: `CUSUM signals an ${direction} shift` });
+      }
+
+      return {
+        sample,
+        start: sample * this.subgroupSize,
+        mean,
+        range: sampleRange,
+        ewma: { value: smoothed, ucl: xbar.center + ewmaWidth, lcl: xbar.center - ewmaWidth },
+        cusum: { high: cusum.high, low: cusum.low },
+        violations
+      };
+    });
+
+    const flagged = samples.filter(sample => sample.violations.length > 0);
+
+    return {
+      limits: { xbar, range, ewma, cusum: this.limits.cusum },
+      rules: this.rules,
+      subgroupSize: this.subgroupSize,
+      samples,
+      ungroupedValues: values.length - means.length * this.subgroupSize,
+      outOfControlSamples: flagged.map(sample => sample.sample),
+      violations: flagged.flatMap(sample =>
+        sample.violations.map(violation => ({ sample: sample.sample, ...violation }))
+      ),
+      inControl: flagged.length === 0
+    };
+  }
+
+  /**
+   * Helper: Subgroup means and ranges (moving ranges of two for individuals)
+   */
+  _subgroups(values) {
+    if (this.subgroupSize === 1) {
+      return { means: [...values], ranges: values.slice(1).map((value, i) => Math.abs(value - values[i])) };
+    }
+
+    const means = [];
+    const ranges = [];
+    for (let start = 0; start + this.subgroupSize <= values.length; start += this.subgroupSize) {
+      const subgroup = values.slice(start, start + this.subgroupSize);
+      means.push(StatisticsUtil.calculateMean(subgroup));
+      ranges.push(Math.max(...subgroup) - Math.min(...subgroup));
+    }
+    return { means, ranges };
+  }
+
+  /**
+   * Helper: Within-subgroup σ from the mean range (R-bar / d2)
+   */
+  _sigmaWithin(ranges) {
+    return StatisticsUtil.calculateMean(ranges) / D2[Math.max(2, this.subgroupSize)];
+  }
+
+  /**
+   * Process capability of values against spec limits
+   * Cp/Cpk use the within-subgroup σ (short-term), Pp/Ppk the overall σ (long-term);
+   * one-sided specs give only the index of their side (Cp and Pp need both limits).
+   * With fewer than two subgroups the baseline's within σ is used.
+   *
+   * @param {Array<number>} values - Values in production order
+   * @param {{lsl?: number, usl?: number}} specLimits - Lower and/or upper spec limit
+   * @returns {Object} { mean, sigmaWithin, sigmaOverall, cp, cpk, pp, ppk, capable }
+   */
+  capability(values, specLimits) {
+    const { lsl, usl } = specLimits || {};
+    const hasLower = typeof lsl === 'number';
+    const hasUpper = typeof usl === 'number';
+    if (!hasLower && !hasUpper) {
+      throw new Error('Process capability needs a lower (lsl) or upper (usl) spec limit');
+    }
+    if (hasLower && hasUpper && lsl >= usl) {
+      throw new Error(`Lower spec limit ${lsl} must be below upper spec limit ${usl}`);
+    }
+
+    const { ranges } = this._subgroups(values);
+    let sigmaWithin = this.limits ? this.limits.sigmaWithin : 0;
+    if (ranges.length >= 2) {
+      sigmaWithin = this._sigmaWithin(ranges);
+    }
+    const sigmaOverall = StatisticsUtil.calculateStd(values);
+    const mean = StatisticsUtil.calculateMean(values);
+
+    const index = (width, sigma) => (sigma > 0 ? width / (3 * sigma) : null);
+    const oneSided = sigma => {
+      const sides = [];
+      if (hasUpper) {
+        sides.push(index(usl - mean, sigma));
+      }
+      if (hasLower) {
+        sides.push(index(mean - lsl, sigma));
+      }
+      return sides.includes(null) ? null : Math.min(...sides);
+    };
+
+    const cpk = oneSided(sigmaWithin);
+    return {
+      mean,
+      sigmaWithin,
+      sigmaOverall,
+      cp: hasLower && hasUpper ? index((usl - lsl) / 2, sigmaWithin) : null,
+      cpk,
+      pp: hasLower && hasUpper ? index((usl - lsl) / 2, sigmaOverall) : null,
+      ppk: oneSided(sigmaOverall),
+      // Common acceptance level for an existing process
+      capable: cpk !== null && cpk >= 1.33
+    };
+  }
+}
@@ -6,15 +6,85 @@
  * - KS (Kolmogorov-Smirnov): Non-parametric distribution comparison
  * - JSD (Jensen-Shannon Divergence): Symmetric KL divergence
  * - Statistical Drift: Mean and standard deviation shifts
+ * - Wasserstein-1, Hellinger, Anderson-Darling (k-sample) and Cramér-von Mises:
+ *   tail-sensitive alternatives to KS, registered opt-in (enable via config.methods)
+ * - MMD (Maximum Mean Discrepancy): Joint shift across tabular features
+ * - Categorical: Chi-square, categorical PSI and Cramér's V on category frequencies
+ * - Change points: Page-Hinkley, CUSUM, ADWIN, DDM and EDDM over the current data in
+ *   arrival order (opt-in via changePointMethods), reporting where the change began
+ *
+ * PSI, JSD and Hellinger bin both samples on the same edges: equal-width over the
+ * combined range (default), or edges fixed from the baseline - quantile bins (the
+ * credit-risk decile convention), user-provided edges, Freedman-Diaconis or Sturges
+ *
+ * Numeric results carry an explanation: per-bin proportions and PSI contributions,
+ * p1..p99 quantile shifts, where the KS CDF gap peaks and a plain-language summary
+ *
+ * Concept drift: detectDrift() keeps a batch for labels when given options.batchId, or when
+ * the stream tracks labels (a performance baseline is set, or config.trackLabels) and
+ * returns its batchId; attachLabels(batchId, labels) scores the batch's predictions against delayed ground truth (accuracy, AUC, calibration,
+ * precision/recall, positive rate) and compares them with a baseline performance profile.
+ * For labels that arrive weeks later, logPredictions() persists individual predictions in
+ * the AgentDB sqlite file; ingestLabels() joins outcomes by prediction id and
+ * evaluateMaturedCohorts() scores each cohort once its labels have had time to mature
+ *
+ * Numeric methods live in a registry (registerMethod) so custom detectors share the
+ * weighting, thresholding and severity logic of the built-ins
+ *
+ * Methods report p-values, corrected for multiple testing across the methods - and
+ * features - tested together: asymptotic for KS, and from a permutation test for the
+ * others when config.permutations is set (config.bootstrapSamples adds a bootstrap
+ * confidence interval to the statistical score); resampling is opt-in because it
+ * multiplies the cost of every comparison
+ *
+ * Baselines are versioned in the AgentDB sqlite file (baseline_versions table)
+ * so they survive restarts and can be listed, restored and diffed
+ *
+ * Per-value ingestion (push/pushBatch) fills tumbling, sliding or session windows;
+ * each closed window is scored and emitted as a 'window' event (plus 'drift' when drifting)
  *
  * TDD Implementation with AgentDB Integration
  */
 
+import { EventEmitter } from 'events';
 import { createDatabase, EmbeddingService, ReflexionMemory, SkillLibrary } from 'agentdb';
 import { StatisticsUtil } from '../utils/StatisticsUtil.js';
-
-export class DriftEngine {
+import { StreamWindow } from '../utils/StreamWindow.js';
+import { CHANGE_POINT_DETECTORS } from './ChangePointDetectors.js';
+import { PERFORMANCE_METRICS } from './PerformanceMetrics.js';
+import { PredictionLog, cohortStart, cohortEnd } from './PredictionLog.js';
+
+// Stream backing the single-baseline API (setBaseline(data) / detectDrift(data))
+export const DEFAULT_STREAM = 'default';
+
+// Percentiles compared by the drift explanation
+const EXPLANATION_PERCENTILES = [1, 5, 10, 25, 50, 75, 90, 95, 99];
+
+// Histogram binning strategies for PSI, JSD and Hellinger (config.binning or metadata.binning)
+const BINNING_STRATEGIES = ['equalWidth', 'quantile', 'edges', 'freedmanDiaconis', 'sturges'];
+
+// Baseline snapshots, one row per (stream, version)
+const BASELINE_VERSIONS_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS baseline_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    stream TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    data JSON NOT NULL,
+    statistics JSON,
+    histograms JSON,
+    metadata JSON,
+    created_at INTEGER NOT NULL,
+    UNIQUE(stream, version)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_baseline_versions_stream ON baseline_versions(stream, version DESC);
+`;
+
+export class DriftEngine extends EventEmitter {
   constructor(config = {}, dependencies = null) {
+    super();
+
     // Validate config values
     const driftThreshold = config.driftThreshold || 0.1;
     if (driftThreshold <= 0 || driftThreshold > 1) {
@@ -37,6 +107,34 @@ export class DriftEngine {
       autoAdapt: config.autoAdapt !== undefined ? config.autoAdapt : false,
       dbPath: config.dbPath || ':memory:',
       maxHistorySize,
+      maxJointSamples: config.maxJointSamples || 200, // Row cap for the O(n²) joint MMD score
+      significanceLevel: config.significanceLevel || 0.05, // Alpha for p-values and confidence intervals
+      multipleTesting: config.multipleTesting || 'bh', // Correction across methods/features: 'bh', 'bonferroni', 'none'
+      permutations: config.permutations ?? 0, // Permutation test rounds for methods without an analytic p-value (opt-in)
+      bootstrapSamples: config.bootstrapSamples ?? 0, // Bootstrap rounds for the statistical score CI (opt-in)
+      maxResampleSize: config.maxResampleSize || 1000, // Per-side subsample cap for permutation/bootstrap
+      randomSeed: config.randomSeed ?? null, // Seed for reproducible resampling (null = Math.random)
+      persistBaselines: config.persistBaselines !== false, // Store baseline versions in AgentDB
+      window: config.window || { type: 'tumbling', size: 100 }, // Default ingestion window for push()
+      changePointMethods: config.changePointMethods || [], // Sequential detectors run by detectDrift()
+      changePoint: config.changePoint || {}, // Per-detector options, e.g. { cusum: { k: 0.5, h: 8 } }
+      methods: config.methods || null, // Enabled drift methods (null = every registered method)
+      disabledMethods: config.disabledMethods || [],
+      methodWeights: config.methodWeights || null, // Explicit weights by method name (normalized to sum to 1)
+      primaryWeight: config.primaryWeight || 0.6, // Default weighting: primaryMethod share, rest split evenly
+      fallbackMethod: config.fallbackMethod || 'ks', // Takes the primary slot when primaryMethod lacks samples
+      fallbackWeight: config.fallbackWeight || 0.7,
+      binning: config.binning || 'equalWidth', // Strategy name or { strategy, bins, edges, maxBins }
+      explain: config.explain !== false, // Attach a per-bin/per-quantile explanation to numeric results
+      performanceMetrics: config.performanceMetrics || ['accuracy', 'auc', 'calibrationError'], // Compared by attachLabels()
+      performanceTolerances: config.performanceTolerances || {}, // Per-metric change counted as drift
+      decisionThreshold: config.decisionThreshold ?? 0.5, // Scores at or above predict the positive class
+      calibrationBins: config.calibrationBins || 10,
+      minLabeledSamples: config.minLabeledSamples || 30, // Fewer labels report metrics without flagging drift
+      trackLabels: config.trackLabels || false, // Keep every numeric batch for attachLabels(), not only named ones
+      maxPendingValues: config.maxPendingValues || 100000, // Predictions kept for late labels, over all batches
+      labelMaturityDays: config.labelMaturityDays || 30, // Age at which a prediction cohort's labels are complete
+      cohortPeriod: config.cohortPeriod || 'month', // 'day' | 'week' | 'month' or a length in ms
       ...config
     };
 
@@ -55,27 +153,92 @@ export class DriftEngine {
       this.skills = null;
     }
 
-    // Baseline distribution storage
-    this.baselineDistribution = null;
+    // Per-stream drift contexts (baseline, history, cache, last check, stats)
+    // baselineDistribution, history, lastCheck, resultCache and stats alias the default stream
+    this.contexts = new Map();
+    this.contexts.set(DEFAULT_STREAM, this._createContext(DEFAULT_STREAM));
 
-    // Drift detection history
-    this.history = [];
+    // Per-feature baselines for tabular (multivariate) detection
+    this.multivariateBaseline = null;
 
-    // Adaptive sampling: track last check for skip optimization
-    this.lastCheck = null;
+    // Multivariate results have their own shape, so they keep their own history and counts
+    this.multivariateHistory = [];
+    this.multivariateStats = { totalChecks: 0, driftDetected: 0, startTime: Date.now() };
 
-    // Result memoization cache (LRU with max 100 entries)
-    this.resultCache = new Map();
+    // Result memoization cache size (LRU with max 100 entries per stream)
     this.maxCacheSize = config.maxCacheSize || 100;
 
-    // Statistics
-    this.stats = {
-      totalChecks: 0,
-      driftDetected: 0,
-      checksSkipped: 0,
-      cacheHits: 0,
-      startTime: Date.now()
-    };
+    // Set once the baseline_versions table is known to exist
+    this.baselineStoreReady = false;
+
+    // Monitored batches awaiting labels, by batch id (oldest evicted beyond maxPendingValues)
+    this.batches = new Map();
+    this.pendingValues = 0;
+    this.batchCounter = 0;
+
+    // Persistent prediction log for delayed labels, opened on first use
+    this.predictionLog = null;
+
+    // Random source for permutation and bootstrap resampling
+    this.random = StatisticsUtil.createRandom(this.config.randomSeed);
+
+    // Numeric drift method registry (name → { score, threshold, minSamples, pValue, bootstrap })
+    this.driftMethods = new Map();
+    this.registerMethod({ name: 'psi', score: this._calculatePSI.bind(this), minSamples: 20 });
+    this.registerMethod({
+      name: 'ks',
+      score: this._kolmogorovSmirnov.bind(this),
+      pValue: (baseline, current, score) => StatisticsUtil.ksPValue(score, baseline.length, current.length)
+    });
+    this.registerMethod({ name: 'jsd', score: this._jensenShannonDivergence.bind(this) });
+    this.registerMethod({ name: 'statistical', score: this._statisticalDrift.bind(this), bootstrap: true });
+    this.registerMethod({ name: 'wasserstein', score: this._wassersteinDistance.bind(this), enabledByDefault: false });
+    this.registerMethod({ name: 'hellinger', score: this._hellingerDistance.bind(this), enabledByDefault: false });
+    this.registerMethod({
+      name: 'andersonDarling',
+      score: this._andersonDarling.bind(this),
+      threshold: 1.961, // Standardized statistic at the 5% critical value for two samples
+      enabledByDefault: false
+    });
+    this.registerMethod({
+      name: 'cramerVonMises',
+      score: this._cramerVonMises.bind(this),
+      threshold: 0.461, // Asymptotic 5% critical value
+      enabledByDefault: false
+    });
+  }
+
+  // Default stream accessors (single-baseline API)
+  get baselineDistribution() {
+    return this.contexts.get(DEFAULT_STREAM).baselineDistribution;
+  }
+
+  set baselineDistribution(value) {
+    this.contexts.get(DEFAULT_STREAM).baselineDistribution = value;
+  }
+
+  get history() {
+    return this.contexts.get(DEFAULT_STREAM).history;
+  }
+
+  set history(value) {
+    this.contexts.get(DEFAULT_STREAM).history = value;
+  }
+
+  get lastCheck() {
+    return this.contexts.get(DEFAULT_STREAM).lastCheck;
+  }
+
+  set lastCheck(value) {
+    this.contexts.get(DEFAULT_STREAM).lastCheck = value;
+  }
+
+  get resultCache() {
+    return this.contexts.get(DEFAULT_STREAM).resultCache;
+  }
+
+  get stats() {
+    return this.contexts.get(DEFAULT_STREAM).stats;
   }
 
   /**
@@ -102,6 +265,9 @@ export class DriftEngine {
     engine.reflexion = new ReflexionMemory(engine.db, engine.embedder);
     engine.skills = new SkillLibrary(engine.db, engine.embedder);
 
+    // Restore the latest persisted baseline of every stream
+    engine.loadBaselines();
+
     console.log('✅ Using sql.js (WASM SQLite, no build tools required)');
 
     return engine;
@@ -174,16 +340,26 @@ export class DriftEngine {
         embedding_model TEXT DEFAULT 'all-MiniLM-L6-v2',
         FOREIGN KEY(skill_id) REFERENCES skills(id) ON DELETE CASCADE
       );
+
+      -- Baseline versions for rollback and diff
+      ${BASELINE_VERSIONS_SCHEMA}
     `;
 
     // Execute schema in a single transaction
     this.db.exec(schema);
+    this.baselineStoreReady = true;
   }
 
   /**
    * Set baseline distribution from training data
+   * String values (or metadata.type === 'categorical') select the categorical path
+   * metadata.binning overrides config.binning for this baseline (kept with its versions)
+   *
+   * Usage: setBaseline(data, metadata) or setBaseline('fraud_scores', data, metadata)
    */
-  async setBaseline(data, metadata = {}) {
+  async setBaseline(...args) {
+    const { stream, data, extra: metadata } = this._parseStreamArgs(args);
+
     // Comprehensive input validation
     if (!data || data.length === 0) {
       throw new Error('Baseline data cannot be empty');
@@ -193,38 +369,27 @@ export class DriftEngine {
       throw new Error('Baseline data must be an array');
     }
 
-    // Validate all values are numbers
-    for (let i = 0; i < data.length; i++) {
-      const value = data[i];
-      if (typeof value !== 'number' || isNaN(value) || !isFinite(value)) {
-        throw new Error(`Invalid value at index ${i}: ${value}. All values must be finite numbers.`);
-      }
-    }
+    // Validate values (finite numbers, or category labels for categorical data)
+    const type = this._inferDataType(data, metadata.type);
+    this._validateValues(data, type);
 
     // Warn if sample size is very small
     if (data.length < 3) {
       console.warn(`Warning: Baseline sample size is very small (${data.length}). Drift detection may be unreliable.`);
     }
 
-    // Calculate statistics
-    const statistics = this._calculateStatistics(data);
-
-    // Pre-calculate and cache histograms for common bin sizes (3, 5, 10, 20)
-    const { min, max } = statistics;
-    const cachedHistograms = {};
-    for (const bins of [3, 5, 10, 20]) {
-      cachedHistograms[bins] = this._createHistogramWithRange(data, bins, min, max);
+    // Store baseline with all cached data for maximum performance
+    if (!this.contexts.has(stream)) {
+      this.contexts.set(stream, this._createContext(stream));
     }
+    const context = this.contexts.get(stream);
+    context.baselineDistribution = this._buildDistribution(data, metadata, type);
+    context.baselineDistribution.version = this._persistBaseline(stream, context.baselineDistribution);
+    const { statistics } = context.baselineDistribution;
 
-    // Store baseline with all cached data for maximum performance
-    this.baselineDistribution = {
-      data: data,
-      sortedData: [...data].sort((a, b) => a - b), // Cache sorted array for KS test
-      statistics: statistics,
-      histograms: cachedHistograms, // Pre-computed histograms for PSI/JSD
-      metadata: metadata,
-      timestamp: Date.now()
-    };
+    // A new baseline invalidates results computed against the old one
+    context.resultCache.clear();
+    context.lastCheck = null;
 
     // Store in AgentDB for versioning
     await this.reflexion.storeEpisode({
@@ -232,23 +397,172 @@ export class DriftEngine {
       task: 'set_baseline',
       reward: 1.0,
       success: true,
-      critique: `Baseline set with ${data.length} samples`
+      critique: `Baseline set for stream ${stream} with ${data.length} samples (version ${context.baselineDistribution.version})`
     });
 
-    console.log(
-      `✓ Baseline set: ${data.length} samples, mean=${statistics.mean.toFixed(2)}, std=${statistics.std.toFixed(2)}`
-    );
+    const label = stream === DEFAULT_STREAM ? 'Baseline set' : `Baseline set [${stream}]`;
+    if (type === 'categorical') {
+      console.log(
+        `✓ ${label}: ${data.length} samples, ${statistics.categoryCount} categories, mode=${statistics.mode}`
+      );
+    } else {
+      console.log(
+        `✓ ${label}: ${data.length} samples, mean=${statistics.mean.toFixed(2)}, std=${statistics.std.toFixed(2)}`
+      );
+    }
+
+    return context.baselineDistribution;
+  }
+
+  /**
+   * List streams that have a baseline set
+   */
+  listBaselines() {
+    return [...this.contexts.values()]
+      .filter(context => context.baselineDistribution)
+      .map(context => ({
+        stream: context.name,
+        type: context.baselineDistribution.type,
+        samples: context.baselineDistribution.data.length,
+        version: context.baselineDistribution.version,
+        timestamp: context.baselineDistribution.timestamp,
+        metadata: context.baselineDistribution.metadata
+      }));
+  }
+
+  /**
+   * Get the baseline distribution of a stream (null if not set)
+   */
+  getBaseline(stream = DEFAULT_STREAM) {
+    return this.contexts.get(stream)?.baselineDistribution || null;
+  }
+
+  /**
+   * Check whether a stream has a baseline set
+   */
+  hasBaseline(stream = DEFAULT_STREAM) {
+    return Boolean(this.getBaseline(stream));
+  }
+
+  /**
+   * List persisted baseline versions of a stream, oldest first
+   */
+  listBaselineVersions(stream = DEFAULT_STREAM) {
+    if (!this._ensureBaselineStore()) {
+      return [];
+    }
+
+    const activeVersion = this.getBaseline(stream)?.version;
+    const rows = this.db
+      .prepare(
+        'SELECT stream, version, type, statistics, metadata, created_at FROM baseline_versions WHERE stream = ? ORDER BY version ASC'
+      )
+      .all(stream);
+
+    return rows.map(row => ({
+      stream: row.stream,
+      version: row.version,
+      type: row.type,
+      samples: JSON.parse(row.statistics).count,
+      timestamp: row.created_at,
+      metadata: JSON.parse(row.metadata || '{}'),
+      active: row.version === activeVersion
+    }));
+  }
+
+  /**
+   * Make a persisted baseline version the active baseline of its stream
+   *
+   * Usage: restoreBaseline(version) or restoreBaseline('fraud_scores', version)
+   */
+  async restoreBaseline(...args) {
+    const { stream, versions } = this._parseVersionArgs(args, 1);
+    const [version] = versions;
+
+    const record = this._loadBaselineRecord(stream, version);
+    const distribution = this._activateBaseline(stream, record);
+
+    await this.reflexion.storeEpisode({
+      sessionId: `baseline-${Date.now()}`,
+      task: 'restore_baseline',
+      reward: 1.0,
+      success: true,
+      critique: `Baseline for stream ${stream} restored to version ${version}`
+    });
+
+    console.log(`✓ Baseline restored${stream === DEFAULT_STREAM ? '' : ` [${stream}]`}: version ${version}`);
+
+    return distribution;
+  }
+
+  /**
+   * Compare two persisted baseline versions with the drift methods
+   * The older version plays the role of the baseline
+   *
+   * Usage: diffBaselines(fromVersion, toVersion) or diffBaselines('fraud_scores', fromVersion, toVersion)
+   */
+  async diffBaselines(...args) {
+    const { stream, versions } = this._parseVersionArgs(args, 2);
+    const [fromVersion, toVersion] = versions;
+
+    const from = this._loadBaselineRecord(stream, fromVersion);
+    const to = this._loadBaselineRecord(stream, toVersion);
+    if (from.type !== to.type) {
+      throw new Error(`Cannot diff ${from.type} version ${fromVersion} against ${to.type} version ${toVersion}`);
+    }
+
+    const fromDistribution = this._buildDistribution(from.data, from.metadata, from.type, from.binning);
+
+    return {
+      stream: stream,
+      fromVersion: fromVersion,
+      toVersion: toVersion,
+      ...(await this._scoreDistribution(fromDistribution, to.data)),
+      statistics: {
+        from: from.statistics,
+        to: to.statistics
+      }
+    };
+  }
+
+  /**
+   * Restore the latest persisted version of every stream (used on startup)
+   */
+  loadBaselines() {
+    if (!this._ensureBaselineStore()) {
+      return [];
+    }
+
+    const latest = this.db
+      .prepare('SELECT stream, MAX(version) AS version FROM baseline_versions GROUP BY stream')
+      .all();
 
-    return this.baselineDistribution;
+    return latest.map(({ stream, version }) => {
+      this._activateBaseline(stream, this._loadBaselineRecord(stream, version));
+      return { stream, version };
+    });
   }
 
   /**
    * Detect drift in current data using multiple statistical methods
+   * Options: memoization, adaptiveSampling, changePointMethods (overrides config),
+   * timestamps (one per value, reported with change points), sequence (arrival order
+   * of presorted data, used by change-point detectors and kept for labels), batchId (keeps the batch for
+   * attachLabels(); generated for numeric data on streams that track labels, null otherwise)
+   * and context (model type recorded with the batch)
+   *
+   * Usage: detectDrift(data, options) or detectDrift('fraud_scores', data, options)
    */
-  async detectDrift(currentData, options = {}) {
+  async detectDrift(...args) {
+    const { stream, data: currentData, extra: options } = this._parseStreamArgs(args);
+    const context = this.contexts.get(stream);
+
     // Validate baseline is set
-    if (!this.baselineDistribution) {
-      throw new Error('Baseline not set. Call setBaseline() first.');
+    if (!context?.baselineDistribution) {
+      if (stream === DEFAULT_STREAM) {
+        throw new Error('Baseline not set. Call setBaseline() first.');
+      }
+      throw new Error(`Baseline not set for stream "${stream}". Call setBaseline('${stream}', data) first.`);
     }
 
     // Validate current data
@@ -260,24 +574,35 @@ export class DriftEngine {
       throw new Error('Current data must be an array');
     }
 
-    // Validate all values are numbers
-    for (let i = 0; i < currentData.length; i++) {
-      const value = currentData[i];
-      if (typeof value !== 'number' || isNaN(value) || !isFinite(value)) {
-        throw new Error(`Invalid value at index ${i}: ${value}. All values must be finite numbers.`);
-      }
+    // Current data must match the baseline type
+    const isCategorical = context.baselineDistribution.type === 'categorical';
+    this._validateValues(currentData, context.baselineDistribution.type);
+
+    // Change-point detectors read arrival order, so cached or skipped results cannot stand in for them
+    const changePointMethods = isCategorical ? [] : options.changePointMethods || this.config.changePointMethods;
+    this._validateChangePointMethods(changePointMethods);
+    if (options.timestamps && options.timestamps.length !== currentData.length) {
+      throw new Error('timestamps must have one entry per value');
     }
+    const orderSensitive = changePointMethods.length > 0;
+
+    // Keep the predictions so labels can be attached later, whichever path scores them
+    const tracked = !isCategorical && Boolean(context.performanceProfile || this.config.trackLabels);
+    // Presorted window data keeps its arrival order in the sequence, which is how labels arrive
+    const predictions = options.sequence ?? currentData;
+    const batchId = options.batchId !== undefined || tracked ? this._registerBatch(stream, predictions, options) : null;
 
     // Result memoization: Check cache for identical data
-    if (options.memoization !== false) {
+    if (options.memoization !== false && !orderSensitive) {
       const dataHash = this._hashData(currentData);
-      const cached = this.resultCache.get(dataHash);
+      const cached = context.resultCache.get(dataHash);
 
       if (cached) {
-        this.stats.cacheHits++;
+        context.stats.cacheHits++;
         return {
           ...cached,
           timestamp: Date.now(),
+          batchId: batchId,
           cached: true
         };
       }
@@ -285,29 +610,27 @@ export class DriftEngine {
 
     // Adaptive sampling: Skip check if data hasn't changed significantly
     // This optimization is useful for streaming data with stable periods
-    if (options.adaptiveSampling !== false && this.lastCheck) {
+    if (options.adaptiveSampling !== false && !isCategorical && !orderSensitive && context.lastCheck) {
       const quickStats = this._calculateQuickStats(currentData);
-      const lastStats = this.lastCheck.stats;
+      const lastStats = context.lastCheck.stats;
 
       // Check if mean and std are within 5% of last check
       const meanDiff = Math.abs(quickStats.mean - lastStats.mean) / lastStats.mean;
       const stdDiff = Math.abs(quickStats.std - lastStats.std) / (lastStats.std || 1);
 
       if (meanDiff < 0.05 && stdDiff < 0.05) {
-        this.stats.totalChecks++;
-        this.stats.checksSkipped++;
+        context.stats.totalChecks++;
+        context.stats.checksSkipped++;
         const skippedResult = {
-          ...this.lastCheck.result,
+          ...context.lastCheck.result,
           timestamp: Date.now(),
+          batchId: batchId,
           skipped: true,
           reason: 'Data unchanged from last check (adaptive sampling)'
         };
 
         // Still add to history for tracking, even if skipped
-        this.history.push(skippedResult);
-        if (this.history.length > this.config.maxHistorySize) {
-          this.history.shift();
-        }
+        this._recordHistory(context, skippedResult);
 
         return skippedResult;
       }
@@ -315,105 +638,23 @@ export class DriftEngine {
 
     const results = {
       timestamp: Date.now(),
-      isDrift: false,
-      severity: 'none',
-      scores: {},
-      methods: {},
-      averageScore: 0,
-      primaryMethod: this.config.primaryMethod || 'psi'
-    };
-
-    // Calculate drift using multiple methods in parallel for maximum performance
-    const methods = [
-      { name: 'psi', fn: this._calculatePSI.bind(this) },
-      { name: 'ks', fn: this._kolmogorovSmirnov.bind(this) },
-      { name: 'jsd', fn: this._jensenShannonDivergence.bind(this) },
-      { name: 'statistical', fn: this._statisticalDrift.bind(this) }
-    ];
-
-    // Execute all methods in parallel (non-blocking, CPU-efficient)
-    const methodResults = await Promise.all(
-      methods.map(async method => ({
-        name: method.name,
-        score: method.fn(this.baselineDistribution.data, currentData)
+      stream: stream,
+      batchId: batchId,
+      ...(await this._scoreDistribution(context.baselineDistribution, currentData, {
+        changePointMethods,
+        sequence: options.sequence,
+        timestamps: options.timestamps
       }))
-    );
-
-    // Populate results from parallel execution
-    for (const { name, score } of methodResults) {
-      results.scores[name] = score;
-      results.methods[name] = {
-        score: score,
-        isDrift: score > this.config.driftThreshold
-      };
-    }
-
-    // Calculate weighted average score (favor primary method)
-    const primaryMethod = results.primaryMethod;
-    const primaryScore = results.scores[primaryMethod];
-    const otherScores = Object.entries(results.scores)
-      .filter(([name]) => name !== primaryMethod)
-      .map(([_, score]) => score);
-
-    // Adaptive weighting based on sample size
-    // For very small samples (<20), histogram-based methods (PSI, JSD) are unreliable
-    // Use KS test (non-parametric, handles small samples better) instead
-    const minSampleSize = Math.min(this.baselineDistribution.data.length, currentData.length);
-    let primaryWeight, otherWeight;
-
-    if (minSampleSize < 20 && primaryMethod === 'psi') {
-      // Small samples: favor KS over PSI
-      const ksScore = results.scores['ks'];
-      results.averageScore = ksScore * 0.7 + (results.scores['jsd'] + results.scores['statistical']) * 0.15;
-    } else {
-      // Normal weighting: 60% primary method, 40% distributed to others
-      primaryWeight = 0.6;
-      otherWeight = otherScores.length > 0 ? 0.4 / otherScores.length : 0;
-      results.averageScore = primaryScore * primaryWeight + otherScores.reduce((a, b) => a + b, 0) * otherWeight;
-    }
-
-    // Determine drift based on weighted average score (not individual methods)
-    // For small samples (≤20), apply a tolerance multiplier due to inherent unreliability
-    // Very small samples (≤10) need even higher tolerance due to large CDF steps
-    let effectiveThreshold = this.config.driftThreshold;
-    if (minSampleSize <= 10) {
-      effectiveThreshold = this.config.driftThreshold * 1.75; // 75% higher threshold for very small samples
-    } else if (minSampleSize <= 20) {
-      effectiveThreshold = this.config.driftThreshold * 1.5; // 50% higher threshold for small samples
-    }
-    results.isDrift = results.averageScore > effectiveThreshold;
-
-    // Determine severity
-    // If no drift detected, severity is 'none' regardless of score
-    // Otherwise, use score thresholds adjusted for small samples
-    if (!results.isDrift) {
-      results.severity = 'none';
-    } else {
-      results.severity = this._calculateSeverity(results.averageScore, effectiveThreshold);
-    }
+    };
 
     // Update statistics
-    this.stats.totalChecks++;
+    context.stats.totalChecks++;
     if (results.isDrift) {
-      this.stats.driftDetected++;
+      context.stats.driftDetected++;
     }
 
     // Store in history (bounded to prevent memory leaks)
-    this.history.push(results);
-    if (this.history.length > this.config.maxHistorySize) {
-      this.history.shift(); // Remove oldest entry
-    }
-
-    // Compress old history entries (keep only last 100 full, compress others)
-    // This saves memory while maintaining trend information
-    if (this.history.length > 100) {
-      const compressionThreshold = this.history.length - 100;
-      for (let i = 0; i < compressionThreshold; i++) {
-        if (!this.history[i].compressed) {
-          this.history[i] = this._compressHistoryEntry(this.history[i]);
-        }
-      }
-    }
+    this._recordHistory(context, results);
 
     // Store drift event in AgentDB
     await this.reflexion.storeEpisode({
@@ -421,25 +662,27 @@ export class DriftEngine {
       task: 'detect_drift',
       reward: results.isDrift ? 0.3 : 0.9,
       success: !results.isDrift,
-      critique: `Drift ${results.isDrift ? 'detected' : 'not detected'}: severity ${results.severity}`
+      critique: `Drift ${results.isDrift ? 'detected' : 'not detected'} on stream ${stream}: severity ${results.severity}`
     });
 
     // Update last check for adaptive sampling optimization
-    this.lastCheck = {
-      result: results,
-      stats: this._calculateQuickStats(currentData),
-      timestamp: Date.now()
-    };
+    if (!isCategorical) {
+      context.lastCheck = {
+        result: results,
+        stats: this._calculateQuickStats(currentData),
+        timestamp: Date.now()
+      };
+    }
 
     // Store in result cache (LRU eviction if full)
-    if (options.memoization !== false) {
+    if (options.memoization !== false && !orderSensitive) {
       const dataHash = this._hashData(currentData);
-      this.resultCache.set(dataHash, results);
+      context.resultCache.set(dataHash, results);
 
       // LRU cache: remove oldest entry if cache is full
-      if (this.resultCache.size > this.maxCacheSize) {
-        const firstKey = this.resultCache.keys().next().value;
-        this.resultCache.delete(firstKey);
+      if (context.resultCache.size > this.maxCacheSize) {
+        const firstKey = context.resultCache.keys().next().value;
+        context.resultCache.delete(firstKey);
       }
     }
 
@@ -447,141 +690,1820 @@ export class DriftEngine {
   }
 
   /**
-   * Calculate Population Stability Index (PSI)
-   * Industry standard for credit risk modeling
+   * Register (or replace) a numeric drift method
+   * spec: {
+   *   name,
+   *   score(baseline, current, distribution) → number, higher meaning more drift,
+   *   threshold: score above which the method alone signals drift (default config.driftThreshold),
+   *   minSamples: fewest values in baseline or current data for the score to carry weight (default 0),
+   *   pValue(baseline, current, score) → number: closed-form p-value (default: permutation test),
+   *   bootstrap: also report a bootstrap confidence interval for the score,
+   *   enabledByDefault: include the method when config.methods is not set (default true)
+   * }
+   * Scores are rescaled by driftThreshold / threshold before averaging, so methods on
+   * different scales share one averageScore and severity scale
    */
-  _calculatePSI(baseline, current) {
-    // Adaptive binning based on sample size
-    const minSampleSize = Math.min(baseline.length, current.length);
-    const bins = this._getAdaptiveBinCount(minSampleSize);
-
-    // Use combined min/max to ensure consistent bin boundaries
-    const { min: combinedMin, max: combinedMax } = this._findMinMax(baseline, current);
-
-    // Use cached baseline histogram if available (major performance boost)
-    const baselineHist =
-      this.baselineDistribution?.histograms?.[bins] ||
-      this._createHistogramWithRange(baseline, bins, combinedMin, combinedMax);
-    const currentHist = this._createHistogramWithRange(current, bins, combinedMin, combinedMax);
-
-    let psi = 0;
-    for (let i = 0; i < bins; i++) {
-      const baselinePct = baselineHist[i] / baseline.length;
-      const currentPct = currentHist[i] / current.length;
+  registerMethod(spec) {
+    if (!spec || typeof spec.name !== 'string' || spec.name.length === 0) {
+      throw new Error('Drift method name is required');
+    }
+    if (typeof spec.score !== 'function') {
+      throw new Error(`Drift method ${spec.name} must provide a score function`);
+    }
+    if (spec.threshold !== undefined && !(spec.threshold > 0)) {
+      throw new Error(`Drift method ${spec.name} threshold must be positive`);
+    }
 
-      // Skip if both are zero (empty bins)
-      if (baselinePct === 0 && currentPct === 0) {
-        continue;
-      }
+    this.driftMethods.set(spec.name, {
+      name: spec.name,
+      score: spec.score,
+      threshold: spec.threshold || null,
+      minSamples: spec.minSamples || 0,
+      pValue: spec.pValue || null,
+      bootstrap: Boolean(spec.bootstrap),
+      enabledByDefault: spec.enabledByDefault !== false
+    });
+    this._invalidateResults();
 
-      // Standard PSI practice: use 0.5% minimum for financial data
-      // This prevents artificial inflation when bins shift slightly
-      const epsilon = 0.005;
-      const baselineSafe = Math.max(baselinePct, epsilon);
-      const currentSafe = Math.max(currentPct, epsilon);
+    return this;
+  }
 
-      const binContribution = (currentPct - baselinePct) * Math.log(currentSafe / baselineSafe);
-      psi += binContribution;
+  /**
+   * Remove a drift method from the registry
+   */
+  unregisterMethod(name) {
+    const removed = this.driftMethods.delete(name);
+    if (removed) {
+      this._invalidateResults();
     }
-
-    // PSI is always positive
-    return Math.abs(psi);
+    return removed;
   }
 
   /**
-   * Kolmogorov-Smirnov Test
-   * Non-parametric test for distribution differences
+   * List registered drift methods with their effective configuration
    */
-  _kolmogorovSmirnov(baseline, current) {
-    // Use cached sorted baseline if available
-    const sortedBaseline = this.baselineDistribution?.sortedData || [...baseline].sort((a, b) => a - b);
-    const sortedCurrent = [...current].sort((a, b) => a - b);
-
-    // Optimized O(n) algorithm using two-pointer technique
-    // Merge sorted arrays and track CDFs
-    let i = 0,
-      j = 0;
-    let maxDiff = 0;
-    const nBaseline = baseline.length;
-    const nCurrent = current.length;
-
-    while (i < nBaseline || j < nCurrent) {
-      // Calculate CDFs at current position
-      const cdfBaseline = i / nBaseline;
-      const cdfCurrent = j / nCurrent;
-      const diff = Math.abs(cdfBaseline - cdfCurrent);
+  listMethods() {
+    const enabled = this._enabledMethods(false);
+
+    return [...this.driftMethods.values()].map(method => ({
+      name: method.name,
+      threshold: method.threshold || this.config.driftThreshold,
+      minSamples: method.minSamples,
+      enabled: enabled.includes(method.name)
+    }));
+  }
 
-      maxDiff = Math.max(maxDiff, diff);
+  /**
+   * Configure the ingestion window of a stream (replaces any open window)
+   * Options: { type: 'tumbling' | 'sliding' | 'session', size, slide, gap, maxSize }
+   *
+   * Usage: configureWindow(options) or configureWindow('fraud_scores', options)
+   */
+  configureWindow(...args) {
+    const named = typeof args[0] === 'string';
+    const stream = named ? args[0] : DEFAULT_STREAM;
+    const options = (named ? args[1] : args[0]) || {};
 
-      // Advance pointer with smaller value
-      if (i >= nBaseline) {
-        j++;
-      } else if (j >= nCurrent) {
-        i++;
-      } else if (sortedBaseline[i] <= sortedCurrent[j]) {
-        i++;
-      } else {
-        j++;
-      }
+    if (!this.contexts.has(stream)) {
+      this.contexts.set(stream, this._createContext(stream));
     }
 
-    return maxDiff;
+    const window = new StreamWindow(options);
+    this.contexts.get(stream).window = window;
+    return window;
   }
 
   /**
-   * Jensen-Shannon Divergence
-   * Symmetric measure of distribution similarity
+   * Ingest a single value; returns the drift results of any windows it closed
+   * options.timestamp sets the observation time (used by session windows)
+   *
+   * Usage: push(value, options) or push('fraud_scores', value, options)
+   * A leading string names a stream when that stream exists, or when the default stream is
+   * not categorical; otherwise it is a category pushed to the default stream
+   */
+  async push(...args) {
+    const named =
+      typeof args[0] === 'string' &&
+      ['number', 'string'].includes(typeof args[1]) &&
+      (this.contexts.has(args[0]) || this.baselineDistribution?.type !== 'categorical');
+    const [stream, value, options = {}] = named ? args : [DEFAULT_STREAM, ...args];
+    const timestamps = options.timestamp !== undefined ? [options.timestamp] : undefined;
+
+    return this.pushBatch(stream, [value], { timestamps });
+  }
+
+  /**
+   * Ingest values in arrival order; returns the drift results of any windows they closed
+   * options.timestamps gives one observation time per value
+   *
+   * Usage: pushBatch(values, options) or pushBatch('fraud_scores', values, options)
    */
-  _jensenShannonDivergence(baseline, current) {
-    // Adaptive binning based on sample size
-    const minSampleSize = Math.min(baseline.length, current.length);
-    const bins = this._getAdaptiveBinCount(minSampleSize);
+  async pushBatch(...args) {
+    const { stream, data: values, extra: options } = this._parseStreamArgs(args);
+    const context = this.contexts.get(stream);
 
-    // Use combined min/max to ensure consistent bin boundaries
-    const { min: combinedMin, max: combinedMax } = this._findMinMax(baseline, current);
+    if (!context?.baselineDistribution) {
+      if (stream === DEFAULT_STREAM) {
+        throw new Error('Baseline not set. Call setBaseline() first.');
+      }
+      throw new Error(`Baseline not set for stream "${stream}". Call setBaseline('${stream}', data) first.`);
+    }
 
-    // Use cached baseline histogram if available (major performance boost)
-    const baselineHist =
-      this.baselineDistribution?.histograms?.[bins] ||
-      this._createHistogramWithRange(baseline, bins, combinedMin, combinedMax);
-    const currentHist = this._createHistogramWithRange(current, bins, combinedMin, combinedMax);
+    if (!Array.isArray(values)) {
+      throw new Error('Pushed values must be an array');
+    }
+    this._validateValues(values, context.baselineDistribution.type);
 
-    // Normalize to probabilities
-    const p = baselineHist.map(x => x / baseline.length);
-    const q = currentHist.map(x => x / current.length);
+    const timestamps = options.timestamps;
+    if (timestamps && timestamps.length !== values.length) {
+      throw new Error('timestamps must have one entry per value');
+    }
 
-    // Calculate M = (P + Q) / 2
-    const m = p.map((pi, i) => (pi + q[i]) / 2);
+    if (!context.window) {
+      context.window = new StreamWindow(this.config.window);
+    }
 
-    // Calculate KL divergences
-    const klPM = this._klDivergence(p, m);
-    const klQM = this._klDivergence(q, m);
+    const now = Date.now();
+    const closed = [];
+    values.forEach((value, i) => {
+      closed.push(...context.window.add(value, timestamps ? timestamps[i] : now));
+    });
 
-    // JSD = 0.5 * KL(P||M) + 0.5 * KL(Q||M)
-    return 0.5 * klPM + 0.5 * klQM;
+    return this._scoreWindows(context, closed);
   }
 
   /**
-   * Statistical Drift Detection
-   * Based on mean and standard deviation shifts
+   * Score the open window of a stream now (partial tumbling window or running session)
    */
-  _statisticalDrift(baseline, current) {
-    // Use cached baseline statistics instead of recalculating
-    const baselineStats = this.baselineDistribution.statistics;
-    const currentStats = this._calculateStatistics(current);
+  async flushWindow(stream = DEFAULT_STREAM) {
+    const context = this.contexts.get(stream);
+    const window = context?.window?.flush();
 
-    // Normalized difference in means
-    const meanDiff = Math.abs(currentStats.mean - baselineStats.mean) / baselineStats.std;
+    return window ? this._scoreWindows(context, [window]) : [];
+  }
 
-    // Normalized difference in standard deviations
-    const stdDiff = Math.abs(currentStats.std - baselineStats.std) / baselineStats.std;
+  /**
+   * Flush and remove the window of a stream; ends its windowResults() iterators
+   */
+  async closeWindow(stream = DEFAULT_STREAM) {
+    const results = await this.flushWindow(stream);
 
-    // Combined metric
-    return (meanDiff + stdDiff) / 2;
+    const context = this.contexts.get(stream);
+    if (context) {
+      context.window = null;
+    }
+    this.emit('windowEnd', stream);
+
+    return results;
   }
 
   /**
-   * Calculate severity level based on average drift score
+   * Async iterator over window results of a stream, ending at closeWindow(stream)
+   *
+   * Usage: for await (const result of engine.windowResults('fraud_scores')) { ... }
+   */
+  windowResults(stream = DEFAULT_STREAM) {
+    const queue = [];
+    let waiting = null;
+    let done = false;
+
+    const onWindow = result => {
+      if (result.stream !== stream) {
+        return;
+      }
+      if (waiting) {
+        waiting({ value: result, done: false });
+        waiting = null;
+      } else {
+        queue.push(result);
+      }
+    };
+
+    const finish = () => {
+      done = true;
+      this.off('window', onWindow);
+      this.off('windowEnd', onEnd);
+      if (waiting) {
+        waiting({ value: undefined, done: true });
+        waiting = null;
+      }
+    };
+
+    const onEnd = name => {
+      if (name === stream) {
+        finish();
+      }
+    };
+
+    this.on('window', onWindow);
+    this.on('windowEnd', onEnd);
+
+    return {
+      next: () => {
+        if (queue.length > 0) {
+          return Promise.resolve({ value: queue.shift(), done: false });
+        }
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => {
+          waiting = resolve;
+        });
+      },
+      return: () => {
+        queue.length = 0;
+        finish();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  /**
+   * Helper: Run drift detection on closed windows and emit the results
+   */
+  async _scoreWindows(context, windows) {
+    const results = [];
+
+    for (const window of windows) {
+      const result = {
+        ...(await this.detectDrift(context.name, window.values, {
+          sequence: window.sequence,
+          timestamps: window.timestamps
+        })),
+        window: {
+          type: context.window?.type,
+          index: window.index,
+          count: window.count,
+          start: window.start,
+          end: window.end
+        }
+      };
+
+      results.push(result);
+      this.emit('window', result);
+      if (result.isDrift) {
+        this.emit('drift', result);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Score current data against a baseline distribution snapshot
+   * Shared by detectDrift() and the per-feature pass of detectMultivariateDrift()
+   */
+  async _scoreDistribution(distribution, currentData, options = {}) {
+    if (distribution.type === 'categorical') {
+      return this._scoreCategorical(distribution, currentData);
+    }
+
+    const results = {
+      isDrift: false,
+      severity: 'none',
+      scores: {},
+      methods: {},
+      averageScore: 0,
+      primaryMethod: this.config.primaryMethod || 'psi'
+    };
+
+    const methods = this._enabledMethods().map(name => this.driftMethods.get(name));
+    const minSampleSize = Math.min(distribution.data.length, currentData.length);
+
+    // Execute all methods in parallel (non-blocking, CPU-efficient)
+    const methodResults = await Promise.all(
+      methods.map(async method => ({
+        method: method,
+        score: method.score(distribution.data, currentData, distribution)
+      }))
+    );
+
+    // Methods below their sample-size requirement are reported but carry no weight
+    const reliable = methods.filter(method => minSampleSize >= method.minSamples).map(method => method.name);
+    if (reliable.length === 0) {
+      throw new Error(`Not enough samples (${minSampleSize}) for any enabled drift method`);
+    }
+    const weights = this._methodWeights(reliable, results.primaryMethod);
+
+    for (const { method, score } of methodResults) {
+      const threshold = method.threshold || this.config.driftThreshold;
+      const weight = weights[method.name] || 0;
+
+      results.scores[method.name] = score;
+      results.methods[method.name] = {
+        score: score,
+        isDrift: score > threshold,
+        weight: weight
+      };
+      results.averageScore += weight * score * (this.config.driftThreshold / threshold);
+    }
+
+    results.binning = this._binEdges(distribution.data, currentData, distribution);
+
+    this._addSignificance(results, methods, distribution, currentData);
+
+    // Determine drift based on weighted average score (not individual methods)
+    const effectiveThreshold = this._effectiveThreshold(minSampleSize);
+    results.isDrift = results.averageScore > effectiveThreshold;
+
+    // Determine severity
+    // If no drift detected, severity is 'none' regardless of score
+    // Otherwise, use score thresholds adjusted for small samples
+    if (!results.isDrift) {
+      results.severity = 'none';
+    } else {
+      results.severity = this._calculateSeverity(results.averageScore, effectiveThreshold);
+    }
+
+    if (options.changePointMethods?.length > 0) {
+      this._applyChangePoints(results, distribution, currentData, options);
+    }
+
+    if (this.config.explain) {
+      results.explanation = this._explainDrift(distribution, currentData, results);
+    }
+
+    return results;
+  }
+
+  /**
+   * Explain where the current data departs from the baseline
+   * Returns per-bin proportions and PSI contributions, p1..p99 quantile shifts,
+   * the location of the largest CDF gap (KS) and a plain-language summary
+   */
+  _explainDrift(distribution, currentData, results) {
+    const sortedBaseline = distribution.sortedData || [...distribution.data].sort((a, b) => a - b);
+    const sortedCurrent = this._isSorted(currentData) ? currentData : [...currentData].sort((a, b) => a - b);
+
+    const binned = this._binnedProportions(distribution.data, currentData, distribution);
+    const contributions = this._psiContributions(binned.p, binned.q);
+    const bins = contributions.map((contribution, i) => ({
+      index: i,
+      lower: binned.edges[i],
+      upper: binned.edges[i + 1],
+      baseline: binned.p[i],
+      current: binned.q[i],
+      change: binned.q[i] - binned.p[i],
+      psiContribution: contribution
+    }));
+
+    // Presorted input keeps calculatePercentile's internal sort linear
+    const quantiles = EXPLANATION_PERCENTILES.map(percentile => {
+      const baseline = StatisticsUtil.calculatePercentile(sortedBaseline, percentile);
+      const current = StatisticsUtil.calculatePercentile(sortedCurrent, percentile);
+      return { percentile, baseline, current, shift: current - baseline };
+    });
+
+    const maxGap = this._maxCdfGap(sortedBaseline, sortedCurrent);
+
+    return {
+      bins,
+      quantiles,
+      maxGap,
+      summary: this._summarizeExplanation(results, bins, quantiles, maxGap)
+    };
+  }
+
+  /**
+   * Helper: Largest gap between the empirical CDFs and where it occurs
+   * CDFs are compared after all values tied at a point, so the location is an observed value
+   */
+  _maxCdfGap(sortedBaseline, sortedCurrent) {
+    const n = sortedBaseline.length;
+    const m = sortedCurrent.length;
+    const gap = { statistic: 0, location: null, baselineCdf: 0, currentCdf: 0 };
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      const value = Math.min(sortedBaseline[i] ?? Infinity, sortedCurrent[j] ?? Infinity);
+      while (sortedBaseline[i] === value) {
+        i++;
+      }
+      while (sortedCurrent[j] === value) {
+        j++;
+      }
+
+      const difference = Math.abs(i / n - j / m);
+      if (difference > gap.statistic) {
+        gap.statistic = difference;
+        gap.location = value;
+        gap.baselineCdf = i / n;
+        gap.currentCdf = j / m;
+      }
+    }
+
+    return gap;
+  }
+
+  /**
+   * Helper: Plain-language summary of a drift explanation
+   */
+  _summarizeExplanation(results, bins, quantiles, maxGap) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+    const sentences = [];
+
+    const verdict = results.isDrift ? `Drift detected (${results.severity} severity)` : 'No drift detected';
+    sentences.push(`${verdict}; weighted score ${results.averageScore.toFixed(3)}.`);
+
+    const topBin = bins.reduce((best, bin) =>
+      Math.abs(bin.psiContribution) > Math.abs(best.psiContribution) ? bin : best
+    );
+    if (topBin.psiContribution !== 0) {
+      sentences.push(
+        `Largest PSI contribution (${topBin.psiContribution.toFixed(3)}) from values in ` +
+          `[${topBin.lower.toFixed(2)}, ${topBin.upper.toFixed(2)}]: ` +
+          `${percent(topBin.baseline)} of the baseline vs ${percent(topBin.current)} now.`
+      );
+    }
+
+    const median = quantiles.find(quantile => quantile.percentile === 50);
+    const topQuantile = quantiles.reduce((best, quantile) =>
+      Math.abs(quantile.shift) > Math.abs(best.shift) ? quantile : best
+    );
+    sentences.push(
+      `Median moved ${signed(median.shift)} (${median.baseline.toFixed(2)} → ${median.current.toFixed(2)})` +
+        (topQuantile.percentile !== 50
+          ? `; the largest shift is at p${topQuantile.percentile} (${signed(topQuantile.shift)}).`
+          : '.')
+    );
+
+    if (maxGap.location !== null) {
+      sentences.push(
+        `CDFs differ most at ${maxGap.location.toFixed(2)}: ${percent(maxGap.currentCdf)} of current values ` +
+          `fall at or below it vs ${percent(maxGap.baselineCdf)} of the baseline.`
+      );
+    }
+
+    return sentences.join(' ');
+  }
+
+  /**
+   * Run sequential change-point detectors over the current data in arrival order
+   * Detectors report alongside the two-sample methods but stay out of averageScore;
+   * a detected change flags drift with at least 'low' severity
+   */
+  _applyChangePoints(results, distribution, currentData, options) {
+    const sequence = options.sequence || currentData;
+    const timestamps = options.timestamps || null;
+    results.changePoint = null;
+
+    for (const name of options.changePointMethods) {
+      const Detector = CHANGE_POINT_DETECTORS[name];
+      const detector = new Detector(this.config.changePoint[name] || {}, distribution);
+
+      let detectionIndex = null;
+      for (let i = 0; i < sequence.length; i++) {
+        if (detector.update(sequence[i])) {
+          detectionIndex = i;
+          break;
+        }
+      }
+
+      const changeIndex = detectionIndex === null ? null : Math.min(detectionIndex, detector.changeStart);
+      results.methods[name] = {
+        score: detector.score,
+        isDrift: detectionIndex !== null,
+        changeIndex: changeIndex,
+        changeTimestamp: changeIndex !== null && timestamps ? timestamps[changeIndex] : null,
+        detectionIndex: detectionIndex
+      };
+
+      // Earliest onset across detectors
+      if (changeIndex !== null && (!results.changePoint || changeIndex < results.changePoint.index)) {
+        results.changePoint = {
+          method: name,
+          index: changeIndex,
+          timestamp: results.methods[name].changeTimestamp
+        };
+      }
+    }
+
+    if (results.changePoint) {
+      results.isDrift = true;
+      results.severity = this._maxSeverity([results.severity, 'low']);
+    }
+  }
+
+  /**
+   * Helper: Attach p-values (and bootstrap intervals) to numeric method results
+   * Resampling runs on subsamples capped at maxResampleSize per side
+   */
+  _addSignificance(results, methods, distribution, currentData) {
+    const baselineSample = this._capSample(distribution.data);
+    const currentSample = this._capSample(currentData);
+    const binning = distribution.binning?.edges
+      ? { strategy: distribution.binning.strategy, edges: distribution.binning.edges }
+      : null;
+
+    for (const method of methods) {
+      const entry = results.methods[method.name];
+
+      if (method.pValue) {
+        entry.pValue = method.pValue(distribution.data, currentData, entry.score);
+      } else {
+        entry.pValue = this._permutationPValue(method.score, baselineSample, currentSample, binning);
+      }
+
+      if (method.bootstrap) {
+        entry.confidenceInterval = this._bootstrapInterval(method.score, baselineSample, currentSample, binning);
+      }
+    }
+
+    results.significance = {
+      level: this.config.significanceLevel,
+      correction: this.config.multipleTesting,
+      significantMethods: this._correctPValues(results.methods)
+    };
+  }
+
+  /**
+   * Helper: Apply the multiple-testing correction to method results in place
+   * Entries without a p-value are left out of the family; returns the significant names
+   */
+  _correctPValues(entriesByName) {
+    const tested = Object.entries(entriesByName).filter(([, entry]) => typeof entry.pValue === 'number');
+    const adjusted = StatisticsUtil.adjustPValues(
+      tested.map(([, entry]) => entry.pValue),
+      this.config.multipleTesting
+    );
+
+    tested.forEach(([, entry], i) => {
+      entry.adjustedPValue = adjusted[i];
+      entry.significant = adjusted[i] < this.config.significanceLevel;
+    });
+
+    return tested.filter(([, entry]) => entry.significant).map(([name]) => name);
+  }
+
+  /**
+   * Helper: Permutation-test p-value of a score function
+   * Observed and permuted scores use lightweight distributions (data + statistics only),
+   * so cached baseline histograms do not bias the comparison; fixed bin edges are kept
+   */
+  _permutationPValue(scoreFn, baseline, current, binning = null) {
+    const rounds = this.config.permutations;
+    if (!rounds) {
+      return null;
+    }
+
+    const observed = scoreFn(baseline, current, this._sampleDistribution(baseline, binning));
+    if (!Number.isFinite(observed)) {
+      return null;
+    }
+
+    const pooled = [...baseline, ...current];
+    let extreme = 0;
+    for (let round = 0; round < rounds; round++) {
+      this._shuffle(pooled);
+      const permutedBaseline = pooled.slice(0, baseline.length);
+      const permutedCurrent = pooled.slice(baseline.length);
+      const score = scoreFn(permutedBaseline, permutedCurrent, this._sampleDistribution(permutedBaseline, binning));
+      if (score >= observed - 1e-12) {
+        extreme++;
+      }
+    }
+
+    return (extreme + 1) / (rounds + 1);
+  }
+
+  /**
+   * Helper: Percentile bootstrap confidence interval of a score function
+   */
+  _bootstrapInterval(scoreFn, baseline, current, binning = null) {
+    const rounds = this.config.bootstrapSamples;
+    if (!rounds) {
+      return null;
+    }
+
+    const scores = [];
+    for (let round = 0; round < rounds; round++) {
+      const resampledBaseline = this._resample(baseline);
+      const score = scoreFn(
+        resampledBaseline,
+        this._resample(current),
+        this._sampleDistribution(resampledBaseline, binning)
+      );
+      if (Number.isFinite(score)) {
+        scores.push(score);
+      }
+    }
+
+    const alpha = this.config.significanceLevel;
+    return {
+      level: 1 - alpha,
+      lower: StatisticsUtil.calculatePercentile(scores, (alpha / 2) * 100),
+      upper: StatisticsUtil.calculatePercentile(scores, (1 - alpha / 2) * 100)
+    };
+  }
+
+  /**
+   * Helper: Minimal numeric distribution for resampled data
+   */
+  _sampleDistribution(data, binning = null) {
+    return { type: 'numeric', data: data, statistics: this._calculateStatistics(data), binning: binning };
+  }
+
+  /**
+   * Helper: Random subsample (without replacement) capped at maxResampleSize
+   */
+  _capSample(data) {
+    if (data.length <= this.config.maxResampleSize) {
+      return data;
+    }
+    return this._shuffle([...data]).slice(0, this.config.maxResampleSize);
+  }
+
+  /**
+   * Helper: Sample with replacement to the same size
+   */
+  _resample(data) {
+    return Array.from({ length: data.length }, () => data[Math.floor(this.random() * data.length)]);
+  }
+
+  /**
+   * Helper: In-place Fisher-Yates shuffle
+   */
+  _shuffle(data) {
+    for (let i = data.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [data[i], data[j]] = [data[j], data[i]];
+    }
+    return data;
+  }
+
+  /**
+   * Helper: Names of enabled drift methods (config.methods minus config.disabledMethods)
+   */
+  _enabledMethods(strict = true) {
+    const requested =
+      this.config.methods ||
+      [...this.driftMethods.values()].filter(method => method.enabledByDefault).map(method => method.name);
+    const enabled = requested.filter(name => !this.config.disabledMethods.includes(name));
+
+    if (strict) {
+      for (const name of enabled) {
+        if (!this.driftMethods.has(name)) {
+          throw new Error(`Unknown drift method: ${name}. Registered: ${[...this.driftMethods.keys()].join(', ')}`);
+        }
+      }
+      if (enabled.length === 0) {
+        throw new Error('At least one drift method must be enabled');
+      }
+    }
+
+    return enabled.filter(name => this.driftMethods.has(name));
+  }
+
+  /**
+   * Helper: Normalized averageScore weights for the reliable methods
+   * Explicit config.methodWeights win; otherwise primaryMethod gets primaryWeight and the rest
+   * split the remainder. When primaryMethod lacks samples (or is disabled), fallbackMethod takes
+   * its slot with fallbackWeight (small samples: KS over histogram-based PSI)
+   */
+  _methodWeights(reliable, primaryMethod) {
+    const weights = {};
+
+    if (this.config.methodWeights) {
+      for (const name of reliable) {
+        weights[name] = this.config.methodWeights[name] || 0;
+      }
+    } else {
+      let lead = null;
+      let leadWeight = 0;
+      if (reliable.includes(primaryMethod)) {
+        lead = primaryMethod;
+        leadWeight = this.config.primaryWeight;
+      } else if (reliable.includes(this.config.fallbackMethod)) {
+        lead = this.config.fallbackMethod;
+        leadWeight = this.config.fallbackWeight;
+      }
+
+      const others = reliable.filter(name => name !== lead);
+      for (const name of others) {
+        weights[name] = lead ? (1 - leadWeight) / others.length : 1 / others.length;
+      }
+      if (lead) {
+        weights[lead] = others.length > 0 ? leadWeight : 1;
+      }
+    }
+
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) {
+      throw new Error('methodWeights must give a positive weight to at least one enabled method');
+    }
+    for (const name of Object.keys(weights)) {
+      weights[name] /= total;
+    }
+
+    return weights;
+  }
+
+  /**
+   * Helper: Drop cached and adaptive-sampling results after the method set changes
+   */
+  _invalidateResults() {
+    for (const context of this.contexts.values()) {
+      context.resultCache.clear();
+      context.lastCheck = null;
+    }
+  }
+
+  /**
+   * Helper: Reject unknown change-point method names
+   */
+  _validateChangePointMethods(methods) {
+    for (const name of methods) {
+      if (!CHANGE_POINT_DETECTORS[name]) {
+        throw new Error(
+          `Unknown change-point method: ${name}. Expected one of ${Object.keys(CHANGE_POINT_DETECTORS).join(', ')}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Set per-feature baselines from a named-column table
+   * Accepts an object of arrays ({ age: [...], bmi: [...] }) or an array of row objects
+   * String columns (or names listed in metadata.categoricalFeatures) are treated as categorical
+   */
+  async setMultivariateBaseline(table, metadata = {}) {
+    const categoricalFeatures = metadata.categoricalFeatures || [];
+    const columns = this._normalizeTable(table, 'Baseline', name =>
+      categoricalFeatures.includes(name) ? 'categorical' : null
+    );
+
+    const features = {};
+    for (const [name, values] of Object.entries(columns)) {
+      const type = this._inferDataType(values, categoricalFeatures.includes(name) ? 'categorical' : null);
+      features[name] = this._buildDistribution(values, {}, type);
+    }
+
+    // Standardized rows (subsampled) of the numeric features are kept for the joint MMD score
+    const featureNames = Object.keys(columns);
+    const jointFeatureNames = featureNames.filter(name => features[name].type === 'numeric');
+    const rows =
+      jointFeatureNames.length > 1 && this._isRectangular(columns, jointFeatureNames)
+        ? this._standardizeRows(this._subsampleRows(columns, jointFeatureNames), jointFeatureNames, features)
+        : null;
+
+    this.multivariateBaseline = {
+      features,
+      featureNames,
+      jointFeatureNames,
+      rows,
+      metadata,
+      timestamp: Date.now()
+    };
+
+    await this.reflexion.storeEpisode({
+      sessionId: `multivariate-baseline-${Date.now()}`,
+      task: 'set_multivariate_baseline',
+      reward: 1.0,
+      success: true,
+      critique: `Multivariate baseline set with ${featureNames.length} features`
+    });
+
+    console.log(`✓ Multivariate baseline set: ${featureNames.length} features (${featureNames.join(', ')})`);
+
+    return this.multivariateBaseline;
+  }
+
+  /**
+   * Detect drift across a named-column table
+   * Scores every feature with the same methods as detectDrift() and adds a joint MMD score
+   */
+  async detectMultivariateDrift(table, options = {}) {
+    if (!this.multivariateBaseline) {
+      throw new Error('Multivariate baseline not set. Call setMultivariateBaseline() first.');
+    }
+
+    const baseline = this.multivariateBaseline;
+    const columns = this._normalizeTable(table, 'Current', name => baseline.features[name]?.type || null);
+
+    // Only features present in both baseline and current data can be compared
+    const requested = options.features || Object.keys(columns);
+    const featureNames = requested.filter(name => columns[name] && baseline.features[name]);
+    if (featureNames.length === 0) {
+      throw new Error('No features in current data match the multivariate baseline');
+    }
+
+    const results = {
+      timestamp: Date.now(),
+      isDrift: false,
+      severity: 'none',
+      averageScore: 0,
+      features: {},
+      joint: null,
+      driftedFeatures: [],
+      missingFeatures: baseline.featureNames.filter(name => !columns[name])
+    };
+
+    for (const name of featureNames) {
+      results.features[name] = await this._scoreDistribution(baseline.features[name], columns[name]);
+      if (results.features[name].isDrift) {
+        results.driftedFeatures.push(name);
+      }
+    }
+
+    // One correction over every feature × method p-value in the table
+    const tested = {};
+    for (const name of featureNames) {
+      for (const [method, entry] of Object.entries(results.features[name].methods)) {
+        tested[`${name}.${method}`] = entry;
+      }
+    }
+    const significant = this._correctPValues(tested);
+    results.significance = {
+      level: this.config.significanceLevel,
+      correction: this.config.multipleTesting,
+      significantFeatures: featureNames.filter(name => significant.some(key => key.startsWith(`${name}.`)))
+    };
+
+    const featureScores = featureNames.map(name => results.features[name].averageScore);
+    results.averageScore = featureScores.reduce((a, b) => a + b, 0) / featureScores.length;
+
+    // Joint score needs aligned rows on both sides
+    const jointFeatures = baseline.rows ? featureNames.filter(name => baseline.jointFeatureNames.includes(name)) : [];
+    if (jointFeatures.length > 1 && this._isRectangular(columns, jointFeatures)) {
+      const currentRows = this._standardizeRows(
+        this._subsampleRows(columns, jointFeatures),
+        jointFeatures,
+        baseline.features
+      );
+      const baselineRows = this._projectRows(baseline.rows, baseline.jointFeatureNames, jointFeatures);
+      const score = this._maximumMeanDiscrepancy(baselineRows, currentRows);
+      const threshold = this._effectiveThreshold(Math.min(baselineRows.length, currentRows.length));
+      const isDrift = score > threshold;
+
+      results.joint = {
+        method: 'mmd',
+        score,
+        isDrift,
+        severity: isDrift ? this._calculateSeverity(score, threshold) : 'none',
+        features: jointFeatures
+      };
+    }
+
+    // Aggregate: any drifting feature (or a joint shift) flags the table
+    const severities = featureNames.map(name => results.features[name].severity);
+    if (results.joint) {
+      severities.push(results.joint.severity);
+    }
+    results.isDrift = results.driftedFeatures.length > 0 || Boolean(results.joint?.isDrift);
+    results.severity = this._maxSeverity(severities);
+
+    this.multivariateStats.totalChecks++;
+    if (results.isDrift) {
+      this.multivariateStats.driftDetected++;
+    }
+
+    this._recordHistory(this.contexts.get(DEFAULT_STREAM), results, this.multivariateHistory);
+
+    await this.reflexion.storeEpisode({
+      sessionId: `multivariate-drift-check-${Date.now()}`,
+      task: 'detect_multivariate_drift',
+      reward: results.isDrift ? 0.3 : 0.9,
+      success: !results.isDrift,
+      critique: `Multivariate drift ${results.isDrift ? 'detected' : 'not detected'}: severity ${results.severity}, drifted features [${results.driftedFeatures.join(', ')}]`
+    });
+
+    return results;
+  }
+
+  /**
+   * Set the baseline performance profile of a stream from labelled predictions
+   * (e.g. the validation set the model was signed off on)
+   *
+   * Usage: setPerformanceBaseline(predictions, labels) or setPerformanceBaseline('fraud_scores', predictions, labels)
+   */
+  setPerformanceBaseline(...args) {
+    const stream = typeof args[0] === 'string' ? args.shift() : DEFAULT_STREAM;
+    const [predictions, labels, metadata = {}] = args;
+    this._validateLabelledPredictions(predictions, labels);
+
+    if (!this.contexts.has(stream)) {
+      this.contexts.set(stream, this._createContext(stream));
+    }
+
+    const pairs = this._labelledPairs(predictions, labels);
+    if (pairs.labels.length === 0) {
+      throw new Error('Performance baseline needs at least one label');
+    }
+
+    const profile = {
+      metrics: this._computePerformance(pairs.predictions, pairs.labels),
+      count: pairs.labels.length,
+      metadata: metadata,
+      timestamp: Date.now()
+    };
+    this.contexts.get(stream).performanceProfile = profile;
+
+    return profile;
+  }
+
+  /**
+   * Get the baseline performance profile of a stream (null if not set)
+   */
+  getPerformanceBaseline(stream = DEFAULT_STREAM) {
+    return this.contexts.get(stream)?.performanceProfile || null;
+  }
+
+  /**
+   * Attach ground-truth labels to a previously monitored batch and score performance drift
+   * labels align with the batch's values; null/undefined marks a label not known yet, and
+   * later calls fill in the gaps. Below minLabeledSamples labels, metrics are reported
+   * but drift is not flagged (reliable: false). Scoring follows _scorePerformance()
+   */
+  async attachLabels(batchId, labels) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      throw new Error(`Unknown batch: ${batchId}`);
+    }
+    this._validateLabelledPredictions(batch.predictions, labels);
+
+    const context = this.contexts.get(batch.stream);
+    const profile = context?.performanceProfile;
+    if (!profile) {
+      throw new Error(
+        `Performance baseline not set for stream "${batch.stream}". Call setPerformanceBaseline() first.`
+      );
+    }
+
+    batch.labels = batch.labels.map((label, i) => (labels[i] === null || labels[i] === undefined ? label : labels[i]));
+    const pairs = this._labelledPairs(batch.predictions, batch.labels);
+    const current = pairs.labels.length > 0 ? this._computePerformance(pairs.predictions, pairs.labels) : {};
+
+    const reliable = pairs.labels.length >= this.config.minLabeledSamples;
+
+    const results = {
+      timestamp: Date.now(),
+      type: 'performance',
+      stream: batch.stream,
+      batchId: batchId,
+      context: batch.context,
+      labeled: pairs.labels.length,
+      pending: batch.predictions.length - pairs.labels.length,
+      reliable: reliable,
+      ...this._scorePerformance(profile, current, this._performanceMetricNames(batch), reliable)
+    };
+
+    this._recordHistory(context, results, context.performanceHistory);
+
+    await this.reflexion.storeEpisode({
+      sessionId: `performance-check-${Date.now()}`,
+      task: 'detect_performance_drift',
+      reward: results.isDrift ? 0.3 : 0.9,
+      success: !results.isDrift,
+      critique: `Performance drift ${results.isDrift ? 'detected' : 'not detected'} on stream ${batch.stream} (batch ${batchId}): severity ${results.severity}${results.isDrift ? `, degraded [${results.degradedMetrics.join(', ')}]` : ''}`
+    });
+
+    return results;
+  }
+
+  /**
+   * Persist scored predictions so labels arriving later can be joined by prediction id
+   * records: [{ predictionId, model, score, timestamp?, features?, stream?, batchId? }]
+   * Returns { logged, duplicates }; ids already logged are kept as first recorded
+   */
+  logPredictions(records) {
+    if (!Array.isArray(records) || records.length === 0) {
+      throw new Error('Predictions must be a non-empty array');
+    }
+
+    const now = Date.now();
+    const normalized = records.map(record => {
+      if (record?.predictionId === undefined || record.predictionId === null || record.predictionId === '') {
+        throw new Error('Every prediction needs a predictionId');
+      }
+      if (typeof record.model !== 'string' || record.model.length === 0) {
+        throw new Error(`Prediction ${record.predictionId} needs a model name`);
+      }
+      if (!StatisticsUtil.isValidNumber(record.score)) {
+        throw new Error(`Prediction ${record.predictionId} has an invalid score`);
+      }
+      return { ...record, timestamp: record.timestamp ?? now };
+    });
+
+    return this._predictionStore().record(normalized);
+  }
+
+  /**
+   * Join ground-truth labels to logged predictions
+   * labels: [{ predictionId, label: 0 | 1, labeledAt? }] or { [predictionId]: label }
+   * Returns { matched, unknown } where unknown lists ids that were never logged
+   */
+  ingestLabels(labels) {
+    const entries = Array.isArray(labels)
+      ? labels
+      : Object.entries(labels || {}).map(([predictionId, label]) => ({ predictionId, label }));
+    if (entries.length === 0) {
+      throw new Error('Labels must be a non-empty array or object');
+    }
+
+    const now = Date.now();
+    for (const entry of entries) {
+      if (entry.label !== 0 && entry.label !== 1) {
+        throw new Error(`Label for prediction ${entry.predictionId} must be 0 or 1`);
+      }
+    }
+
+    return this._predictionStore().attachLabels(
+      entries.map(entry => ({
+        predictionId: entry.predictionId,
+        label: entry.label,
+        labeledAt: entry.labeledAt ?? now
+      }))
+    );
+  }
+
+  /**
+   * Performance metrics of a model's logged predictions, by cohort of scoring time
+   * Options: period (config.cohortPeriod), maturityDays (config.labelMaturityDays), from, to, now
+   * A cohort is matured once its last possible prediction is maturityDays old
+   */
+  getCohortMetrics(model, options = {}) {
+    const log = this._predictionStore();
+    const period = options.period || this.config.cohortPeriod;
+    const maturity = (options.maturityDays ?? this.config.labelMaturityDays) * 24 * 60 * 60 * 1000;
+    const now = options.now ?? Date.now();
+
+    const span = log.span(model);
+    if (!span) {
+      return [];
+    }
+
+    const cohorts = new Map();
+    for (const prediction of log.list(model, options.from ?? span.first, options.to ?? span.last + 1)) {
+      const start = cohortStart(prediction.timestamp, period);
+      if (!cohorts.has(start)) {
+        cohorts.set(start, { start, end: cohortEnd(start, period), predictions: [] });
+      }
+      cohorts.get(start).predictions.push(prediction);
+    }
+
+    return [...cohorts.values()].map(({ start, end, predictions }) => {
+      const labelled = predictions.filter(prediction => prediction.label !== null);
+      const scores = labelled.map(prediction => prediction.score);
+      const labels = labelled.map(prediction => prediction.label);
+
+      return {
+        start: start,
+        end: end,
+        count: predictions.length,
+        labeled: labelled.length,
+        labelCoverage: labelled.length / predictions.length,
+        matured: end + maturity <= now,
+        metrics: labelled.length > 0 ? this._computePerformance(scores, labels) : null
+      };
+    });
+  }
+
+  /**
+   * Score performance drift for every matured cohort of a model not evaluated before
+   * Compares against the performance baseline of options.stream (the model's own stream
+   * when it has one, else the default); results join the stream's performance history.
+   * Options: as getCohortMetrics(), plus stream and reevaluate (include evaluated cohorts)
+   */
+  async evaluateMaturedCohorts(model, options = {}) {
+    const stream = options.stream || (this.getPerformanceBaseline(model) ? model : DEFAULT_STREAM);
+    const context = this.contexts.get(stream);
+    const profile = context?.performanceProfile;
+    if (!profile) {
+      throw new Error(`Performance baseline not set for stream "${stream}". Call setPerformanceBaseline() first.`);
+    }
+
+    const log = this._predictionStore();
+    const period = options.period || this.config.cohortPeriod;
+    const cohorts = this.getCohortMetrics(model, options).filter(
+      cohort => cohort.matured && cohort.labeled > 0 && (options.reevaluate || !log.isEvaluated(model, cohort.start))
+    );
+
+    const evaluations = [];
+    for (const cohort of cohorts) {
+      const results = {
+        timestamp: Date.now(),
+        type: 'performance',
+        stream: stream,
+        model: model,
+        cohort: { start: cohort.start, end: cohort.end, period: period },
+        labeled: cohort.labeled,
+        pending: cohort.count - cohort.labeled,
+        reliable: cohort.labeled >= this.config.minLabeledSamples,
+        ...this._scorePerformance(
+          profile,
+          cohort.metrics,
+          this._performanceMetricNames({ context: model }),
+          cohort.labeled >= this.config.minLabeledSamples
+        )
+      };
+
+      this._recordHistory(context, results, context.performanceHistory);
+      log.markEvaluated(model, cohort, results);
+      evaluations.push(results);
+
+      await this.reflexion.storeEpisode({
+        sessionId: `cohort-performance-check-${Date.now()}`,
+        task: 'detect_performance_drift',
+        reward: results.isDrift ? 0.3 : 0.9,
+        success: !results.isDrift,
+        critique: `Matured cohort ${new Date(cohort.start).toISOString().slice(0, 10)} of ${model}: ${results.labeled} labels, severity ${results.severity}`
+      });
+    }
+
+    return evaluations;
+  }
+
+  /**
+   * Get performance drift history of a stream
+   */
+  getPerformanceHistory(stream = DEFAULT_STREAM) {
+    return this.contexts.get(stream)?.performanceHistory || [];
+  }
+
+  /**
+   * Helper: Compare current performance metrics with a baseline profile
+   * Each metric's change beyond its tolerance maps onto the detectDrift() scale
+   * (score = driftThreshold × change / tolerance); the overall score is the worst metric's
+   */
+  _scorePerformance(profile, current, metricNames, reliable) {
+    const results = { isDrift: false, severity: 'none', averageScore: 0, metrics: {}, degradedMetrics: [] };
+
+    for (const name of metricNames) {
+      const baselineValue = profile.metrics[name];
+      const currentValue = current[name];
+      if (typeof baselineValue !== 'number' || typeof currentValue !== 'number') {
+        results.metrics[name] = { baseline: baselineValue ?? null, current: currentValue ?? null, score: null };
+        continue;
+      }
+
+      const { direction, tolerance: defaultTolerance } = PERFORMANCE_METRICS[name];
+      const tolerance = this.config.performanceTolerances[name] || defaultTolerance;
+      const change = currentValue - baselineValue;
+      const degradation = direction === 'higher' ? -change : direction === 'lower' ? change : Math.abs(change);
+      const score = (Math.max(0, degradation) / tolerance) * this.config.driftThreshold;
+
+      results.metrics[name] = {
+        baseline: baselineValue,
+        current: currentValue,
+        change: change,
+        score: score,
+        isDrift: reliable && score > this.config.driftThreshold
+      };
+      results.averageScore = Math.max(results.averageScore, score);
+      if (results.metrics[name].isDrift) {
+        results.degradedMetrics.push(name);
+      }
+    }
+
+    results.isDrift = results.degradedMetrics.length > 0;
+    results.severity = results.isDrift ? this._calculateSeverity(results.averageScore) : 'none';
+
+    return results;
+  }
+
+  /**
+   * Helper: Prediction log in the AgentDB database, created on first use
+   */
+  _predictionStore() {
+    if (!this.db) {
+      throw new Error('AgentDB database not initialized. Use DriftEngine.create() to log predictions.');
+    }
+    if (!this.predictionLog) {
+      this.predictionLog = new PredictionLog(this.db);
+    }
+    return this.predictionLog;
+  }
+
+  /**
+   * Helper: Remember a monitored batch for attachLabels(); returns its batch id
+   */
+  _registerBatch(stream, predictions, options) {
+    const batchId = options.batchId ?? `${stream}-${Date.now()}-${++this.batchCounter}`;
+
+    this._forgetBatch(batchId);
+    this.batches.set(batchId, {
+      stream: stream,
+      context: options.context || null,
+      predictions: [...predictions],
+      labels: new Array(predictions.length).fill(null),
+      timestamp: Date.now()
+    });
+
+    this.pendingValues += predictions.length;
+
+    // Oldest batches go first; the newest stays even when it alone exceeds the cap
+    while (this.pendingValues > this.config.maxPendingValues && this.batches.size > 1) {
+      this._forgetBatch(this.batches.keys().next().value);
+    }
+
+    return batchId;
+  }
+
+  /**
+   * Helper: Drop a pending batch and its share of the retained values
+   */
+  _forgetBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    if (batch) {
+      this.pendingValues -= batch.predictions.length;
+      this.batches.delete(batchId);
+    }
+  }
+
+  /**
+   * Helper: Metric names compared for a batch
+   * Subclasses may choose per model type (batch.context)
+   */
+  _performanceMetricNames(_batch) {
+    return this.config.performanceMetrics;
+  }
+
+  /**
+   * Helper: Every performance metric on labelled predictions
+   */
+  _computePerformance(predictions, labels) {
+    const options = { decisionThreshold: this.config.decisionThreshold, calibrationBins: this.config.calibrationBins };
+    return Object.fromEntries(
+      Object.entries(PERFORMANCE_METRICS).map(([name, metric]) => [name, metric.compute(predictions, labels, options)])
+    );
+  }
+
+  /**
+   * Helper: Predictions with a known label, and those labels
+   */
+  _labelledPairs(predictions, labels) {
+    const pairs = { predictions: [], labels: [] };
+    for (let i = 0; i < predictions.length; i++) {
+      if (labels[i] !== null && labels[i] !== undefined) {
+        pairs.predictions.push(predictions[i]);
+        pairs.labels.push(labels[i]);
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Helper: Validate label arrays against their predictions
+   */
+  _validateLabelledPredictions(predictions, labels) {
+    if (!Array.isArray(predictions) || predictions.length === 0) {
+      throw new Error('Predictions must be a non-empty array');
+    }
+    if (!Array.isArray(labels) || labels.length !== predictions.length) {
+      throw new Error('Labels must be an array with one entry per prediction');
+    }
+    if (labels.some(label => label !== null && label !== undefined && label !== 0 && label !== 1)) {
+      throw new Error('Labels must be 0, 1 or null (not yet known)');
+    }
+    for (const name of this.config.performanceMetrics) {
+      if (!PERFORMANCE_METRICS[name]) {
+        throw new Error(
+          `Unknown performance metric: ${name}. Expected one of ${Object.keys(PERFORMANCE_METRICS).join(', ')}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Calculate Population Stability Index (PSI)
+   * Industry standard for credit risk modeling
+   */
+  _calculatePSI(baseline, current, distribution = this.baselineDistribution) {
+    // Both histograms share the same edges (see _binnedProportions)
+    const { p, q } = this._binnedProportions(baseline, current, distribution);
+    const psi = this._psiContributions(p, q).reduce((sum, contribution) => sum + contribution, 0);
+
+    // PSI is always positive
+    return Math.abs(psi);
+  }
+
+  /**
+   * Helper: Per-bin PSI terms (current - baseline) * ln(current / baseline)
+   */
+  _psiContributions(p, q) {
+    return p.map((baselinePct, i) => {
+      const currentPct = q[i];
+
+      // Skip if both are zero (empty bins)
+      if (baselinePct === 0 && currentPct === 0) {
+        return 0;
+      }
+
+      // Standard PSI practice: use 0.5% minimum for financial data
+      // This prevents artificial inflation when bins shift slightly
+      const epsilon = 0.005;
+      const baselineSafe = Math.max(baselinePct, epsilon);
+      const currentSafe = Math.max(currentPct, epsilon);
+
+      return (currentPct - baselinePct) * Math.log(currentSafe / baselineSafe);
+    });
+  }
+
+  /**
+   * Kolmogorov-Smirnov Test
+   * Non-parametric test for distribution differences
+   */
+  _kolmogorovSmirnov(baseline, current, distribution = this.baselineDistribution) {
+    // Use cached sorted baseline if available; streaming windows arrive presorted
+    const sortedBaseline = distribution?.sortedData || [...baseline].sort((a, b) => a - b);
+    const sortedCurrent = this._isSorted(current) ? current : [...current].sort((a, b) => a - b);
+
+    // Optimized O(n) algorithm using two-pointer technique
+    // Merge sorted arrays and track CDFs
+    let i = 0,
+      j = 0;
+    let maxDiff = 0;
+    const nBaseline = baseline.length;
+    const nCurrent = current.length;
+
+    while (i < nBaseline || j < nCurrent) {
+      // Calculate CDFs at current position
+      const cdfBaseline = i / nBaseline;
+      const cdfCurrent = j / nCurrent;
+      const diff = Math.abs(cdfBaseline - cdfCurrent);
+
+      maxDiff = Math.max(maxDiff, diff);
+
+      // Advance pointer with smaller value
+      if (i >= nBaseline) {
+        j++;
+      } else if (j >= nCurrent) {
+        i++;
+      } else if (sortedBaseline[i] <= sortedCurrent[j]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+
+    return maxDiff;
+  }
+
+  /**
+   * Jensen-Shannon Divergence
+   * Symmetric measure of distribution similarity
+   */
+  _jensenShannonDivergence(baseline, current, distribution = this.baselineDistribution) {
+    // Probabilities over shared bin edges
+    const { p, q } = this._binnedProportions(baseline, current, distribution);
+
+    // Calculate M = (P + Q) / 2
+    const m = p.map((pi, i) => (pi + q[i]) / 2);
+
+    // Calculate KL divergences
+    const klPM = this._klDivergence(p, m);
+    const klQM = this._klDivergence(q, m);
+
+    // JSD = 0.5 * KL(P||M) + 0.5 * KL(Q||M)
+    return 0.5 * klPM + 0.5 * klQM;
+  }
+
+  /**
+   * Statistical Drift Detection
+   * Based on mean and standard deviation shifts
+   */
+  _statisticalDrift(baseline, current, distribution = this.baselineDistribution) {
+    // Use cached baseline statistics instead of recalculating
+    const baselineStats = distribution.statistics;
+    const currentStats = this._calculateStatistics(current);
+
+    // Normalized difference in means
+    const meanDiff = Math.abs(currentStats.mean - baselineStats.mean) / baselineStats.std;
+
+    // Normalized difference in standard deviations
+    const stdDiff = Math.abs(currentStats.std - baselineStats.std) / baselineStats.std;
+
+    // Combined metric
+    return (meanDiff + stdDiff) / 2;
+  }
+
+  /**
+   * Wasserstein-1 (Earth Mover's) distance in baseline standard deviations
+   * Integrates |F - G| between consecutive pooled values of the two sorted samples
+   */
+  _wassersteinDistance(baseline, current, distribution = this.baselineDistribution) {
+    const sortedBaseline = distribution?.sortedData || [...baseline].sort((a, b) => a - b);
+    const sortedCurrent = this._isSorted(current) ? current : [...current].sort((a, b) => a - b);
+    const scale = distribution?.statistics?.std || this._calculateStatistics(baseline).std || 1;
+
+    let i = 0;
+    let j = 0;
+    let distance = 0;
+    let previous = Math.min(sortedBaseline[0], sortedCurrent[0]);
+
+    while (i < sortedBaseline.length || j < sortedCurrent.length) {
+      const next = Math.min(sortedBaseline[i] ?? Infinity, sortedCurrent[j] ?? Infinity);
+      distance += Math.abs(i / sortedBaseline.length - j / sortedCurrent.length) * (next - previous);
+      previous = next;
+
+      while (sortedBaseline[i] === next) {
+        i++;
+      }
+      while (sortedCurrent[j] === next) {
+        j++;
+      }
+    }
+
+    return distance / scale;
+  }
+
+  /**
+   * Hellinger distance between binned distributions, in [0, 1]
+   */
+  _hellingerDistance(baseline, current, distribution = this.baselineDistribution) {
+    const { p, q } = this._binnedProportions(baseline, current, distribution);
+
+    let coefficient = 0;
+    for (let i = 0; i < p.length; i++) {
+      coefficient += Math.sqrt(p[i] * q[i]);
+    }
+
+    return Math.sqrt(Math.max(0, 1 - coefficient));
+  }
+
+  /**
+   * Anderson-Darling k-sample test (Scholz & Stephens, 1987) for two samples
+   * Tie-corrected A²akN, standardized to (A² - (k - 1)) / σ; weights the tails more than KS
+   */
+  _andersonDarling(baseline, current, distribution = this.baselineDistribution) {
+    const sortedBaseline = distribution?.sortedData || [...baseline].sort((a, b) => a - b);
+    const sortedCurrent = this._isSorted(current) ? current : [...current].sort((a, b) => a - b);
+    const sizes = [sortedBaseline.length, sortedCurrent.length];
+    const N = sizes[0] + sizes[1];
+    if (N < 4) {
+      return 0;
+    }
+
+    // Walk distinct pooled values: l = multiplicity, below = pooled count before this value
+    let statistic = 0;
+    let below = 0;
+    const cumulative = [0, 0];
+    const positions = [0, 0];
+    const samples = [sortedBaseline, sortedCurrent];
+
+    while (below < N) {
+      const value = Math.min(sortedBaseline[positions[0]] ?? Infinity, sortedCurrent[positions[1]] ?? Infinity);
+      const ties = [0, 0];
+      for (let s = 0; s < 2; s++) {
+        while (samples[s][positions[s]] === value) {
+          positions[s]++;
+          ties[s]++;
+        }
+      }
+
+      const l = ties[0] + ties[1];
+      const midBelow = below + l / 2;
+      const denominator = midBelow * (N - midBelow) - (N * l) / 4;
+      if (denominator > 0) {
+        for (let s = 0; s < 2; s++) {
+          const midCount = cumulative[s] + ties[s] / 2;
+          statistic += ((l / sizes[s]) * (N * midCount - sizes[s] * midBelow) ** 2) / denominator;
+        }
+      }
+
+      cumulative[0] += ties[0];
+      cumulative[1] += ties[1];
+      below += l;
+    }
+    statistic *= (N - 1) / (N * N);
+
+    // Variance of A²kN under the null for k = 2
+    const k = 2;
+    const H = 1 / sizes[0] + 1 / sizes[1];
+    let h = 0;
+    let g = 0;
+    let tail = 0; // Σ 1/(N - i) for i < j
+    for (let j = 1; j <= N - 1; j++) {
+      h += 1 / j;
+      if (j >= 2) {
+        g += tail / j;
+      }
+      tail += 1 / (N - j);
+    }
+    const a = (4 * g - 6) * (k - 1) + (10 - 6 * g) * H;
+    const b = (2 * g - 4) * k * k + 8 * h * k + (2 * g - 14 * h - 4) * H - 8 * h + 4 * g - 6;
+    const c = (6 * h + 2 * g - 2) * k * k + (4 * h - 4 * g + 6) * k + (2 * h - 6) * H + 4 * h;
+    const d = (2 * h + 6) * k * k - 4 * h * k;
+    const variance = (a * N ** 3 + b * N ** 2 + c * N + d) / ((N - 1) * (N - 2) * (N - 3));
+
+    return variance > 0 ? (statistic - (k - 1)) / Math.sqrt(variance) : 0;
+  }
+
+  /**
+   * Two-sample Cramér-von Mises statistic T (Anderson, 1962)
+   * T = nm/(n+m)² Σ (F(x) - G(x))² over every pooled observation
+   */
+  _cramerVonMises(baseline, current, distribution = this.baselineDistribution) {
+    const sortedBaseline = distribution?.sortedData || [...baseline].sort((a, b) => a - b);
+    const sortedCurrent = this._isSorted(current) ? current : [...current].sort((a, b) => a - b);
+    const n = sortedBaseline.length;
+    const m = sortedCurrent.length;
+
+    let i = 0;
+    let j = 0;
+    let sum = 0;
+    while (i < n || j < m) {
+      const value = Math.min(sortedBaseline[i] ?? Infinity, sortedCurrent[j] ?? Infinity);
+      let ties = 0;
+      while (sortedBaseline[i] === value) {
+        i++;
+        ties++;
+      }
+      while (sortedCurrent[j] === value) {
+        j++;
+        ties++;
+      }
+      sum += ties * (i / n - j / m) ** 2;
+    }
+
+    return ((n * m) / (n + m) ** 2) * sum;
+  }
+
+  /**
+   * Helper: Bin baseline and current data on shared edges
+   * Fixed-edge strategies reuse the baseline's edges and counts; equal-width bins span the
+   * combined range, reusing the cached baseline histogram only when that range is the baseline's
+   */
+  _binnedProportions(baseline, current, distribution = this.baselineDistribution) {
+    const { strategy, edges } = this._binEdges(baseline, current, distribution);
+
+    let baselineCounts;
+    let currentCounts;
+    if (strategy === 'equalWidth') {
+      const bins = edges.length - 1;
+      const min = edges[0];
+      const max = edges[bins];
+      const cachedRange =
+        distribution?.data === baseline && distribution.statistics.min === min && distribution.statistics.max === max;
+      baselineCounts =
+        (cachedRange && distribution.histograms?.[bins]) || this._createHistogramWithRange(baseline, bins, min, max);
+      currentCounts = this._createHistogramWithRange(current, bins, min, max);
+    } else {
+      baselineCounts =
+        (distribution?.data === baseline && distribution.binning.counts) || this._histogramWithEdges(baseline, edges);
+      currentCounts = this._histogramWithEdges(current, edges);
+    }
+
+    return {
+      strategy,
+      edges,
+      baselineCounts,
+      currentCounts,
+      p: baselineCounts.map(count => count / baseline.length),
+      q: currentCounts.map(count => count / current.length)
+    };
+  }
+
+  /**
+   * Helper: Bin edges used to compare current data with a baseline
+   * Returns { strategy, edges } with edges[0..bins] (outer bins also take values beyond the edges)
+   */
+  _binEdges(baseline, current, distribution = this.baselineDistribution) {
+    const binning = distribution?.binning;
+    if (binning?.edges) {
+      return { strategy: binning.strategy, edges: binning.edges };
+    }
+
+    // Adaptive bin count over the combined range keeps both samples on the same grid
+    const bins = this._getAdaptiveBinCount(Math.min(baseline.length, current.length));
+    const { min, max } = this._findMinMax(baseline, current);
+    const width = (max - min) / bins;
+    const edges = Array.from({ length: bins + 1 }, (_, i) => (i === bins ? max : min + i * width));
+
+    return { strategy: 'equalWidth', edges };
+  }
+
+  /**
+   * Helper: Normalize a binning spec ('quantile' or { strategy, bins, edges, maxBins })
+   */
+  _resolveBinning(spec) {
+    const options = typeof spec === 'string' ? { strategy: spec } : { ...spec };
+    options.strategy = options.strategy || (options.edges ? 'edges' : 'equalWidth');
+
+    if (!BINNING_STRATEGIES.includes(options.strategy)) {
+      throw new Error(
+        `Unknown binning strategy: ${options.strategy}. Expected one of ${BINNING_STRATEGIES.join(', ')}`
+      );
+    }
+
+    if (options.strategy === 'edges' || options.edges) {
+      const edges = options.edges;
+      if (!Array.isArray(edges) || edges.length < 2) {
+        throw new Error('Bin edges must be an array of at least 2 numbers');
+      }
+      for (let i = 0; i < edges.length; i++) {
+        if (typeof edges[i] !== 'number' || Number.isNaN(edges[i]) || (i > 0 && edges[i] <= edges[i - 1])) {
+          throw new Error('Bin edges must be strictly increasing numbers');
+        }
+      }
+    }
+
+    if (options.bins !== undefined && (!Number.isInteger(options.bins) || options.bins < 2)) {
+      throw new Error('Bin count must be an integer of at least 2');
+    }
+
+    return options;
+  }
+
+  /**
+   * Helper: Edges fixed from baseline data for the configured strategy (null for equal-width)
+   * - quantile: baseline quantiles (deciles by default); tied quantiles merge bins
+   * - freedmanDiaconis: width 2·IQR/n^(1/3) over the baseline range (Sturges when IQR is 0)
+   * - sturges: ceil(log2 n) + 1 equal-width bins over the baseline range
+   * A constant baseline has no range to split, so it falls back to equal-width bins
+   */
+  _computeBinEdges(sortedData, statistics, spec) {
+    const { min, max, count } = statistics;
+    const maxBins = spec.maxBins || 50;
+
+    // Explicit edges win for any fixed-edge strategy (user edges, restored versions)
+    if (spec.edges && spec.strategy !== 'equalWidth') {
+      return [...spec.edges];
+    }
+    if (max === min) {
+      return null;
+    }
+
+    if (spec.strategy === 'quantile') {
+      const bins = spec.bins || 10;
+      const edges = [min];
+      for (let i = 1; i <= bins; i++) {
+        const edge = i === bins ? max : this._sortedPercentile(sortedData, (i / bins) * 100);
+        if (edge > edges[edges.length - 1]) {
+          edges.push(edge);
+        }
+      }
+      return edges;
+    }
+
+    if (spec.strategy === 'freedmanDiaconis' || spec.strategy === 'sturges') {
+      let bins = spec.bins || Math.ceil(Math.log2(count)) + 1;
+      if (spec.strategy === 'freedmanDiaconis' && !spec.bins) {
+        const iqr = this._sortedPercentile(sortedData, 75) - this._sortedPercentile(sortedData, 25);
+        if (iqr > 0) {
+          bins = Math.ceil((max - min) / ((2 * iqr) / Math.cbrt(count)));
+        }
+      }
+      bins = Math.max(1, Math.min(bins, maxBins));
+      const width = (max - min) / bins;
+      const edges = Array.from({ length: bins + 1 }, (_, i) => (i === bins ? max : min + i * width));
+      // A range too narrow for the bin count rounds neighbouring edges together
+      return edges.filter((edge, i) => i === 0 || edge > edges[i - 1]);
+    }
+
+    return null;
+  }
+
+  /**
+   * Helper: Interpolated percentile of presorted data
+   */
+  _sortedPercentile(sorted, percentile) {
+    const index = (percentile / 100) * (sorted.length - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+  }
+
+  /**
+   * Helper: Histogram on explicit edges
+   * Bins are [edge(i), edge(i+1)); the last bin is closed and the outer bins absorb out-of-range values
+   */
+  _histogramWithEdges(data, edges) {
+    const bins = Math.max(1, edges.length - 1);
+    const histogram = new Array(bins).fill(0);
+
+    for (const value of data) {
+      // Number of interior edges at or below the value
+      let low = 1;
+      let high = bins;
+      while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (edges[mid] <= value) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      histogram[low - 1]++;
+    }
+
+    return histogram;
+  }
+
+  /**
+   * Categorical Drift Detection
+   * Chi-square test of homogeneity, categorical PSI and Cramér's V on category frequencies.
+   * Categories never seen in the baseline are kept as their own cells and reported explicitly.
+   */
+  _scoreCategorical(distribution, currentData) {
+    const results = {
+      isDrift: false,
+      severity: 'none',
+      scores: {},
+      methods: {},
+      averageScore: 0,
+      primaryMethod: 'psi',
+      categories: {
+        unseen: [],
+        missing: []
+      }
+    };
+
+    const baselineCounts = distribution.counts;
+    const currentCounts = this._countCategories(currentData);
+    const baselineTotal = distribution.data.length;
+    const currentTotal = currentData.length;
+
+    for (const [category, count] of Object.entries(currentCounts)) {
+      if (baselineCounts[category] === undefined) {
+        results.categories.unseen.push({ category, count, proportion: count / currentTotal });
+      }
+    }
+    for (const category of distribution.categories) {
+      if (currentCounts[category] === undefined) {
+        results.categories.missing.push({ category, baselineProportion: baselineCounts[category] / baselineTotal });
+      }
+    }
+
+    const categories = [...distribution.categories, ...results.categories.unseen.map(u => u.category)];
+
+    // Categorical PSI (same 0.5% floor as the numeric PSI)
+    const epsilon = 0.005;
+    let psi = 0;
+    for (const category of categories) {
+      const baselinePct = (baselineCounts[category] || 0) / baselineTotal;
+      const currentPct = (currentCounts[category] || 0) / currentTotal;
+      psi += (currentPct - baselinePct) * Math.log(Math.max(currentPct, epsilon) / Math.max(baselinePct, epsilon));
+    }
+    psi = Math.abs(psi);
+
+    // Chi-square test of homogeneity on the 2 x k contingency table
+    const total = baselineTotal + currentTotal;
+    let chiSquare = 0;
+    for (const category of categories) {
+      const observedBaseline = baselineCounts[category] || 0;
+      const observedCurrent = currentCounts[category] || 0;
+      const categoryTotal = observedBaseline + observedCurrent;
+      const expectedBaseline = (categoryTotal * baselineTotal) / total;
+      const expectedCurrent = (categoryTotal * currentTotal) / total;
+      chiSquare += (observedBaseline - expectedBaseline) ** 2 / expectedBaseline;
+      chiSquare += (observedCurrent - expectedCurrent) ** 2 / expectedCurrent;
+    }
+    const degreesOfFreedom = Math.max(categories.length - 1, 0);
+    const pValue = StatisticsUtil.chiSquarePValue(chiSquare, degreesOfFreedom);
+
+    // Cramér's V for a 2 x k table: sqrt(chi² / (N * (min(2, k) - 1)))
+    const cramersV = degreesOfFreedom > 0 ? Math.sqrt(chiSquare / total) : 0;
+
+    const significanceLevel = this.config.significanceLevel;
+    results.scores = { psi, chiSquare, cramersV };
+    results.methods = {
+      psi: { score: psi, isDrift: psi > this.config.driftThreshold },
+      chiSquare: {
+        score: chiSquare,
+        degreesOfFreedom,
+        pValue,
+        isDrift: pValue < significanceLevel
+      },
+      cramersV: { score: cramersV, isDrift: cramersV > this.config.driftThreshold }
+    };
+    results.significance = {
+      level: significanceLevel,
+      correction: this.config.multipleTesting,
+      significantMethods: this._correctPValues({ chiSquare: results.methods.chiSquare })
+    };
+
+    // Chi-square is unbounded in n, so only the bounded effect sizes enter the average
+    results.averageScore = psi * 0.6 + cramersV * 0.4;
+    const effectiveThreshold = this._effectiveThreshold(Math.min(baselineTotal, currentTotal));
+    results.isDrift = results.averageScore > effectiveThreshold;
+    results.severity = results.isDrift ? this._calculateSeverity(results.averageScore, effectiveThreshold) : 'none';
+
+    return results;
+  }
+
+  /**
+   * Helper: Drift threshold for a comparison whose smaller side has sampleSize values
+   * Small samples (≤20) get a tolerance multiplier due to inherent unreliability;
+   * very small samples (≤10) need even higher tolerance due to large CDF steps
+   */
+  _effectiveThreshold(sampleSize) {
+    if (sampleSize <= 10) {
+      return this.config.driftThreshold * 1.75; // 75% higher threshold for very small samples
+    }
+    if (sampleSize <= 20) {
+      return this.config.driftThreshold * 1.5; // 50% higher threshold for small samples
+    }
+    return this.config.driftThreshold;
+  }
+
+  /**
+   * Calculate severity level based on average drift score
    */
   _calculateSeverity(avgScore, effectiveThreshold = null) {
     // Use provided effective threshold (which may be adjusted for small samples)
@@ -604,19 +2526,263 @@ export class DriftEngine {
   }
 
   /**
-   * Get drift detection statistics
+   * Helper: Pick the most severe level from a list of severities
+   */
+  _maxSeverity(severities) {
+    const order = ['none', 'low', 'medium', 'high', 'critical'];
+    return severities.reduce((worst, level) => (order.indexOf(level) > order.indexOf(worst) ? level : worst), 'none');
+  }
+
+  /**
+   * Get drift detection statistics (default stream unless a stream name is given)
+   */
+  getStats(stream = DEFAULT_STREAM) {
+    const context = this.contexts.get(stream);
+    if (!context) {
+      throw new Error(`Unknown stream: ${stream}`);
+    }
+
+    const { stats, history } = context;
+    const driftRate = stats.totalChecks > 0 ? ((stats.driftDetected / stats.totalChecks) * 100).toFixed(1) + '%' : '0%';
+
+    return {
+      totalChecks: stats.totalChecks,
+      driftDetected: stats.driftDetected,
+      driftRate: driftRate,
+      uptime: Date.now() - stats.startTime,
+      recentHistory: history.slice(-10)
+    };
+  }
+
+  /**
+   * Get statistics of detectMultivariateDrift() checks (kept apart from the streams)
+   */
+  getMultivariateStats() {
+    const stats = this.multivariateStats;
+    const driftRate = stats.totalChecks > 0 ? ((stats.driftDetected / stats.totalChecks) * 100).toFixed(1) + '%' : '0%';
+
+    return {
+      totalChecks: stats.totalChecks,
+      driftDetected: stats.driftDetected,
+      driftRate: driftRate,
+      uptime: Date.now() - stats.startTime,
+      recentHistory: this.multivariateHistory.slice(-10)
+    };
+  }
+
+  /**
+   * Get drift detection statistics summed over every stream
    */
-  getStats() {
-    const driftRate =
-      this.stats.totalChecks > 0 ? ((this.stats.driftDetected / this.stats.totalChecks) * 100).toFixed(1) + '%' : '0%';
+  getCombinedStats() {
+    const contexts = [...this.contexts.values()];
+    const totalChecks = contexts.reduce((sum, context) => sum + context.stats.totalChecks, 0);
+    const driftDetected = contexts.reduce((sum, context) => sum + context.stats.driftDetected, 0);
+    const startTime = Math.min(...contexts.map(context => context.stats.startTime));
+    const driftRate = totalChecks > 0 ? ((driftDetected / totalChecks) * 100).toFixed(1) + '%' : '0%';
 
     return {
-      totalChecks: this.stats.totalChecks,
-      driftDetected: this.stats.driftDetected,
+      totalChecks: totalChecks,
+      driftDetected: driftDetected,
       driftRate: driftRate,
-      uptime: Date.now() - this.stats.startTime,
-      recentHistory: this.history.slice(-10)
+      uptime: Date.now() - startTime,
+      startTime: startTime,
+      streams: contexts.map(context => context.name),
+      recentHistory: contexts
+        .flatMap(context => context.history.slice(-10))
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(-10)
+    };
+  }
+
+  /**
+   * Get drift detection history of a stream
+   */
+  getHistory(stream = DEFAULT_STREAM) {
+    return this.contexts.get(stream)?.history || [];
+  }
+
+  /**
+   * Helper: Create an empty drift context for a stream
+   */
+  _createContext(name) {
+    return {
+      name: name,
+      baselineDistribution: null,
+      history: [],
+      lastCheck: null, // Adaptive sampling: track last check for skip optimization
+      resultCache: new Map(), // Result memoization cache (LRU)
+      window: null, // StreamWindow for push()/pushBatch(), created on first use
+      performanceProfile: null, // Baseline model performance for attachLabels()
+      performanceHistory: [],
+      stats: {
+        totalChecks: 0,
+        driftDetected: 0,
+        checksSkipped: 0,
+        cacheHits: 0,
+        startTime: Date.now()
+      }
+    };
+  }
+
+  /**
+   * Helper: Split (stream?, data, extra?) arguments of the stream-aware API
+   */
+  _parseStreamArgs(args) {
+    if (typeof args[0] === 'string') {
+      if (args[0].length === 0) {
+        throw new Error('Stream name cannot be empty');
+      }
+      return { stream: args[0], data: args[1], extra: args[2] || {} };
+    }
+
+    return { stream: DEFAULT_STREAM, data: args[0], extra: args[1] || {} };
+  }
+
+  /**
+   * Helper: Split (stream?, ...versions) arguments of the baseline version API
+   */
+  _parseVersionArgs(args, count) {
+    const stream = typeof args[0] === 'string' ? args[0] : DEFAULT_STREAM;
+    const versions = (typeof args[0] === 'string' ? args.slice(1) : args).slice(0, count);
+
+    if (versions.length < count || versions.some(version => !Number.isInteger(version) || version < 1)) {
+      throw new Error('Baseline versions must be positive integers');
+    }
+
+    return { stream, versions };
+  }
+
+  /**
+   * Helper: Create the baseline_versions table on first use
+   * Returns false when persistence is disabled or no database is attached
+   */
+  _ensureBaselineStore() {
+    if (!this.config.persistBaselines || !this.db) {
+      return false;
+    }
+
+    if (!this.baselineStoreReady) {
+      this.db.exec(BASELINE_VERSIONS_SCHEMA);
+      this.baselineStoreReady = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Helper: Store a baseline snapshot as the next version of its stream
+   * Returns the new version number (null when persistence is disabled)
+   */
+  _persistBaseline(stream, distribution) {
+    if (!this._ensureBaselineStore()) {
+      return null;
+    }
+
+    const latest = this.db
+      .prepare('SELECT MAX(version) AS version FROM baseline_versions WHERE stream = ?')
+      .get(stream);
+    const version = (latest?.version || 0) + 1;
+
+    // Numeric versions keep their bin edges alongside the cached histograms
+    const { strategy, edges } = distribution.binning || {};
+    const histograms =
+      distribution.type === 'categorical'
+        ? distribution.counts
+        : { counts: distribution.histograms, binning: { strategy, edges } };
+
+    this.db
+      .prepare(
+        `INSERT INTO baseline_versions (stream, version, type, data, statistics, histograms, metadata, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        stream,
+        version,
+        distribution.type,
+        JSON.stringify(distribution.data),
+        JSON.stringify(distribution.statistics),
+        JSON.stringify(histograms),
+        JSON.stringify(distribution.metadata),
+        distribution.timestamp
+      );
+
+    // File-backed sql.js databases only reach disk on save()
+    if (typeof this.db.save === 'function') {
+      this.db.save();
+    }
+
+    return version;
+  }
+
+  /**
+   * Helper: Read one persisted baseline version
+   */
+  _loadBaselineRecord(stream, version) {
+    const row = this._ensureBaselineStore()
+      ? this.db.prepare('SELECT * FROM baseline_versions WHERE stream = ? AND version = ?').get(stream, version)
+      : null;
+
+    if (!row) {
+      throw new Error(`Baseline version ${version} not found for stream "${stream}"`);
+    }
+
+    // Numeric versions keep their bin edges so a restore does not depend on the current config;
+    // tied edges (saved from a constant baseline) are recomputed instead
+    const histograms = row.type === 'categorical' ? null : JSON.parse(row.histograms || 'null');
+    const edges = histograms?.binning?.edges;
+    const increasing = Array.isArray(edges) && edges.every((edge, i) => i === 0 || edge > edges[i - 1]);
+
+    return {
+      stream: row.stream,
+      version: row.version,
+      type: row.type,
+      data: JSON.parse(row.data),
+      statistics: JSON.parse(row.statistics),
+      binning: increasing ? histograms.binning : null,
+      metadata: JSON.parse(row.metadata || '{}'),
+      timestamp: row.created_at
+    };
+  }
+
+  /**
+   * Helper: Make a persisted baseline record the active baseline of its stream
+   */
+  _activateBaseline(stream, record) {
+    if (!this.contexts.has(stream)) {
+      this.contexts.set(stream, this._createContext(stream));
+    }
+
+    const context = this.contexts.get(stream);
+    context.baselineDistribution = {
+      ...this._buildDistribution(record.data, record.metadata, record.type, record.binning),
+      timestamp: record.timestamp,
+      version: record.version
     };
+    context.resultCache.clear();
+    context.lastCheck = null;
+
+    return context.baselineDistribution;
+  }
+
+  /**
+   * Helper: Append a result to a stream's bounded history (drift history unless another is given)
+   */
+  _recordHistory(context, entry, history = context.history) {
+    history.push(entry);
+    if (history.length > this.config.maxHistorySize) {
+      history.shift(); // Remove oldest entry
+    }
+
+    // Compress old history entries (keep only last 100 full, compress others)
+    // This saves memory while maintaining trend information
+    if (history.length > 100) {
+      const compressionThreshold = history.length - 100;
+      for (let i = 0; i < compressionThreshold; i++) {
+        if (!history[i].compressed) {
+          history[i] = this._compressHistoryEntry(history[i]);
+        }
+      }
+    }
   }
 
   /**
@@ -667,6 +2833,7 @@ export class DriftEngine {
       isDrift: entry.isDrift,
       severity: entry.severity,
       averageScore: entry.averageScore,
+      ...(entry.changePoint && { changePoint: entry.changePoint }),
       compressed: true
     };
   }
@@ -679,9 +2846,11 @@ export class DriftEngine {
     let hash = 2166136261; // FNV offset basis
 
     for (let i = 0; i < data.length; i++) {
-      // Convert number to bytes representation
-      const bytes = new Float64Array([data[i]]);
-      const view = new Uint8Array(bytes.buffer);
+      // Convert number to bytes representation (category labels hash by character code)
+      const view =
+        typeof data[i] === 'number'
+          ? new Uint8Array(new Float64Array([data[i]]).buffer)
+          : Array.from(`${typeof data[i]}:${data[i]}\u0000`, char => char.charCodeAt(0));
 
       for (let j = 0; j < view.length; j++) {
         hash ^= view[j];
@@ -722,6 +2891,273 @@ export class DriftEngine {
     };
   }
 
+  /**
+   * Helper: Check ascending order in O(n)
+   */
+  _isSorted(data) {
+    for (let i = 1; i < data.length; i++) {
+      if (data[i - 1] > data[i]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Helper: Infer whether data is numeric or categorical (string labels)
+   */
+  _inferDataType(data, forcedType = null) {
+    if (forcedType) {
+      if (forcedType !== 'numeric' && forcedType !== 'categorical') {
+        throw new Error(`Unknown data type: ${forcedType}. Expected 'numeric' or 'categorical'.`);
+      }
+      return forcedType;
+    }
+
+    return data.some(value => typeof value === 'string') ? 'categorical' : 'numeric';
+  }
+
+  /**
+   * Helper: Validate values for the given data type
+   */
+  _validateValues(data, type, subject = '') {
+    for (let i = 0; i < data.length; i++) {
+      const value = data[i];
+
+      if (type === 'categorical') {
+        const isLabel =
+          typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && isFinite(value));
+        if (!isLabel) {
+          throw new Error(
+            `Invalid category${subject} at index ${i}: ${value}. Categorical values must be strings, numbers or booleans.`
+          );
+        }
+      } else if (typeof value !== 'number' || isNaN(value) || !isFinite(value)) {
+        throw new Error(`Invalid value${subject} at index ${i}: ${value}. All values must be finite numbers.`);
+      }
+    }
+  }
+
+  /**
+   * Helper: Build a category frequency table
+   */
+  _countCategories(data) {
+    const counts = {};
+    for (const value of data) {
+      const category = String(value);
+      counts[category] = (counts[category] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Helper: Build a baseline snapshot with cached sorted data and histograms
+   * Categorical snapshots cache category frequency tables instead
+   * binning (restored versions) overrides metadata.binning and config.binning
+   */
+  _buildDistribution(data, metadata = {}, type = 'numeric', binning = null) {
+    if (type === 'categorical') {
+      const counts = this._countCategories(data);
+      const categories = Object.keys(counts);
+      const mode = categories.reduce((best, category) => (counts[category] > counts[best] ? category : best));
+
+      return {
+        type: 'categorical',
+        data: data,
+        categories: categories,
+        counts: counts,
+        statistics: {
+          count: data.length,
+          categoryCount: categories.length,
+          mode: mode
+        },
+        metadata: metadata,
+        timestamp: Date.now()
+      };
+    }
+
+    const statistics = this._calculateStatistics(data);
+
+    // Pre-calculate and cache histograms for common bin sizes (3, 5, 10, 20)
+    const { min, max } = statistics;
+    const cachedHistograms = {};
+    for (const bins of [3, 5, 10, 20]) {
+      cachedHistograms[bins] = this._createHistogramWithRange(data, bins, min, max);
+    }
+
+    // Fixed-edge strategies keep their edges and baseline counts on the snapshot
+    const sortedData = [...data].sort((a, b) => a - b);
+    const spec = this._resolveBinning(binning || metadata.binning || this.config.binning);
+    const edges = this._computeBinEdges(sortedData, statistics, spec);
+
+    return {
+      type: 'numeric',
+      data: data,
+      sortedData: sortedData, // Cache sorted array for KS test
+      statistics: statistics,
+      histograms: cachedHistograms, // Pre-computed histograms for PSI/JSD
+      binning: {
+        strategy: spec.strategy,
+        edges: edges,
+        counts: edges ? this._histogramWithEdges(data, edges) : null
+      },
+      metadata: metadata,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Helper: Normalize a named-column table into { feature: values[] }
+   * Accepts an object of arrays or an array of row objects
+   * resolveType(name) may force a column type; otherwise it is inferred from the values
+   */
+  _normalizeTable(table, label, resolveType = _name => null) {
+    if (!table || typeof table !== 'object') {
+      throw new Error(`${label} table must be an object of arrays or an array of row objects`);
+    }
+
+    const columns = {};
+
+    if (Array.isArray(table)) {
+      if (table.length === 0) {
+        throw new Error(`${label} table cannot be empty`);
+      }
+
+      for (let i = 0; i < table.length; i++) {
+        const row = table[i];
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+          throw new Error(`${label} table row ${i} must be an object`);
+        }
+        for (const [name, value] of Object.entries(row)) {
+          if (!columns[name]) {
+            columns[name] = [];
+          }
+          columns[name].push(value);
+        }
+      }
+    } else {
+      for (const [name, values] of Object.entries(table)) {
+        if (!Array.isArray(values)) {
+          throw new Error(`${label} feature "${name}" must be an array`);
+        }
+        columns[name] = values;
+      }
+    }
+
+    if (Object.keys(columns).length === 0) {
+      throw new Error(`${label} table must contain at least one feature`);
+    }
+
+    for (const [name, values] of Object.entries(columns)) {
+      if (values.length === 0) {
+        throw new Error(`${label} feature "${name}" cannot be empty`);
+      }
+      this._validateValues(values, this._inferDataType(values, resolveType(name)), ` for feature "${name}"`);
+    }
+
+    return columns;
+  }
+
+  /**
+   * Helper: Check that the given columns all have the same length (i.e. form rows)
+   */
+  _isRectangular(columns, featureNames = Object.keys(columns)) {
+    const lengths = new Set(featureNames.map(name => columns[name].length));
+    return lengths.size === 1;
+  }
+
+  /**
+   * Helper: Deterministically subsample rows (evenly spaced) to bound the O(n²) joint score
+   */
+  _subsampleRows(columns, featureNames) {
+    const maxRows = this.config.maxJointSamples;
+    const n = columns[featureNames[0]].length;
+    const step = n > maxRows ? n / maxRows : 1;
+    const rows = [];
+
+    for (let k = 0; k < Math.min(n, maxRows); k++) {
+      const i = Math.floor(k * step);
+      rows.push(featureNames.map(name => columns[name][i]));
+    }
+
+    return rows;
+  }
+
+  /**
+   * Helper: Standardize rows using the baseline mean/std of each feature
+   */
+  _standardizeRows(rows, featureNames, features) {
+    const scales = featureNames.map(name => ({
+      mean: features[name].statistics.mean,
+      std: features[name].statistics.std || 1
+    }));
+
+    return rows.map(row => row.map((value, j) => (value - scales[j].mean) / scales[j].std));
+  }
+
+  /**
+   * Helper: Project stored rows onto a subset of features
+   */
+  _projectRows(rows, fromNames, toNames) {
+    const indices = toNames.map(name => fromNames.indexOf(name));
+    return rows.map(row => indices.map(j => row[j]));
+  }
+
+  /**
+   * Helper: Unbiased squared Maximum Mean Discrepancy with an RBF kernel
+   * Bandwidth follows the median heuristic on the pooled sample
+   */
+  _maximumMeanDiscrepancy(x, y) {
+    const m = x.length;
+    const n = y.length;
+    if (m < 2 || n < 2) {
+      return 0;
+    }
+
+    const squaredDistance = (a, b) => {
+      let sum = 0;
+      for (let d = 0; d < a.length; d++) {
+        const diff = a[d] - b[d];
+        sum += diff * diff;
+      }
+      return sum;
+    };
+
+    const pooled = [...x, ...y];
+    const distances = [];
+    for (let i = 0; i < pooled.length; i++) {
+      for (let j = i + 1; j < pooled.length; j++) {
+        distances.push(squaredDistance(pooled[i], pooled[j]));
+      }
+    }
+    const bandwidth = StatisticsUtil.calculateMedian(distances) || 1;
+    const kernel = (a, b) => Math.exp(-squaredDistance(a, b) / bandwidth);
+
+    let kxx = 0;
+    for (let i = 0; i < m; i++) {
+      for (let j = i + 1; j < m; j++) {
+        kxx += 2 * kernel(x[i], x[j]);
+      }
+    }
+
+    let kyy = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        kyy += 2 * kernel(y[i], y[j]);
+      }
+    }
+
+    let kxy = 0;
+    for (let i = 0; i < m; i++) {
+      for (let j = 0; j < n; j++) {
+        kxy += kernel(x[i], y[j]);
+      }
+    }
+
+    const mmd = kxx / (m * (m - 1)) + kyy / (n * (n - 1)) - (2 * kxy) / (m * n);
+    return Math.max(0, mmd);
+  }
+
   /**
    * Helper: Create histogram for binning data
    */
@@ -0,0 +1,317 @@
+/**
+ * GoldenBatch - Whole-trajectory comparison of batch runs against golden (reference) batches
+ *
+ * Batch processes (curing, fermentation) run at different speeds, so trajectories are
+ * aligned with dynamic time warping (Sakoe-Chiba band) before they are compared. Per
+ * parameter, fit():
+ * - picks the medoid golden batch (smallest total DTW distance to the others) as the reference
+ * - aligns every golden batch to it and takes the mean and std at each reference step
+ * - sets an envelope of mean ± envelopeWidth·std (never narrower than tolerance × the
+ *   reference range) and a distance threshold from the golden batches' own distances
+ *
+ * compare() aligns a new batch, counts envelope violations and reports where a sustained
+ * violation began, as a step of the batch, a step of the reference and a named phase.
+ */
+
+import { StatisticsUtil } from '../utils/StatisticsUtil.js';
+
+// Phases as fractions of the reference duration, when none are configured
+const DEFAULT_PHASES = [
+  { name: 'early', start: 0 },
+  { name: 'middle', start: 1 / 3 },
+  { name: 'late', start: 2 / 3 }
+];
+
+/**
+ * Dynamic time warping of two numeric sequences
+ * Time is O(n·band) and so is memory: only the cells inside the band are kept
+ *
+ * @param {number[]} reference - Reference sequence
+ * @param {number[]} candidate - Sequence to align
+ * @param {Object} [options]
+ * @param {number} [options.window] - Band width as a fraction of the longer sequence (default 0.2);
+ *   always at least the length difference
+ * @param {number} [options.scale] - Divisor of the absolute differences (default 1)
+ * @param {number} [options.penalty] - Cost added to each non-diagonal step (default 0)
+ * @returns {{distance: number, normalizedDistance: number, path: Array<number[]>}}
+ *   path pairs [referenceIndex, candidateIndex] from start to end
+ */
+export function dynamicTimeWarping(reference, candidate, options = {}) {
+  const n = reference.length;
+  const m = candidate.length;
+  if (n === 0 || m === 0) {
+    throw new Error('Dynamic time warping needs two non-empty sequences');
+  }
+
+  const scale = options.scale || 1;
+  const penalty = options.penalty ?? 0;
+  const band = Math.max(Math.abs(n - m), Math.ceil((options.window ?? 0.2) * Math.max(n, m)));
+
+  // Only the band is stored: row i keeps columns lo[i]..hi[i], so memory is O(n·band)
+  const width = Math.min(m, 2 * band + 1);
+  const lo = new Int32Array(n);
+  const hi = new Int32Array(n);
+  for (let i = 0; i < n; i++) {
+    // Band around the diagonal of the (possibly rectangular) matrix
+    const center = Math.round((i * (m - 1)) / Math.max(1, n - 1));
+    lo[i] = Math.max(0, center - band);
+    hi[i] = Math.min(m - 1, center + band);
+  }
+  const cost = new Float64Array(n * width).fill(Infinity);
+  const at = (i, j) => (i < 0 || j < lo[i] || j > hi[i] ? Infinity : cost[i * width + j - lo[i]]);
+
+  for (let i = 0; i < n; i++) {
+    for (let j = lo[i]; j <= hi[i]; j++) {
+      const local = Math.abs(reference[i] - candidate[j]) / scale;
+      const previous =
+        i === 0 && j === 0 ? 0 : Math.min(at(i - 1, j) + penalty, at(i, j - 1) + penalty, at(i - 1, j - 1));
+      cost[i * width + j - lo[i]] = local + previous;
+    }
+  }
+
+  const path = [[n - 1, m - 1]];
+  let i = n - 1;
+  let j = m - 1;
+  while (i > 0 || j > 0) {
+    const steps = [
+      [i - 1, j - 1],
+      [i - 1, j],
+      [i, j - 1]
+    ];
+    // Follow the recurrence back, including the penalty of non-diagonal steps
+    const total = step => at(step[0], step[1]) + (step[0] === i - 1 && step[1] === j - 1 ? 0 : penalty);
+    [i, j] = steps.reduce((best, step) => (total(step) < total(best) ? step : best));
+    path.push([i, j]);
+  }
+  path.reverse();
+
+  const distance = at(n - 1, m - 1);
+  return { distance, normalizedDistance: distance / path.length, path };
+}
+
+export class GoldenBatchProfile {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.window] - DTW band width as a fraction of the batch length (default 0.2)
+   * @param {number} [options.warpPenalty] - DTW cost of a non-diagonal step, in units of the
+   *   parameter's spread (default 0.05); keeps flat segments from warping on noise alone
+   * @param {number} [options.envelopeWidth] - Envelope half-width in std at each step (default 3)
+   * @param {number} [options.tolerance] - Minimum half-width as a fraction of the reference range (default 0.05)
+   * @param {number} [options.minRun] - Consecutive violating steps that mark a deviation start (default 3)
+   * @param {number} [options.maxViolationRate] - Share of violating steps tolerated (default 0.05)
+   * @param {Array<{name: string, start: number}>} [options.phases] - Phases by start fraction of the reference
+   */
+  constructor(options = {}) {
+    this.window = options.window ?? 0.2;
+    this.warpPenalty = options.warpPenalty ?? 0.05;
+    this.envelopeWidth = options.envelopeWidth ?? 3;
+    this.tolerance = options.tolerance ?? 0.05;
+    this.minRun = options.minRun ?? 3;
+    this.maxViolationRate = options.maxViolationRate ?? 0.05;
+    this.phases = [...(options.phases || DEFAULT_PHASES)].sort((a, b) => a.start - b.start);
+    this.parameters = null;
+  }
+
+  /**
+   * Build reference trajectories and envelopes from golden batches
+   * Finding the medoid takes one alignment per pair of batches, so a profile is best built
+   * from tens of golden batches rather than hundreds
+   *
+   * @param {Array<Object>} batches - Golden batches: { parameter: number[] } (or { parameters: {...} });
+   *   the first batch's array fields name the parameters, other fields are ignored
+   * @returns {GoldenBatchProfile} this
+   */
+  fit(batches) {
+    const runs = batches.map(batch => batch.parameters || batch);
+    if (runs.length === 0) {
+      throw new Error('Golden batch profile needs at least one golden batch');
+    }
+    const names = Object.keys(runs[0]).filter(name => Array.isArray(runs[0][name]));
+    if (names.length === 0) {
+      throw new Error('Golden batches need at least one parameter trajectory');
+    }
+
+    this.parameters = {};
+    for (const name of names) {
+      const trajectories = runs.map(run => run[name]).filter(Array.isArray);
+      if (trajectories.length !== runs.length) {
+        throw new Error(`Every golden batch needs a ${name} trajectory`);
+      }
+      this.parameters[name] = this._fitParameter(trajectories);
+    }
+    this.batches = runs.length;
+
+    return this;
+  }
+
+  /**
+   * Compare a batch with the golden profile
+   *
+   * @param {Object} batch - { parameter: number[] } (or { parameters: {...} }); parameters
+   *   without a golden trajectory are ignored
+   * @returns {Object} { parameters: { name: {...} }, isDeviation, deviationStart }
+   */
+  compare(batch) {
+    if (!this.parameters) {
+      throw new Error('Golden batch profile not fitted. Call fit() first.');
+    }
+
+    const run = batch.parameters || batch;
+    const parameters = {};
+    for (const [name, profile] of Object.entries(this.parameters)) {
+      if (Array.isArray(run[name]) && run[name].length > 0) {
+        parameters[name] = this._compareParameter(profile, run[name]);
+      }
+    }
+
+    // The earliest start by progress through the reference
+    const starts = Object.entries(parameters)
+      .filter(([, result]) => result.deviationStart)
+      .map(([parameter, result]) => ({ parameter, ...result.deviationStart }))
+      .sort((a, b) => a.progress - b.progress);
+
+    return {
+      parameters,
+      isDeviation: Object.values(parameters).some(result => result.isDeviation),
+      deviationStart: starts[0] || null
+    };
+  }
+
+  /**
+   * Helper: Reference, envelope and distance threshold of one parameter
+   */
+  _fitParameter(trajectories) {
+    const scale = this._scale(trajectories.flat());
+
+    // The band is symmetric up to rounding, so each pair is aligned once: B(B-1)/2 alignments
+    const totals = trajectories.map(() => 0);
+    for (let a = 0; a < trajectories.length; a++) {
+      for (let b = a + 1; b < trajectories.length; b++) {
+        const { normalizedDistance } = this._align(trajectories[a], trajectories[b], scale);
+        totals[a] += normalizedDistance;
+        totals[b] += normalizedDistance;
+      }
+    }
+    const reference = trajectories[totals.indexOf(Math.min(...totals))];
+
+    // Values of every golden batch mapped onto each reference step (averaged per batch)
+    const aligned = reference.map(() => []);
+    for (const trajectory of trajectories) {
+      const { path } = this._align(reference, trajectory, scale);
+      const sums = reference.map(() => ({ sum: 0, count: 0 }));
+      for (const [i, j] of path) {
+        sums[i].sum += trajectory[j];
+        sums[i].count++;
+      }
+      sums.forEach(({ sum, count }, i) => aligned[i].push(sum / count));
+    }
+
+    const mean = aligned.map(values => StatisticsUtil.calculateMean(values));
+    const std = aligned.map(values => StatisticsUtil.calculateStd(values));
+    const floor = this.tolerance * (Math.max(...mean) - Math.min(...mean) || scale);
+    const halfWidth = std.map(value => Math.max(this.envelopeWidth * value, floor));
+
+    // Distance of each golden batch to the mean trajectory sets what counts as unusual
+    const goldenDistances = trajectories.map(trajectory => this._align(mean, trajectory, scale).normalizedDistance);
+    const { mean: goldenMean, std: goldenStd } = StatisticsUtil.calculateStats(goldenDistances);
+
+    return {
+      mean,
+      lower: mean.map((value, i) => value - halfWidth[i]),
+      upper: mean.map((value, i) => value + halfWidth[i]),
+      scale,
+      // The envelope floor keeps the threshold above zero when the golden batches agree exactly
+      distanceThreshold: goldenMean + 3 * goldenStd + floor / scale
+    };
+  }
+
+  /**
+   * Helper: Alignment, envelope violations and deviation start of one parameter
+   */
+  _compareParameter(profile, trajectory) {
+    const { normalizedDistance, path } = this._align(profile.mean, trajectory, profile.scale);
+
+    // Each batch step is judged at the first reference step it aligns to
+    const judged = new Set();
+    const steps = [];
+    for (const [i, j] of path) {
+      if (judged.has(j)) {
+        continue;
+      }
+      judged.add(j);
+      const value = trajectory[j];
+      steps.push({
+        batchIndex: j,
+        referenceIndex: i,
+        value,
+        violated: value < profile.lower[i] || value > profile.upper[i]
+      });
+    }
+
+    const violations = steps.filter(step => step.violated);
+    const violationRate = violations.length / steps.length;
+
+    let deviationStart = null;
+    let run = 0;
+    for (let k = 0; k < steps.length && !deviationStart; k++) {
+      run = steps[k].violated ? run + 1 : 0;
+      if (run === this.minRun) {
+        const first = steps[k - this.minRun + 1];
+        const progress = first.referenceIndex / Math.max(1, profile.mean.length - 1);
+        deviationStart = {
+          batchIndex: first.batchIndex,
+          referenceIndex: first.referenceIndex,
+          progress,
+          phase: this._phaseAt(progress)
+        };
+      }
+    }
+
+    return {
+      distance: normalizedDistance,
+      distanceThreshold: profile.distanceThreshold,
+      violations: violations.length,
+      violationRate,
+      firstViolations: violations.slice(0, 10).map(step => ({
+        batchIndex: step.batchIndex,
+        referenceIndex: step.referenceIndex,
+        value: step.value,
+        lower: profile.lower[step.referenceIndex],
+        upper: profile.upper[step.referenceIndex]
+      })),
+      isDeviation:
+        normalizedDistance > profile.distanceThreshold ||
+        violationRate > this.maxViolationRate ||
+        deviationStart !== null,
+      deviationStart
+    };
+  }
+
+  /**
+   * Helper: DTW with the profile's window and warp penalty
+   */
+  _align(reference, trajectory, scale) {
+    return dynamicTimeWarping(reference, trajectory, { window: this.window, scale, penalty: this.warpPenalty });
+  }
+
+  /**
+   * Helper: Name of the phase containing a fraction of the reference duration
+   */
+  _phaseAt(progress) {
+    let phase = this.phases[0]?.name ?? null;
+    for (const candidate of this.phases) {
+      if (progress >= candidate.start) {
+        phase = candidate.name;
+      }
+    }
+    return phase;
+  }
+
+  /**
+   * Helper: Spread used to make distances comparable across parameters
+   */
+  _scale(values) {
+    const { mean, std } = StatisticsUtil.calculateStats(values);
+    return std || Math.abs(mean) || 1;
+  }
+}
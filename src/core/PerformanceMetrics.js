@@ -0,0 +1,136 @@
+/**
+ * Model performance metrics for label-based (concept) drift
+ *
+ * Each metric takes aligned predictions and 0/1 labels and returns a value, or null
+ * when it is undefined for the batch (e.g. AUC with a single class):
+ * - accuracy: share of correct decisions (scores >= decisionThreshold predict 1)
+ * - auc: area under the ROC curve (Mann-Whitney, ties count half)
+ * - calibrationError: expected calibration error over equal-width probability bins
+ * - precision / recall: of the positive class (fraud, default)
+ * - positiveRate: observed label rate (default rate for credit, fraud rate for fraud)
+ *
+ * direction says which way is a degradation ('higher' is better, 'lower' is better, or
+ * 'both' for rates where any move matters); tolerance is the change that counts as drift
+ */
+
+/**
+ * Helper: Predicted class of a score (non-numeric predictions are class labels)
+ */
+function decide(prediction, options) {
+  return typeof prediction === 'number' ? (prediction >= options.decisionThreshold ? 1 : 0) : prediction;
+}
+
+/**
+ * Helper: True/false positive counts at the decision threshold
+ */
+function confusion(predictions, labels, options) {
+  const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  for (let i = 0; i < predictions.length; i++) {
+    const predicted = decide(predictions[i], options) === 1;
+    const actual = labels[i] === 1;
+    if (predicted && actual) {
+      counts.tp++;
+    } else if (predicted) {
+      counts.fp++;
+    } else if (actual) {
+      counts.fn++;
+    } else {
+      counts.tn++;
+    }
+  }
+  return counts;
+}
+
+function isNumeric(predictions) {
+  return predictions.every(prediction => typeof prediction === 'number');
+}
+
+export function accuracy(predictions, labels, options) {
+  let correct = 0;
+  for (let i = 0; i < predictions.length; i++) {
+    if (decide(predictions[i], options) === labels[i]) {
+      correct++;
+    }
+  }
+  return correct / predictions.length;
+}
+
+export function auc(predictions, labels) {
+  if (!isNumeric(predictions)) {
+    return null;
+  }
+
+  // Average ranks over ties, then U = rank sum of positives - n1(n1 + 1)/2
+  const order = predictions.map((score, i) => ({ score, label: labels[i] })).sort((a, b) => a.score - b.score);
+  let positives = 0;
+  let rankSum = 0;
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j < order.length && order[j].score === order[i].score) {
+      j++;
+    }
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (order[k].label === 1) {
+        positives++;
+        rankSum += averageRank;
+      }
+    }
+    i = j;
+  }
+
+  const negatives = order.length - positives;
+  if (positives === 0 || negatives === 0) {
+    return null;
+  }
+  return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+export function calibrationError(predictions, labels, options) {
+  if (!isNumeric(predictions) || predictions.some(score => score < 0 || score > 1)) {
+    return null;
+  }
+
+  const bins = options.calibrationBins;
+  const totals = new Array(bins).fill(0);
+  const confidence = new Array(bins).fill(0);
+  const observed = new Array(bins).fill(0);
+  for (let i = 0; i < predictions.length; i++) {
+    const bin = Math.min(bins - 1, Math.floor(predictions[i] * bins));
+    totals[bin]++;
+    confidence[bin] += predictions[i];
+    observed[bin] += labels[i] === 1 ? 1 : 0;
+  }
+
+  let error = 0;
+  for (let bin = 0; bin < bins; bin++) {
+    if (totals[bin] > 0) {
+      error += Math.abs(observed[bin] - confidence[bin]) / predictions.length;
+    }
+  }
+  return error;
+}
+
+export function precision(predictions, labels, options) {
+  const { tp, fp } = confusion(predictions, labels, options);
+  return tp + fp > 0 ? tp / (tp + fp) : null;
+}
+
+export function recall(predictions, labels, options) {
+  const { tp, fn } = confusion(predictions, labels, options);
+  return tp + fn > 0 ? tp / (tp + fn) : null;
+}
+
+export function positiveRate(predictions, labels) {
+  return labels.filter(label => label === 1).length / labels.length;
+}
+
+// Metric name → { compute, direction, tolerance }, as selected through config.performanceMetrics
+export const PERFORMANCE_METRICS = {
+  accuracy: { compute: accuracy, direction: 'higher', tolerance: 0.05 },
+  auc: { compute: auc, direction: 'higher', tolerance: 0.05 },
+  calibrationError: { compute: calibrationError, direction: 'lower', tolerance: 0.05 },
+  precision: { compute: precision, direction: 'higher', tolerance: 0.1 },
+  recall: { compute: recall, direction: 'higher', tolerance: 0.1 },
+  positiveRate: { compute: positiveRate, direction: 'both', tolerance: 0.05 }
+};
@@ -0,0 +1,227 @@
+/**
+ * PredictionLog - Scored predictions awaiting delayed ground truth
+ *
+ * Persists every logged prediction (id, model, score, features, scoring time) in the
+ * AgentDB sqlite database so labels that arrive weeks later - credit defaults after
+ * 90 days, chargebacks after 30-60 - can still be joined to the score they judge.
+ * Cohorts of predictions are evaluated once their labels have matured; evaluated
+ * cohorts are recorded so a backfill never reports the same cohort twice.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PREDICTION_LOG_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS prediction_log (
+    prediction_id TEXT PRIMARY KEY,
+    model TEXT NOT NULL,
+    stream TEXT,
+    batch_id TEXT,
+    score REAL NOT NULL,
+    features JSON,
+    predicted_at INTEGER NOT NULL,
+    label INTEGER,
+    labeled_at INTEGER
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_prediction_log_model_time ON prediction_log(model, predicted_at);
+
+  CREATE TABLE IF NOT EXISTS prediction_cohort_evaluations (
+    model TEXT NOT NULL,
+    cohort_start INTEGER NOT NULL,
+    cohort_end INTEGER NOT NULL,
+    result JSON NOT NULL,
+    evaluated_at INTEGER NOT NULL,
+    PRIMARY KEY (model, cohort_start)
+  );
+`;
+
+export class PredictionLog {
+  /**
+   * @param {Object} db - AgentDB database (sql.js wrapper)
+   */
+  constructor(db) {
+    this.db = db;
+    this.db.exec(PREDICTION_LOG_SCHEMA);
+  }
+
+  /**
+   * Store predictions; ids already in the log are left untouched
+   *
+   * @param {Array<Object>} records - { predictionId, model, score, timestamp, features, stream, batchId }
+   * @returns {{logged: number, duplicates: string[]}}
+   */
+  record(records) {
+    const statement = this.db.prepare(
+      `INSERT OR IGNORE INTO prediction_log (prediction_id, model, stream, batch_id, score, features, predicted_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    );
+
+    const duplicates = [];
+    this._transaction(() => {
+      for (const record of records) {
+        const { changes } = statement.run(
+          String(record.predictionId),
+          record.model,
+          record.stream ?? null,
+          record.batchId ?? null,
+          record.score,
+          record.features ? JSON.stringify(record.features) : null,
+          record.timestamp
+        );
+        if (changes === 0) {
+          duplicates.push(String(record.predictionId));
+        }
+      }
+    });
+    statement.finalize?.();
+
+    return { logged: records.length - duplicates.length, duplicates };
+  }
+
+  /**
+   * Join labels to logged predictions (a later label for the same id replaces the earlier one)
+   *
+   * @param {Array<Object>} labels - { predictionId, label, labeledAt }
+   * @returns {{matched: number, unknown: string[]}}
+   */
+  attachLabels(labels) {
+    const statement = this.db.prepare('UPDATE prediction_log SET label = ?, labeled_at = ? WHERE prediction_id = ?');
+
+    const unknown = [];
+    this._transaction(() => {
+      for (const { predictionId, label, labeledAt } of labels) {
+        const { changes } = statement.run(label, labeledAt, String(predictionId));
+        if (changes === 0) {
+          unknown.push(String(predictionId));
+        }
+      }
+    });
+    statement.finalize?.();
+
+    return { matched: labels.length - unknown.length, unknown };
+  }
+
+  /**
+   * Predictions of a model scored in [from, to), oldest first
+   *
+   * @returns {Array<Object>} { predictionId, model, stream, batchId, score, features, timestamp, label, labeledAt }
+   */
+  list(model, from, to) {
+    const rows = this.db
+      .prepare(
+        `SELECT * FROM prediction_log WHERE model = ? AND predicted_at >= ? AND predicted_at < ?
+         ORDER BY predicted_at ASC`
+      )
+      .all(model, from, to);
+
+    return rows.map(row => ({
+      predictionId: row.prediction_id,
+      model: row.model,
+      stream: row.stream,
+      batchId: row.batch_id,
+      score: row.score,
+      features: row.features ? JSON.parse(row.features) : null,
+      timestamp: row.predicted_at,
+      label: row.label ?? null,
+      labeledAt: row.labeled_at ?? null
+    }));
+  }
+
+  /**
+   * Time span of a model's logged predictions (null when none are logged)
+   */
+  span(model) {
+    const row = this.db
+      .prepare('SELECT MIN(predicted_at) AS first, MAX(predicted_at) AS last FROM prediction_log WHERE model = ?')
+      .get(model);
+
+    return row?.first === null || row?.first === undefined ? null : { first: row.first, last: row.last };
+  }
+
+  /**
+   * Whether a cohort's matured evaluation has been recorded
+   */
+  isEvaluated(model, cohortStart) {
+    return Boolean(
+      this.db
+        .prepare('SELECT 1 AS found FROM prediction_cohort_evaluations WHERE model = ? AND cohort_start = ?')
+        .get(model, cohortStart)
+    );
+  }
+
+  /**
+   * Record a cohort's matured evaluation
+   */
+  markEvaluated(model, cohort, result) {
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO prediction_cohort_evaluations (model, cohort_start, cohort_end, result, evaluated_at)
+         VALUES (?, ?, ?, ?, ?)`
+      )
+      .run(model, cohort.start, cohort.end, JSON.stringify(result), Date.now());
+    this._save();
+  }
+
+  /**
+   * Helper: Run writes in one transaction and persist the file once
+   */
+  _transaction(work) {
+    this.db.exec('BEGIN');
+    try {
+      work();
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+    this._save();
+  }
+
+  /**
+   * Helper: File-backed sql.js databases only reach disk on save()
+   */
+  _save() {
+    if (typeof this.db.save === 'function') {
+      this.db.save();
+    }
+  }
+}
+
+/**
+ * Start of the cohort containing a timestamp
+ * period: 'day' | 'week' (Monday, UTC) | 'month' (calendar, UTC) or a length in ms
+ */
+export function cohortStart(timestamp, period) {
+  if (typeof period === 'number') {
+    return Math.floor(timestamp / period) * period;
+  }
+
+  const date = new Date(timestamp);
+  if (period === 'month') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  }
+
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  if (period === 'week') {
+    return day - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+  }
+  if (period === 'day') {
+    return day;
+  }
+
+  throw new Error(`Unknown cohort period: ${period}. Expected day, week, month or a length in ms`);
+}
+
+/**
+ * End (exclusive) of the cohort starting at start
+ */
+export function cohortEnd(start, period) {
+  if (typeof period === 'number') {
+    return start + period;
+  }
+  if (period === 'month') {
+    const date = new Date(start);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  }
+  return start + (period === 'week' ? 7 : 1) * DAY_MS;
+}
@@ -0,0 +1,255 @@
+/**
+ * RemainingUsefulLife - Time until a degrading signal reaches its failure threshold
+ *
+ * Three degradation models are fitted to a sensor's history (time t in hours, value y):
+ * - linear: y = a + b·t
+ * - exponential: y = a·e^(b·t), fitted as a line on ln y (positive values and threshold only)
+ * - piecewise: a healthy segment followed by a linear degradation segment, split at the
+ *   breakpoint with the smallest total squared error; extrapolation uses the last segment
+ *
+ * The model with the lowest BIC (on the original scale) is extrapolated to the threshold.
+ * The prediction interval comes from inverse prediction: the earliest and latest times at
+ * which the regression's prediction band reaches the threshold (Infinity when the far edge
+ * never does). Values moving away from the threshold give an infinite RUL.
+ */
+
+import { StatisticsUtil } from '../utils/StatisticsUtil.js';
+
+const MODELS = ['linear', 'exponential', 'piecewise'];
+
+// Points per piecewise segment
+const MIN_SEGMENT = 3;
+
+/**
+ * Helper: Ordinary least squares of y on t with what prediction intervals need
+ */
+function fitLine(t, y) {
+  const n = t.length;
+  const tMean = StatisticsUtil.calculateMean(t);
+  const yMean = StatisticsUtil.calculateMean(y);
+  let sxx = 0;
+  let sxy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (t[i] - tMean) ** 2;
+    sxy += (t[i] - tMean) * (y[i] - yMean);
+  }
+
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = yMean - slope * tMean;
+  const sse = y.reduce((sum, value, i) => sum + (value - intercept - slope * t[i]) ** 2, 0);
+
+  return {
+    slope,
+    intercept,
+    tMean,
+    sxx,
+    n,
+    residualStd: n > 2 ? Math.sqrt(sse / (n - 2)) : 0,
+    predict: time => intercept + slope * time
+  };
+}
+
+/**
+ * Helper: Squared error of a least-squares line over any segment [start, end) in O(1),
+ * from prefix sums of the centred t, y, t², y² and t·y
+ */
+function segmentErrors(t, y) {
+  const tMean = StatisticsUtil.calculateMean(t);
+  const yMean = StatisticsUtil.calculateMean(y);
+  const sums = Array.from({ length: 5 }, () => new Float64Array(t.length + 1));
+  const [st, sy, stt, syy, sty] = sums;
+  for (let i = 0; i < t.length; i++) {
+    const dt = t[i] - tMean;
+    const dy = y[i] - yMean;
+    st[i + 1] = st[i] + dt;
+    sy[i + 1] = sy[i] + dy;
+    stt[i + 1] = stt[i] + dt * dt;
+    syy[i + 1] = syy[i] + dy * dy;
+    sty[i + 1] = sty[i] + dt * dy;
+  }
+
+  return (start, end) => {
+    const n = end - start;
+    const [sumT, sumY, sumTT, sumYY, sumTY] = sums.map(prefix => prefix[end] - prefix[start]);
+    const sxx = sumTT - (sumT * sumT) / n;
+    const sxy = sumTY - (sumT * sumY) / n;
+    const syyCentred = sumYY - (sumY * sumY) / n;
+    return Math.max(0, sxx > 0 ? syyCentred - (sxy * sxy) / sxx : syyCentred);
+  };
+}
+
+export class RemainingUsefulLife {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.models] - Candidate models (default linear, exponential, piecewise)
+   * @param {number} [options.confidence] - Prediction interval coverage (default 0.9)
+   * @param {number} [options.minPoints] - Fewest observations to estimate from (default 5)
+   */
+  constructor(options = {}) {
+    this.models = options.models || MODELS;
+    this.confidence = options.confidence ?? 0.9;
+    this.minPoints = options.minPoints ?? 5;
+
+    const unknown = this.models.filter(model => !MODELS.includes(model));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown degradation model: ${unknown.join(', ')}. Expected ${MODELS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Estimate the remaining useful life of one sensor
+   *
+   * @param {Array<{t: number, value: number}>} points - Observations in time order (t in hours)
+   * @param {number} threshold - Failure threshold; failure is reaching it from the starting level
+   * @returns {Object|null} { rul, lower, upper, model, direction, current, slope, breakpoint, fits } or null
+   *   with fewer than minPoints observations or when none of the configured models applies
+   */
+  estimate(points, threshold) {
+    if (points.length < this.minPoints) {
+      return null;
+    }
+
+    const t = points.map(point => point.t);
+    const y = points.map(point => point.value);
+    const now = t[t.length - 1];
+    const current = y[y.length - 1];
+
+    // Failure is approached from the side the series starts on
+    const direction = threshold >= y[0] ? 'rising' : 'falling';
+    const sign = direction === 'rising' ? 1 : -1;
+
+    const fits = {};
+    for (const model of this.models) {
+      const fit = this._fitModel(model, t, y, threshold);
+      if (fit) {
+        fits[model] = fit;
+      }
+    }
+    // e.g. only the exponential model with non-positive values
+    if (Object.keys(fits).length === 0) {
+      return null;
+    }
+    const [model, best] = Object.entries(fits).sort((a, b) => a[1].bic - b[1].bic)[0];
+
+    const summary = {
+      model,
+      direction,
+      current,
+      threshold,
+      // Per hour, on the log scale for the exponential model
+      slope: best.line.slope,
+      breakpoint: best.breakpoint ?? null,
+      fits: Object.fromEntries(Object.entries(fits).map(([name, fit]) => [name, { bic: fit.bic, sse: fit.sse }]))
+    };
+
+    if (sign * (current - threshold) >= 0) {
+      return { rul: 0, lower: 0, upper: 0, ...summary };
+    }
+
+    const z = StatisticsUtil.normalQuantile(1 - (1 - this.confidence) / 2);
+    const { line, target } = best;
+    const band = (time, edge) => {
+      const se =
+        line.residualStd * Math.sqrt(1 + 1 / line.n + (line.sxx > 0 ? (time - line.tMean) ** 2 / line.sxx : 0));
+      return sign * (line.predict(time) + edge * z * se);
+    };
+
+    return {
+      rul: this._crossing(time => sign * line.predict(time), sign * target, now),
+      lower: this._crossing(time => band(time, sign), sign * target, now),
+      upper: this._crossing(time => band(time, -sign), sign * target, now),
+      ...summary
+    };
+  }
+
+  /**
+   * Helper: Fit one model; returns the regression line in its own space, the threshold
+   * in that space and BIC on the original scale (null when the model does not apply)
+   */
+  _fitModel(model, t, y, threshold) {
+    const n = t.length;
+
+    if (model === 'linear') {
+      const line = fitLine(t, y);
+      return this._score(line, t, y, time => line.predict(time), threshold, 2);
+    }
+
+    if (model === 'exponential') {
+      if (threshold <= 0 || y.some(value => value <= 0)) {
+        return null;
+      }
+      const line = fitLine(t, y.map(Math.log));
+      return this._score(line, t, y, time => Math.exp(line.predict(time)), Math.log(threshold), 2);
+    }
+
+    // Piecewise: best split into a healthy and a degrading segment
+    if (n < 2 * MIN_SEGMENT) {
+      return null;
+    }
+    const segmentError = segmentErrors(t, y);
+    let split = MIN_SEGMENT;
+    let splitError = Infinity;
+    for (let candidate = MIN_SEGMENT; candidate <= n - MIN_SEGMENT; candidate++) {
+      const error = segmentError(0, candidate) + segmentError(candidate, n);
+      if (error < splitError) {
+        split = candidate;
+        splitError = error;
+      }
+    }
+
+    // Only the chosen split needs the full lines
+    const head = fitLine(t.slice(0, split), y.slice(0, split));
+    const tail = fitLine(t.slice(split), y.slice(split));
+    const predict = time => (time < t[split] ? head.predict(time) : tail.predict(time));
+    return { ...this._score(tail, t, y, predict, threshold, 5), breakpoint: t[split] };
+  }
+
+  /**
+   * Helper: Squared error and BIC of a model's predictions on the original scale
+   */
+  _score(line, t, y, predict, target, parameters) {
+    const n = t.length;
+    const sse = y.reduce((sum, value, i) => sum + (value - predict(t[i])) ** 2, 0);
+    // Guard the log for exact fits
+    const bic = n * Math.log(Math.max(sse / n, Number.EPSILON)) + parameters * Math.log(n);
+    return { line, target, sse, bic };
+  }
+
+  /**
+   * Helper: Hours after now until an increasing curve reaches the target (Infinity if never)
+   * Brackets the crossing by doubling the horizon, then bisects
+   */
+  _crossing(curve, target, now) {
+    if (curve(now) >= target) {
+      return 0;
+    }
+
+    let step = 1;
+    let reached = false;
+    for (let i = 0; i < 60; i++) {
+      if (curve(now + step) >= target) {
+        reached = true;
+        break;
+      }
+      step *= 2;
+    }
+    if (!reached) {
+      return Infinity;
+    }
+
+    let low = step / 2;
+    let high = step;
+    if (curve(now + low) >= target) {
+      low = 0;
+    }
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      if (curve(now + mid) >= target) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    return high;
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * SpectralAnalysis - Feature vectors from vibration waveforms
+ *
+ * A waveform is { samples: number[], sampleRate: Hz, rpm?: shaft speed }. features() returns:
+ * - rms, peak, crestFactor (peak / rms) and kurtosis (3 for Gaussian noise) of the signal
+ * - band:<name>: energy (mean square) in each frequency band, from a Hann-windowed FFT
+ * - order:<n>: amplitude at n × running speed when rpm is known (order tracking)
+ * - frequency:<Hz>: amplitude at frequencies named by failure signatures
+ * - dominantFrequency: frequency of the largest spectral peak
+ *
+ * Failure signatures are frequency rules on those features: every condition must hold,
+ * comparing the current mean of a feature with its baseline mean (ratio) or with an
+ * absolute level (above / below).
+ */
+
+// Frequency bands in Hz [low, high); bands above the Nyquist frequency are skipped
+export const DEFAULT_VIBRATION_BANDS = {
+  low: [2, 200],
+  mid: [200, 1000],
+  high: [1000, 5000]
+};
+
+export const DEFAULT_FAILURE_SIGNATURES = [
+  {
+    mode: 'imbalance',
+    description: 'Rising amplitude at 1x running speed',
+    conditions: [{ feature: 'order:1', ratio: 2 }]
+  },
+  {
+    mode: 'misalignment',
+    description: 'Rising amplitude at 2x running speed',
+    conditions: [{ feature: 'order:2', ratio: 2 }]
+  },
+  {
+    mode: 'bearing_wear',
+    description: 'Impacting with rising high-frequency energy',
+    conditions: [
+      { feature: 'kurtosis', above: 4 },
+      { feature: 'band:high', ratio: 2 }
+    ]
+  }
+];
+
+/**
+ * Helper: In-place iterative radix-2 FFT (length must be a power of two)
+ */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+export class SpectralAnalyzer {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.bands] - { name: [lowHz, highHz] } (default DEFAULT_VIBRATION_BANDS)
+   * @param {Array<number>} [options.orders] - Orders of running speed to track (default 1, 2, 3)
+   * @param {number} [options.tolerance] - Relative search width around a tracked frequency (default 0.02)
+   * @param {Array<Object>} [options.signatures] - Failure signatures (default DEFAULT_FAILURE_SIGNATURES)
+   */
+  constructor(options = {}) {
+    this.bands = options.bands || DEFAULT_VIBRATION_BANDS;
+    this.tolerance = options.tolerance ?? 0.02;
+    this.signatures = options.signatures || DEFAULT_FAILURE_SIGNATURES;
+
+    // Orders and frequencies named by signatures are tracked as well
+    const named = prefix =>
+      this.signatures
+        .flatMap(signature => signature.conditions)
+        .filter(condition => condition.feature.startsWith(prefix))
+        .map(condition => Number(condition.feature.slice(prefix.length)));
+    this.orders = [...new Set([...(options.orders || [1, 2, 3]), ...named('order:')])];
+    this.frequencies = [...new Set(named('frequency:'))];
+  }
+
+  /**
+   * One-sided spectrum of a waveform (mean removed, Hann window, zero-padded to a power of two)
+   * amplitudes are peak amplitudes of sinusoids; power sums to the signal's mean square
+   *
+   * @returns {{frequencies: number[], amplitudes: number[], power: number[], resolution: number}}
+   */
+  spectrum(samples, sampleRate) {
+    const length = samples.length;
+    const size = 2 ** Math.ceil(Math.log2(Math.max(2, length)));
+    const mean = samples.reduce((sum, value) => sum + value, 0) / length;
+
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    let coherentGain = 0;
+    let energyGain = 0;
+    for (let i = 0; i < length; i++) {
+      const weight = length > 1 ? 0.5 * (1 - Math.cos((2 * Math.PI * i) / (length - 1))) : 1;
+      re[i] = (samples[i] - mean) * weight;
+      coherentGain += weight / length;
+      energyGain += (weight * weight) / length;
+    }
+    fft(re, im);
+
+    const frequencies = [];
+    const amplitudes = [];
+    const power = [];
+    for (let k = 0; k <= size / 2; k++) {
+      const squared = re[k] * re[k] + im[k] * im[k];
+      const sides = k === 0 || k === size / 2 ? 1 : 2;
+      frequencies.push((k * sampleRate) / size);
+      amplitudes.push((sides * Math.sqrt(squared)) / (length * coherentGain));
+      power.push((sides * squared) / (size * length * energyGain));
+    }
+
+    return { frequencies, amplitudes, power, resolution: sampleRate / size };
+  }
+
+  /**
+   * Feature vector of a waveform
+   *
+   * @param {{samples: number[], sampleRate: number, rpm?: number}} waveform - Vibration capture
+   * @returns {Object} { feature: value }
+   */
+  features(waveform) {
+    const { samples, sampleRate, rpm } = waveform;
+    if (!Array.isArray(samples) || samples.length < 2 || !(sampleRate > 0)) {
+      throw new Error('Waveform needs a samples array (2 or more values) and a positive sampleRate');
+    }
+
+    const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    let squares = 0;
+    let fourth = 0;
+    let peak = 0;
+    for (const value of samples) {
+      const centered = value - mean;
+      squares += centered * centered;
+      fourth += centered ** 4;
+      peak = Math.max(peak, Math.abs(centered));
+    }
+    const rms = Math.sqrt(squares / samples.length);
+
+    const features = {
+      rms,
+      peak,
+      crestFactor: rms > 0 ? peak / rms : 0,
+      kurtosis: rms > 0 ? fourth / samples.length / rms ** 4 : 0
+    };
+
+    const spectrum = this.spectrum(samples, sampleRate);
+    const nyquist = sampleRate / 2;
+    for (const [name, [low, high]] of Object.entries(this.bands)) {
+      if (low >= nyquist) {
+        continue;
+      }
+      features[`band:${name}`] = spectrum.power.reduce(
+        (sum, value, k) => (spectrum.frequencies[k] >= low && spectrum.frequencies[k] < high ? sum + value : sum),
+        0
+      );
+    }
+
+    if (rpm > 0) {
+      for (const order of this.orders) {
+        features[`order:${order}`] = this._amplitudeAt(spectrum, (order * rpm) / 60);
+      }
+    }
+    for (const frequency of this.frequencies) {
+      features[`frequency:${frequency}`] = this._amplitudeAt(spectrum, frequency);
+    }
+
+    let dominant = 1;
+    for (let k = 2; k < spectrum.amplitudes.length; k++) {
+      if (spectrum.amplitudes[k] > spectrum.amplitudes[dominant]) {
+        dominant = k;
+      }
+    }
+    features.dominantFrequency = spectrum.frequencies[dominant] ?? 0;
+
+    return features;
+  }
+
+  /**
+   * Failure signatures whose conditions all hold
+   *
+   * @param {Object} current - Current mean of each feature
+   * @param {Object} baseline - Baseline mean of each feature
+   * @returns {Array<Object>} [{ mode, description, confidence, conditions }], most confident first;
+   *   confidence is the average margin by which the conditions are exceeded
+   */
+  matchSignatures(current, baseline) {
+    const matches = [];
+
+    for (const signature of this.signatures) {
+      const conditions = signature.conditions.map(condition => this._checkCondition(condition, current, baseline));
+      if (conditions.length > 0 && conditions.every(condition => condition.passed)) {
+        const margin = conditions.reduce((sum, condition) => sum + condition.margin, 0) / conditions.length;
+        matches.push({
+          mode: signature.mode,
+          description: signature.description || null,
+          confidence: margin,
+          conditions
+        });
+      }
+    }
+
+    return matches.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Helper: Evaluate one signature condition; margin in [0, 1) grows with the excess
+   */
+  _checkCondition(condition, current, baseline) {
+    const value = current[condition.feature];
+    const reference = baseline[condition.feature];
+    const result = { ...condition, value: value ?? null, baseline: reference ?? null, passed: false, margin: 0 };
+    if (value === undefined) {
+      return result;
+    }
+
+    const margins = [];
+    if (condition.ratio !== undefined) {
+      const ratio = reference > 0 ? value / reference : Infinity;
+      result.observedRatio = ratio;
+      margins.push(ratio >= condition.ratio ? 1 - condition.ratio / ratio : -1);
+    }
+    if (condition.above !== undefined) {
+      margins.push(value >= condition.above ? 1 - condition.above / value : -1);
+    }
+    if (condition.below !== undefined) {
+      margins.push(value <= condition.below ? 1 - value / condition.below : -1);
+    }
+
+    result.passed = margins.length > 0 && margins.every(margin => margin >= 0);
+    result.margin = result.passed ? Math.min(...margins) : 0;
+    return result;
+  }
+
+  /**
+   * Helper: Largest amplitude within the tolerance of a frequency (at least one bin either side)
+   */
+  _amplitudeAt(spectrum, frequency) {
+    const width = Math.max(spectrum.resolution, this.tolerance * frequency);
+    let amplitude = 0;
+    for (let k = 0; k < spectrum.frequencies.length; k++) {
+      if (Math.abs(spectrum.frequencies[k] - frequency) <= width) {
+        amplitude = Math.max(amplitude, spectrum.amplitudes[k]);
+      }
+    }
+    return amplitude;
+  }
+}
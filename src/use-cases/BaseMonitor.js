@@ -88,6 +88,9 @@ export class BaseMonitor extends DriftEngine {
     monitor.reflexion = new ReflexionMemory(monitor.db, monitor.embedder);
     monitor.skills = new SkillLibrary(monitor.db, monitor.embedder);
 
+    // Restore the latest persisted baseline of every stream
+    monitor.loadBaselines();
+
     monitor.logger.info({ industry: monitor.industry }, 'Monitor initialized with AgentDB');
 
     return monitor;
@@ -134,6 +137,30 @@ export class BaseMonitor extends DriftEngine {
     return StatisticsUtil.calculateTrend(data, timestamps);
   }
 
+  /**
+   * Run multivariate drift detection on the named features that have a baseline
+   * Returns null when no multivariate baseline covers the supplied features
+   *
+   * @param {Object} featureTable - Object of arrays keyed by feature name
+   * @param {string[]} featureNames - Features to consider
+   * @returns {Promise<Object|null>} detectMultivariateDrift() result
+   */
+  async _detectFeatureTableDrift(featureTable, featureNames) {
+    if (!this.multivariateBaseline || !featureTable) {
+      return null;
+    }
+
+    const features = featureNames.filter(
+      name => Array.isArray(featureTable[name]) && this.multivariateBaseline.features[name]
+    );
+    if (features.length === 0) {
+      return null;
+    }
+
+    const table = Object.fromEntries(features.map(name => [name, featureTable[name]]));
+    return this.detectMultivariateDrift(table);
+  }
+
   /**
    * Assess impact severity using shared utility
    *
@@ -9,10 +9,56 @@
  *
  * Based on research: PSI (Population Stability Index) is industry standard
  * for credit risk modeling drift detection.
+ *
+ * Each model compares against its own named baseline when one is set
+ * (setBaseline('credit_scoring' | 'fraud_detection' | 'portfolio_risk', data)),
+ * otherwise against the shared default baseline.
+ *
+ * Monitor results carry a batchId when options.batchId is given or the model has a
+ * performance baseline (setPerformanceBaseline()); attachLabels(batchId, outcomes) later scores
+ * performance drift with model-specific metrics (AUC, calibration and default rate for
+ * credit; precision and recall for fraud).
+ *
+ * Passing predictionIds to a monitor call also logs each score (with its applicant or
+ * transaction features) for delayed labels: ingestLabels() joins defaults and chargebacks
+ * as they arrive and backfillPerformanceDrift() writes matured-cohort results to the audit log.
+ *
+ * setFeatureBaseline(applicantFeatures, scores) enables credit drift attribution: each
+ * applicant feature is drift-tested against its baseline, and a linear surrogate of
+ * score on the numeric features splits the score mean shift into per-feature
+ * contributions, so featureDrifts lists the drivers of a score shift first.
+ *
+ * Macroeconomic series (addEconomicIndicators() / loadEconomicIndicators()) feed credit
+ * risk: each check compares indicator values with those predictionWindow days earlier.
+ * Rates are fractions (0.0525 = 5.25%); CPI is read as an index level.
  */
 
-import { DriftEngine } from '../core/DriftEngine.js';
+import { DriftEngine, DEFAULT_STREAM } from '../core/DriftEngine.js';
 import { createDatabase, EmbeddingService, ReflexionMemory, SkillLibrary } from 'agentdb';
+import { StatisticsUtil } from '../utils/StatisticsUtil.js';
+import { EconomicIndicators } from '../utils/EconomicIndicators.js';
+
+// Performance metrics compared by attachLabels(), by model type (positiveRate = default or fraud rate)
+const PERFORMANCE_METRICS_BY_MODEL = {
+  credit_scoring: ['auc', 'accuracy', 'calibrationError', 'positiveRate'],
+  fraud_detection: ['precision', 'recall', 'auc', 'positiveRate'],
+  portfolio_risk: ['accuracy', 'calibrationError']
+};
+
+// Indicator moves over the prediction window that raise credit risk
+// (rate moves either way, rising unemployment, falling GDP growth, CPI inflation)
+const ECONOMIC_STRESS_RULES = {
+  interestRate: factor => Math.abs(factor.change) > 0.005,
+  unemploymentRate: factor => factor.change > 0.005,
+  gdpGrowth: factor => factor.change < -0.005,
+  cpi: factor => factor.relativeChange > 0.01
+};
+
+// Days until outcomes are known: defaults surface after 90 days, chargebacks within 60
+const LABEL_MATURITY_DAYS = {
+  credit_scoring: 90,
+  fraud_detection: 60
+};
 
 export class FinancialDriftMonitor extends DriftEngine {
   constructor(config = {}, dependencies = null) {
@@ -31,7 +77,9 @@ export class FinancialDriftMonitor extends DriftEngine {
     this.industry = 'financial';
     this.modelType = config.modelType || 'credit_scoring';
     this.features = config.features || [];
-    this.economicIndicators = [];
+    this.economicIndicators = new EconomicIndicators();
+    this.scoreSurrogate = null;
+    this.customPerformanceMetrics = Boolean(config.performanceMetrics);
 
     // Financial-specific tracking
     this.monitoringStats = {
@@ -81,28 +129,93 @@ export class FinancialDriftMonitor extends DriftEngine {
     monitor.reflexion = new ReflexionMemory(monitor.db, monitor.embedder);
     monitor.skills = new SkillLibrary(monitor.db, monitor.embedder);
 
+    // Restore the latest persisted baseline of every stream
+    monitor.loadBaselines();
+
     console.log('✅ Using sql.js (WASM SQLite, no build tools required)');
 
     return monitor;
   }
 
+  /**
+   * Set the applicant feature baseline for credit score drift attribution
+   * Features are named columns (or rows) aligned with the baseline scores; without
+   * scores, features are still drift-tested but the score shift is not attributed.
+   * The features become the monitor's multivariate baseline, replacing any set with
+   * setMultivariateBaseline() (the two share one baseline).
+   */
+  async setFeatureBaseline(applicantFeatures, baselineScores = null, metadata = {}) {
+    const baseline = await this.setMultivariateBaseline(applicantFeatures, metadata);
+    this.scoreSurrogate = null;
+
+    if (baselineScores) {
+      const columns = this._normalizeTable(applicantFeatures, 'Baseline', name => baseline.features[name].type);
+      const featureNames = baseline.featureNames.filter(name => baseline.features[name].type === 'numeric');
+      if (featureNames.some(name => columns[name].length !== baselineScores.length)) {
+        throw new Error('Baseline scores must have one entry per applicant feature row');
+      }
+
+      // Surrogate on standardized features: coefficients are score change per baseline std
+      const rows = baselineScores.map((_, i) =>
+        featureNames.map(name => {
+          const { mean, std } = baseline.features[name].statistics;
+          return (columns[name][i] - mean) / (std || 1);
+        })
+      );
+      this.scoreSurrogate = {
+        featureNames,
+        ...StatisticsUtil.fitLinearRegression(rows, baselineScores),
+        scoreMean: StatisticsUtil.calculateMean(baselineScores)
+      };
+    }
+
+    return baseline;
+  }
+
+  /**
+   * Add time-stamped economic indicator observations
+   * Accepts [{ indicator, date | timestamp, value }] or { indicator: [{ date | timestamp, value }] }
+   *
+   * @returns {number} Number of observations added
+   */
+  addEconomicIndicators(records) {
+    return this.economicIndicators.add(records);
+  }
+
+  /**
+   * Load economic indicators from a JSON file or a long/wide CSV file
+   *
+   * @returns {Promise<number>} Number of observations added
+   */
+  async loadEconomicIndicators(filePath) {
+    return this.economicIndicators.load(filePath);
+  }
+
   /**
    * Monitor credit scoring model drift
    * Detects when economic conditions change default risk relationships
    */
-  async monitorCreditScoring(currentScores, applicantFeatures = null) {
+  async monitorCreditScoring(currentScores, applicantFeatures = null, options = {}) {
+    // Reject unusable input before any check is counted or recorded
+    this._validatePredictionIds(currentScores, options);
+    const features = this._featureColumns(applicantFeatures, 'Applicant');
+
     this.monitoringStats.creditScoringChecks++;
 
     // Detect drift in credit scores
-    const scoreDrift = await this.detectDrift(currentScores, {
-      context: 'credit_scoring'
+    const scoreDrift = await this.detectDrift(this._resolveStream('credit_scoring'), currentScores, {
+      context: 'credit_scoring',
+      batchId: options.batchId
     });
 
-    // Analyze feature drift
-    const featureDrifts = await this._analyzeFeatureDrift(applicantFeatures);
+    this._logMonitoredPredictions('credit_scoring', scoreDrift, currentScores, features, options);
 
-    // Check for economic indicators
-    const economicFactors = this._checkEconomicFactors();
+    // Analyze feature drift and attribute the score shift to features
+    const featureAttribution = this._attributeScoreShift(currentScores, features);
+    const featureDrifts = await this._analyzeFeatureDrift(features, featureAttribution);
+
+    // Economic indicator moves over the prediction window ending at this batch
+    const economicFactors = this._checkEconomicFactors(options.timestamp ?? scoreDrift.timestamp);
 
     // Calculate overall risk
     const overallRisk = this._calculateOverallRisk(scoreDrift, featureDrifts, economicFactors);
@@ -110,10 +223,17 @@ export class FinancialDriftMonitor extends DriftEngine {
     const result = {
       timestamp: Date.now(),
       modelType: 'credit_scoring',
+      batchId: scoreDrift.batchId,
       isDrift: scoreDrift.isDrift,
       severity: scoreDrift.severity,
       scoreDrift: scoreDrift,
       featureDrifts: featureDrifts,
+      featureAttribution: featureAttribution && {
+        method: featureAttribution.method,
+        rSquared: featureAttribution.rSquared,
+        scoreShift: featureAttribution.scoreShift,
+        explainedShift: featureAttribution.explainedShift
+      },
       economicFactors: economicFactors,
       overallRisk: overallRisk,
       recommendation: this._generateCreditRecommendation(scoreDrift, overallRisk),
@@ -139,22 +259,29 @@ export class FinancialDriftMonitor extends DriftEngine {
    * Monitor fraud detection model drift
    * Critical for adapting to new fraud tactics
    */
-  async monitorFraudDetection(currentFraudScores, transactionPatterns = null) {
+  async monitorFraudDetection(currentFraudScores, transactionPatterns = null, options = {}) {
+    this._validatePredictionIds(currentFraudScores, options);
+    const patterns = this._featureColumns(transactionPatterns, 'Transaction');
+
     this.monitoringStats.fraudDetectionChecks++;
 
-    const fraudDrift = await this.detectDrift(currentFraudScores, {
-      context: 'fraud_detection'
+    const stream = this._resolveStream('fraud_detection');
+    const fraudDrift = await this.detectDrift(stream, currentFraudScores, {
+      context: 'fraud_detection',
+      batchId: options.batchId
     });
 
+    this._logMonitoredPredictions('fraud_detection', fraudDrift, currentFraudScores, patterns, options);
+
     // Calculate fraud rate change
-    const baselineMean = this.baselineDistribution.statistics.mean;
+    const baselineMean = this.getBaseline(stream).statistics.mean;
     const currentMean = this._calculateStatistics(currentFraudScores).mean;
     const fraudRateChange = ((currentMean - baselineMean) / baselineMean) * 100;
 
     // Analyze transaction pattern shifts
     let patternShifts = {};
-    if (transactionPatterns) {
-      patternShifts = this._analyzeTransactionPatterns(transactionPatterns);
+    if (patterns) {
+      patternShifts = this._analyzeTransactionPatterns(patterns);
     }
 
     // Determine if immediate action is required
@@ -163,6 +290,7 @@ export class FinancialDriftMonitor extends DriftEngine {
     const result = {
       timestamp: Date.now(),
       modelType: 'fraud_detection',
+      batchId: fraudDrift.batchId,
       isDrift: fraudDrift.isDrift,
       severity: fraudDrift.severity,
       fraudDrift: fraudDrift,
@@ -193,11 +321,12 @@ export class FinancialDriftMonitor extends DriftEngine {
   /**
    * Monitor portfolio risk distribution
    */
-  async monitorPortfolioRisk(currentRisk, sectorExposure = null) {
+  async monitorPortfolioRisk(currentRisk, sectorExposure = null, options = {}) {
     this.monitoringStats.portfolioRiskChecks++;
 
-    const riskDrift = await this.detectDrift(currentRisk, {
-      context: 'portfolio_risk'
+    const riskDrift = await this.detectDrift(this._resolveStream('portfolio_risk'), currentRisk, {
+      context: 'portfolio_risk',
+      batchId: options.batchId
     });
 
     // Calculate concentration risk
@@ -212,6 +341,7 @@ export class FinancialDriftMonitor extends DriftEngine {
     const result = {
       timestamp: Date.now(),
       modelType: 'portfolio_risk',
+      batchId: riskDrift.batchId,
       isDrift: riskDrift.isDrift,
       severity: riskDrift.severity,
       riskDrift: riskDrift,
@@ -238,14 +368,14 @@ export class FinancialDriftMonitor extends DriftEngine {
    */
   generateComplianceReport() {
     const now = Date.now();
-    const stats = this.getStats();
+    const stats = this.getCombinedStats();
 
     return {
       timestamp: now,
       reportPeriod: {
-        start: this.stats.startTime,
+        start: stats.startTime,
         end: now,
-        durationHours: (now - this.stats.startTime) / 1000 / 3600
+        durationHours: (now - stats.startTime) / 1000 / 3600
       },
       checksPerformed: {
         total: stats.totalChecks,
@@ -265,6 +395,35 @@ export class FinancialDriftMonitor extends DriftEngine {
     };
   }
 
+  /**
+   * Score performance drift for prediction cohorts whose labels have matured
+   * (90 days for credit, 60 for fraud) and record each result in the audit log
+   * Cohorts are evaluated once; options pass through to evaluateMaturedCohorts()
+   */
+  async backfillPerformanceDrift(options = {}) {
+    const backfilled = [];
+
+    for (const [modelType, maturityDays] of Object.entries(LABEL_MATURITY_DAYS)) {
+      const stream = this.getPerformanceBaseline(modelType) ? modelType : DEFAULT_STREAM;
+      if (!this.getPerformanceBaseline(stream)) {
+        continue;
+      }
+
+      const results = await this.evaluateMaturedCohorts(modelType, { maturityDays, ...options, stream });
+      for (const result of results) {
+        const regulatoryAlert = result.severity === 'critical';
+        if (regulatoryAlert) {
+          this.monitoringStats.regulatoryAlerts++;
+        }
+
+        this._addToAuditLog({ ...result, modelType, backfilled: true, regulatoryAlert });
+        backfilled.push(result);
+      }
+    }
+
+    return backfilled;
+  }
+
   /**
    * Get audit log for regulatory review
    */
@@ -274,9 +433,10 @@ export class FinancialDriftMonitor extends DriftEngine {
 
   /**
    * Get enhanced statistics with financial-specific metrics
+   * Covers every model stream unless a stream name is given
    */
-  getStats() {
-    const baseStats = super.getStats();
+  getStats(stream = null) {
+    const baseStats = stream ? super.getStats(stream) : this.getCombinedStats();
 
     return {
       ...baseStats,
@@ -287,31 +447,173 @@ export class FinancialDriftMonitor extends DriftEngine {
 
   // ==================== HELPER METHODS ====================
 
-  async _analyzeFeatureDrift(features) {
+  _resolveStream(modelType) {
+    // Model-specific baseline if one was set, shared default baseline otherwise
+    return this.hasBaseline(modelType) ? modelType : DEFAULT_STREAM;
+  }
+
+  _validatePredictionIds(scores, options) {
+    if (options.predictionIds && options.predictionIds.length !== scores?.length) {
+      throw new Error('predictionIds must have one entry per score');
+    }
+  }
+
+  _featureColumns(table, label) {
+    // Row tables become columns so every consumer reads { feature: values[] }
+    return Array.isArray(table) ? this._normalizeTable(table, label) : table;
+  }
+
+  _logMonitoredPredictions(modelType, drift, scores, featureTable, options) {
+    if (!options.predictionIds) {
+      return;
+    }
+
+    // Per-row features come from the columns aligned with the scores
+    const columns = Object.entries(featureTable || {}).filter(
+      ([, values]) => Array.isArray(values) && values.length === scores.length
+    );
+    const timestamp = options.timestamp ?? drift.timestamp;
+
+    this.logPredictions(
+      scores.map((score, i) => ({
+        predictionId: options.predictionIds[i],
+        model: modelType,
+        stream: drift.stream,
+        batchId: drift.batchId,
+        score: score,
+        timestamp: timestamp,
+        features: columns.length > 0 ? Object.fromEntries(columns.map(([name, values]) => [name, values[i]])) : null
+      }))
+    );
+  }
+
+  _performanceMetricNames(batch) {
+    // An explicit config.performanceMetrics applies to every model
+    if (this.customPerformanceMetrics) {
+      return this.config.performanceMetrics;
+    }
+    return PERFORMANCE_METRICS_BY_MODEL[batch.context] || this.config.performanceMetrics;
+  }
+
+  _attributeScoreShift(scores, features) {
+    const surrogate = this.scoreSurrogate;
+    if (!surrogate || !features) {
+      return null;
+    }
+
+    // Contribution = coefficient × feature mean shift (baseline std units); features
+    // missing from the current batch are taken as unchanged
+    const contributions = {};
+    surrogate.featureNames.forEach((name, j) => {
+      if (Array.isArray(features[name]) && features[name].length > 0) {
+        const { mean, std } = this.multivariateBaseline.features[name].statistics;
+        contributions[name] =
+          (surrogate.coefficients[j] * (StatisticsUtil.calculateMean(features[name]) - mean)) / (std || 1);
+      }
+    });
+
+    return {
+      method: 'linear_surrogate',
+      rSquared: surrogate.rSquared,
+      scoreShift: StatisticsUtil.calculateMean(scores) - surrogate.scoreMean,
+      explainedShift: Object.values(contributions).reduce((sum, value) => sum + value, 0),
+      contributions
+    };
+  }
+
+  async _analyzeFeatureDrift(features, attribution = null) {
     if (!features) {
       return {};
     }
 
-    const drifts = {};
-
+    const drifts = [];
+    const tested = {};
     for (const [featureName, values] of Object.entries(features)) {
-      // Simple drift check on feature values
-      const mean = values.reduce((a, b) => a + b, 0) / values.length;
-      drifts[featureName] = {
-        mean: mean,
-        drift: 'stable' // Simplified for testing
+      if (!Array.isArray(values)) {
+        throw new Error(`Applicant feature ${featureName} must be an array`);
+      }
+      const distribution = this.multivariateBaseline?.features[featureName];
+      const numeric = values.every(value => typeof value === 'number');
+      const entry = {
+        feature: featureName,
+        mean: numeric ? StatisticsUtil.calculateMean(values) : null,
+        drift: 'untested',
+        isDrift: false,
+        contribution: null,
+        share: null
       };
+
+      if (distribution) {
+        this._validateValues(values, distribution.type, ` in applicant feature ${featureName}`);
+        const featureDrift = await this._scoreDistribution(distribution, values);
+        for (const [method, methodEntry] of Object.entries(featureDrift.methods)) {
+          tested[`${featureName}.${method}`] = methodEntry;
+        }
+        const pValues = Object.values(featureDrift.methods)
+          .map(method => method.pValue)
+          .filter(pValue => typeof pValue === 'number');
+
+        // Effect size: standardized mean difference, or Cramér's V for categories
+        const { mean, std } = distribution.statistics || {};
+        const effectSize =
+          distribution.type === 'categorical' ? featureDrift.scores.cramersV : (entry.mean - mean) / (std || 1);
+        Object.assign(entry, {
+          baselineMean: distribution.type === 'categorical' ? null : mean,
+          drift: featureDrift.isDrift ? 'drifting' : 'stable',
+          isDrift: featureDrift.isDrift,
+          severity: featureDrift.severity,
+          score: featureDrift.averageScore,
+          pValue: pValues.length > 0 ? Math.min(...pValues) : null,
+          effectSize,
+          contribution: attribution?.contributions[featureName] ?? null,
+          methods: featureDrift.methods
+        });
+      }
+      drifts.push(entry);
     }
 
-    return drifts;
+    // One correction over every feature × method p-value, so more features do not mean
+    // more false drivers; a drifting score only counts when it is significant after it
+    this._correctPValues(tested);
+    for (const entry of drifts.filter(drift => drift.methods)) {
+      const corrected = Object.values(entry.methods).filter(method => typeof method.adjustedPValue === 'number');
+      if (corrected.length > 0) {
+        entry.adjustedPValue = Math.min(...corrected.map(method => method.adjustedPValue));
+        entry.significant = corrected.some(method => method.significant);
+        entry.isDrift = entry.isDrift && entry.significant;
+        entry.drift = entry.isDrift ? 'drifting' : 'stable';
+      }
+      delete entry.methods;
+    }
+
+    // Drivers first: largest share of the score shift, then (unattributed) largest drift score
+    const attributed = drifts.filter(entry => entry.contribution !== null);
+    const totalContribution = attributed.reduce((sum, entry) => sum + Math.abs(entry.contribution), 0);
+    for (const entry of attributed) {
+      entry.share = totalContribution > 0 ? Math.abs(entry.contribution) / totalContribution : 0;
+    }
+    drifts.sort((a, b) => (b.share ?? -1) - (a.share ?? -1) || (b.score ?? 0) - (a.score ?? 0));
+
+    return Object.fromEntries(drifts.map(({ feature, ...entry }, i) => [feature, { ...entry, rank: i + 1 }]));
   }
 
-  _checkEconomicFactors() {
-    // Simulated economic factor assessment
+  _checkEconomicFactors(asOf = Date.now()) {
+    const windowMs = this.config.predictionWindow * 24 * 60 * 60 * 1000;
+    const indicators = this.economicIndicators.snapshot(asOf, windowMs);
+    const stressedIndicators = Object.keys(ECONOMIC_STRESS_RULES).filter(
+      name => typeof indicators[name]?.change === 'number' && ECONOMIC_STRESS_RULES[name](indicators[name])
+    );
+
     return {
-      interestRateChange: Math.random() * 0.02 - 0.01, // ±1%
-      unemploymentRate: 0.04,
-      gdpGrowth: 0.02
+      asOf: asOf,
+      windowDays: this.config.predictionWindow,
+      interestRateChange: indicators.interestRate?.change ?? null,
+      unemploymentRate: indicators.unemploymentRate?.value ?? null,
+      unemploymentChange: indicators.unemploymentRate?.change ?? null,
+      gdpGrowth: indicators.gdpGrowth?.value ?? null,
+      inflation: indicators.cpi?.relativeChange ?? null,
+      stressedIndicators: stressedIndicators,
+      indicators: indicators
     };
   }
 
@@ -330,16 +632,16 @@ export class FinancialDriftMonitor extends DriftEngine {
     }
 
     // Feature drift contribution
-    const featureCount = Object.keys(featureDrifts).length;
-    if (featureCount > 3) {
+    const driftingFeatures = Object.values(featureDrifts).filter(drift => drift.isDrift).length;
+    if (driftingFeatures > 3) {
       riskScore += 1;
-    }
-
-    // Economic factors (simplified)
-    if (Math.abs(economicFactors.interestRateChange) > 0.005) {
+    } else if (driftingFeatures > 0) {
       riskScore += 0.5;
     }
 
+    // Economic stress: half a point per stressed indicator, at most one point
+    riskScore += Math.min(1, 0.5 * economicFactors.stressedIndicators.length);
+
     // Map to risk levels
     if (riskScore >= 3.5) {
       return 'critical';
@@ -431,9 +733,11 @@ export class FinancialDriftMonitor extends DriftEngine {
   _groupDriftsBySeverity() {
     const groups = { none: 0, low: 0, medium: 0, high: 0, critical: 0 };
 
-    for (const event of this.history) {
-      if (groups[event.severity] !== undefined) {
-        groups[event.severity]++;
+    for (const context of this.contexts.values()) {
+      for (const event of context.history) {
+        if (groups[event.severity] !== undefined) {
+          groups[event.severity]++;
+        }
       }
     }
 
@@ -441,17 +745,19 @@ export class FinancialDriftMonitor extends DriftEngine {
   }
 
   _calculateFalsePositiveRate() {
-    if (this.stats.totalChecks === 0) {
+    const { totalChecks } = this.getCombinedStats();
+    if (totalChecks === 0) {
       return '0%';
     }
 
     // Simplified calculation
-    const rate = (this.monitoringStats.falsePositives / this.stats.totalChecks) * 100;
+    const rate = (this.monitoringStats.falsePositives / totalChecks) * 100;
     return `${rate.toFixed(1)}%`;
   }
 
   _assessComplianceStatus() {
-    const alertRate = this.stats.totalChecks > 0 ? this.monitoringStats.regulatoryAlerts / this.stats.totalChecks : 0;
+    const { totalChecks } = this.getCombinedStats();
+    const alertRate = totalChecks > 0 ? this.monitoringStats.regulatoryAlerts / totalChecks : 0;
 
     if (alertRate > 0.1) {
       return 'CRITICAL';
@@ -469,7 +775,8 @@ export class FinancialDriftMonitor extends DriftEngine {
       recommendations.push('Increase monitoring frequency for high-risk models');
     }
 
-    if (this.stats.driftDetected > this.stats.totalChecks * 0.3) {
+    const { totalChecks, driftDetected } = this.getCombinedStats();
+    if (driftDetected > totalChecks * 0.3) {
       recommendations.push('Review model retraining schedule, drift rate exceeds 30%');
     }
 
@@ -9,9 +9,63 @@
  *
  * Research shows: Drift in healthcare can lead to incorrect diagnoses
  * or treatment recommendations, potentially affecting patient outcomes.
+ *
+ * Diagnostic fairness: monitorDiagnosticSystem() slices scores by per-patient demographic
+ * columns (age or ageBand, sex, ethnicity, payer, site, ...) and reports per-group drift
+ * and performance, plus demographic parity, equalized odds (with labels) and
+ * calibration-by-group gaps. Groups below minGroupSize are reported but left out of gaps.
+ *
+ * Treatment protocols: setTreatmentBaseline() records the formulary (medications,
+ * procedures, protocols) and per-medication dosages; monitorTreatmentRecommendations()
+ * reports new and discontinued items, treatment mix shifts and dosage drift against it.
+ * Guideline-change events (addGuidelineEvents() / loadGuidelineEvents()) drive practiceEvolution.
+ *
+ * Clinical parameters (lab_results, vital_signs, medications) are analyzed per series:
+ * drift against setClinicalBaseline(), time trend, and the rate of values outside their
+ * reference range (config.referenceRanges, defaulting to common adult ranges). Series
+ * with significant changes raise the patient safety risk.
+ *
+ * Surveillance mode: setSurveillanceBaseline() fits a seasonal (Serfling-style) expected
+ * level per region from weekly history; monitorDiseasePrevalence() then flags regions whose
+ * prevalence exceeds the upper prediction limit for the week as outbreaks.
  */
 
+import { readFile } from 'fs/promises';
 import { BaseMonitor } from './BaseMonitor.js';
+import { StatisticsUtil } from '../utils/StatisticsUtil.js';
+import { SeasonalBaseline } from '../utils/SeasonalBaseline.js';
+
+// Lower bounds of the age bands used when demographics carry raw ages
+const DEFAULT_AGE_BANDS = [18, 31, 51, 71];
+
+// Clinical parameter groups analyzed by monitorPatientOutcomes()
+const CLINICAL_PARAMETERS = ['lab_results', 'vital_signs', 'medications'];
+
+// Adult reference ranges [low, high] by series name
+const DEFAULT_REFERENCE_RANGES = {
+  heart_rate: [60, 100],
+  systolic_bp: [90, 140],
+  diastolic_bp: [60, 90],
+  respiratory_rate: [12, 20],
+  temperature: [36.1, 37.8],
+  spo2: [95, 100],
+  glucose: [70, 140],
+  sodium: [135, 145],
+  potassium: [3.5, 5.1],
+  creatinine: [0.6, 1.3],
+  hemoglobin: [12, 17.5]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Region of surveillance records and prevalence batches that name none
+const OVERALL_REGION = 'overall';
+
+// Per-treatment categorical columns compared with the baseline formulary
+const TREATMENT_FIELDS = ['medications', 'procedures', 'protocols'];
+
+// A baseline item only counts as discontinued when this many uses were expected
+const MIN_EXPECTED_USES = 5;
 
 export class HealthcareDriftMonitor extends BaseMonitor {
   constructor(config = {}, dependencies = null) {
@@ -27,6 +81,13 @@ export class HealthcareDriftMonitor extends BaseMonitor {
     super(healthcareConfig, dependencies);
 
     this.patientPopulation = config.patientPopulation || 'general';
+    this.minGroupSize = config.minGroupSize || 30; // Smallest demographic group included in fairness gaps
+    this.ageBands = config.ageBands || DEFAULT_AGE_BANDS;
+    this.treatmentBaseline = null;
+    this.guidelineEvents = [];
+    this.surveillance = null;
+    this.clinicalBaseline = null;
+    this.referenceRanges = { ...DEFAULT_REFERENCE_RANGES, ...config.referenceRanges };
 
     // Healthcare-specific tracking is handled by BaseMonitor
     // episodeMemory, skillMemory, alerts are CircularBuffers from BaseMonitor
@@ -86,7 +147,7 @@ export class HealthcareDriftMonitor extends BaseMonitor {
       demographicDrift: demographicDrift,
       clinicalDrift: clinicalDrift,
       prediction: prediction,
-      patientSafetyRisk: this._assessPatientSafetyRisk(outcomeDrift, demographicDrift),
+      patientSafetyRisk: this._assessPatientSafetyRisk(outcomeDrift, demographicDrift, clinicalDrift),
       recommendations: []
     };
 
@@ -118,17 +179,43 @@ export class HealthcareDriftMonitor extends BaseMonitor {
     return result;
   }
 
+  /**
+   * Set the clinical parameter baseline
+   * Each of lab_results, vital_signs and medications is an array of values or an object of
+   * named series ({ creatinine: [...] }); a series may also be { values, timestamps }
+   */
+  setClinicalBaseline(patientFeatures) {
+    const series = {};
+    for (const { key, name, values } of this._clinicalSeries(patientFeatures)) {
+      series[key] = {
+        distribution: this._buildDistribution(values),
+        excursionRate: this._excursions(name, values)?.rate ?? null
+      };
+    }
+
+    this.clinicalBaseline = { series, timestamp: Date.now() };
+    this._logAudit({ type: 'clinical_baseline', series: Object.keys(series) });
+
+    return this.clinicalBaseline;
+  }
+
   /**
    * Monitor diagnostic system performance across populations
+   * patientDemographics holds one value per score for each attribute; options.labels
+   * (0/1 per score, null when unknown) adds per-group performance and equalized odds
    */
-  async monitorDiagnosticSystem(diagnosticScores, patientDemographics) {
+  async monitorDiagnosticSystem(diagnosticScores, patientDemographics, options = {}) {
     console.log('\n🔬 Healthcare - Diagnostic System Drift Monitor');
     console.log('='.repeat(60));
 
     const diagnosticDrift = await this.detectDrift(diagnosticScores);
 
     // Check for population-specific performance degradation
-    const populationDrift = await this._analyzePopulationPerformance(diagnosticScores, patientDemographics);
+    const populationDrift = await this._analyzePopulationPerformance(
+      diagnosticScores,
+      patientDemographics,
+      options.labels || null
+    );
 
     const result = {
       timestamp: Date.now(),
@@ -152,20 +239,79 @@ export class HealthcareDriftMonitor extends BaseMonitor {
     return result;
   }
 
+  /**
+   * Set the treatment baseline (formulary, treatment mix and dosages)
+   * treatmentData: { medications: [...], procedures: [...], protocols: [...] } with one
+   * entry per treatment, and dosages: { medication: [doses] }
+   */
+  async setTreatmentBaseline(treatmentData, metadata = {}) {
+    const fields = {};
+    for (const field of TREATMENT_FIELDS) {
+      if (Array.isArray(treatmentData[field]) && treatmentData[field].length > 0) {
+        fields[field] = this._buildDistribution(treatmentData[field].map(String), {}, 'categorical');
+      }
+    }
+
+    const dosages = {};
+    for (const [medication, doses] of Object.entries(treatmentData.dosages || {})) {
+      this._validateValues(doses, 'numeric', ` in dosages of ${medication}`);
+      dosages[medication] = this._buildDistribution(doses);
+    }
+
+    this.treatmentBaseline = { fields, dosages, metadata, timestamp: Date.now() };
+
+    this._logAudit({
+      type: 'treatment_baseline',
+      fields: Object.keys(fields),
+      dosages: Object.keys(dosages)
+    });
+
+    return this.treatmentBaseline;
+  }
+
+  /**
+   * Add guideline-change events: [{ id, title, date | effectiveDate, source, affects: [items] }]
+   *
+   * @returns {number} Number of events added
+   */
+  addGuidelineEvents(events) {
+    for (const event of events) {
+      const effectiveDate = Date.parse(event.effectiveDate ?? event.date);
+      if (Number.isNaN(effectiveDate)) {
+        throw new Error(`Guideline event needs a valid date or effectiveDate: ${JSON.stringify(event)}`);
+      }
+      this.guidelineEvents.push({ ...event, effectiveDate, affects: event.affects || [] });
+    }
+    this.guidelineEvents.sort((a, b) => a.effectiveDate - b.effectiveDate);
+
+    return events.length;
+  }
+
+  /**
+   * Load guideline-change events from a JSON file (an array, or { events: [...] })
+   *
+   * @returns {Promise<number>} Number of events added
+   */
+  async loadGuidelineEvents(filePath) {
+    const parsed = JSON.parse(await readFile(filePath, 'utf8'));
+    return this.addGuidelineEvents(Array.isArray(parsed) ? parsed : parsed.events || []);
+  }
+
   /**
    * Monitor treatment recommendation system
+   * options.timestamp dates the batch for guideline lookups (default now)
    */
-  async monitorTreatmentRecommendations(recommendationScores, treatmentData) {
+  async monitorTreatmentRecommendations(recommendationScores, treatmentData, options = {}) {
     console.log('\n💊 Healthcare - Treatment Recommendation Drift Monitor');
     console.log('='.repeat(60));
 
     const treatmentDrift = await this.detectDrift(recommendationScores);
 
     // Analyze treatment protocol changes
-    const protocolDrift = this._analyzeTreatmentProtocols(treatmentData);
+    const protocolDrift = await this._analyzeTreatmentProtocols(treatmentData);
 
     // Check for medical practice evolution
-    const practiceEvolution = this._detectPracticeEvolution();
+    const practiceEvolution = this._detectPracticeEvolution(options.timestamp ?? Date.now(), protocolDrift);
 
     const result = {
       timestamp: Date.now(),
@@ -181,6 +327,12 @@ export class HealthcareDriftMonitor extends BaseMonitor {
       result.recommendations.push('Update model with latest treatment protocols');
       result.recommendations.push('Retrain on recent clinical outcomes');
     }
+    if (protocolDrift.newMedications > 0 || protocolDrift.newProcedures > 0) {
+      result.recommendations.push('Add new medications and procedures to the model formulary');
+    }
+    if (protocolDrift.changes.some(change => change.type === 'mix_shift' || change.type === 'dosage_shift')) {
+      result.recommendations.push('Validate recommendations against the current treatment mix and dosing');
+    }
 
     console.log(`Drift Status: ${treatmentDrift.isDrift ? '⚠️  DRIFT DETECTED' : '✓ No Drift'}`);
     console.log(`Protocol Changes: ${protocolDrift.changes.length}`);
@@ -188,10 +340,53 @@ export class HealthcareDriftMonitor extends BaseMonitor {
     return result;
   }
 
+  /**
+   * Enable surveillance mode from weekly history
+   * history: [{ date | timestamp, value, region }] with one record per region and week
+   * (value is a count or a rate; records without a region belong to 'overall').
+   * Regions with less than a year of history are not fitted.
+   *
+   * @param {Array<Object>} history - Weekly observations
+   * @param {Object} options - SeasonalBaseline options (harmonics, trend, outlierLimit)
+   * @returns {Object} Fitted regions and the regions skipped for short history
+   */
+  setSurveillanceBaseline(history, options = {}) {
+    const byRegion = new Map();
+    for (const record of history) {
+      const timestamp = typeof record.timestamp === 'number' ? record.timestamp : Date.parse(record.date);
+      if (Number.isNaN(timestamp) || !StatisticsUtil.isValidNumber(record.value)) {
+        throw new Error(`Invalid surveillance record: ${JSON.stringify(record)}`);
+      }
+      const region = record.region || OVERALL_REGION;
+      if (!byRegion.has(region)) {
+        byRegion.set(region, []);
+      }
+      byRegion.get(region).push({ timestamp, value: record.value });
+    }
+
+    const models = new Map();
+    const skipped = [];
+    for (const [region, observations] of byRegion) {
+      if (observations.length < SeasonalBaseline.minimumWeeks()) {
+        skipped.push(region);
+        continue;
+      }
+      observations.sort((a, b) => a.timestamp - b.timestamp);
+      models.set(region, new SeasonalBaseline({ alpha: this.config.significanceLevel, ...options }).fit(observations));
+    }
+
+    this.surveillance = { models, timestamp: Date.now() };
+
+    return { regions: [...models.keys()], skipped };
+  }
+
   /**
    * Monitor disease prevalence and epidemiological shifts
+   * In surveillance mode, populationData.regions ({ region: rate or [rates] }) is checked
+   * region by region, otherwise the batch mean counts for populationData.region;
+   * options.timestamp dates the week (default now)
    */
-  async monitorDiseasePrevalence(prevalenceRates, populationData) {
+  async monitorDiseasePrevalence(prevalenceRates, populationData, options = {}) {
     console.log('\n📈 Healthcare - Disease Prevalence Drift Monitor');
     console.log('='.repeat(60));
 
@@ -200,12 +395,18 @@ export class HealthcareDriftMonitor extends BaseMonitor {
     // Detect epidemiological shifts
     const epidemiologicalShift = this._detectEpidemiologicalShift(prevalenceRates);
 
+    // Seasonal expected levels, when surveillance mode is on
+    const surveillance = this.surveillance
+      ? this._checkSurveillance(prevalenceRates, populationData, options.timestamp ?? Date.now())
+      : null;
+
     const result = {
       timestamp: Date.now(),
       modelType: 'disease_prevalence',
       prevalenceDrift: prevalenceDrift,
       epidemiologicalShift: epidemiologicalShift,
-      publicHealthImpact: this._assessPublicHealthImpact(prevalenceDrift, epidemiologicalShift),
+      surveillance: surveillance,
+      publicHealthImpact: this._assessPublicHealthImpact(prevalenceDrift, epidemiologicalShift, surveillance),
       recommendations: []
     };
 
@@ -214,6 +415,9 @@ export class HealthcareDriftMonitor extends BaseMonitor {
       result.recommendations.push('Notify public health authorities');
       result.recommendations.push('Update screening protocols');
     }
+    if (surveillance?.outbreaks.length > 0) {
+      result.recommendations.push(`Investigate excess prevalence in: ${surveillance.outbreaks.join(', ')}`);
+    }
 
     console.log(`Drift Status: ${prevalenceDrift.isDrift ? '⚠️  DRIFT DETECTED' : '✓ No Drift'}`);
     console.log(`Public Health Impact: ${result.publicHealthImpact.toUpperCase()}`);
@@ -224,44 +428,170 @@ export class HealthcareDriftMonitor extends BaseMonitor {
   // ==================== HELPER METHODS ====================
 
   async _analyzeDemographicDrift(patientFeatures) {
+    // Each feature is compared against its own baseline (see setMultivariateBaseline)
+    const demographicFeatures = ['age', 'bmi', 'blood_pressure', 'cholesterol'];
+    const tableDrift = await this._detectFeatureTableDrift(patientFeatures, demographicFeatures);
+
+    if (!tableDrift) {
+      return [];
+    }
+
+    return Object.entries(tableDrift.features).map(([feature, drift]) => ({
+      feature: feature,
+      drift: drift.isDrift,
+      score: drift.averageScore,
+      severity: drift.severity
+    }));
+  }
+
+  async _analyzeClinicalDrift(patientFeatures) {
+    const alpha = this.config.significanceLevel;
     const drifts = [];
 
-    const demographicFeatures = ['age', 'bmi', 'blood_pressure', 'cholesterol'];
+    for (const { parameter, name, key, values, timestamps } of this._clinicalSeries(patientFeatures)) {
+      const baseline = this.clinicalBaseline?.series[key];
+      const entry = { parameter, name, sampleSize: values.length, drift: null };
 
-    for (const feature of demographicFeatures) {
-      if (patientFeatures[feature]) {
-        const drift = await this.detectDrift(patientFeatures[feature]);
-        drifts.push({
-          feature: feature,
-          drift: drift.isDrift,
-          score: drift.averageScore,
-          severity: drift.severity
-        });
+      if (baseline) {
+        const drift = await this._scoreDistribution(baseline.distribution, values);
+        entry.drift = { isDrift: drift.isDrift, severity: drift.severity, score: drift.averageScore };
+      }
+
+      // Trend per day against measurement times (sample order when none are given)
+      const times = timestamps ? timestamps.map(t => t / DAY_MS) : null;
+      Object.assign(entry, this._trendTest(values, times));
+      entry.trend =
+        entry.trendPValue !== null && entry.trendPValue < alpha ? this._trendDirection(entry.slope) : 'stable';
+
+      // Reference-range excursions, compared with the baseline rate by a two-proportion test
+      const excursions = this._excursions(name, values);
+      entry.referenceRange = excursions?.range ?? null;
+      entry.excursionRate = excursions?.rate ?? null;
+      entry.baselineExcursionRate = baseline?.excursionRate ?? null;
+      entry.excursionPValue = null;
+      if (excursions && entry.baselineExcursionRate !== null) {
+        const baselineCount = baseline.distribution.data.length;
+        entry.excursionPValue = this._proportionTest(
+          excursions.rate,
+          values.length,
+          entry.baselineExcursionRate,
+          baselineCount
+        );
       }
+
+      // One signal each: distribution drift, a significant trend, more excursions than baseline
+      const signals = [
+        entry.drift?.isDrift,
+        entry.trend !== 'stable',
+        entry.excursionPValue !== null &&
+          entry.excursionPValue < alpha &&
+          entry.excursionRate > entry.baselineExcursionRate
+      ].filter(Boolean).length;
+      entry.significance = signals >= 2 ? 'high' : signals === 1 ? 'medium' : 'low';
+
+      drifts.push(entry);
     }
 
     return drifts;
   }
 
-  async _analyzeClinicalDrift(patientFeatures) {
-    // Analyze changes in clinical parameters
-    const clinicalParams = ['lab_results', 'vital_signs', 'medications'];
-    const drifts = [];
+  /**
+   * Helper: Numeric series of the clinical parameters
+   * key is 'parameter.name', or the parameter alone for a plain array
+   */
+  _clinicalSeries(patientFeatures) {
+    const series = [];
+
+    for (const parameter of CLINICAL_PARAMETERS) {
+      const input = patientFeatures?.[parameter];
+      if (!input) {
+        continue;
+      }
 
-    for (const param of clinicalParams) {
-      if (patientFeatures[param]) {
-        drifts.push({
-          parameter: param,
-          trend: 'stable', // In production, calculate actual trends
-          significance: 'low'
+      const named = Array.isArray(input) || Array.isArray(input.values) ? { [parameter]: input } : input;
+      for (const [name, raw] of Object.entries(named)) {
+        const values = Array.isArray(raw) ? raw : raw.values;
+        const timestamps = Array.isArray(raw) ? patientFeatures.timestamps : raw.timestamps;
+        if (!Array.isArray(values) || values.length === 0) {
+          continue;
+        }
+        this._validateValues(values, 'numeric', ` in clinical series ${name}`);
+
+        series.push({
+          parameter,
+          name,
+          key: name === parameter ? parameter : `${parameter}.${name}`,
+          values,
+          timestamps: Array.isArray(timestamps) && timestamps.length === values.length ? timestamps : null
         });
       }
     }
 
-    return drifts;
+    return series;
+  }
+
+  /**
+   * Helper: Least-squares slope with its p-value (Student t with n - 2 df)
+   */
+  _trendTest(values, times) {
+    const x = times || values.map((_, i) => i);
+    const slope = StatisticsUtil.calculateTrend(values, x);
+    if (values.length < 3) {
+      return { slope, trendPValue: null };
+    }
+
+    const meanX = this._calculateMean(x);
+    const meanY = this._calculateMean(values);
+    let sxx = 0;
+    let sse = 0;
+    for (let i = 0; i < values.length; i++) {
+      sxx += (x[i] - meanX) ** 2;
+      sse += (values[i] - meanY - slope * (x[i] - meanX)) ** 2;
+    }
+    if (sxx === 0) {
+      return { slope, trendPValue: null };
+    }
+
+    const standardError = Math.sqrt(sse / (values.length - 2) / sxx);
+    const trendPValue =
+      standardError > 0 ? StatisticsUtil.studentTPValue(slope / standardError, values.length - 2) : slope === 0 ? 1 : 0;
+    return { slope, trendPValue };
+  }
+
+  _trendDirection(slope) {
+    if (slope > 0) {
+      return 'increasing';
+    }
+    return slope < 0 ? 'decreasing' : 'stable';
+  }
+
+  /**
+   * Helper: Share of values outside the series' reference range (null without a range)
+   */
+  _excursions(name, values) {
+    const range = this.referenceRanges[name];
+    if (!range) {
+      return null;
+    }
+
+    const [low, high] = range;
+    const outside = values.filter(value => value < low || value > high).length;
+    return { range, rate: outside / values.length };
   }
 
-  _assessPatientSafetyRisk(outcomeDrift, demographicDrift) {
+  /**
+   * Helper: Two-sided p-value of a difference in proportions (pooled z-test)
+   */
+  _proportionTest(p1, n1, p2, n2) {
+    const pooled = (p1 * n1 + p2 * n2) / (n1 + n2);
+    const variance = pooled * (1 - pooled) * (1 / n1 + 1 / n2);
+    if (variance === 0) {
+      return p1 === p2 ? 1 : 0;
+    }
+    return StatisticsUtil.chiSquarePValue((p1 - p2) ** 2 / variance, 1);
+  }
+
+  _assessPatientSafetyRisk(outcomeDrift, demographicDrift, clinicalDrift = []) {
     let riskScore = 0;
 
     // Outcome drift is primary safety indicator
@@ -279,6 +609,15 @@ export class HealthcareDriftMonitor extends BaseMonitor {
     const criticalDemographic = demographicDrift.filter(d => d.severity === 'high' || d.severity === 'critical').length;
     riskScore += criticalDemographic * 0.5;
 
+    // Clinical parameters with significant changes add to risk
+    for (const parameter of clinicalDrift) {
+      if (parameter.significance === 'high') {
+        riskScore += 0.5;
+      } else if (parameter.significance === 'medium') {
+        riskScore += 0.25;
+      }
+    }
+
     // More conservative thresholds for healthcare
     if (riskScore >= 2.5) {
       return 'critical';
@@ -295,55 +634,407 @@ export class HealthcareDriftMonitor extends BaseMonitor {
     return 'none';
   }
 
-  async _analyzePopulationPerformance(scores, demographics) {
-    // In production, analyze performance across demographic groups
-    // For demo, simulate population-specific analysis
+  async _analyzePopulationPerformance(scores, demographics, labels = null) {
+    if (labels && labels.length !== scores.length) {
+      throw new Error('Diagnostic labels must have one entry per score');
+    }
+
+    const z = StatisticsUtil.normalQuantile(1 - this.config.significanceLevel / 2);
+    const attributes = {};
+    const populations = [];
+
+    for (const [attribute, values] of Object.entries(this._demographicSlices(demographics, scores.length))) {
+      const indices = new Map();
+      values.forEach((value, i) => {
+        if (value === null || value === undefined) {
+          return;
+        }
+        if (!indices.has(value)) {
+          indices.set(value, []);
+        }
+        indices.get(value).push(i);
+      });
+
+      const groups = [];
+      for (const [group, members] of indices) {
+        groups.push(await this._summarizeGroup(attribute, String(group), members, scores, labels, z));
+      }
+
+      attributes[attribute] = {
+        groups,
+        demographicParity: this._fairnessGap(groups, 'positiveRate', z),
+        equalizedOdds: this._equalizedOddsGap(groups, z),
+        calibration: this._fairnessGap(groups, 'calibrationGap', z)
+      };
+      populations.push(...groups);
+    }
+    this._correctGroupDrift(populations);
+
+    return { attributes, populations, minGroupSize: this.minGroupSize };
+  }
+
+  /**
+   * Helper: One multiple-testing correction over every group's drift p-values
+   * With many groups some drift by chance; a group's drift only counts when it stays
+   * significant after the correction
+   */
+  _correctGroupDrift(populations) {
+    const tested = {};
+    for (const group of populations.filter(population => population.drift)) {
+      for (const [method, entry] of Object.entries(group.drift.methods)) {
+        tested[`${group.attribute}.${group.group}.${method}`] = entry;
+      }
+    }
+    this._correctPValues(tested);
+
+    for (const group of populations.filter(population => population.drift)) {
+      const { methods, ...drift } = group.drift;
+      const corrected = Object.values(methods).filter(entry => typeof entry.adjustedPValue === 'number');
+      if (corrected.length > 0) {
+        drift.pValue = Math.min(...corrected.map(entry => entry.pValue));
+        drift.adjustedPValue = Math.min(...corrected.map(entry => entry.adjustedPValue));
+        drift.significant = corrected.some(entry => entry.significant);
+        drift.isDrift = drift.isDrift && drift.significant;
+        if (!drift.isDrift) {
+          drift.severity = 'none';
+        }
+      }
+      group.drift = drift;
+    }
+  }
+
+  /**
+   * Helper: Demographic columns aligned with the scores (raw ages become age bands)
+   */
+  _demographicSlices(demographics, count) {
+    const slices = {};
+
+    for (const [attribute, values] of Object.entries(demographics || {})) {
+      if (!Array.isArray(values) || values.length !== count) {
+        continue;
+      }
+      if (attribute === 'age' && values.every(value => typeof value === 'number')) {
+        slices.ageBand = values.map(age => this._ageBand(age));
+      } else {
+        slices[attribute] = values;
+      }
+    }
+
+    return slices;
+  }
+
+  /**
+   * Helper: Age band label ('<18', '18-30', ..., '71+')
+   */
+  _ageBand(age) {
+    const bands = this.ageBands;
+    if (age < bands[0]) {
+      return `<${bands[0]}`;
+    }
+    for (let i = 1; i < bands.length; i++) {
+      if (age < bands[i]) {
+        return `${bands[i - 1]}-${bands[i] - 1}`;
+      }
+    }
+    return `${bands[bands.length - 1]}+`;
+  }
+
+  /**
+   * Helper: Drift and rate metrics of one demographic group
+   * Metrics are { value, n, standardError, confidenceInterval }
+   */
+  async _summarizeGroup(attribute, group, members, scores, labels, z) {
+    const groupScores = members.map(i => scores[i]);
+    const reliable = members.length >= this.minGroupSize;
+    const baseline = this.getBaseline();
+    const threshold = this.config.decisionThreshold;
+
+    const summary = {
+      attribute,
+      group,
+      sampleSize: members.length,
+      reliable,
+      meanScore: this._calculateMean(groupScores),
+      drift: null,
+      performance: null,
+      metrics: {
+        positiveRate: this._proportion(groupScores.filter(score => score >= threshold).length, groupScores.length, z)
+      }
+    };
+
+    // Small groups give unstable drift scores; they are listed without one
+    if (reliable && baseline) {
+      const drift = await this._scoreDistribution(baseline, groupScores);
+      summary.drift = {
+        isDrift: drift.isDrift,
+        severity: drift.severity,
+        score: drift.averageScore,
+        methods: drift.methods
+      };
+    }
+
+    const labelled = labels ? members.filter(i => labels[i] === 0 || labels[i] === 1) : [];
+    if (labelled.length > 0) {
+      const positives = labelled.filter(i => labels[i] === 1);
+      const negatives = labelled.filter(i => labels[i] === 0);
+      const correct = labelled.filter(i => (scores[i] >= threshold ? 1 : 0) === labels[i]).length;
+      const observedRate = positives.length / labelled.length;
+
+      summary.metrics.accuracy = this._proportion(correct, labelled.length, z);
+      summary.metrics.truePositiveRate =
+        positives.length > 0
+          ? this._proportion(positives.filter(i => scores[i] >= threshold).length, positives.length, z)
+          : null;
+      summary.metrics.falsePositiveRate =
+        negatives.length > 0
+          ? this._proportion(negatives.filter(i => scores[i] >= threshold).length, negatives.length, z)
+          : null;
+
+      // Calibration gap: mean predicted risk minus observed rate (negative = under-predicts)
+      const standardError = Math.sqrt((observedRate * (1 - observedRate)) / labelled.length);
+      const gap = this._calculateMean(labelled.map(i => scores[i])) - observedRate;
+      summary.metrics.calibrationGap = {
+        value: gap,
+        n: labelled.length,
+        standardError,
+        confidenceInterval: [gap - z * standardError, gap + z * standardError]
+      };
+      summary.performance = summary.metrics.accuracy.value;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Helper: Proportion with its standard error and Wilson interval
+   */
+  _proportion(successes, n, z) {
+    const value = successes / n;
     return {
-      populations: [
-        { group: 'age_18_30', performance: 0.92, sampleSize: 150 },
-        { group: 'age_31_50', performance: 0.94, sampleSize: 300 },
-        { group: 'age_51_70', performance: 0.89, sampleSize: 250 },
-        { group: 'age_70+', performance: 0.87, sampleSize: 100 }
-      ]
+      value,
+      n,
+      standardError: Math.sqrt((value * (1 - value)) / n),
+      confidenceInterval: StatisticsUtil.wilsonInterval(successes, n, z)
     };
   }
 
-  _calculateFairnessMetrics(populationDrift) {
-    const performances = populationDrift.populations.map(p => p.performance);
-    const maxPerf = Math.max(...performances);
-    const minPerf = Math.min(...performances);
+  /**
+   * Helper: Largest between-group difference of a metric over groups meeting minGroupSize
+   * The interval is the normal interval of the difference between the two extreme groups
+   */
+  _fairnessGap(groups, metric, z) {
+    const eligible = groups.filter(group => group.reliable && group.metrics[metric]);
+    if (eligible.length < 2) {
+      return null;
+    }
+
+    const sorted = [...eligible].sort((a, b) => a.metrics[metric].value - b.metrics[metric].value);
+    const lowest = sorted[0];
+    const highest = sorted[sorted.length - 1];
+    const gap = highest.metrics[metric].value - lowest.metrics[metric].value;
+    const standardError = Math.sqrt(
+      highest.metrics[metric].standardError ** 2 + lowest.metrics[metric].standardError ** 2
+    );
 
     return {
-      disparityScore: maxPerf - minPerf,
-      maxPerformance: maxPerf,
-      minPerformance: minPerf,
-      avgPerformance: performances.reduce((a, b) => a + b, 0) / performances.length
+      gap,
+      highest: highest.group,
+      lowest: lowest.group,
+      confidenceInterval: [gap - z * standardError, gap + z * standardError],
+      significant: gap - z * standardError > 0
     };
   }
 
-  _analyzeTreatmentProtocols(treatmentData) {
-    // Analyze changes in treatment protocols
+  /**
+   * Helper: Equalized odds gap, the larger of the TPR and FPR gaps
+   */
+  _equalizedOddsGap(groups, z) {
+    const truePositiveRate = this._fairnessGap(groups, 'truePositiveRate', z);
+    const falsePositiveRate = this._fairnessGap(groups, 'falsePositiveRate', z);
+    if (!truePositiveRate && !falsePositiveRate) {
+      return null;
+    }
+
+    const worst =
+      (truePositiveRate?.gap ?? -1) >= (falsePositiveRate?.gap ?? -1) ? truePositiveRate : falsePositiveRate;
+    return { ...worst, truePositiveRate, falsePositiveRate };
+  }
+
+  _calculateFairnessMetrics(populationDrift) {
+    // Disparity: worst parity, equalized-odds or calibration gap across attributes
+    let disparityScore = 0;
+    let worstAttribute = null;
+    for (const [attribute, fairness] of Object.entries(populationDrift.attributes)) {
+      for (const gap of [fairness.demographicParity, fairness.equalizedOdds, fairness.calibration]) {
+        if (gap && gap.gap > disparityScore) {
+          disparityScore = gap.gap;
+          worstAttribute = attribute;
+        }
+      }
+    }
+
+    const performances = populationDrift.populations
+      .filter(population => population.reliable && population.performance !== null)
+      .map(population => population.performance);
+
     return {
+      disparityScore: disparityScore,
+      worstAttribute: worstAttribute,
+      maxPerformance: performances.length > 0 ? Math.max(...performances) : null,
+      minPerformance: performances.length > 0 ? Math.min(...performances) : null,
+      avgPerformance: performances.length > 0 ? this._calculateMean(performances) : null
+    };
+  }
+
+  async _analyzeTreatmentProtocols(treatmentData) {
+    const result = {
       changes: [],
       newMedications: 0,
+      newProcedures: 0,
+      discontinuedMedications: 0,
       discontinuedProtocols: 0,
       timestamp: Date.now()
     };
+    const baseline = this.treatmentBaseline;
+    if (!baseline || !treatmentData) {
+      return result;
+    }
+
+    for (const [field, distribution] of Object.entries(baseline.fields)) {
+      const values = treatmentData[field];
+      if (!Array.isArray(values) || values.length === 0) {
+        continue;
+      }
+
+      const drift = await this._scoreDistribution(distribution, values.map(String));
+      for (const { category, count } of drift.categories.unseen) {
+        result.changes.push({ type: 'new', field, item: category, count });
+      }
+      for (const { category, baselineProportion } of drift.categories.missing) {
+        if (baselineProportion * values.length >= MIN_EXPECTED_USES) {
+          result.changes.push({ type: 'discontinued', field, item: category, baselineProportion });
+        }
+      }
+
+      if (drift.isDrift) {
+        result.changes.push({
+          type: 'mix_shift',
+          field,
+          score: drift.averageScore,
+          severity: drift.severity,
+          shifts: this._proportionShifts(distribution, values.map(String))
+        });
+      }
+    }
+
+    for (const [medication, distribution] of Object.entries(baseline.dosages)) {
+      const doses = treatmentData.dosages?.[medication];
+      if (!Array.isArray(doses) || doses.length < 2) {
+        continue;
+      }
+
+      const drift = await this._scoreDistribution(distribution, doses);
+      if (drift.isDrift) {
+        result.changes.push({
+          type: 'dosage_shift',
+          field: 'dosages',
+          item: medication,
+          baselineMedian: StatisticsUtil.calculateMedian(distribution.data),
+          currentMedian: StatisticsUtil.calculateMedian(doses),
+          score: drift.averageScore,
+          severity: drift.severity
+        });
+      }
+    }
+
+    const count = (type, field) =>
+      result.changes.filter(change => change.type === type && change.field === field).length;
+    result.newMedications = count('new', 'medications');
+    result.newProcedures = count('new', 'procedures');
+    result.discontinuedMedications = count('discontinued', 'medications');
+    result.discontinuedProtocols = count('discontinued', 'protocols');
+
+    return result;
+  }
+
+  /**
+   * Helper: Per-item share of treatments, baseline vs current, largest moves first
+   */
+  _proportionShifts(distribution, values) {
+    const currentCounts = this._countCategories(values);
+    const items = new Set([...distribution.categories, ...Object.keys(currentCounts)]);
+
+    return [...items]
+      .map(item => {
+        const baseline = (distribution.counts[item] || 0) / distribution.data.length;
+        const current = (currentCounts[item] || 0) / values.length;
+        return { item, baseline, current, change: current - baseline };
+      })
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+  }
+
+  _detectPracticeEvolution(asOf = Date.now(), protocolDrift = null) {
+    // Guideline changes that took effect within the prediction window
+    const windowStart = asOf - this.config.predictionWindow * 24 * 60 * 60 * 1000;
+    const published = this.guidelineEvents.filter(event => event.effectiveDate <= asOf);
+    const recent = published.filter(event => event.effectiveDate > windowStart);
+    const latest = published[published.length - 1] || null;
+
+    // Observed protocol changes a recent guideline accounts for
+    const changedItems = new Set((protocolDrift?.changes || []).map(change => change.item).filter(Boolean));
+    const explainedChanges = recent.flatMap(event =>
+      event.affects.filter(item => changedItems.has(item)).map(item => ({ item, guideline: event.id ?? event.title }))
+    );
+
+    return {
+      newGuidelines: recent.length > 0,
+      lastUpdate: latest ? latest.effectiveDate : null,
+      source: latest ? latest.source || null : null,
+      events: recent,
+      explainedChanges
+    };
   }
 
-  _detectPracticeEvolution() {
-    // In production, integrate with medical guideline databases
+  _checkSurveillance(prevalenceRates, populationData, timestamp) {
+    let observed = [[populationData?.region || OVERALL_REGION, this._calculateMean(prevalenceRates)]];
+    if (populationData?.regions) {
+      observed = Object.entries(populationData.regions).map(([region, value]) => [
+        region,
+        Array.isArray(value) ? this._calculateMean(value) : value
+      ]);
+    }
+
+    const regions = {};
+    for (const [region, value] of observed) {
+      // Regions without their own history fall back to the overall model
+      const model = this.surveillance.models.get(region) || this.surveillance.models.get(OVERALL_REGION);
+      if (!model) {
+        regions[region] = { observed: value, expected: null, upperLimit: null, outbreak: false };
+        continue;
+      }
+
+      const { expected, upperLimit, std } = model.expected(timestamp);
+      regions[region] = {
+        observed: value,
+        expected,
+        upperLimit,
+        excess: value - expected,
+        zScore: std > 0 ? (value - expected) / std : 0,
+        outbreak: value > upperLimit
+      };
+    }
+
     return {
-      newGuidelines: false,
-      lastUpdate: null,
-      source: null
+      week: timestamp,
+      regions,
+      outbreaks: Object.keys(regions).filter(region => regions[region].outbreak)
     };
   }
 
   _detectEpidemiologicalShift(prevalenceRates) {
     // Detect unusual patterns in disease prevalence
     const mean = this._calculateMean(prevalenceRates);
-    const baseline = this.baselineDistribution ? this.baselineDistribution.mean : mean;
+    const baseline = this.baselineDistribution ? this.baselineDistribution.statistics.mean : mean;
 
     return {
       changePercent: baseline > 0 ? ((mean - baseline) / baseline) * 100 : 0,
@@ -352,7 +1043,10 @@ export class HealthcareDriftMonitor extends BaseMonitor {
     };
   }
 
-  _assessPublicHealthImpact(prevalenceDrift, epidemiologicalShift) {
+  _assessPublicHealthImpact(prevalenceDrift, epidemiologicalShift, surveillance = null) {
+    if (surveillance?.outbreaks.length > 0) {
+      return 'high';
+    }
     if (epidemiologicalShift.significance === 'high' && Math.abs(epidemiologicalShift.changePercent) > 30) {
       return 'high';
     }
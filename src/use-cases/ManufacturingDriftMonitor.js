@@ -9,9 +9,56 @@
  *
  * Research shows: Drift may be associated with new raw material suppliers,
  * requiring production batches to be singled out when new materials are used.
+ *
+ * Statistical process control: monitorQualityControl() and monitorProcessOptimization()
+ * chart the monitored values on X-bar/R, EWMA and CUSUM charts whose limits come from the
+ * baseline (setBaseline(), or setControlLimits() for explicit baseline values), report
+ * Nelson or Western Electric rule violations per sample, and compute Cp/Cpk/Pp/Ppk when
+ * spec limits are configured (config.specLimits or options.specLimits: { lsl, usl }).
+ *
+ * Remaining useful life: monitorPredictiveMaintenance() fits degradation models to each
+ * sensor series in equipmentData.sensors (or the readings themselves) that has a failure
+ * threshold, and reports the RUL in hours with its prediction interval and driving sensor.
+ *
+ * Vibration: setVibrationBaseline() turns raw waveforms into spectral feature vectors
+ * (RMS, kurtosis, crest factor, band energies, order amplitudes); equipmentData.waveforms
+ * are then checked per channel and feature for drift and matched against failure-mode
+ * signatures (config.vibration.signatures, frequency rules on those features).
+ *
+ * Supplier scorecards: monitorSupplyChain() reads lot records from supplierData (an array,
+ * or { lots }) and scores each supplier's defect rate against its own setSupplierBaseline(),
+ * lot-to-lot variability, on-time delivery and its trend; lead-time spikes are disruptions.
+ *
+ * Production lines: monitorProductionLines() takes quality, efficiency and parameter data
+ * tagged by line (and plant), compares each line with its own setLineBaselines() baseline
+ * and with the rest of the fleet, flags outlier lines and rolls productionImpact up per plant.
+ *
+ * Golden batch: batch processes (curing, fermentation) are compared as whole trajectories.
+ * setGoldenBatch() builds a reference trajectory and envelope per parameter from golden
+ * batches; monitorBatch() aligns a new batch with dynamic time warping and reports envelope
+ * violations, trajectory distance and the phase of the batch where the deviation started.
  */
 
 import { BaseMonitor } from './BaseMonitor.js';
+import { StatisticsUtil } from '../utils/StatisticsUtil.js';
+import { ControlChart } from '../core/ControlCharts.js';
+import { RemainingUsefulLife } from '../core/RemainingUsefulLife.js';
+import { SpectralAnalyzer } from '../core/SpectralAnalysis.js';
+import { GoldenBatchProfile } from '../core/GoldenBatch.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Lead time this many standard deviations above a supplier's normal counts as a spike
+const LEAD_TIME_SPIKE_Z = 3;
+
+// Modified z-score (Iglewicz-Hoaglin) beyond which a line is an outlier among the fleet
+const OUTLIER_LINE_Z = 3.5;
+
+// Fleet-level metrics compared across lines
+const LINE_METRICS = ['quality', 'efficiency'];
+
+const IMPACT_LEVELS = ['none', 'low', 'medium', 'high', 'critical'];
 
 export class ManufacturingDriftMonitor extends BaseMonitor {
   constructor(config = {}, dependencies = null) {
@@ -27,6 +74,34 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
     super(manufacturingConfig, dependencies);
 
     this.productionLine = config.productionLine || 'line_1';
+    this.plant = config.plant || 'plant_1';
+
+    // Per-line baselines for fleet monitoring (see setLineBaselines), and the record
+    // fields read as process parameters when lines come as tagged records
+    this.lineBaselines = new Map();
+    this.lineParameters = config.lineParameters || [];
+
+    // SPC: chart options (subgroupSize, rules, EWMA/CUSUM parameters) and spec limits
+    this.controlChartOptions = config.controlCharts || {};
+    this.specLimits = config.specLimits || null;
+    this.controlChart = null;
+
+    // RUL: degradation model options (models, confidence, minPoints) and the horizon
+    // within which a predicted failure makes maintenance urgent
+    this.rulOptions = config.remainingUsefulLife || {};
+    this.maintenanceHorizonHours = config.maintenanceHorizonHours ?? manufacturingConfig.predictionWindow * 24;
+
+    // Vibration: bands, tracked orders and failure signatures (see SpectralAnalyzer)
+    this.spectralAnalyzer = new SpectralAnalyzer(config.vibration || {});
+    this.vibrationBaseline = null;
+
+    // Suppliers: defect rate that scores zero on quality, and per-supplier baselines
+    this.supplierDefectLimit = config.supplierDefectLimit ?? 0.05;
+    this.supplierBaseline = null;
+
+    // Golden batch: DTW window, envelope width, phases (see GoldenBatchProfile)
+    this.goldenBatchOptions = config.goldenBatch || {};
+    this.goldenBatch = null;
 
     // Manufacturing-specific tracking is handled by BaseMonitor
     // episodeMemory, skillMemory, alerts are CircularBuffers from BaseMonitor
@@ -60,8 +135,9 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
   /**
    * Monitor quality control model drift
    * Critical for maintaining product standards
+   * options.specLimits ({ lsl, usl }) overrides config.specLimits for capability indices
    */
-  async monitorQualityControl(qualityScores, productionParams) {
+  async monitorQualityControl(qualityScores, productionParams, options = {}) {
     console.log('\n🏭 Manufacturing - Quality Control Drift Monitor');
     console.log('='.repeat(60));
 
@@ -76,6 +152,9 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
     // Check for supplier changes
     const supplierDrift = this._detectSupplierChanges(productionParams);
 
+    // Chart the scores against the baseline control limits
+    const controlCharts = this._analyzeControlCharts(qualityScores, options.specLimits);
+
     // Predict future quality issues
     const prediction = await this.predictDrift(7); // 7 days ahead
 
@@ -86,8 +165,9 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
       qualityDrift: qualityDrift,
       parameterDrift: parameterDrift,
       supplierDrift: supplierDrift,
+      controlCharts: controlCharts,
       prediction: prediction,
-      productionImpact: this._assessProductionImpact(qualityDrift, parameterDrift, supplierDrift),
+      productionImpact: this._assessProductionImpact(qualityDrift, parameterDrift, supplierDrift, controlCharts),
       recommendations: []
     };
 
@@ -111,6 +191,7 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
       result.recommendations.push('Schedule preventive maintenance');
       result.recommendations.push('Increase quality inspection frequency');
     }
+    result.recommendations.push(...this._controlChartRecommendations(controlCharts));
 
     console.log(`Drift Status: ${qualityDrift.isDrift ? '⚠️  DRIFT DETECTED' : '✓ No Drift'}`);
     console.log(`Severity: ${qualityDrift.severity.toUpperCase()}`);
@@ -126,6 +207,16 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
   /**
    * Monitor predictive maintenance models
    * Prevent equipment failures before they occur
+   *
+   * equipmentData for remaining-useful-life estimation:
+   * - failureThreshold: number for every sensor, or { sensor: threshold }
+   * - sensors: { sensor: [values] | [{ timestamp, value }] } (default: the readings, named by sensorType)
+   * - sampleIntervalHours: spacing of plain value arrays (default 1)
+   * - lastMaintenance: date; timestamped readings before it are ignored (maintenance resets wear)
+   * - age, operatingHours, ratedLifeHours: reported, and operating hours left of the rated life
+   *
+   * equipmentData.waveforms ({ channel: [waveform] } or [waveform]) adds spectral analysis
+   * against setVibrationBaseline(); equipmentData.rpm applies to waveforms without their own.
    */
   async monitorPredictiveMaintenance(sensorReadings, equipmentData) {
     console.log('\n⚙️  Manufacturing - Predictive Maintenance Drift Monitor');
@@ -133,11 +224,17 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
 
     const sensorDrift = await this.detectDrift(sensorReadings);
 
+    // Time to the failure threshold, per sensor
+    const remainingUsefulLife = this._estimateRemainingUsefulLife(sensorReadings, equipmentData);
+
     // Analyze equipment degradation patterns
-    const degradationPattern = this._analyzeEquipmentDegradation(sensorReadings);
+    const degradationPattern = this._analyzeEquipmentDegradation(sensorReadings, remainingUsefulLife);
+
+    // Per-band drift and failure signatures of vibration waveforms
+    const spectralAnalysis = await this._analyzeSpectralDrift(equipmentData);
 
     // Detect anomalous failure modes
-    const failureMode = this._detectFailureMode(sensorReadings, equipmentData);
+    const failureMode = this._detectFailureMode(sensorReadings, equipmentData, spectralAnalysis);
 
     const result = {
       timestamp: Date.now(),
@@ -145,7 +242,14 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
       sensorDrift: sensorDrift,
       degradationPattern: degradationPattern,
       failureMode: failureMode,
-      maintenanceUrgency: this._assessMaintenanceUrgency(sensorDrift, degradationPattern),
+      remainingUsefulLife: remainingUsefulLife,
+      spectralAnalysis: spectralAnalysis,
+      maintenanceUrgency: this._assessMaintenanceUrgency(
+        sensorDrift,
+        degradationPattern,
+        remainingUsefulLife,
+        spectralAnalysis
+      ),
       recommendations: []
     };
 
@@ -159,18 +263,35 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
         result.recommendations.push('Review maintenance history for similar patterns');
       }
     }
+    if (spectralAnalysis && spectralAnalysis.driftingFeatures.length > 0) {
+      const channels = [...new Set(spectralAnalysis.driftingFeatures.map(drift => drift.channel))];
+      result.recommendations.push(`Vibration spectrum drift on ${channels.join(', ')}`);
+    }
+    if (remainingUsefulLife && remainingUsefulLife.lower <= this.maintenanceHorizonHours) {
+      const { rulHours, lower, upper, drivingSensor } = remainingUsefulLife;
+      result.recommendations.push(
+        `Estimated RUL ${formatHours(rulHours)} (${formatHours(lower)}-${formatHours(upper)}), driven by ${drivingSensor}`
+      );
+      result.recommendations.push(`Schedule maintenance within ${formatHours(lower)}`);
+    }
 
     console.log(`Drift Status: ${sensorDrift.isDrift ? '⚠️  DRIFT DETECTED' : '✓ No Drift'}`);
     console.log(`Maintenance Urgency: ${result.maintenanceUrgency.toUpperCase()}`);
     console.log(`Degradation Rate: ${degradationPattern.rate.toFixed(2)}% per day`);
+    if (remainingUsefulLife) {
+      console.log(
+        `Remaining Useful Life: ${formatHours(remainingUsefulLife.rulHours)} (${remainingUsefulLife.drivingSensor})`
+      );
+    }
 
     return result;
   }
 
   /**
    * Monitor process optimization models
+   * options.specLimits ({ lsl, usl }) overrides config.specLimits for capability indices
    */
-  async monitorProcessOptimization(efficiencyScores, processParams) {
+  async monitorProcessOptimization(efficiencyScores, processParams, options = {}) {
     console.log('\n📊 Manufacturing - Process Optimization Drift Monitor');
     console.log('='.repeat(60));
 
@@ -182,12 +303,16 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
     // Calculate throughput impact
     const throughputImpact = this._calculateThroughputImpact(efficiencyDrift);
 
+    // Chart efficiency against the baseline control limits
+    const controlCharts = this._analyzeControlCharts(efficiencyScores, options.specLimits);
+
     const result = {
       timestamp: Date.now(),
       modelType: 'process_optimization',
       efficiencyDrift: efficiencyDrift,
       parameterStability: parameterStability,
       throughputImpact: throughputImpact,
+      controlCharts: controlCharts,
       recommendations: []
     };
 
@@ -200,6 +325,7 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
       result.recommendations.push('Document successful process changes');
       result.recommendations.push('Consider applying changes to other production lines');
     }
+    result.recommendations.push(...this._controlChartRecommendations(controlCharts));
 
     console.log(`Drift Status: ${efficiencyDrift.isDrift ? '⚠️  DRIFT DETECTED' : '✓ No Drift'}`);
     console.log(`Throughput Impact: ${throughputImpact.percentChange.toFixed(2)}%`);
@@ -209,6 +335,8 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
 
   /**
    * Monitor supply chain quality variations
+   * supplierData lot records: { supplierId, lot, defectRate | defects, quantity, orderDate,
+   * promisedDate, deliveryDate }; dates are ISO strings or epoch ms
    */
   async monitorSupplyChain(componentQuality, supplierData) {
     console.log('\n📦 Manufacturing - Supply Chain Drift Monitor');
@@ -217,10 +345,10 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
     const qualityDrift = await this.detectDrift(componentQuality);
 
     // Analyze supplier performance trends
-    const supplierPerformance = this._analyzeSupplierPerformance(supplierData);
+    const supplierPerformance = await this._analyzeSupplierPerformance(supplierData);
 
     // Detect supply chain disruptions
-    const disruptions = this._detectSupplyChainDisruptions();
+    const disruptions = this._detectSupplyChainDisruptions(supplierPerformance);
 
     const result = {
       timestamp: Date.now(),
@@ -236,25 +364,375 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
       result.recommendations.push('Engage with suppliers for quality assurance');
       result.recommendations.push('Consider alternative suppliers');
     }
+    for (const scorecard of Object.values(supplierPerformance.suppliers)) {
+      if (scorecard.quality.drift?.isDrift) {
+        const current = (scorecard.quality.defectRate * 100).toFixed(1);
+        const baseline = (scorecard.quality.baselineDefectRate * 100).toFixed(1);
+        result.recommendations.push(
+          `Supplier ${scorecard.supplierId}: defect rate ${current}% vs ${baseline}% baseline - tighten incoming inspection`
+        );
+      }
+      if (scorecard.delivery.trend === 'declining') {
+        result.recommendations.push(`Supplier ${scorecard.supplierId}: on-time delivery declining`);
+      }
+    }
+    if (disruptions.detected) {
+      const suppliers = disruptions.suppliers.map(supplier => supplier.supplierId).join(', ');
+      result.recommendations.push(`Lead-time spike at ${suppliers}: review safety stock and alternate sources`);
+    }
 
     console.log(`Drift Status: ${qualityDrift.isDrift ? '⚠️  DRIFT DETECTED' : '✓ No Drift'}`);
-    console.log(`Supplier Performance: ${supplierPerformance.avgScore.toFixed(2)}/10`);
+    if (supplierPerformance.avgScore !== null) {
+      console.log(`Supplier Performance: ${supplierPerformance.avgScore.toFixed(2)}/10`);
+    }
 
     return result;
   }
 
+  /**
+   * Monitor several production lines at once
+   * lineData: { lineId: { plant, quality: [], efficiency: [], parameters: { name: [] }, newSupplier } }
+   * or records tagged by line: [{ line, plant, quality, efficiency, parameters: { name: value } }],
+   * where the fields named in config.lineParameters are parameters too.
+   * Lines without a plant belong to config.plant.
+   *
+   * @returns {Promise<Object>} Per-line drift and fleet comparison, outlier lines and per-plant rollup
+   */
+  async monitorProductionLines(lineData) {
+    console.log('\n🏭 Manufacturing - Production Line Comparison');
+    console.log('='.repeat(60));
+
+    const lines = this._linesFromData(lineData);
+    const lineIds = Object.keys(lines);
+    if (lineIds.length === 0) {
+      throw new Error('Production line data must contain at least one line');
+    }
+
+    const results = {};
+    for (const lineId of lineIds) {
+      results[lineId] = await this._analyzeLine(lineId, lines);
+    }
+
+    const outliers = this._detectOutlierLines(lines);
+    for (const outlier of outliers) {
+      results[outlier.line].outlier = true;
+    }
+
+    const result = {
+      timestamp: Date.now(),
+      modelType: 'production_lines',
+      lines: results,
+      outliers,
+      plants: this._rollUpPlants(results),
+      recommendations: []
+    };
+
+    for (const outlier of outliers) {
+      result.recommendations.push(
+        `Line ${outlier.line} is an outlier on ${outlier.metric} (mean ${outlier.mean.toFixed(3)} vs fleet median ${outlier.fleetMedian.toFixed(3)})`
+      );
+    }
+    for (const [lineId, line] of Object.entries(results)) {
+      if (line.productionImpact === 'high' || line.productionImpact === 'critical') {
+        result.recommendations.push(
+          `Line ${lineId}: ${line.productionImpact} production impact - inspect recent batches`
+        );
+      }
+      if (line.fleetComparison?.quality?.isDrift && line.qualityDrift && !line.qualityDrift.isDrift) {
+        result.recommendations.push(
+          `Line ${lineId} is stable against its own baseline but differs from the fleet - compare line setups`
+        );
+      }
+    }
+
+    for (const [plant, rollup] of Object.entries(result.plants)) {
+      console.log(`${plant}: ${rollup.lines.length} line(s), impact ${rollup.productionImpact.toUpperCase()}`);
+    }
+    console.log(`Outlier Lines: ${outliers.length > 0 ? outliers.map(outlier => outlier.line).join(', ') : 'none'}`);
+
+    return result;
+  }
+
+  /**
+   * Compare a batch's trajectories with the golden batch
+   * batch: { id, parameters: { name: [values in time order] } } or { name: [values] };
+   * parameters without a golden trajectory are ignored
+   *
+   * @returns {Promise<Object>} Per-parameter distance and envelope violations, deviation start
+   *   (parameter, batch step, reference step, phase) and productionImpact
+   */
+  async monitorBatch(batch) {
+    console.log('\n🏭 Manufacturing - Golden Batch Comparison');
+    console.log('='.repeat(60));
+
+    if (!this.goldenBatch) {
+      throw new Error('No golden batch set. Call setGoldenBatch() first.');
+    }
+
+    const parameters = batch.parameters || batch;
+    for (const [name, values] of Object.entries(parameters)) {
+      if (Array.isArray(values)) {
+        this._validateValues(values, 'numeric', ` in batch trajectory ${name}`);
+      }
+    }
+
+    const comparison = this.goldenBatch.profile.compare(parameters);
+    if (Object.keys(comparison.parameters).length === 0) {
+      throw new Error(`Batch has none of the golden batch parameters: ${this.goldenBatch.parameters.join(', ')}`);
+    }
+
+    const result = {
+      timestamp: Date.now(),
+      modelType: 'golden_batch',
+      productionLine: this.productionLine,
+      batchId: batch.id ?? null,
+      parameters: comparison.parameters,
+      isDeviation: comparison.isDeviation,
+      deviationStart: comparison.deviationStart,
+      productionImpact: this._assessBatchImpact(comparison),
+      recommendations: []
+    };
+
+    const { deviationStart } = comparison;
+    if (deviationStart) {
+      result.recommendations.push(
+        `${deviationStart.parameter} left the golden envelope in the ${deviationStart.phase} phase (batch step ${deviationStart.batchIndex}) - review that phase's settings`
+      );
+    }
+    for (const [name, parameter] of Object.entries(comparison.parameters)) {
+      if (parameter.distance > parameter.distanceThreshold && !parameter.deviationStart) {
+        result.recommendations.push(
+          `${name} trajectory differs in shape from the golden batch - check timing and ramp rates`
+        );
+      }
+    }
+    if (result.productionImpact === 'high') {
+      result.recommendations.push('Hold the batch for quality review before release');
+    }
+
+    console.log(`Batch: ${result.batchId ?? 'unnamed'}`);
+    console.log(`Deviation: ${result.isDeviation ? '⚠️  YES' : '✓ No'}`);
+    if (deviationStart) {
+      console.log(`Started: ${deviationStart.parameter} in ${deviationStart.phase} phase`);
+    }
+    console.log(`Production Impact: ${result.productionImpact.toUpperCase()}`);
+
+    return result;
+  }
+
+  /**
+   * Set the golden batch from reference runs of the process
+   *
+   * @param {Array<Object>} batches - Golden batches in the monitorBatch() format
+   * @param {Object} options - GoldenBatchProfile options (window, envelopeWidth, tolerance, minRun, phases)
+   * @returns {Object} { parameters, batches, lengths: { name: steps of the reference trajectory } }
+   */
+  setGoldenBatch(batches, options = {}) {
+    if (!Array.isArray(batches) || batches.length === 0) {
+      throw new Error('Golden batch needs at least one reference batch');
+    }
+
+    // As in monitorBatch(), fields that are not trajectories (id, operator) are skipped
+    const runs = batches.map(batch => batch.parameters || batch);
+    for (const run of runs) {
+      for (const [name, values] of Object.entries(run)) {
+        if (Array.isArray(values)) {
+          this._validateValues(values, 'numeric', ` in golden batch trajectory ${name}`);
+        }
+      }
+    }
+
+    const profile = new GoldenBatchProfile({ ...this.goldenBatchOptions, ...options }).fit(runs);
+    const parameters = Object.keys(profile.parameters);
+    this.goldenBatch = { profile, parameters, batches: runs.length, timestamp: Date.now() };
+
+    this._logAudit({
+      type: 'golden_batch',
+      parameters,
+      batches: runs.length
+    });
+
+    return {
+      parameters,
+      batches: runs.length,
+      lengths: Object.fromEntries(parameters.map(name => [name, profile.parameters[name].mean.length]))
+    };
+  }
+
+  /**
+   * Set per-line baselines from data in the monitorProductionLines() format
+   *
+   * @param {Object|Array} lineData - Baseline data by line
+   * @returns {Object} { lines: [lineId] }
+   */
+  setLineBaselines(lineData) {
+    for (const [lineId, line] of Object.entries(this._linesFromData(lineData))) {
+      const baseline = { plant: line.plant, parameters: {}, timestamp: Date.now() };
+      for (const metric of LINE_METRICS) {
+        baseline[metric] = line[metric].length > 0 ? this._buildDistribution(line[metric]) : null;
+      }
+      for (const [name, values] of Object.entries(line.parameters)) {
+        baseline.parameters[name] = this._buildDistribution(values);
+      }
+      this.lineBaselines.set(lineId, baseline);
+    }
+
+    this._logAudit({
+      type: 'line_baselines',
+      lines: [...this.lineBaselines.keys()]
+    });
+
+    return { lines: [...this.lineBaselines.keys()] };
+  }
+
+  /**
+   * Compute control limits from explicit baseline values (in production order)
+   * Without values the limits come from the default baseline, and then follow it when
+   * setBaseline() replaces it; explicit limits stay until setControlLimits() is called again.
+   *
+   * @param {Array<number>|null} baselineValues - In-control process values
+   * @param {Object} options - ControlChart options (subgroupSize, rules, ewmaLambda, cusumK, cusumH)
+   * @returns {Object} Control limits
+   */
+  setControlLimits(baselineValues = null, options = {}) {
+    const baseline = this.getBaseline();
+    const values = baselineValues || baseline?.data;
+    if (!values) {
+      throw new Error('No baseline to compute control limits from. Call setBaseline() first.');
+    }
+    this._validateValues(values, 'numeric', ' in control chart baseline');
+
+    const chart = new ControlChart({ ...this.controlChartOptions, ...options }).fit(values);
+    this.controlChart = { chart, baseline: baselineValues ? null : baseline };
+
+    return chart.limits;
+  }
+
+  /**
+   * Set the vibration baseline from healthy waveforms
+   * Each waveform ({ samples, sampleRate, rpm }) gives one feature vector; every channel
+   * needs several captures so each feature has a distribution to compare against.
+   *
+   * @param {Object|Array} waveforms - { channel: [waveform] } or [waveform] (channel 'vibration')
+   * @param {Object} metadata - Baseline metadata; metadata.rpm applies to waveforms without their own
+   * @returns {Object} Vibration baseline
+   */
+  setVibrationBaseline(waveforms, metadata = {}) {
+    const channels = {};
+    for (const [channel, captures] of Object.entries(this._waveformChannels(waveforms))) {
+      const vectors = this._waveformFeatures(channel, captures, metadata.rpm);
+      const features = {};
+      for (const name of Object.keys(vectors[0])) {
+        features[name] = this._buildDistribution(vectors.map(vector => vector[name]));
+      }
+      channels[channel] = { features, captures: captures.length };
+    }
+
+    this.vibrationBaseline = { channels, metadata, timestamp: Date.now() };
+
+    this._logAudit({
+      type: 'vibration_baseline',
+      channels: Object.keys(channels)
+    });
+
+    return this.vibrationBaseline;
+  }
+
+  /**
+   * Set each supplier's baseline from historical lot records
+   *
+   * @param {Array<Object>|Object} supplierData - Lot records, or { lots }
+   * @param {Object} metadata - Baseline metadata
+   * @returns {Object} Supplier baseline
+   */
+  setSupplierBaseline(supplierData, metadata = {}) {
+    const suppliers = {};
+    for (const [supplierId, lots] of this._groupSupplierLots(this._supplierLots(supplierData))) {
+      const summary = this._summarizeSupplierLots(lots);
+      suppliers[supplierId] = {
+        ...summary,
+        defectRateDistribution: summary.defectRates.length > 0 ? this._buildDistribution(summary.defectRates) : null,
+        leadTime: summary.leadTimes.length > 0 ? this._calculateStats(summary.leadTimes) : null
+      };
+    }
+
+    this.supplierBaseline = { suppliers, metadata, timestamp: Date.now() };
+
+    this._logAudit({
+      type: 'supplier_baseline',
+      suppliers: Object.keys(suppliers)
+    });
+
+    return this.supplierBaseline;
+  }
+
   // ==================== HELPER METHODS ====================
 
-  async _analyzeProductionParameters(params) {
-    const drifts = [];
+  /**
+   * Helper: Production impact of a batch comparison
+   * A shape difference alone is low, a sustained envelope violation medium, several
+   * deviating parameters high
+   */
+  _assessBatchImpact(comparison) {
+    const deviating = Object.values(comparison.parameters).filter(parameter => parameter.isDeviation);
+    if (deviating.length === 0) {
+      return 'none';
+    }
+    if (deviating.length > 1) {
+      return 'high';
+    }
+    return comparison.deviationStart ? 'medium' : 'low';
+  }
 
-    const criticalParams = ['temperature', 'pressure', 'speed', 'material_thickness'];
+  /**
+   * Helper: One line against its own baseline and against the other lines pooled
+   * Without an own baseline the fleet comparison drives the line's productionImpact
+   */
+  async _analyzeLine(lineId, lines) {
+    const line = lines[lineId];
+    const baseline = this.lineBaselines.get(lineId) || null;
+
+    const result = {
+      plant: line.plant,
+      samples: line.quality.length,
+      qualityDrift: null,
+      efficiencyDrift: null,
+      parameterDrift: [],
+      fleetComparison: {},
+      outlier: false
+    };
+
+    for (const metric of LINE_METRICS) {
+      const values = line[metric];
+      if (values.length === 0) {
+        continue;
+      }
+      if (baseline?.[metric]) {
+        result[`${metric}Drift`] = this._summarizeLineDrift(await this._scoreDistribution(baseline[metric], values));
+      }
+
+      const fleet = Object.entries(lines)
+        .filter(([otherId]) => otherId !== lineId)
+        .flatMap(([, other]) => other[metric]);
+      if (fleet.length > 0) {
+        const comparison = await this._scoreDistribution(this._buildDistribution(fleet), values);
+        const lineMean = this._calculateMean(values);
+        const fleetMean = this._calculateMean(fleet);
+        result.fleetComparison[metric] = {
+          ...this._summarizeLineDrift(comparison),
+          lineMean,
+          fleetMean,
+          meanDifference: lineMean - fleetMean
+        };
+      }
+    }
 
-    for (const param of criticalParams) {
-      if (params[param]) {
-        const drift = await this.detectDrift(params[param]);
-        drifts.push({
-          parameter: param,
+    for (const [name, values] of Object.entries(line.parameters)) {
+      const distribution = baseline?.parameters[name];
+      if (distribution) {
+        const drift = await this._scoreDistribution(distribution, values);
+        result.parameterDrift.push({
+          parameter: name,
           drift: drift.isDrift,
           score: drift.averageScore,
           severity: drift.severity
@@ -262,7 +740,331 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
       }
     }
 
-    return drifts;
+    const qualityDrift = result.qualityDrift || result.fleetComparison.quality || { severity: 'none' };
+    result.productionImpact = this._assessProductionImpact(qualityDrift, result.parameterDrift, {
+      newSupplier: Boolean(line.newSupplier)
+    });
+
+    return result;
+  }
+
+  _summarizeLineDrift(drift) {
+    return { isDrift: drift.isDrift, severity: drift.severity, score: drift.averageScore };
+  }
+
+  /**
+   * Helper: Lines whose mean quality or efficiency is far from the other lines'
+   * Uses the modified z-score 0.6745·(x - median) / MAD; needs three or more lines
+   */
+  _detectOutlierLines(lines) {
+    const outliers = [];
+
+    for (const metric of LINE_METRICS) {
+      const means = Object.entries(lines)
+        .filter(([, line]) => line[metric].length > 0)
+        .map(([lineId, line]) => ({ line: lineId, mean: this._calculateMean(line[metric]) }));
+      if (means.length < 3) {
+        continue;
+      }
+
+      const median = StatisticsUtil.calculateMedian(means.map(entry => entry.mean));
+      const mad = StatisticsUtil.calculateMedian(means.map(entry => Math.abs(entry.mean - median)));
+      if (mad === 0) {
+        continue;
+      }
+
+      for (const entry of means) {
+        const zScore = (0.6745 * (entry.mean - median)) / mad;
+        if (Math.abs(zScore) > OUTLIER_LINE_Z) {
+          outliers.push({ line: entry.line, metric, mean: entry.mean, fleetMedian: median, zScore });
+        }
+      }
+    }
+
+    return outliers;
+  }
+
+  /**
+   * Helper: Per-plant rollup; a plant's impact is that of its worst line
+   */
+  _rollUpPlants(lineResults) {
+    const plants = {};
+
+    for (const [lineId, line] of Object.entries(lineResults)) {
+      if (!plants[line.plant]) {
+        plants[line.plant] = {
+          lines: [],
+          productionImpact: 'none',
+          impactCounts: Object.fromEntries(IMPACT_LEVELS.map(level => [level, 0])),
+          driftingLines: [],
+          outlierLines: []
+        };
+      }
+
+      const plant = plants[line.plant];
+      plant.lines.push(lineId);
+      plant.impactCounts[line.productionImpact]++;
+      if (IMPACT_LEVELS.indexOf(line.productionImpact) > IMPACT_LEVELS.indexOf(plant.productionImpact)) {
+        plant.productionImpact = line.productionImpact;
+      }
+      if (line.qualityDrift?.isDrift || line.efficiencyDrift?.isDrift) {
+        plant.driftingLines.push(lineId);
+      }
+      if (line.outlier) {
+        plant.outlierLines.push(lineId);
+      }
+    }
+
+    return plants;
+  }
+
+  /**
+   * Helper: Line data keyed by line id, from either input shape
+   */
+  _linesFromData(lineData) {
+    const lines = {};
+    const lineFor = (lineId, plant) => {
+      if (!lines[lineId]) {
+        lines[lineId] = { plant: plant || this.plant, quality: [], efficiency: [], parameters: {}, newSupplier: false };
+      }
+      return lines[lineId];
+    };
+
+    if (Array.isArray(lineData)) {
+      for (const record of lineData) {
+        const { line: lineId, plant, newSupplier, parameters = {} } = record;
+        if (lineId === undefined || lineId === null) {
+          throw new Error(`Production line record needs a line: ${JSON.stringify(record)}`);
+        }
+        if (typeof parameters !== 'object' || parameters === null || Array.isArray(parameters)) {
+          throw new Error(`Production line record parameters must be an object: ${JSON.stringify(record)}`);
+        }
+        const line = lineFor(String(lineId), plant);
+        line.newSupplier = line.newSupplier || Boolean(newSupplier);
+        for (const metric of LINE_METRICS) {
+          if (record[metric] !== undefined) {
+            line[metric].push(record[metric]);
+          }
+        }
+
+        // Other fields (timestamps, counters) are not parameters unless configured
+        const configured = this.lineParameters.filter(name => record[name] !== undefined);
+        const values = { ...Object.fromEntries(configured.map(name => [name, record[name]])), ...parameters };
+        for (const [name, value] of Object.entries(values)) {
+          if (!line.parameters[name]) {
+            line.parameters[name] = [];
+          }
+          line.parameters[name].push(value);
+        }
+      }
+    } else {
+      for (const [lineId, data] of Object.entries(lineData || {})) {
+        const line = lineFor(lineId, data.plant);
+        line.newSupplier = Boolean(data.newSupplier);
+        for (const metric of LINE_METRICS) {
+          line[metric] = data[metric] || [];
+        }
+        line.parameters = { ...(data.parameters || {}) };
+      }
+    }
+
+    for (const [lineId, line] of Object.entries(lines)) {
+      for (const metric of LINE_METRICS) {
+        this._validateValues(line[metric], 'numeric', ` in ${metric} of line ${lineId}`);
+      }
+      for (const [name, values] of Object.entries(line.parameters)) {
+        this._validateValues(values, 'numeric', ` in ${name} of line ${lineId}`);
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Helper: Spectral features of current waveforms against the vibration baseline
+   * Returns null when equipmentData carries no waveforms
+   */
+  async _analyzeSpectralDrift(equipmentData) {
+    if (!equipmentData?.waveforms) {
+      return null;
+    }
+    if (!this.vibrationBaseline) {
+      throw new Error('Vibration baseline not set. Call setVibrationBaseline() first.');
+    }
+
+    const rpm = typeof equipmentData.rpm === 'number' ? equipmentData.rpm : undefined;
+    const channels = {};
+    const failureModes = [];
+    const tested = {};
+
+    for (const [channel, captures] of Object.entries(this._waveformChannels(equipmentData.waveforms))) {
+      const baseline = this.vibrationBaseline.channels[channel];
+      if (!baseline) {
+        continue;
+      }
+
+      const vectors = this._waveformFeatures(channel, captures, rpm);
+      const features = {};
+      const currentMeans = {};
+      const baselineMeans = {};
+      for (const [name, distribution] of Object.entries(baseline.features)) {
+        const values = vectors.map(vector => vector[name]).filter(value => value !== undefined);
+        if (values.length === 0) {
+          continue;
+        }
+
+        const drift = await this._scoreDistribution(distribution, values);
+        for (const [method, methodEntry] of Object.entries(drift.methods)) {
+          tested[`${channel}.${name}.${method}`] = methodEntry;
+        }
+        currentMeans[name] = this._calculateMean(values);
+        baselineMeans[name] = distribution.statistics.mean;
+        features[name] = {
+          mean: currentMeans[name],
+          baselineMean: baselineMeans[name],
+          isDrift: drift.isDrift,
+          severity: drift.severity,
+          score: drift.averageScore,
+          methods: drift.methods
+        };
+      }
+
+      const matches = this.spectralAnalyzer.matchSignatures(currentMeans, baselineMeans);
+      failureModes.push(...matches.map(match => ({ channel, ...match })));
+      channels[channel] = { captures: captures.length, features, failureModes: matches.map(match => match.mode) };
+    }
+
+    // A spectrum gives dozens of features; one correction over every channel × feature × method
+    // p-value keeps a healthy machine from drifting somewhere by chance
+    this._correctPValues(tested);
+    const driftingFeatures = [];
+    for (const [channel, { features }] of Object.entries(channels)) {
+      for (const [name, feature] of Object.entries(features)) {
+        const pValues = Object.values(feature.methods).filter(method => typeof method.pValue === 'number');
+        const corrected = pValues.filter(method => typeof method.adjustedPValue === 'number');
+        if (pValues.length > 0) {
+          feature.pValue = Math.min(...pValues.map(method => method.pValue));
+        }
+        if (corrected.length > 0) {
+          feature.adjustedPValue = Math.min(...corrected.map(method => method.adjustedPValue));
+          feature.significant = corrected.some(method => method.significant);
+          feature.isDrift = feature.isDrift && feature.significant;
+        }
+        delete feature.methods;
+        if (feature.isDrift) {
+          driftingFeatures.push({ channel, feature: name, severity: feature.severity });
+        }
+      }
+    }
+
+    return {
+      channels,
+      driftingFeatures,
+      failureModes: failureModes.sort((a, b) => b.confidence - a.confidence)
+    };
+  }
+
+  /**
+   * Helper: Feature vectors of a channel's waveforms
+   * Sample rate and rpm decide which bands and orders exist, so every capture must give
+   * the features of the first
+   */
+  _waveformFeatures(channel, captures, rpm) {
+    const vectors = captures.map(waveform => this.spectralAnalyzer.features({ rpm, ...waveform }));
+    const expected = Object.keys(vectors[0]).sort().join(', ');
+    vectors.forEach((vector, i) => {
+      const names = Object.keys(vector).sort().join(', ');
+      if (names !== expected) {
+        throw new Error(
+          `Waveform ${i} of channel ${channel} gives features ${names}; expected ${expected} as in the first waveform`
+        );
+      }
+    });
+    return vectors;
+  }
+
+  /**
+   * Helper: Waveforms by channel
+   */
+  _waveformChannels(waveforms) {
+    const channels = Array.isArray(waveforms) ? { vibration: waveforms } : waveforms;
+    for (const [channel, captures] of Object.entries(channels || {})) {
+      if (!Array.isArray(captures) || captures.length === 0) {
+        throw new Error(`Channel ${channel} needs an array of waveforms`);
+      }
+    }
+    return channels || {};
+  }
+
+  /**
+   * Helper: Control chart report and capability indices for monitored values
+   * Returns null when no limits can be computed (no numeric baseline, too few values
+   * or no variation within the baseline subgroups)
+   */
+  _analyzeControlCharts(values, specLimits = null) {
+    const baseline = this.getBaseline();
+    const stale = this.controlChart?.baseline && this.controlChart.baseline !== baseline;
+    if (!this.controlChart || stale) {
+      const chart = new ControlChart(this.controlChartOptions);
+      const usable = baseline?.type === 'numeric' && baseline.data.length >= chart.minimumValues();
+      if (!usable) {
+        return null;
+      }
+      try {
+        this.controlChart = { chart: chart.fit(baseline.data), baseline };
+      } catch (error) {
+        console.warn(`Control charts unavailable: ${error.message}`);
+        return null;
+      }
+    }
+
+    const { chart } = this.controlChart;
+    const limits = specLimits || this.specLimits;
+    return {
+      ...chart.evaluate(values),
+      specLimits: limits,
+      capability: limits ? chart.capability(values, limits) : null
+    };
+  }
+
+  _controlChartRecommendations(controlCharts) {
+    const recommendations = [];
+    if (!controlCharts) {
+      return recommendations;
+    }
+
+    if (!controlCharts.inControl) {
+      const rules = [...new Set(controlCharts.violations.map(violation => violation.rule))];
+      recommendations.push(
+        `SPC: ${controlCharts.outOfControlSamples.length} sample(s) out of control (${rules.join(', ')})`
+      );
+      recommendations.push('Investigate assignable causes for the flagged samples');
+    }
+    if (controlCharts.capability && !controlCharts.capability.capable) {
+      const cpk = controlCharts.capability.cpk;
+      recommendations.push(
+        `Process not capable against spec limits (Cpk ${cpk === null ? 'n/a' : cpk.toFixed(2)} < 1.33)`
+      );
+    }
+
+    return recommendations;
+  }
+
+  async _analyzeProductionParameters(params) {
+    // Each parameter is compared against its own baseline (see setMultivariateBaseline)
+    const criticalParams = ['temperature', 'pressure', 'speed', 'material_thickness'];
+    const tableDrift = await this._detectFeatureTableDrift(params, criticalParams);
+
+    if (!tableDrift) {
+      return [];
+    }
+
+    return Object.entries(tableDrift.features).map(([param, drift]) => ({
+      parameter: param,
+      drift: drift.isDrift,
+      score: drift.averageScore,
+      severity: drift.severity
+    }));
   }
 
   _detectSupplierChanges(productionParams) {
@@ -286,7 +1088,7 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
     };
   }
 
-  _assessProductionImpact(qualityDrift, parameterDrift, supplierDrift) {
+  _assessProductionImpact(qualityDrift, parameterDrift, supplierDrift, controlCharts = null) {
     let impactScore = 0;
 
     // Quality drift is primary indicator
@@ -309,6 +1111,11 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
       impactScore += 1;
     }
 
+    // An out-of-control process needs attention even before the distribution drifts
+    if (controlCharts && !controlCharts.inControl) {
+      impactScore += 1;
+    }
+
     if (impactScore >= 3.5) {
       return 'critical';
     }
@@ -324,29 +1131,135 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
     return 'none';
   }
 
-  _analyzeEquipmentDegradation(sensorReadings) {
+  _analyzeEquipmentDegradation(sensorReadings, remainingUsefulLife = null) {
     // Analyze degradation trend from sensor data
     const trend = this._calculateTrend(sensorReadings);
 
     return {
       rate: trend * 100, // Convert to percentage
       pattern: trend > 0.01 ? 'accelerating' : trend < -0.01 ? 'improving' : 'stable',
-      estimatedLifespan: trend > 0 ? Math.floor(100 / (trend * 100)) : Infinity
+      // Hours to the failure threshold; unknown without one
+      estimatedLifespan: remainingUsefulLife ? remainingUsefulLife.rulHours : null
     };
   }
 
-  _detectFailureMode(sensorReadings, equipmentData) {
-    // In production, use ML to detect specific failure modes
-    // For demo, simulate failure mode detection
+  /**
+   * Helper: RUL of every sensor with a failure threshold; the sensor that fails first drives it
+   * Returns null without thresholds or when no sensor has enough readings
+   */
+  _estimateRemainingUsefulLife(sensorReadings, equipmentData = {}) {
+    const thresholds = equipmentData?.failureThreshold;
+    if (thresholds === undefined || thresholds === null) {
+      return null;
+    }
+
+    const estimator = new RemainingUsefulLife(this.rulOptions);
+    const sensors = {};
+    for (const { name, points } of this._sensorSeries(sensorReadings, equipmentData)) {
+      const threshold = typeof thresholds === 'number' ? thresholds : thresholds[name];
+      if (typeof threshold !== 'number') {
+        continue;
+      }
+      const estimate = estimator.estimate(points, threshold);
+      if (estimate) {
+        const { rul, ...fit } = estimate;
+        sensors[name] = { rulHours: rul, ...fit, samples: points.length };
+      }
+    }
+
+    const ranked = Object.entries(sensors).sort((a, b) => a[1].rulHours - b[1].rulHours);
+    if (ranked.length === 0) {
+      return null;
+    }
+    const [drivingSensor, driver] = ranked[0];
+
+    const lastMaintenance = Date.parse(equipmentData.lastMaintenance);
+    const { operatingHours, ratedLifeHours } = equipmentData;
+    let ratedLifeRemainingHours = null;
+    if (typeof ratedLifeHours === 'number' && typeof operatingHours === 'number') {
+      ratedLifeRemainingHours = Math.max(0, ratedLifeHours - operatingHours);
+    }
+
+    return {
+      unit: 'hours',
+      rulHours: driver.rulHours,
+      lower: driver.lower,
+      upper: driver.upper,
+      confidence: estimator.confidence,
+      model: driver.model,
+      drivingSensor,
+      sensors: Object.fromEntries(ranked),
+      age: equipmentData.age ?? null,
+      operatingHours: operatingHours ?? null,
+      hoursSinceMaintenance: Number.isNaN(lastMaintenance) ? null : (Date.now() - lastMaintenance) / HOUR_MS,
+      ratedLifeRemainingHours
+    };
+  }
+
+  /**
+   * Helper: Sensor series as { name, points: [{ t (hours), value }] } in time order
+   */
+  _sensorSeries(sensorReadings, equipmentData) {
+    const sensors = equipmentData.sensors || { [equipmentData.sensorType || 'sensor']: sensorReadings };
+    const interval = equipmentData.sampleIntervalHours ?? 1;
+    const lastMaintenance = Date.parse(equipmentData.lastMaintenance);
+
+    return Object.entries(sensors).map(([name, readings]) => {
+      if (!Array.isArray(readings)) {
+        throw new Error(`Sensor ${name} readings must be an array`);
+      }
+      if (readings.every(reading => typeof reading === 'number')) {
+        this._validateValues(readings, 'numeric', ` in sensor ${name}`);
+        return { name, points: readings.map((value, i) => ({ t: i * interval, value })) };
+      }
+
+      const parsed = readings.map(reading => ({
+        timestamp: new Date(reading?.timestamp).getTime(),
+        value: reading?.value
+      }));
+      const invalid = parsed.findIndex(reading => Number.isNaN(reading.timestamp));
+      if (invalid !== -1) {
+        throw new Error(
+          `Invalid timestamp in sensor ${name} at index ${invalid}: ${readings[invalid]?.timestamp}. All timestamps must be dates.`
+        );
+      }
+
+      const timed = parsed
+        .filter(reading => Number.isNaN(lastMaintenance) || reading.timestamp >= lastMaintenance)
+        .sort((a, b) => a.timestamp - b.timestamp);
+      const values = timed.map(reading => reading.value);
+      this._validateValues(values, 'numeric', ` in sensor ${name}`);
+      const start = timed[0]?.timestamp;
+      return {
+        name,
+        points: timed.map(reading => ({ t: (reading.timestamp - start) / HOUR_MS, value: reading.value }))
+      };
+    });
+  }
+
+  _detectFailureMode(sensorReadings, equipmentData, spectralAnalysis = null) {
+    // Vibration signatures name the failure mode
+    const [signature] = spectralAnalysis?.failureModes || [];
+    if (signature) {
+      return {
+        detected: true,
+        mode: signature.mode,
+        confidence: signature.confidence,
+        channel: signature.channel,
+        description: signature.description
+      };
+    }
+
+    // Without a signature only a large deviation from the baseline is reported, unclassified
     const avgReading = this._calculateMean(sensorReadings);
-    const baseline = this.baselineDistribution ? this.baselineDistribution.mean : avgReading;
+    const baseline = this.baselineDistribution ? this.baselineDistribution.statistics.mean : avgReading;
 
-    const deviation = Math.abs(avgReading - baseline) / baseline;
+    const deviation = baseline !== 0 ? Math.abs(avgReading - baseline) / Math.abs(baseline) : 0;
 
     if (deviation > 0.3) {
       return {
         detected: true,
-        mode: 'bearing_wear',
+        mode: 'sensor_deviation',
         confidence: Math.min(0.95, deviation)
       };
     }
@@ -358,7 +1271,7 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
     };
   }
 
-  _assessMaintenanceUrgency(sensorDrift, degradationPattern) {
+  _assessMaintenanceUrgency(sensorDrift, degradationPattern, remainingUsefulLife = null, spectralAnalysis = null) {
     let urgency = 0;
 
     if (sensorDrift.severity === 'critical') {
@@ -375,6 +1288,20 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
       urgency += 1;
     }
 
+    // Failure possible (lower bound) or expected within the maintenance horizon
+    if (remainingUsefulLife && remainingUsefulLife.rulHours <= this.maintenanceHorizonHours) {
+      urgency += 2;
+    } else if (remainingUsefulLife && remainingUsefulLife.lower <= this.maintenanceHorizonHours) {
+      urgency += 1;
+    }
+
+    // A recognized failure signature outweighs unexplained spectral drift
+    if (spectralAnalysis && spectralAnalysis.failureModes.length > 0) {
+      urgency += 1;
+    } else if (spectralAnalysis && spectralAnalysis.driftingFeatures.length > 0) {
+      urgency += 0.5;
+    }
+
     if (urgency >= 3.5) {
       return 'critical';
     }
@@ -428,22 +1355,233 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
     };
   }
 
-  _analyzeSupplierPerformance(supplierData) {
-    // Analyze supplier quality trends
+  /**
+   * Helper: Supplier scorecards from lot records
+   * score (0-10) weighs quality (60%, zero at supplierDefectLimit) and on-time delivery (40%)
+   */
+  async _analyzeSupplierPerformance(supplierData) {
+    const lots = this._supplierLots(supplierData);
+    const suppliers = {};
+
+    for (const [supplierId, supplierLots] of this._groupSupplierLots(lots)) {
+      const summary = this._summarizeSupplierLots(supplierLots);
+      const baseline = this.supplierBaseline?.suppliers[supplierId] || null;
+
+      let drift = null;
+      if (baseline?.defectRateDistribution && summary.defectRates.length > 0) {
+        const result = await this._scoreDistribution(baseline.defectRateDistribution, summary.defectRates);
+        drift = { isDrift: result.isDrift, severity: result.severity, score: result.averageScore };
+      }
+
+      const qualityScore = Math.max(0, 1 - (summary.defectRate ?? 0) / this.supplierDefectLimit);
+      const score = 10 * (summary.onTimeRate === null ? qualityScore : 0.6 * qualityScore + 0.4 * summary.onTimeRate);
+
+      suppliers[supplierId] = {
+        supplierId,
+        lots: summary.lots,
+        quantity: summary.quantity,
+        score,
+        quality: {
+          defectRate: summary.defectRate,
+          baselineDefectRate: baseline?.defectRate ?? null,
+          lotVariability: summary.lotVariability,
+          baselineLotVariability: baseline?.lotVariability ?? null,
+          drift
+        },
+        delivery: {
+          onTimeRate: summary.onTimeRate,
+          baselineOnTimeRate: baseline?.onTimeRate ?? null,
+          trend: this._deliveryTrend(supplierLots),
+          leadTimeDays: summary.leadTimes.length > 0 ? this._calculateMean(summary.leadTimes) : null,
+          baselineLeadTimeDays: baseline?.leadTime?.mean ?? null,
+          leadTimeSpikes: this._leadTimeSpikes(supplierLots, baseline?.leadTime)
+        }
+      };
+    }
+
+    const scorecards = Object.values(suppliers);
+    const overall = this._summarizeSupplierLots(lots);
+
     return {
-      avgScore: 8.5, // Out of 10
-      trend: 'stable',
-      onTimeDelivery: 0.95
+      avgScore: scorecards.length > 0 ? this._calculateMean(scorecards.map(scorecard => scorecard.score)) : null,
+      trend: this._deliveryTrend(lots),
+      onTimeDelivery: overall.onTimeRate,
+      suppliers,
+      // Lowest score first
+      ranking: scorecards.sort((a, b) => a.score - b.score).map(scorecard => scorecard.supplierId)
     };
   }
 
-  _detectSupplyChainDisruptions() {
-    // In production, integrate with supply chain monitoring
+  /**
+   * Helper: Disruptions from lead-time spikes; several suppliers at once is systemic
+   */
+  _detectSupplyChainDisruptions(supplierPerformance) {
+    const suppliers = Object.values(supplierPerformance?.suppliers || {})
+      .filter(scorecard => scorecard.delivery.leadTimeSpikes.length > 0)
+      .map(scorecard => ({
+        supplierId: scorecard.supplierId,
+        spikes: scorecard.delivery.leadTimeSpikes,
+        maxZScore: Math.max(...scorecard.delivery.leadTimeSpikes.map(spike => spike.zScore))
+      }));
+
+    if (suppliers.length === 0) {
+      return {
+        detected: false,
+        type: null,
+        severity: 'none',
+        suppliers: []
+      };
+    }
+
+    let severity = 'medium';
+    if (suppliers.length > 1 || suppliers.some(supplier => supplier.maxZScore > 2 * LEAD_TIME_SPIKE_Z)) {
+      severity = 'high';
+    }
+
     return {
-      detected: false,
-      type: null,
-      severity: 'none'
+      detected: true,
+      type: suppliers.length > 1 ? 'systemic_lead_time_spike' : 'lead_time_spike',
+      severity,
+      suppliers
+    };
+  }
+
+  /**
+   * Helper: Normalized lot records in delivery order
+   */
+  _supplierLots(supplierData) {
+    const records = Array.isArray(supplierData) ? supplierData : supplierData?.lots;
+    if (!Array.isArray(records)) {
+      return [];
+    }
+
+    const toTime = value => {
+      if (value === undefined || value === null) {
+        return null;
+      }
+      const time = typeof value === 'number' ? value : Date.parse(value);
+      return Number.isNaN(time) ? null : time;
     };
+
+    const lots = records.map(record => {
+      const supplierId = record.supplierId ?? record.supplier;
+      const quantity = typeof record.quantity === 'number' ? record.quantity : null;
+      let defectRate = typeof record.defectRate === 'number' ? record.defectRate : null;
+      if (defectRate === null && typeof record.defects === 'number' && quantity > 0) {
+        defectRate = record.defects / quantity;
+      }
+      if (!supplierId || (defectRate !== null && !(defectRate >= 0 && defectRate <= 1))) {
+        throw new Error(`Invalid supplier lot record: ${JSON.stringify(record)}`);
+      }
+
+      const orderDate = toTime(record.orderDate);
+      const promisedDate = toTime(record.promisedDate ?? record.dueDate);
+      const deliveryDate = toTime(record.deliveryDate ?? record.receivedDate);
+      return {
+        supplierId: String(supplierId),
+        lot: record.lot ?? null,
+        defectRate,
+        quantity,
+        orderDate,
+        deliveryDate,
+        leadTimeDays: orderDate !== null && deliveryDate !== null ? (deliveryDate - orderDate) / DAY_MS : null,
+        onTime: promisedDate !== null && deliveryDate !== null ? deliveryDate <= promisedDate : null
+      };
+    });
+
+    return lots.sort((a, b) => (a.deliveryDate ?? a.orderDate ?? 0) - (b.deliveryDate ?? b.orderDate ?? 0));
+  }
+
+  /**
+   * Helper: Lots by supplier id, each list in the order given
+   */
+  _groupSupplierLots(lots) {
+    const groups = new Map();
+    for (const lot of lots) {
+      if (!groups.has(lot.supplierId)) {
+        groups.set(lot.supplierId, []);
+      }
+      groups.get(lot.supplierId).push(lot);
+    }
+    return groups;
+  }
+
+  /**
+   * Helper: Defect rate (quantity-weighted when every lot has a quantity), lot-to-lot
+   * variability, on-time rate and lead times of a set of lots
+   */
+  _summarizeSupplierLots(lots) {
+    const rated = lots.filter(lot => lot.defectRate !== null);
+    const defectRates = rated.map(lot => lot.defectRate);
+    const weighted = rated.length > 0 && rated.every(lot => lot.quantity > 0);
+
+    let defectRate = null;
+    if (weighted) {
+      const quantity = rated.reduce((sum, lot) => sum + lot.quantity, 0);
+      defectRate = rated.reduce((sum, lot) => sum + lot.defectRate * lot.quantity, 0) / quantity;
+    } else if (rated.length > 0) {
+      defectRate = this._calculateMean(defectRates);
+    }
+
+    const std = defectRates.length > 1 ? this._calculateStd(defectRates) : 0;
+    const delivered = lots.filter(lot => lot.onTime !== null);
+
+    return {
+      lots: lots.length,
+      quantity: lots.reduce((sum, lot) => sum + (lot.quantity || 0), 0),
+      defectRate,
+      defectRates,
+      lotVariability: { std, cv: defectRate > 0 ? std / defectRate : 0 },
+      onTimeRate: delivered.length > 0 ? delivered.filter(lot => lot.onTime).length / delivered.length : null,
+      leadTimes: lots.filter(lot => lot.leadTimeDays !== null).map(lot => lot.leadTimeDays)
+    };
+  }
+
+  /**
+   * Helper: On-time rate of the later half of deliveries against the earlier half
+   */
+  _deliveryTrend(lots) {
+    const delivered = lots.filter(lot => lot.onTime !== null);
+    if (delivered.length < 4) {
+      return 'stable';
+    }
+
+    const half = Math.floor(delivered.length / 2);
+    const rate = group => group.filter(lot => lot.onTime).length / group.length;
+    const change = rate(delivered.slice(half)) - rate(delivered.slice(0, half));
+    if (change < -0.1) {
+      return 'declining';
+    }
+    if (change > 0.1) {
+      return 'improving';
+    }
+    return 'stable';
+  }
+
+  /**
+   * Helper: Lots whose lead time exceeds the supplier's normal by LEAD_TIME_SPIKE_Z
+   * Normal is the baseline mean/std, or the median/MAD of the current lots without one
+   */
+  _leadTimeSpikes(lots, baselineLeadTime = null) {
+    const timed = lots.filter(lot => lot.leadTimeDays !== null);
+    if (timed.length === 0) {
+      return [];
+    }
+
+    let center = baselineLeadTime?.mean;
+    let spread = baselineLeadTime?.std;
+    if (!spread) {
+      const leadTimes = timed.map(lot => lot.leadTimeDays);
+      center = StatisticsUtil.calculateMedian(leadTimes);
+      spread = 1.4826 * StatisticsUtil.calculateMedian(leadTimes.map(days => Math.abs(days - center)));
+    }
+    if (!spread) {
+      return [];
+    }
+
+    return timed
+      .map(lot => ({ lot: lot.lot, leadTimeDays: lot.leadTimeDays, zScore: (lot.leadTimeDays - center) / spread }))
+      .filter(spike => spike.zScore > LEAD_TIME_SPIKE_Z);
   }
 
   async _triggerProductionAlert(result) {
@@ -484,3 +1622,10 @@ export class ManufacturingDriftMonitor extends BaseMonitor {
     });
   }
 }
+
+/**
+ * Helper: Hours for recommendations ('never' when no failure is predicted)
+ */
+function formatHours(hours) {
+  return Number.isFinite(hours) ? `${hours.toFixed(0)}h` : 'never';
+}
@@ -21,11 +21,14 @@ export class CircularBuffer {
    * Overwrites oldest item if buffer is full
    *
    * @param {*} item - Item to add
+   * @returns {*} Overwritten item (undefined while the buffer is not full)
    */
   push(item) {
+    const evicted = this.isFull() ? this.buffer[this.index] : undefined;
     this.buffer[this.index] = item;
     this.index = (this.index + 1) % this.maxSize;
     this.size = Math.min(this.size + 1, this.maxSize);
+    return evicted;
   }
 
   /**
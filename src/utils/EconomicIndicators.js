@@ -0,0 +1,215 @@
+/**
+ * EconomicIndicators - Time-stamped macroeconomic series (rates, unemployment, CPI, ...)
+ *
+ * Accepted record shapes:
+ * - long records: [{ indicator: 'interestRate', date: '2024-01-31', value: 0.0525 }, ...]
+ * - series object: { interestRate: [{ timestamp: 1706659200000, value: 0.0525 }, ...], ... }
+ *
+ * Files are JSON in either shape, or CSV in long (indicator,date,value) or wide
+ * (date,interestRate,unemploymentRate,cpi) layout. Dates are ISO strings or epoch ms.
+ * Values are finite numbers or numeric strings; a batch with any invalid record is rejected
+ * whole. Each series is kept sorted by time; a later value for the same time replaces the earlier one.
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+
+const TIME_COLUMNS = ['timestamp', 'date', 'time'];
+
+export class EconomicIndicators {
+  constructor() {
+    this.series = new Map();
+  }
+
+  /**
+   * Add observations
+   *
+   * @param {Array<Object>|Object} records - Long records or a series object
+   * @returns {number} Number of observations added
+   */
+  add(records) {
+    let observations = records;
+    if (!Array.isArray(records)) {
+      observations = Object.entries(records || {}).flatMap(([indicator, points]) =>
+        (Array.isArray(points) ? points : []).map(point => ({ indicator, ...point }))
+      );
+    }
+
+    // Validate the whole batch before any series changes
+    const parsed = observations.map(record => {
+      const indicator = record.indicator;
+      const timestamp = parseTimestamp(record.timestamp ?? record.date ?? record.time);
+      const value = parseValue(record.value);
+      if (!indicator || timestamp === null || value === null) {
+        throw new Error(`Invalid economic indicator record: ${JSON.stringify(record)}`);
+      }
+      return { indicator, timestamp, value };
+    });
+
+    for (const { indicator, timestamp, value } of parsed) {
+      if (!this.series.has(indicator)) {
+        this.series.set(indicator, []);
+      }
+      const points = this.series.get(indicator);
+      const index = lowerBound(points, timestamp);
+      if (points[index]?.timestamp === timestamp) {
+        points[index] = { timestamp, value };
+      } else {
+        points.splice(index, 0, { timestamp, value });
+      }
+    }
+
+    return observations.length;
+  }
+
+  /**
+   * Load observations from a .json or .csv file
+   *
+   * @param {string} filePath - File path
+   * @returns {Promise<number>} Number of observations added
+   */
+  async load(filePath) {
+    const text = await readFile(filePath, 'utf8');
+    const extension = extname(filePath).toLowerCase();
+
+    if (extension === '.json') {
+      return this.add(JSON.parse(text));
+    }
+    if (extension === '.csv') {
+      return this.add(parseCsv(text));
+    }
+    throw new Error(`Unsupported economic indicator file: ${filePath}. Expected .json or .csv`);
+  }
+
+  /**
+   * Names of the loaded indicators
+   */
+  names() {
+    return [...this.series.keys()];
+  }
+
+  /**
+   * Latest observation at or before a time (null if none)
+   */
+  valueAt(indicator, timestamp) {
+    const points = this.series.get(indicator) || [];
+    const index = lowerBound(points, timestamp + 1) - 1;
+    return index >= 0 ? points[index] : null;
+  }
+
+  /**
+   * Every indicator's latest value as of a time and its change over the preceding window
+   * Indicators without an observation by asOf are left out; change is null when no
+   * observation precedes the window start
+   *
+   * @param {number} asOf - Evaluation time (ms)
+   * @param {number} windowMs - Look-back window (ms)
+   * @returns {Object} { name: { value, timestamp, previous, previousTimestamp, change, relativeChange } }
+   */
+  snapshot(asOf, windowMs) {
+    const snapshot = {};
+
+    for (const indicator of this.series.keys()) {
+      const current = this.valueAt(indicator, asOf);
+      if (!current) {
+        continue;
+      }
+
+      const previous = this.valueAt(indicator, asOf - windowMs);
+      const change = previous ? current.value - previous.value : null;
+      snapshot[indicator] = {
+        value: current.value,
+        timestamp: current.timestamp,
+        previous: previous?.value ?? null,
+        previousTimestamp: previous?.timestamp ?? null,
+        change,
+        relativeChange: previous && previous.value !== 0 ? change / Math.abs(previous.value) : null
+      };
+    }
+
+    return snapshot;
+  }
+}
+
+/**
+ * Helper: Epoch ms from a number, numeric string or date string (null if unparseable)
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  const parsed = /^\d+$/.test(trimmed) ? Number(trimmed) : Date.parse(trimmed);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Helper: Finite number from a number or numeric string (null otherwise, so blanks,
+ * booleans and nulls are not read as 0 or 1)
+ */
+function parseValue(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const parsed = Number(value.trim());
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Helper: First index whose timestamp is >= timestamp
+ */
+function lowerBound(points, timestamp) {
+  let low = 0;
+  let high = points.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (points[mid].timestamp < timestamp) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Helper: Long records from CSV text in long or wide layout
+ */
+function parseCsv(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const splitLine = line => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+  const header = splitLine(lines[0]);
+  const timeColumn = header.findIndex(name => TIME_COLUMNS.includes(name.toLowerCase()));
+  if (timeColumn === -1) {
+    throw new Error(`Economic indicator CSV needs a ${TIME_COLUMNS.join(', ')} column`);
+  }
+
+  const rows = lines.slice(1).map(splitLine);
+  const indicatorColumn = header.indexOf('indicator');
+  if (indicatorColumn !== -1) {
+    const valueColumn = header.indexOf('value');
+    return rows.map(row => ({ indicator: row[indicatorColumn], timestamp: row[timeColumn], value: row[valueColumn] }));
+  }
+
+  // Wide layout: every other column is an indicator; blank cells are skipped
+  return rows.flatMap(row =>
+    header
+      .map((indicator, column) => ({ indicator, timestamp: row[timeColumn], value: row[column] }))
+      .filter((record, column) => column !== timeColumn && record.value !== undefined && record.value !== '')
+  );
+}
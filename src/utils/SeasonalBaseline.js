@@ -0,0 +1,146 @@
+/**
+ * SeasonalBaseline - Serfling-style expected levels for weekly surveillance series
+ *
+ * Fits value = a + b·t + Σ_k [c_k sin(2πkt/52.18) + d_k cos(2πkt/52.18)] by least squares
+ * on weekly observations (t in weeks). Following Farrington, weeks whose standardized
+ * residual exceeds the outlier limit (past outbreaks) are dropped and the model refitted,
+ * so the expected level describes non-epidemic seasons.
+ *
+ * expected(timestamp) returns the fitted level and the upper limit of its one-sided
+ * prediction interval; observations above the limit are excess. As in Farrington, the
+ * interval widens with the uncertainty of the coefficients, (XᵀX)⁻¹, so weeks extrapolated
+ * past the fit (along the trend) get a wider limit than those inside it.
+ */
+
+import { StatisticsUtil } from './StatisticsUtil.js';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const WEEKS_PER_YEAR = 365.25 / 7;
+
+export class SeasonalBaseline {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.harmonics] - Sine/cosine pairs per year (default 2)
+   * @param {boolean} [options.trend] - Include a linear trend (default true)
+   * @param {number} [options.alpha] - One-sided level of the prediction interval (default 0.05)
+   * @param {number} [options.outlierLimit] - Residual z-score that marks past outbreak weeks (default 2.58)
+   */
+  constructor(options = {}) {
+    this.harmonics = options.harmonics ?? 2;
+    this.trend = options.trend !== false;
+    this.alpha = options.alpha ?? 0.05;
+    this.outlierLimit = options.outlierLimit ?? 2.58;
+    this.model = null;
+  }
+
+  /**
+   * Minimum number of weekly observations needed to fit the model
+   */
+  static minimumWeeks() {
+    return Math.ceil(WEEKS_PER_YEAR);
+  }
+
+  /**
+   * Fit the model to weekly observations
+   *
+   * @param {Array<{timestamp: number, value: number}>} observations - Weekly values (counts or rates)
+   * @returns {SeasonalBaseline} this
+   */
+  fit(observations) {
+    if (observations.length < SeasonalBaseline.minimumWeeks()) {
+      throw new Error(
+        `Seasonal baseline needs at least ${SeasonalBaseline.minimumWeeks()} weekly observations, got ${observations.length}`
+      );
+    }
+
+    this.origin = observations[0].timestamp;
+    let points = observations;
+    let fit = this._fit(points);
+
+    // Farrington reweighting: refit once without past outbreak weeks
+    const excluded = points.filter((point, i) => fit.residuals[i] / (fit.std || 1) > this.outlierLimit);
+    if (excluded.length > 0 && points.length - excluded.length >= SeasonalBaseline.minimumWeeks()) {
+      points = points.filter((point, i) => fit.residuals[i] / (fit.std || 1) <= this.outlierLimit);
+      fit = this._fit(points);
+    }
+
+    this.model = {
+      intercept: fit.intercept,
+      coefficients: fit.coefficients,
+      columnMeans: fit.columnMeans,
+      inverse: fit.inverse,
+      std: fit.std,
+      rSquared: fit.rSquared,
+      weeks: points.length,
+      excludedWeeks: excluded.length,
+      z: StatisticsUtil.normalQuantile(1 - this.alpha)
+    };
+
+    return this;
+  }
+
+  /**
+   * Expected level and upper prediction limit at a time
+   *
+   * @param {number} timestamp - Time in ms
+   * @returns {{expected: number, upperLimit: number, std: number}} std is the prediction
+   *   standard error: residual std widened by the coefficient uncertainty at that time
+   */
+  expected(timestamp) {
+    if (!this.model) {
+      throw new Error('Seasonal baseline not fitted. Call fit() first.');
+    }
+
+    const { intercept, coefficients, columnMeans, inverse, weeks } = this.model;
+    const row = this._features(timestamp);
+    const expected = row.reduce((sum, x, j) => sum + x * coefficients[j], intercept);
+
+    // Var(prediction) = σ²·(1 + 1/n + dᵀ(XᵀX)⁻¹d), d the features centred on the fitted weeks
+    const centred = row.map((x, j) => x - columnMeans[j]);
+    const leverage = centred.reduce(
+      (sum, a, i) => sum + a * centred.reduce((inner, b, j) => inner + inverse[i][j] * b, 0),
+      0
+    );
+    const std = this.model.std * Math.sqrt(1 + 1 / weeks + leverage);
+
+    return { expected, upperLimit: expected + this.model.z * std, std };
+  }
+
+  /**
+   * Helper: Regression on the seasonal design matrix with residuals and residual std
+   */
+  _fit(points) {
+    const rows = points.map(point => this._features(point.timestamp));
+    const values = points.map(point => point.value);
+    const regression = StatisticsUtil.fitLinearRegression(rows, values);
+
+    const residuals = rows.map(
+      (row, i) => values[i] - row.reduce((sum, x, j) => sum + x * regression.coefficients[j], regression.intercept)
+    );
+    const degreesOfFreedom = Math.max(1, points.length - rows[0].length - 1);
+    const std = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / degreesOfFreedom);
+
+    // (XᵀX)⁻¹ of the centred design, for the prediction interval
+    const columnMeans = rows[0].map((_, j) => StatisticsUtil.calculateMean(rows.map(row => row[j])));
+    const crossProducts = columnMeans.map((meanA, a) =>
+      columnMeans.map((meanB, b) => rows.reduce((sum, row) => sum + (row[a] - meanA) * (row[b] - meanB), 0))
+    );
+    const inverse = StatisticsUtil.invertMatrix(crossProducts);
+
+    return { ...regression, residuals, std, columnMeans, inverse };
+  }
+
+  /**
+   * Helper: Trend and harmonic terms of a time (weeks since the first observation)
+   */
+  _features(timestamp) {
+    const t = (timestamp - this.origin) / WEEK_MS;
+    const yearAngle = (2 * Math.PI * (timestamp / WEEK_MS)) / WEEKS_PER_YEAR;
+
+    const row = this.trend ? [t] : [];
+    for (let k = 1; k <= this.harmonics; k++) {
+      row.push(Math.sin(k * yearAngle), Math.cos(k * yearAngle));
+    }
+    return row;
+  }
+}
@@ -167,6 +167,419 @@ export class StatisticsUtil {
     return { min, max };
   }
 
+  /**
+   * Natural log of the gamma function (Lanczos approximation)
+   *
+   * @param {number} x - Positive input
+   * @returns {number} ln(Γ(x))
+   */
+  static logGamma(x) {
+    const coefficients = [
+      76.18009172947146, -86.50532032941678, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2,
+      -0.5395239384953e-5
+    ];
+
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    for (const c of coefficients) {
+      series += c / ++y;
+    }
+
+    return -tmp + Math.log((Math.sqrt(2 * Math.PI) * series) / x);
+  }
+
+  /**
+   * Regularized upper incomplete gamma function Q(a, x)
+   * Series expansion for x < a + 1, continued fraction otherwise
+   *
+   * @param {number} a - Shape parameter (> 0)
+   * @param {number} x - Upper limit (>= 0)
+   * @returns {number} Q(a, x) in [0, 1]
+   */
+  static regularizedGammaQ(a, x) {
+    if (x <= 0) {
+      return 1;
+    }
+
+    const maxIterations = 200;
+    const epsilon = 1e-12;
+    const logPrefix = -x + a * Math.log(x) - this.logGamma(a);
+
+    if (x < a + 1) {
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < maxIterations; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * epsilon) {
+          break;
+        }
+      }
+      return Math.max(0, Math.min(1, 1 - sum * Math.exp(logPrefix)));
+    }
+
+    // Lentz's continued fraction
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < maxIterations; n++) {
+      const an = -n * (n - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < tiny) {
+        d = tiny;
+      }
+      c = b + an / c;
+      if (Math.abs(c) < tiny) {
+        c = tiny;
+      }
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < epsilon) {
+        break;
+      }
+    }
+
+    return Math.max(0, Math.min(1, Math.exp(logPrefix) * h));
+  }
+
+  /**
+   * Upper-tail p-value of the chi-square distribution
+   *
+   * @param {number} statistic - Chi-square statistic
+   * @param {number} degreesOfFreedom - Degrees of freedom
+   * @returns {number} P(X >= statistic)
+   */
+  static chiSquarePValue(statistic, degreesOfFreedom) {
+    if (degreesOfFreedom <= 0) {
+      return 1;
+    }
+
+    return this.regularizedGammaQ(degreesOfFreedom / 2, statistic / 2);
+  }
+
+  /**
+   * Regularized incomplete beta function I_x(a, b)
+   * Lentz's continued fraction, on the side of the symmetry relation where it converges fast
+   *
+   * @param {number} a - First shape parameter (> 0)
+   * @param {number} b - Second shape parameter (> 0)
+   * @param {number} x - Upper limit in [0, 1]
+   * @returns {number} I_x(a, b) in [0, 1]
+   */
+  static regularizedBeta(a, b, x) {
+    if (x <= 0) {
+      return 0;
+    }
+    if (x >= 1) {
+      return 1;
+    }
+    if (x > (a + 1) / (a + b + 2)) {
+      return 1 - this.regularizedBeta(b, a, 1 - x);
+    }
+
+    const maxIterations = 200;
+    const epsilon = 1e-12;
+    const tiny = 1e-300;
+    const logPrefix =
+      this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+
+    let c = 1;
+    let d = 1 - ((a + b) * x) / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let h = d;
+    for (let m = 1; m < maxIterations; m++) {
+      // Even and odd terms of the continued fraction
+      for (const coefficient of [
+        (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m)),
+        -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1))
+      ]) {
+        d = 1 + coefficient * d;
+        d = 1 / (Math.abs(d) < tiny ? tiny : d);
+        c = 1 + coefficient / c;
+        c = Math.abs(c) < tiny ? tiny : c;
+        h *= d * c;
+      }
+      if (Math.abs(d * c - 1) < epsilon) {
+        break;
+      }
+    }
+
+    return Math.max(0, Math.min(1, (Math.exp(logPrefix) * h) / a));
+  }
+
+  /**
+   * Two-sided p-value of Student's t distribution
+   *
+   * @param {number} statistic - t statistic
+   * @param {number} degreesOfFreedom - Degrees of freedom
+   * @returns {number} P(|T| >= |statistic|)
+   */
+  static studentTPValue(statistic, degreesOfFreedom) {
+    if (degreesOfFreedom <= 0) {
+      return 1;
+    }
+
+    return this.regularizedBeta(degreesOfFreedom / 2, 0.5, degreesOfFreedom / (degreesOfFreedom + statistic ** 2));
+  }
+
+  /**
+   * Asymptotic p-value of the two-sample Kolmogorov-Smirnov statistic
+   * Uses the Kolmogorov distribution with Stephens' small-sample correction
+   *
+   * @param {number} statistic - KS D statistic
+   * @param {number} n - First sample size
+   * @param {number} m - Second sample size
+   * @returns {number} P(D >= statistic)
+   */
+  static ksPValue(statistic, n, m) {
+    const effectiveN = Math.sqrt((n * m) / (n + m));
+    const lambda = (effectiveN + 0.12 + 0.11 / effectiveN) * statistic;
+    if (lambda < 1e-3) {
+      return 1;
+    }
+
+    let sum = 0;
+    let sign = 1;
+    for (let j = 1; j <= 100; j++) {
+      const term = sign * Math.exp(-2 * j * j * lambda * lambda);
+      sum += term;
+      if (Math.abs(term) < 1e-10) {
+        break;
+      }
+      sign = -sign;
+    }
+
+    return Math.max(0, Math.min(1, 2 * sum));
+  }
+
+  /**
+   * Adjust p-values for multiple testing
+   *
+   * @param {number[]} pValues - Raw p-values
+   * @param {string} method - 'bonferroni', 'bh' (Benjamini-Hochberg) or 'none'
+   * @returns {number[]} Adjusted p-values in the input order
+   */
+  static adjustPValues(pValues, method = 'bh') {
+    const k = pValues.length;
+
+    if (method === 'none' || k <= 1) {
+      return [...pValues];
+    }
+
+    if (method === 'bonferroni') {
+      return pValues.map(p => Math.min(1, p * k));
+    }
+
+    if (method === 'bh') {
+      // Step-up: adjusted p(i) = min over j >= i of p(j) * k / j, in ascending order
+      const order = pValues.map((p, i) => ({ p, i })).sort((a, b) => a.p - b.p);
+      const adjusted = new Array(k);
+      let running = 1;
+      for (let rank = k; rank >= 1; rank--) {
+        const { p, i } = order[rank - 1];
+        running = Math.min(running, (p * k) / rank);
+        adjusted[i] = running;
+      }
+      return adjusted;
+    }
+
+    throw new Error(`Unknown multiple-testing correction: ${method}. Expected bonferroni, bh or none`);
+  }
+
+  /**
+   * Create a uniform [0, 1) random generator
+   * Seeded generators (mulberry32) make resampling tests reproducible
+   *
+   * @param {number|null} seed - Integer seed, or null for Math.random
+   * @returns {Function} Generator
+   */
+  static createRandom(seed = null) {
+    if (seed === null || seed === undefined) {
+      return Math.random;
+    }
+
+    let state = seed | 0;
+    return () => {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Quantile of the standard normal distribution (Acklam's rational approximation)
+   *
+   * @param {number} p - Probability in (0, 1)
+   * @returns {number} z with P(Z <= z) = p
+   */
+  static normalQuantile(p) {
+    if (p <= 0 || p >= 1) {
+      return p <= 0 ? -Infinity : Infinity;
+    }
+
+    const a = [
+      -39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239
+    ];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [
+      -0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968,
+      2.938163982698783
+    ];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const tail = 0.02425;
+
+    if (p < tail || p > 1 - tail) {
+      const q = Math.sqrt(-2 * Math.log(p < tail ? p : 1 - p));
+      const z =
+        (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+      return p < tail ? z : -z;
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (
+      ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+    );
+  }
+
+  /**
+   * Wilson score interval of a proportion
+   *
+   * @param {number} successes - Number of successes
+   * @param {number} n - Number of trials
+   * @param {number} z - Normal quantile of the confidence level (1.96 for 95%)
+   * @returns {number[]} [lower, upper]
+   */
+  static wilsonInterval(successes, n, z = 1.96) {
+    if (n === 0) {
+      return [0, 1];
+    }
+
+    const p = successes / n;
+    const z2 = z * z;
+    const center = (p + z2 / (2 * n)) / (1 + z2 / n);
+    const halfWidth = (z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / (1 + z2 / n);
+    return [Math.max(0, center - halfWidth), Math.min(1, center + halfWidth)];
+  }
+
+  /**
+   * Fit an ordinary least squares regression (with intercept)
+   * Solves the normal equations of the centered data; a small ridge term keeps
+   * collinear or constant columns solvable
+   *
+   * @param {number[][]} rows - Predictor rows (n × k)
+   * @param {number[]} targets - Response values (n)
+   * @param {number} ridge - L2 penalty on the coefficients (not the intercept)
+   * @returns {{intercept: number, coefficients: number[], rSquared: number}}
+   */
+  static fitLinearRegression(rows, targets, ridge = 1e-8) {
+    const n = rows.length;
+    const k = n > 0 ? rows[0].length : 0;
+    if (n === 0 || targets.length !== n) {
+      throw new Error('Linear regression needs one target per predictor row');
+    }
+
+    const columnMeans = Array.from({ length: k }, (_, j) => this.calculateMean(rows.map(row => row[j])));
+    const targetMean = this.calculateMean(targets);
+
+    // Augmented system [X'X + ridge·n·I | X'y] on centered data
+    const system = Array.from({ length: k }, () => new Array(k + 1).fill(0));
+    for (let i = 0; i < n; i++) {
+      const y = targets[i] - targetMean;
+      for (let a = 0; a < k; a++) {
+        const xa = rows[i][a] - columnMeans[a];
+        for (let b = 0; b < k; b++) {
+          system[a][b] += xa * (rows[i][b] - columnMeans[b]);
+        }
+        system[a][k] += xa * y;
+      }
+    }
+    for (let a = 0; a < k; a++) {
+      system[a][a] += ridge * n;
+    }
+
+    // Gauss-Jordan elimination with partial pivoting
+    for (let col = 0; col < k; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < k; row++) {
+        if (Math.abs(system[row][col]) > Math.abs(system[pivot][col])) {
+          pivot = row;
+        }
+      }
+      [system[col], system[pivot]] = [system[pivot], system[col]];
+      if (Math.abs(system[col][col]) < 1e-12) {
+        continue;
+      }
+      for (let row = 0; row < k; row++) {
+        if (row !== col) {
+          const factor = system[row][col] / system[col][col];
+          for (let c = col; c <= k; c++) {
+            system[row][c] -= factor * system[col][c];
+          }
+        }
+      }
+    }
+    const coefficients = system.map((row, j) => (Math.abs(row[j]) < 1e-12 ? 0 : row[k] / row[j]));
+    const intercept = targetMean - coefficients.reduce((sum, b, j) => sum + b * columnMeans[j], 0);
+
+    let residual = 0;
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+      const fitted = intercept + coefficients.reduce((sum, b, j) => sum + b * rows[i][j], 0);
+      residual += (targets[i] - fitted) ** 2;
+      total += (targets[i] - targetMean) ** 2;
+    }
+
+    return { intercept, coefficients, rSquared: total > 0 ? 1 - residual / total : 0 };
+  }
+
+  /**
+   * Inverse of a square matrix (Gauss-Jordan elimination with partial pivoting)
+   *
+   * @param {number[][]} matrix - Square, non-singular matrix (k × k)
+   * @returns {number[][]} Inverse (k × k)
+   */
+  static invertMatrix(matrix) {
+    const k = matrix.length;
+    const system = matrix.map((row, i) => [...row, ...Array.from({ length: k }, (_, j) => (i === j ? 1 : 0))]);
+
+    for (let col = 0; col < k; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < k; row++) {
+        if (Math.abs(system[row][col]) > Math.abs(system[pivot][col])) {
+          pivot = row;
+        }
+      }
+      [system[col], system[pivot]] = [system[pivot], system[col]];
+      if (Math.abs(system[col][col]) < 1e-12) {
+        throw new Error('Matrix is singular and cannot be inverted');
+      }
+
+      const scale = system[col][col];
+      for (let c = 0; c < 2 * k; c++) {
+        system[col][c] /= scale;
+      }
+      for (let row = 0; row < k; row++) {
+        if (row !== col) {
+          const factor = system[row][col];
+          for (let c = 0; c < 2 * k; c++) {
+            system[row][c] -= factor * system[col][c];
+          }
+        }
+      }
+    }
+
+    return system.map(row => row.slice(k));
+  }
+
   /**
    * Assess impact severity based on drift score and context
    *
@@ -0,0 +1,167 @@
+/**
+ * StreamWindow - Windowing for per-value drift ingestion
+ *
+ * Supports three window types:
+ * - tumbling: fixed-size, non-overlapping windows
+ * - sliding: fixed-size window that closes every `slide` new values
+ * - session: values separated by less than `gap` ms; a larger gap (or maxSize) closes the session
+ *
+ * Values are held in a CircularBuffer (arrival order) alongside a sorted copy
+ * maintained by binary insertion, so closing a window never re-sorts it
+ */
+
+import { CircularBuffer } from './CircularBuffer.js';
+
+const WINDOW_TYPES = ['tumbling', 'sliding', 'session'];
+
+export class StreamWindow {
+  /**
+   * @param {Object} [options] - Window options
+   * @param {string} [options.type] - 'tumbling' | 'sliding' | 'session'
+   * @param {number} [options.size] - Window size (tumbling, sliding)
+   * @param {number} [options.slide] - Values between sliding windows (defaults to size / 4)
+   * @param {number} [options.gap] - Inactivity gap in ms that closes a session
+   * @param {number} [options.maxSize] - Session size cap (default 10000)
+   */
+  constructor(options = {}) {
+    const type = options.type || 'tumbling';
+    if (!WINDOW_TYPES.includes(type)) {
+      throw new Error(`Unknown window type: ${type}. Expected one of ${WINDOW_TYPES.join(', ')}`);
+    }
+
+    const size = type === 'session' ? (options.maxSize ?? 10000) : (options.size ?? 100);
+    if (!Number.isInteger(size) || size < 2) {
+      throw new Error('Window size must be an integer of at least 2');
+    }
+
+    const slide = options.slide ?? Math.max(1, Math.floor(size / 4));
+    if (type === 'sliding' && (!Number.isInteger(slide) || slide < 1 || slide > size)) {
+      throw new Error('Window slide must be an integer between 1 and the window size');
+    }
+
+    const gap = options.gap ?? 60000;
+    if (type === 'session' && !(typeof gap === 'number' && gap > 0)) {
+      throw new Error('Session gap must be positive');
+    }
+
+    this.type = type;
+    this.size = size;
+    this.slide = slide;
+    this.gap = gap;
+
+    this.buffer = new CircularBuffer(size);
+    this.sorted = [];
+    this.sinceLastWindow = 0;
+    this.lastTimestamp = null;
+    this.windowCount = 0;
+  }
+
+  /**
+   * Add a value and return the windows it closed
+   *
+   * @param {number|string} value - Observed value
+   * @param {number} timestamp - Observation time in ms
+   * @returns {Array<Object>} Closed windows ({ index, values, sequence, timestamps, count, start, end })
+   */
+  add(value, timestamp = Date.now()) {
+    const closed = [];
+
+    // A long enough pause ends the running session before this value joins the next one
+    if (this.type === 'session' && this.lastTimestamp !== null && timestamp - this.lastTimestamp > this.gap) {
+      closed.push(this._close());
+    }
+
+    const evicted = this.buffer.push({ value, timestamp });
+    if (evicted) {
+      // Lower-bound search lands on an equal element, so this removes one copy of the evicted value
+      this.sorted.splice(this._insertionIndex(evicted.value), 1);
+    }
+    this.sorted.splice(this._insertionIndex(value), 0, value);
+    this.sinceLastWindow++;
+    this.lastTimestamp = timestamp;
+
+    if (this.type === 'sliding') {
+      if (this.buffer.isFull() && this.sinceLastWindow >= this.slide) {
+        closed.push(this._snapshot());
+        this.sinceLastWindow = 0;
+      }
+    } else if (this.buffer.isFull()) {
+      closed.push(this._close());
+    }
+
+    return closed;
+  }
+
+  /**
+   * Close the open window early (partial tumbling window or running session)
+   *
+   * @returns {Object|null} Closed window, or null if nothing is pending
+   */
+  flush() {
+    if (this.buffer.isEmpty() || (this.type === 'sliding' && this.sinceLastWindow === 0)) {
+      return null;
+    }
+
+    if (this.type === 'sliding') {
+      this.sinceLastWindow = 0;
+      return this._snapshot();
+    }
+
+    return this._close();
+  }
+
+  /**
+   * Number of values currently held
+   *
+   * @returns {number} Window fill
+   */
+  length() {
+    return this.buffer.length();
+  }
+
+  /**
+   * Helper: Snapshot the current window contents
+   * values are sorted; sequence and timestamps keep arrival order
+   */
+  _snapshot() {
+    const entries = this.buffer.getAll();
+
+    return {
+      index: this.windowCount++,
+      values: [...this.sorted],
+      sequence: entries.map(entry => entry.value),
+      timestamps: entries.map(entry => entry.timestamp),
+      count: entries.length,
+      start: entries[0].timestamp,
+      end: entries[entries.length - 1].timestamp
+    };
+  }
+
+  /**
+   * Helper: Snapshot and empty the window
+   */
+  _close() {
+    const window = this._snapshot();
+    this.buffer.clear();
+    this.sorted = [];
+    this.sinceLastWindow = 0;
+    return window;
+  }
+
+  /**
+   * Helper: First position where value can be inserted keeping order
+   */
+  _insertionIndex(value) {
+    let low = 0;
+    let high = this.sorted.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.sorted[mid] < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Seeded random fixtures shared by the unit tests
+ */
+
+import { StatisticsUtil } from '../../src/utils/StatisticsUtil.js';
+
+/**
+ * Normally distributed values from a seeded generator (Box-Muller)
+ *
+ * @param {number} seed - Integer seed
+ * @param {number} count - Number of values
+ * @param {number} [mean=0] - Mean
+ * @param {number} [std=1] - Standard deviation
+ * @returns {Array<number>} Reproducible samples
+ */
+export function seededNormal(seed, count, mean = 0, std = 1) {
+  const random = StatisticsUtil.createRandom(seed);
+  return Array.from({ length: count }, () => {
+    // Guard the log against a zero draw
+    const radius = Math.sqrt(-2 * Math.log(random() || Number.EPSILON));
+    return mean + std * radius * Math.cos(2 * Math.PI * random());
+  });
+}
@@ -382,6 +382,180 @@ describe('Drift Detection Workflow Integration', () => {
     });
   });
 
+  describe('Baseline Versioning', () => {
+    const v1 = Array.from({ length: 200 }, (_, i) => 650 + (i % 20) * 5);
+    const v2 = v1.map(score => score + 60);
+
+    it('should persist baseline versions across restarts', async () => {
+      const engine = await DriftEngine.create({ dbPath: TEST_DB_PATH });
+      await engine.setBaseline(v1, { model: 'v1' });
+      const latest = await engine.setBaseline(v2, { model: 'v2' });
+
+      expect(latest.version).toBe(2);
+
+      // Simulate a restart against the same database file
+      const restarted = await DriftEngine.create({ dbPath: TEST_DB_PATH });
+      const versions = restarted.listBaselineVersions();
+
+      expect(versions.map(v => v.version)).toEqual([1, 2]);
+      expect(versions[1]).toMatchObject({ samples: 200, metadata: { model: 'v2' }, active: true });
+      expect(restarted.getBaseline().statistics.mean).toBeCloseTo(latest.statistics.mean, 6);
+    });
+
+    it('should roll back to a previous version', async () => {
+      const engine = await DriftEngine.create({ dbPath: TEST_DB_PATH });
+      await engine.setBaseline(v1);
+      await engine.setBaseline(v2);
+
+      const restored = await engine.restoreBaseline(1);
+      const result = await engine.detectDrift(v1);
+
+      expect(restored.version).toBe(1);
+      expect(result.isDrift).toBe(false);
+      expect(engine.listBaselineVersions().find(v => v.active).version).toBe(1);
+    });
+
+    it('should diff two versions with the drift methods', async () => {
+      const engine = await DriftEngine.create({ dbPath: TEST_DB_PATH });
+      await engine.setBaseline('credit', v1);
+      await engine.setBaseline('credit', v1.slice().reverse());
+      await engine.setBaseline('credit', v2);
+
+      const same = await engine.diffBaselines('credit', 1, 2);
+      const shifted = await engine.diffBaselines('credit', 1, 3);
+
+      expect(same.isDrift).toBe(false);
+      expect(shifted.isDrift).toBe(true);
+      expect(shifted.scores).toHaveProperty('psi');
+      expect(shifted.scores).toHaveProperty('ks');
+      expect(shifted.scores).toHaveProperty('jsd');
+      expect(shifted.statistics.to.mean - shifted.statistics.from.mean).toBeCloseTo(60, 6);
+    });
+
+    it('should restore fixed bin edges regardless of the current binning config', async () => {
+      const engine = await DriftEngine.create({ dbPath: TEST_DB_PATH, binning: 'quantile' });
+      const stored = await engine.setBaseline(v1);
+
+      const restarted = await DriftEngine.create({ dbPath: TEST_DB_PATH });
+      const restored = restarted.getBaseline();
+
+      expect(restored.binning.strategy).toBe('quantile');
+      expect(restored.binning.edges).toEqual(stored.binning.edges);
+      expect(restored.binning.counts).toEqual(stored.binning.counts);
+    });
+
+    it('should restore a constant baseline for every fixed-edge strategy', async () => {
+      for (const strategy of ['quantile', 'sturges', 'freedmanDiaconis']) {
+        const engine = await DriftEngine.create({ dbPath: TEST_DB_PATH, binning: strategy });
+        await engine.setBaseline(strategy, new Array(50).fill(3));
+      }
+
+      const restarted = await DriftEngine.create({ dbPath: TEST_DB_PATH });
+      const result = await restarted.detectDrift('quantile', new Array(20).fill(3));
+
+      expect(restarted.getBaseline('sturges').binning.edges).toBeNull();
+      expect(result.isDrift).toBe(false);
+    });
+
+    it('should reject unknown versions', async () => {
+      const engine = await DriftEngine.create({ dbPath: TEST_DB_PATH });
+      await engine.setBaseline(v1);
+
+      await expect(engine.restoreBaseline(5)).rejects.toThrow('Baseline version 5 not found for stream "default"');
+      await expect(engine.diffBaselines(1)).rejects.toThrow('Baseline versions must be positive integers');
+    });
+  });
+
+  describe('Delayed Labels', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const JAN = Date.UTC(2024, 0, 10);
+    const FEB = Date.UTC(2024, 1, 10);
+
+    // Default probabilities with outcomes that follow them exactly
+    const probabilities = Array.from({ length: 100 }, (_, i) => ((i * 37) % 100) / 100);
+    const outcomes = probabilities.map(p => (p >= 0.5 ? 1 : 0));
+
+    it('should join late labels to logged predictions across restarts', async () => {
+      const engine = await DriftEngine.create({ dbPath: TEST_DB_PATH });
+      const logged = engine.logPredictions(
+        probabilities.map((score, i) => ({
+          predictionId: `app-${i}`,
+          model: 'credit_scoring',
+          score,
+          timestamp: i < 50 ? JAN : FEB,
+          features: { income: 40000 + i * 100 }
+        }))
+      );
+      const repeated = engine.logPredictions([{ predictionId: 'app-0', model: 'credit_scoring', score: 0.9 }]);
+
+      const restarted = await DriftEngine.create({ dbPath: TEST_DB_PATH });
+      const ingested = restarted.ingestLabels([
+        ...outcomes.slice(0, 50).map((label, i) => ({ predictionId: `app-${i}`, label })),
+        { predictionId: 'app-unknown', label: 1 }
+      ]);
+      const cohorts = restarted.getCohortMetrics('credit_scoring', { maturityDays: 90, now: JAN + 120 * DAY });
+
+      expect(logged).toEqual({ logged: 100, duplicates: [] });
+      expect(repeated.duplicates).toEqual(['app-0']);
+      expect(ingested).toEqual({ matched: 50, unknown: ['app-unknown'] });
+      expect(cohorts.map(cohort => cohort.start)).toEqual([Date.UTC(2024, 0, 1), Date.UTC(2024, 1, 1)]);
+      expect(cohorts[0]).toMatchObject({ count: 50, labeled: 50, labelCoverage: 1, matured: true });
+      expect(cohorts[0].metrics.accuracy).toBe(1);
+      expect(cohorts[1]).toMatchObject({ count: 50, labeled: 0, matured: false, metrics: null });
+    });
+
+    it('should backfill matured cohort drift into the financial audit log once', async () => {
+      const monitor = await FinancialDriftMonitor.create({ dbPath: TEST_DB_PATH });
+      await monitor.setBaseline(probabilities);
+      monitor.setPerformanceBaseline('credit_scoring', probabilities, outcomes);
+
+      const ids = probabilities.map((_, i) => `loan-${i}`);
+      const checked = await monitor.monitorCreditScoring(
+        probabilities,
+        { income: probabilities.map((_, i) => 40000 + i * 100) },
+        { predictionIds: ids, timestamp: JAN }
+      );
+
+      // A quarter of the loans default against what their score implied
+      monitor.ingestLabels(
+        ids.map((predictionId, i) => ({ predictionId, label: i % 4 === 0 ? 1 - outcomes[i] : outcomes[i] }))
+      );
+
+      const early = await monitor.backfillPerformanceDrift({ now: JAN + 60 * DAY });
+      const matured = await monitor.backfillPerformanceDrift({ now: JAN + 120 * DAY });
+      const repeated = await monitor.backfillPerformanceDrift({ now: JAN + 150 * DAY });
+
+      expect(early).toEqual([]);
+      expect(matured).toHaveLength(1);
+      expect(matured[0]).toMatchObject({ model: 'credit_scoring', stream: 'credit_scoring', labeled: 100, isDrift: true });
+      expect(matured[0].degradedMetrics).toContain('accuracy');
+      expect(repeated).toEqual([]);
+
+      const audit = monitor.getAuditLog();
+      expect(audit).toHaveLength(2);
+      expect(audit[0].batchId).toBe(checked.batchId);
+      expect(audit[1]).toMatchObject({ modelType: 'credit_scoring', backfilled: true, type: 'performance' });
+    });
+
+    it('should check prediction ids before recording anything and log row-table features', async () => {
+      const monitor = await FinancialDriftMonitor.create({ dbPath: TEST_DB_PATH });
+      await monitor.setBaseline(probabilities);
+      const ids = probabilities.map((_, i) => `loan-${i}`);
+      const applicants = probabilities.map((_, i) => ({ income: 40000 + i * 100 }));
+
+      await expect(monitor.monitorFraudDetection(probabilities, null, { predictionIds: ids.slice(1) })).rejects.toThrow(
+        'predictionIds must have one entry per score'
+      );
+      expect(monitor.getStats()).toMatchObject({ totalChecks: 0, fraudDetectionChecks: 0 });
+      expect(monitor.getHistory()).toHaveLength(0);
+
+      await monitor.monitorCreditScoring(probabilities, applicants, { predictionIds: ids, timestamp: JAN });
+      const logged = monitor.predictionLog.list('credit_scoring', JAN, JAN + 1);
+
+      expect(logged.find(prediction => prediction.predictionId === 'loan-3').features).toEqual({ income: 40300 });
+    });
+  });
+
   describe('Real-World Scenario Simulations', () => {
     it('should detect gradual drift over time (concept drift)', async () => {
       const engine = await DriftEngine.create({
@@ -135,6 +135,37 @@ describe('AdaptiveResponseSystem', () => {
       expect(response.analysis.confidence).toBeGreaterThanOrEqual(0);
       expect(response.analysis.confidence).toBeLessThanOrEqual(1);
     });
+
+    it('should cite explanation evidence for root causes', async () => {
+      const driftEvent = {
+        isDrift: true,
+        severity: 'high',
+        averageScore: 0.3,
+        scores: { psi: 0.4, ks: 0.35, statistical: 0.3 },
+        explanation: {
+          bins: [
+            { index: 0, lower: 0, upper: 5, baseline: 0.5, current: 0.2, change: -0.3, psiContribution: 0.27 },
+            { index: 1, lower: 5, upper: 10, baseline: 0.5, current: 0.8, change: 0.3, psiContribution: 0.14 }
+          ],
+          quantiles: [
+            { percentile: 50, baseline: 5, current: 6.5, shift: 1.5 },
+            { percentile: 99, baseline: 9.9, current: 10.2, shift: 0.3 }
+          ],
+          maxGap: { statistic: 0.35, location: 5, baselineCdf: 0.5, currentCdf: 0.15 },
+          summary: 'Drift detected (high severity); weighted score 0.300.'
+        },
+        timestamp: Date.now()
+      };
+
+      const response = await system.respond(driftEvent, { industry: 'financial' });
+      const causes = Object.fromEntries(response.analysis.rootCauses.map(cause => [cause.cause, cause]));
+
+      expect(response.analysis.evidence.summary).toBe(driftEvent.explanation.summary);
+      expect(response.analysis.evidence.topBins.map(bin => bin.index)).toEqual([0, 1]);
+      expect(causes.population_shift.evidence[0]).toBe('[0.00, 5.00]: 50.0% → 20.0% (PSI +0.270)');
+      expect(causes.distribution_change.evidence[0]).toContain('at 5.00');
+      expect(causes.mean_shift.evidence[0]).toBe('p50: 5.00 → 6.50');
+    });
   });
 
   describe('Auto-Execution', () => {
@@ -7,7 +7,9 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { DriftEngine } from '../../src/core/DriftEngine.js';
+import { StatisticsUtil } from '../../src/utils/StatisticsUtil.js';
 import { createMockAgentDB } from '../helpers/agentdb-mocks.js';
+import { seededNormal } from '../helpers/random.js';
 
 describe('DriftEngine', () => {
   describe('Initialization', () => {
@@ -300,4 +302,935 @@ describe('DriftEngine', () => {
       expect(parseFloat(stats.driftRate)).toBeLessThanOrEqual(100);
     });
   });
+
+  describe('Multivariate Drift Detection', () => {
+    let engine;
+    let mocks;
+
+    const makeTable = (n, shift = 0) => ({
+      income: Array.from({ length: n }, (_, i) => 50 + (i % 10) + shift * 10),
+      debt_ratio: Array.from({ length: n }, (_, i) => 0.3 + (i % 5) * 0.02)
+    });
+
+    beforeEach(async () => {
+      mocks = createMockAgentDB();
+      engine = new DriftEngine({ driftThreshold: 0.1, dbPath: ':memory:' }, mocks);
+      await engine.setMultivariateBaseline(makeTable(100));
+    });
+
+    it('should store a baseline snapshot per feature', () => {
+      expect(engine.multivariateBaseline.featureNames).toEqual(['income', 'debt_ratio']);
+      expect(engine.multivariateBaseline.features.income.statistics.count).toBe(100);
+      expect(engine.multivariateBaseline.rows.length).toBe(100);
+    });
+
+    it('should accept an array of row objects', async () => {
+      const { income, debt_ratio } = makeTable(100);
+      const rows = income.map((value, i) => ({ income: value, debt_ratio: debt_ratio[i] }));
+
+      const result = await engine.detectMultivariateDrift(rows);
+
+      expect(result.isDrift).toBe(false);
+      expect(Object.keys(result.features)).toEqual(['income', 'debt_ratio']);
+    });
+
+    it('should report per-feature breakdown and a joint score', async () => {
+      const result = await engine.detectMultivariateDrift(makeTable(100, 1));
+
+      expect(result.features.income.isDrift).toBe(true);
+      expect(result.features.debt_ratio.isDrift).toBe(false);
+      expect(result.driftedFeatures).toEqual(['income']);
+      expect(result.joint.method).toBe('mmd');
+      expect(result.joint.score).toBeGreaterThan(0.1);
+      expect(result.isDrift).toBe(true);
+      expect(['low', 'medium', 'high', 'critical']).toContain(result.severity);
+    });
+
+    it('should keep the joint score near zero for identical tables', async () => {
+      const result = await engine.detectMultivariateDrift(makeTable(100));
+
+      expect(result.joint.score).toBeLessThan(0.05);
+      expect(result.severity).toBe('none');
+    });
+
+    it('should skip the joint score when columns have different lengths', async () => {
+      const result = await engine.detectMultivariateDrift({
+        income: [50, 51, 52, 53, 54],
+        debt_ratio: [0.3, 0.32]
+      });
+
+      expect(result.joint).toBeNull();
+    });
+
+    it('should report baseline features missing from current data', async () => {
+      const result = await engine.detectMultivariateDrift({ income: makeTable(100).income });
+
+      expect(result.missingFeatures).toEqual(['debt_ratio']);
+    });
+
+    it('should record multivariate checks apart from the default stream', async () => {
+      await engine.detectMultivariateDrift(makeTable(100, 1));
+
+      expect(engine.multivariateHistory.length).toBe(1);
+      expect(engine.getMultivariateStats().totalChecks).toBe(1);
+      expect(engine.history.length).toBe(0);
+      expect(engine.getStats().totalChecks).toBe(0);
+    });
+
+    it('should reject non-numeric feature values', async () => {
+      await expect(engine.detectMultivariateDrift({ income: [1, 'a'] })).rejects.toThrow(
+        'Invalid value for feature "income" at index 1'
+      );
+    });
+
+    it('should throw when no multivariate baseline is set', async () => {
+      const newEngine = new DriftEngine({ dbPath: ':memory:' }, createMockAgentDB());
+
+      await expect(newEngine.detectMultivariateDrift(makeTable(10))).rejects.toThrow('Multivariate baseline not set');
+    });
+  });
+  describe('Categorical Drift Detection', () => {
+    let engine;
+    let mocks;
+
+    const categories = ['grocery', 'fuel', 'travel', 'online'];
+    const baseline = Array.from({ length: 200 }, (_, i) => categories[i % 4]);
+
+    beforeEach(async () => {
+      mocks = createMockAgentDB();
+      engine = new DriftEngine({ driftThreshold: 0.1, dbPath: ':memory:' }, mocks);
+      await engine.setBaseline(baseline);
+    });
+
+    it('should build a category frequency table for string baselines', () => {
+      expect(engine.baselineDistribution.type).toBe('categorical');
+      expect(engine.baselineDistribution.counts).toEqual({ grocery: 50, fuel: 50, travel: 50, online: 50 });
+      expect(engine.baselineDistribution.statistics.categoryCount).toBe(4);
+    });
+
+    it("should report chi-square, PSI and Cramér's V in the standard result shape", async () => {
+      const result = await engine.detectDrift(baseline.slice(0, 100));
+
+      expect(result.scores).toHaveProperty('psi');
+      expect(result.scores).toHaveProperty('chiSquare');
+      expect(result.scores).toHaveProperty('cramersV');
+      expect(result.methods.chiSquare.degreesOfFreedom).toBe(3);
+      expect(result.methods.chiSquare.pValue).toBeCloseTo(1, 5);
+      expect(result.isDrift).toBe(false);
+      expect(result.severity).toBe('none');
+    });
+
+    it('should apply the small-sample threshold to categorical data', async () => {
+      // 3/3/3/1 of ten values scores between the base threshold and the 1.75× small-sample one
+      const current = ['grocery', 'grocery', 'grocery', 'fuel', 'fuel', 'fuel', 'travel', 'travel', 'travel', 'online'];
+
+      const result = await engine.detectDrift(current);
+
+      expect(result.averageScore).toBeGreaterThan(0.1);
+      expect(result.averageScore).toBeLessThan(0.175);
+      expect(result.isDrift).toBe(false);
+      expect(result.severity).toBe('none');
+    });
+
+    it('should detect a shift in category mix', async () => {
+      const current = Array.from({ length: 100 }, (_, i) => (i < 70 ? 'travel' : categories[i % 4]));
+
+      const result = await engine.detectDrift(current);
+
+      expect(result.isDrift).toBe(true);
+      expect(result.methods.chiSquare.pValue).toBeLessThan(0.05);
+      expect(result.scores.cramersV).toBeGreaterThan(0.1);
+    });
+
+    it('should report unseen and missing categories explicitly', async () => {
+      const current = Array.from({ length: 100 }, (_, i) => (i % 4 === 3 ? 'crypto' : categories[i % 4]));
+
+      const result = await engine.detectDrift(current);
+
+      expect(result.categories.unseen).toEqual([{ category: 'crypto', count: 25, proportion: 0.25 }]);
+      expect(result.categories.missing.map(m => m.category)).toEqual(['online']);
+      expect(result.isDrift).toBe(true);
+    });
+
+    it('should treat numeric codes as categories when requested', async () => {
+      await engine.setBaseline([1, 2, 3, 1, 2, 3], { type: 'categorical' });
+
+      expect(engine.baselineDistribution.type).toBe('categorical');
+      expect(engine.baselineDistribution.categories).toEqual(['1', '2', '3']);
+    });
+
+    it('should not return cached results for different category arrays', async () => {
+      const first = await engine.detectDrift(['grocery', 'fuel', 'travel', 'online']);
+      const second = await engine.detectDrift(['travel', 'travel', 'travel', 'travel']);
+
+      expect(second.cached).toBeUndefined();
+      expect(second.averageScore).not.toBe(first.averageScore);
+    });
+
+    it('should reject invalid category values', async () => {
+      await expect(engine.detectDrift(['grocery', null])).rejects.toThrow('Invalid category at index 1');
+    });
+
+    it('should score categorical features in multivariate tables', async () => {
+      await engine.setMultivariateBaseline({
+        merchant_category: baseline,
+        amount: Array.from({ length: 200 }, (_, i) => 20 + (i % 10))
+      });
+
+      const result = await engine.detectMultivariateDrift({
+        merchant_category: Array.from({ length: 200 }, () => 'travel'),
+        amount: Array.from({ length: 200 }, (_, i) => 20 + (i % 10))
+      });
+
+      expect(result.features.merchant_category.scores).toHaveProperty('cramersV');
+      expect(result.driftedFeatures).toEqual(['merchant_category']);
+      expect(result.joint).toBeNull();
+    });
+  });
+
+  describe('Named Baselines', () => {
+    let engine;
+    let mocks;
+
+    const scores = Array.from({ length: 100 }, (_, i) => 600 + (i % 20) * 5);
+    const amounts = Array.from({ length: 100 }, (_, i) => 10 + (i % 10));
+
+    beforeEach(async () => {
+      mocks = createMockAgentDB();
+      engine = new DriftEngine({ driftThreshold: 0.1, dbPath: ':memory:' }, mocks);
+      await engine.setBaseline('credit', scores);
+      await engine.setBaseline('fraud', amounts);
+    });
+
+    it('should list every stream with a baseline', () => {
+      expect(engine.listBaselines().map(baseline => baseline.stream)).toEqual(['credit', 'fraud']);
+      expect(engine.hasBaseline('credit')).toBe(true);
+      expect(engine.hasBaseline()).toBe(false);
+      expect(engine.getBaseline('fraud').statistics.count).toBe(100);
+    });
+
+    it('should score each stream against its own baseline', async () => {
+      const credit = await engine.detectDrift('credit', scores);
+      const fraud = await engine.detectDrift('fraud', amounts);
+
+      expect(credit.stream).toBe('credit');
+      expect(credit.isDrift).toBe(false);
+      expect(fraud.isDrift).toBe(false);
+    });
+
+    it('should keep history, stats and cache separate per stream', async () => {
+      await engine.detectDrift('credit', scores);
+      await engine.detectDrift('credit', scores.map(score => score + 50));
+
+      expect(engine.getStats('credit').totalChecks).toBe(2);
+      expect(engine.getStats('fraud').totalChecks).toBe(0);
+      expect(engine.getHistory('credit').length).toBe(2);
+      expect(engine.getHistory('fraud').length).toBe(0);
+    });
+
+    it('should combine stats across streams', async () => {
+      await engine.detectDrift('credit', scores);
+      await engine.detectDrift('fraud', amounts);
+
+      const combined = engine.getCombinedStats();
+      expect(combined.totalChecks).toBe(2);
+      expect(combined.streams).toEqual(expect.arrayContaining(['credit', 'fraud']));
+    });
+
+    it('should throw for a stream without a baseline', async () => {
+      await expect(engine.detectDrift('missing', scores)).rejects.toThrow('Baseline not set for stream "missing"');
+      expect(() => engine.getStats('missing')).toThrow('Unknown stream: missing');
+    });
+
+    it('should keep the single-baseline API on the default stream', async () => {
+      await engine.setBaseline(scores);
+      const result = await engine.detectDrift(scores);
+
+      expect(result.stream).toBe('default');
+      expect(engine.getStats().totalChecks).toBe(1);
+      expect(engine.history.length).toBe(1);
+    });
+  });
+
+  describe('Streaming Windows', () => {
+    let engine;
+    let mocks;
+
+    const baseline = Array.from({ length: 200 }, (_, i) => 0.1 + (i % 20) * 0.01);
+    const stable = n => Array.from({ length: n }, (_, i) => 0.1 + ((i * 7) % 20) * 0.01);
+
+    beforeEach(async () => {
+      mocks = createMockAgentDB();
+      engine = new DriftEngine({ driftThreshold: 0.1, dbPath: ':memory:' }, mocks);
+      await engine.setBaseline(baseline);
+    });
+
+    it('should score tumbling windows as they fill', async () => {
+      engine.configureWindow({ type: 'tumbling', size: 100 });
+
+      const results = await engine.pushBatch(stable(250));
+
+      expect(results.length).toBe(2);
+      expect(results.map(r => r.window.index)).toEqual([0, 1]);
+      expect(results[0].window).toMatchObject({ type: 'tumbling', count: 100 });
+      expect(results[0].isDrift).toBe(false);
+
+      const flushed = await engine.flushWindow();
+      expect(flushed[0].window.count).toBe(50);
+    });
+
+    it('should emit overlapping sliding windows every slide values', async () => {
+      engine.configureWindow({ type: 'sliding', size: 50, slide: 10 });
+
+      const results = await engine.pushBatch(stable(80));
+
+      expect(results.length).toBe(4);
+      expect(results.every(r => r.window.count === 50)).toBe(true);
+    });
+
+    it('should close sessions after an inactivity gap', async () => {
+      engine.configureWindow('default', { type: 'session', gap: 1000 });
+      const timestamps = [0, 100, 200, 300, 5000, 5100, 5200];
+
+      const results = await engine.pushBatch(stable(7), { timestamps });
+
+      expect(results.length).toBe(1);
+      expect(results[0].window).toMatchObject({ count: 4, start: 0, end: 300 });
+    });
+
+    it('should emit drift events for single pushed values', async () => {
+      engine.configureWindow({ type: 'tumbling', size: 50 });
+      const onDrift = vi.fn();
+      const onWindow = vi.fn();
+      engine.on('drift', onDrift);
+      engine.on('window', onWindow);
+
+      for (const value of stable(50).map(v => v + 0.5)) {
+        await engine.push(value);
+      }
+
+      expect(onWindow).toHaveBeenCalledTimes(1);
+      expect(onDrift).toHaveBeenCalledTimes(1);
+      expect(onDrift.mock.calls[0][0].isDrift).toBe(true);
+    });
+
+    it('should deliver window results through an async iterator', async () => {
+      await engine.setBaseline('fraud', baseline);
+      engine.configureWindow('fraud', { type: 'tumbling', size: 20 });
+      const iterator = engine.windowResults('fraud');
+
+      await engine.pushBatch('fraud', stable(45));
+      await engine.closeWindow('fraud');
+
+      const received = [];
+      for await (const result of iterator) {
+        received.push(result);
+      }
+
+      expect(received.map(r => r.window.count)).toEqual([20, 20, 5]);
+      expect(received.every(r => r.stream === 'fraud')).toBe(true);
+    });
+
+    it('should push categories to a categorical default stream', async () => {
+      await engine.setBaseline(Array.from({ length: 100 }, (_, i) => (i % 4 === 0 ? 'declined' : 'approved')));
+      await engine.setBaseline('decisions', ['approved', 'declined', 'approved', 'approved']);
+      engine.configureWindow({ type: 'tumbling', size: 2 });
+      engine.configureWindow('decisions', { type: 'tumbling', size: 2 });
+
+      expect(await engine.push('approved', 'declined')).toEqual([]);
+      const [closed] = await engine.push('declined');
+      expect(closed.window.count).toBe(2);
+
+      expect(await engine.push('decisions', 'approved')).toEqual([]);
+      expect((await engine.push('decisions', 'declined'))[0].stream).toBe('decisions');
+    });
+
+    it('should validate pushed values and window options', async () => {
+      await expect(engine.push('fraud', 0.2)).rejects.toThrow('Baseline not set for stream "fraud"');
+      await expect(engine.pushBatch([0.2, NaN])).rejects.toThrow('Invalid value at index 1');
+      expect(() => engine.configureWindow({ type: 'hopping' })).toThrow('Unknown window type: hopping');
+      expect(() => engine.configureWindow({ type: 'session', gap: 0 })).toThrow('Session gap must be positive');
+      expect(() => engine.configureWindow({ type: 'tumbling', size: 0 })).toThrow('Window size must be an integer');
+      expect(() => engine.configureWindow({ type: 'sliding', size: 10, slide: 0 })).toThrow(
+        'Window slide must be an integer'
+      );
+    });
+  });
+
+  describe('Change-Point Detection', () => {
+    let engine;
+    let mocks;
+
+    // Seeded Gaussian noise so detections are reproducible
+    const noise = (n, shift = 0, seed = 42) => seededNormal(seed, n, shift);
+    const shifted = [...noise(300, 0, 7), ...noise(300, 2, 11)];
+
+    beforeEach(async () => {
+      mocks = createMockAgentDB();
+      engine = new DriftEngine({ driftThreshold: 0.1, dbPath: ':memory:' }, mocks);
+      await engine.setBaseline(noise(1000));
+    });
+
+    it('should locate the change with Page-Hinkley and CUSUM', async () => {
+      const timestamps = shifted.map((_, i) => 1000 + i * 10);
+      const result = await engine.detectDrift(shifted, { changePointMethods: ['pageHinkley', 'cusum'], timestamps });
+
+      for (const method of ['pageHinkley', 'cusum']) {
+        expect(result.methods[method].isDrift).toBe(true);
+        expect(result.methods[method].changeIndex).toBeGreaterThanOrEqual(280);
+        expect(result.methods[method].changeIndex).toBeLessThanOrEqual(310);
+        expect(result.methods[method].detectionIndex).toBeGreaterThanOrEqual(result.methods[method].changeIndex);
+      }
+      expect(result.changePoint.timestamp).toBe(timestamps[result.changePoint.index]);
+      expect(engine.getHistory().at(-1).changePoint).toEqual(result.changePoint);
+    });
+
+    it('should detect the change with ADWIN, DDM and EDDM', async () => {
+      const result = await engine.detectDrift(shifted, { changePointMethods: ['adwin', 'ddm', 'eddm'] });
+
+      for (const method of ['adwin', 'ddm', 'eddm']) {
+        expect(result.methods[method].isDrift).toBe(true);
+      }
+      expect(result.methods.adwin.detectionIndex).toBeGreaterThanOrEqual(300);
+      expect(result.methods.ddm.detectionIndex).toBeGreaterThanOrEqual(300);
+    });
+
+    it('should not report change points on stationary data', async () => {
+      const result = await engine.detectDrift(noise(600, 0, 7), {
+        changePointMethods: ['pageHinkley', 'cusum', 'adwin', 'ddm']
+      });
+
+      expect(result.changePoint).toBeNull();
+      expect(result.isDrift).toBe(false);
+    });
+
+    it('should use arrival order for streaming windows', async () => {
+      const streaming = new DriftEngine({ changePointMethods: ['cusum'] }, createMockAgentDB());
+      await streaming.setBaseline(noise(1000));
+      streaming.configureWindow({ type: 'tumbling', size: 600 });
+
+      const [result] = await streaming.pushBatch(shifted, { timestamps: shifted.map((_, i) => i * 1000) });
+
+      expect(result.changePoint.method).toBe('cusum');
+      expect(result.changePoint.timestamp).toBe(result.changePoint.index * 1000);
+      expect(result.changePoint.index).toBeGreaterThanOrEqual(280);
+    });
+
+    it('should reject unknown change-point methods', async () => {
+      await expect(engine.detectDrift(shifted, { changePointMethods: ['bocpd'] })).rejects.toThrow(
+        'Unknown change-point method: bocpd'
+      );
+    });
+  });
+
+  describe('Method Registry', () => {
+    let mocks;
+
+    const baseline = Array.from({ length: 100 }, (_, i) => 50 + (i % 10));
+    const current = baseline.map(value => value + 2);
+    const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+    const meanGap = (base, cur) => Math.abs(mean(cur) - mean(base));
+
+    const createEngine = async (config = {}) => {
+      const engine = new DriftEngine({ driftThreshold: 0.1, dbPath: ':memory:', ...config }, mocks);
+      await engine.setBaseline(baseline);
+      return engine;
+    };
+
+    beforeEach(() => {
+      mocks = createMockAgentDB();
+    });
+
+    it('should list the built-in methods', async () => {
+      const engine = await createEngine({ disabledMethods: ['jsd'] });
+
+      expect(engine.listMethods()).toEqual([
+        { name: 'psi', threshold: 0.1, minSamples: 20, enabled: true },
+        { name: 'ks', threshold: 0.1, minSamples: 0, enabled: true },
+        { name: 'jsd', threshold: 0.1, minSamples: 0, enabled: false },
+        { name: 'statistical', threshold: 0.1, minSamples: 0, enabled: true },
+        { name: 'wasserstein', threshold: 0.1, minSamples: 0, enabled: false },
+        { name: 'hellinger', threshold: 0.1, minSamples: 0, enabled: false },
+        { name: 'andersonDarling', threshold: 1.961, minSamples: 0, enabled: false },
+        { name: 'cramerVonMises', threshold: 0.461, minSamples: 0, enabled: false }
+      ]);
+    });
+
+    it('should score registered custom methods on their own threshold', async () => {
+      const engine = await createEngine();
+      engine.registerMethod({ name: 'meanGap', score: meanGap, threshold: 1 });
+
+      const result = await engine.detectDrift(current);
+
+      expect(result.scores.meanGap).toBeCloseTo(2, 6);
+      expect(result.methods.meanGap.isDrift).toBe(true);
+      expect(result.methods.meanGap.weight).toBeCloseTo(0.1, 6);
+      expect(result.methods.psi.weight).toBeCloseTo(0.6, 6);
+    });
+
+    it('should honour enabled lists and explicit weights', async () => {
+      const engine = await createEngine({ methods: ['ks', 'statistical'], methodWeights: { ks: 3, statistical: 1 } });
+
+      const result = await engine.detectDrift(current);
+
+      expect(Object.keys(result.scores)).toEqual(['ks', 'statistical']);
+      expect(result.averageScore).toBeCloseTo(result.scores.ks * 0.75 + result.scores.statistical * 0.25, 10);
+    });
+
+    it('should drop methods below their sample-size requirement from the average', async () => {
+      const engine = await createEngine();
+      engine.registerMethod({ name: 'meanGap', score: meanGap, minSamples: 1000 });
+
+      const result = await engine.detectDrift(current);
+
+      expect(result.scores.meanGap).toBeCloseTo(2, 6);
+      expect(result.methods.meanGap.weight).toBe(0);
+    });
+
+    it('should keep the small-sample KS fallback for built-ins', async () => {
+      const engine = new DriftEngine({ driftThreshold: 0.1, dbPath: ':memory:' }, mocks);
+      await engine.setBaseline([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+      const result = await engine.detectDrift([2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+
+      expect(result.methods.psi.weight).toBe(0);
+      expect(result.methods.ks.weight).toBeCloseTo(0.7, 10);
+      expect(result.methods.jsd.weight).toBeCloseTo(0.15, 10);
+    });
+
+    it('should reject unknown or invalid methods', async () => {
+      const engine = await createEngine({ methods: ['psi', 'energy'] });
+
+      await expect(engine.detectDrift(current)).rejects.toThrow('Unknown drift method: energy');
+      expect(() => engine.registerMethod({ name: 'broken' })).toThrow('must provide a score function');
+      expect(() => engine.registerMethod({ name: 'negative', score: meanGap, threshold: -1 })).toThrow(
+        'threshold must be positive'
+      );
+    });
+  });
+
+  describe('Additional Distance Metrics', () => {
+    let mocks;
+
+    const extraMethods = ['wasserstein', 'hellinger', 'andersonDarling', 'cramerVonMises'];
+    const pattern = (n, shift = 0, scale = 1) =>
+      Array.from({ length: n }, (_, i) => (((i * 37) % 100) / 10 - 5) * scale + 5 + shift);
+
+    beforeEach(() => {
+      mocks = createMockAgentDB();
+    });
+
+    it('should compute Wasserstein-1 in baseline standard deviations', async () => {
+      const engine = new DriftEngine({ methods: ['wasserstein'], dbPath: ':memory:' }, mocks);
+      const baseline = pattern(200);
+      await engine.setBaseline(baseline);
+
+      const result = await engine.detectDrift(pattern(200, 1.5));
+
+      // A pure location shift moves every quantile by the shift
+      const std = StatisticsUtil.calculateStd(baseline);
+      expect(result.scores.wasserstein).toBeCloseTo(1.5 / std, 6);
+    });
+
+    it('should keep Hellinger distance within [0, 1]', async () => {
+      const engine = new DriftEngine({ methods: ['hellinger'], dbPath: ':memory:' }, mocks);
+      await engine.setBaseline(pattern(200));
+
+      const same = await engine.detectDrift(pattern(200));
+      const disjoint = await engine.detectDrift(pattern(200, 50));
+
+      expect(same.scores.hellinger).toBeCloseTo(0, 6);
+      expect(disjoint.scores.hellinger).toBeCloseTo(1, 6);
+    });
+
+    it('should catch a variance change that leaves the mean in place', async () => {
+      const engine = new DriftEngine(
+        { methods: ['andersonDarling', 'cramerVonMises'], permutations: 100, randomSeed: 7, dbPath: ':memory:' },
+        mocks
+      );
+      await engine.setBaseline(pattern(300));
+
+      const stable = await engine.detectDrift(pattern(300, 0.05));
+      const widened = await engine.detectDrift(pattern(300, 0, 2));
+
+      expect(stable.methods.andersonDarling.isDrift).toBe(false);
+      expect(stable.methods.cramerVonMises.isDrift).toBe(false);
+      expect(widened.methods.andersonDarling.isDrift).toBe(true);
+      expect(widened.methods.cramerVonMises.isDrift).toBe(true);
+      expect(widened.methods.andersonDarling.pValue).toBeLessThan(0.05);
+      expect(widened.scores.andersonDarling).toBeGreaterThan(widened.scores.cramerVonMises);
+    });
+
+    it('should leave default scoring unchanged until the methods are enabled', async () => {
+      const engine = new DriftEngine({ dbPath: ':memory:' }, mocks);
+      await engine.setBaseline(pattern(200));
+
+      const result = await engine.detectDrift(pattern(200, 1));
+
+      expect(Object.keys(result.scores)).toEqual(['psi', 'ks', 'jsd', 'statistical']);
+      expect(engine.listMethods().filter(method => extraMethods.includes(method.name) && method.enabled)).toEqual([]);
+    });
+  });
+
+  describe('Binning Strategies', () => {
+    let mocks;
+
+    const baseline = Array.from({ length: 200 }, (_, i) => ((i * 37) % 200) / 20);
+    const current = baseline.map(value => value * 1.2 + 1);
+
+    beforeEach(() => {
+      mocks = createMockAgentDB();
+    });
+
+    it('should bin on the combined range for equal-width bins', async () => {
+      const engine = new DriftEngine({ methods: ['psi'], permutations: 0, dbPath: ':memory:' }, mocks);
+      await engine.setBaseline(baseline);
+
+      const result = await engine.detectDrift(current);
+
+      // Both histograms span the combined range, not the baseline's own range
+      const { min, max } = { min: 0, max: Math.max(...current) };
+      const p = engine._createHistogramWithRange(baseline, 20, min, max).map(count => count / 200);
+      const q = engine._createHistogramWithRange(current, 20, min, max).map(count => count / 200);
+      const expected = p.reduce(
+        (sum, pi, i) => sum + (q[i] - pi) * Math.log(Math.max(q[i], 0.005) / Math.max(pi, 0.005)),
+        0
+      );
+
+      expect(result.binning.strategy).toBe('equalWidth');
+      expect(result.binning.edges).toHaveLength(21);
+      expect(result.binning.edges[20]).toBe(max);
+      expect(result.scores.psi).toBeCloseTo(expected, 10);
+    });
+
+    it('should fix quantile edges from the baseline', async () => {
+      const engine = new DriftEngine({ binning: 'quantile', permutations: 0, dbPath: ':memory:' }, mocks);
+      const distribution = await engine.setBaseline(baseline);
+
+      const result = await engine.detectDrift(current);
+
+      expect(distribution.binning.edges).toHaveLength(11);
+      expect(distribution.binning.counts.every(count => count === 20)).toBe(true);
+      expect(result.binning).toEqual({ strategy: 'quantile', edges: distribution.binning.edges });
+      expect(result.isDrift).toBe(true);
+    });
+
+    it('should use user-provided edges per baseline', async () => {
+      const engine = new DriftEngine({ methods: ['psi'], permutations: 0, dbPath: ':memory:' }, mocks);
+      await engine.setBaseline(baseline, { binning: { edges: [0, 2.5, 5, 7.5, 10] } });
+
+      const result = await engine.detectDrift(current);
+
+      // Values beyond the last edge fall into the last bin
+      const p = [0.25, 0.25, 0.25, 0.25];
+      const q = engine._histogramWithEdges(current, [0, 2.5, 5, 7.5, 10]).map(count => count / 200);
+      const expected = p.reduce((sum, pi, i) => sum + (q[i] - pi) * Math.log(Math.max(q[i], 0.005) / pi), 0);
+
+      expect(result.binning).toEqual({ strategy: 'edges', edges: [0, 2.5, 5, 7.5, 10] });
+      expect(q.reduce((sum, qi) => sum + qi, 0)).toBeCloseTo(1, 10);
+      expect(result.scores.psi).toBeCloseTo(expected, 10);
+    });
+
+    it('should size bins with Sturges and Freedman-Diaconis rules', async () => {
+      const sturges = new DriftEngine({ binning: 'sturges', dbPath: ':memory:' }, mocks);
+      const fd = new DriftEngine({ binning: 'freedmanDiaconis', dbPath: ':memory:' }, mocks);
+
+      const sturgesEdges = (await sturges.setBaseline(baseline)).binning.edges;
+      const fdEdges = (await fd.setBaseline(baseline)).binning.edges;
+
+      // Sturges: ceil(log2 200) + 1 = 9; FD: range / (2 · IQR / 200^(1/3)) ≈ 5.85 → 6
+      expect(sturgesEdges).toHaveLength(10);
+      expect(fdEdges).toHaveLength(7);
+      expect(fdEdges[0]).toBe(0);
+      expect(fdEdges[6]).toBe(Math.max(...baseline));
+    });
+
+    it('should reject invalid binning specs', async () => {
+      const engine = new DriftEngine({ dbPath: ':memory:' }, mocks);
+
+      await expect(engine.setBaseline(baseline, { binning: 'logarithmic' })).rejects.toThrow(
+        'Unknown binning strategy: logarithmic'
+      );
+      await expect(engine.setBaseline(baseline, { binning: { edges: [0, 5, 5] } })).rejects.toThrow(
+        'Bin edges must be strictly increasing numbers'
+      );
+      await expect(engine.setBaseline(baseline, { binning: { strategy: 'quantile', bins: 1 } })).rejects.toThrow(
+        'Bin count must be an integer of at least 2'
+      );
+    });
+  });
+
+  describe('Concept Drift', () => {
+    let mocks;
+
+    // Scores spread over [0, 1]; baseline labels follow the score exactly
+    const scores = Array.from({ length: 200 }, (_, i) => ((i * 37) % 200) / 199);
+    const labels = scores.map(score => (score >= 0.5 ? 1 : 0));
+
+    const createEngine = async (config = {}) => {
+      const engine = new DriftEngine({ permutations: 0, bootstrapSamples: 0, dbPath: ':memory:', ...config }, mocks);
+      await engine.setBaseline(scores);
+      engine.setPerformanceBaseline(scores, labels);
+      return engine;
+    };
+
+    beforeEach(() => {
+      mocks = createMockAgentDB();
+    });
+
+    it('should tag every checked batch with a batch id', async () => {
+      const engine = await createEngine();
+
+      const named = await engine.detectDrift(scores, { batchId: 'loans-2024-06' });
+      const generated = await engine.detectDrift(scores);
+
+      expect(named.batchId).toBe('loans-2024-06');
+      expect(generated.batchId).toMatch(/^default-\d+-\d+$/);
+      expect(generated.cached).toBe(true);
+    });
+
+    it('should only keep batches that can receive labels', async () => {
+      const engine = new DriftEngine({ dbPath: ':memory:' }, mocks);
+      await engine.setBaseline(scores);
+
+      const untracked = await engine.detectDrift(scores.slice(0, 100));
+      const named = await engine.detectDrift(scores.slice(100), { batchId: 'manual' });
+
+      expect(untracked.batchId).toBeNull();
+      expect(named.batchId).toBe('manual');
+      expect([...engine.batches.keys()]).toEqual(['manual']);
+
+      await engine.setBaseline('channel', ['web', 'branch', 'web']);
+      expect((await engine.detectDrift('channel', ['web', 'web'])).batchId).toBeNull();
+    });
+
+    it('should cap pending batches by their total number of values', async () => {
+      const engine = await createEngine({ maxPendingValues: 450 });
+
+      for (const batchId of ['a', 'b', 'c']) {
+        await engine.detectDrift(scores, { batchId, memoization: false });
+      }
+
+      expect([...engine.batches.keys()]).toEqual(['b', 'c']);
+      expect(engine.pendingValues).toBe(400);
+      await expect(engine.attachLabels('a', labels)).rejects.toThrow('Unknown batch: a');
+    });
+
+    it('should keep windowed predictions in arrival order for labels', async () => {
+      const engine = await createEngine({ trackLabels: true });
+      engine.configureWindow({ type: 'tumbling', size: 4 });
+
+      const [window] = await engine.pushBatch([0.9, 0.1, 0.8, 0.2]);
+      const result = await engine.attachLabels(window.batchId, [1, 0, 1, 0]);
+
+      expect(engine.batches.get(window.batchId).predictions).toEqual([0.9, 0.1, 0.8, 0.2]);
+      expect(result.metrics.accuracy.current).toBe(1);
+    });
+
+    it('should profile baseline performance', async () => {
+      const engine = await createEngine();
+
+      const profile = engine.getPerformanceBaseline();
+
+      expect(profile.count).toBe(200);
+      expect(profile.metrics).toMatchObject({ accuracy: 1, auc: 1, precision: 1, recall: 1, positiveRate: 0.5 });
+      expect(profile.metrics.calibrationError).toBeGreaterThan(0);
+    });
+
+    it('should flag degraded performance once labels arrive', async () => {
+      const engine = await createEngine();
+      const batch = await engine.detectDrift(scores, { batchId: 'june' });
+
+      // The relationship broke for every fifth customer, the inputs did not move
+      const outcomes = labels.map((label, i) => (i % 5 === 0 ? 1 - label : label));
+      const result = await engine.attachLabels('june', outcomes);
+
+      expect(batch.isDrift).toBe(false);
+      expect(result).toMatchObject({ type: 'performance', batchId: 'june', labeled: 200, pending: 0, reliable: true });
+      expect(result.metrics.accuracy.current).toBeCloseTo(0.8, 10);
+      expect(result.metrics.accuracy.score).toBeCloseTo((0.2 / 0.05) * 0.1, 10);
+      expect(result.degradedMetrics).toEqual(expect.arrayContaining(['accuracy', 'auc']));
+      expect(result.isDrift).toBe(true);
+      expect(result.severity).toBe('critical');
+      expect(engine.getPerformanceHistory()).toHaveLength(1);
+    });
+
+    it('should wait for enough late labels before flagging drift', async () => {
+      const engine = await createEngine({ minLabeledSamples: 50 });
+      await engine.detectDrift(scores, { batchId: 'july' });
+      const flipped = labels.map(label => 1 - label);
+
+      const early = await engine.attachLabels('july', flipped.map((label, i) => (i < 20 ? label : null)));
+      const later = await engine.attachLabels('july', flipped.map((label, i) => (i >= 20 && i < 60 ? label : null)));
+
+      expect(early).toMatchObject({ labeled: 20, pending: 180, reliable: false, isDrift: false });
+      expect(early.metrics.accuracy.current).toBe(0);
+      expect(later).toMatchObject({ labeled: 60, pending: 140, reliable: true, isDrift: true });
+    });
+
+    it('should reject unusable label requests', async () => {
+      const engine = await createEngine();
+      await engine.detectDrift(scores, { batchId: 'august' });
+      const unprofiled = new DriftEngine({ dbPath: ':memory:' }, mocks);
+      await unprofiled.setBaseline(scores);
+      await unprofiled.detectDrift(scores, { batchId: 'august' });
+
+      await expect(engine.attachLabels('september', labels)).rejects.toThrow('Unknown batch: september');
+      await expect(engine.attachLabels('august', labels.slice(1))).rejects.toThrow('one entry per prediction');
+      await expect(engine.attachLabels('august', labels.map(() => 2))).rejects.toThrow('Labels must be 0, 1 or null');
+      await expect(unprofiled.attachLabels('august', labels)).rejects.toThrow('Performance baseline not set');
+    });
+  });
+
+  describe('Drift Explanation', () => {
+    let mocks;
+
+    const baseline = Array.from({ length: 200 }, (_, i) => ((i * 37) % 200) / 20);
+
+    beforeEach(() => {
+      mocks = createMockAgentDB();
+    });
+
+    it('should break PSI down by bin', async () => {
+      const engine = new DriftEngine({ binning: { strategy: 'quantile', bins: 4 }, dbPath: ':memory:' }, mocks);
+      await engine.setBaseline(baseline);
+
+      const result = await engine.detectDrift(baseline.map(value => value + 2.5));
+      const { bins } = result.explanation;
+
+      expect(bins).toHaveLength(4);
+      expect(bins[0]).toMatchObject({ lower: 0, baseline: 0.25, current: 0 });
+      expect(bins[3].current).toBeCloseTo(0.5, 10);
+      expect(bins.reduce((sum, bin) => sum + bin.psiContribution, 0)).toBeCloseTo(result.scores.psi, 10);
+    });
+
+    it('should report quantile shifts and the largest CDF gap', async () => {
+      const engine = new DriftEngine({ dbPath: ':memory:' }, mocks);
+      await engine.setBaseline(baseline);
+
+      const current = baseline.map(value => (value > 5 ? value + 3 : value));
+      const result = await engine.detectDrift(current);
+      const { quantiles, maxGap } = result.explanation;
+
+      expect(quantiles.map(quantile => quantile.percentile)).toEqual([1, 5, 10, 25, 50, 75, 90, 95, 99]);
+      expect(quantiles[0].shift).toBeCloseTo(0, 10);
+      expect(quantiles[8].shift).toBeCloseTo(3, 10);
+      // Only the upper half moved: the gap peaks just before the shifted values resume above 8
+      expect(maxGap.location).toBe(8);
+      expect(maxGap.baselineCdf).toBeCloseTo(161 / 200, 10);
+      expect(maxGap.currentCdf).toBeCloseTo(101 / 200, 10);
+      expect(result.explanation.summary).toMatch(/^Drift detected/);
+      expect(result.explanation.summary).toContain('largest shift is at p');
+    });
+
+    it('should skip the explanation when disabled', async () => {
+      const engine = new DriftEngine({ explain: false, dbPath: ':memory:' }, mocks);
+      await engine.setBaseline(baseline);
+
+      const result = await engine.detectDrift(baseline.map(value => value + 1));
+
+      expect(result.explanation).toBeUndefined();
+    });
+  });
+
+  describe('Statistical Significance', () => {
+    let mocks;
+
+    const pattern = (n, shift = 0) => Array.from({ length: n }, (_, i) => ((i * 37) % 100) / 10 + shift);
+
+    const createEngine = async (config = {}, baseline = pattern(400)) => {
+      const engine = new DriftEngine(
+        { driftThreshold: 0.1, dbPath: ':memory:', permutations: 200, bootstrapSamples: 200, randomSeed: 7, ...config },
+        mocks
+      );
+      await engine.setBaseline(baseline);
+      return engine;
+    };
+
+    beforeEach(() => {
+      mocks = createMockAgentDB();
+    });
+
+    it('should report p-values for every method and a bootstrap CI for the statistical score', async () => {
+      const engine = await createEngine();
+
+      const result = await engine.detectDrift(pattern(400, 3));
+
+      for (const method of ['psi', 'ks', 'jsd', 'statistical']) {
+        expect(result.methods[method].pValue).toBeLessThan(0.01);
+        expect(result.methods[method].significant).toBe(true);
+      }
+      const { confidenceInterval } = result.methods.statistical;
+      expect(confidenceInterval.level).toBeCloseTo(0.95, 10);
+      expect(confidenceInterval.lower).toBeLessThanOrEqual(result.scores.statistical);
+      expect(confidenceInterval.upper).toBeGreaterThanOrEqual(result.scores.statistical);
+      expect(result.significance).toMatchObject({ level: 0.05, correction: 'bh' });
+      expect(result.significance.significantMethods).toHaveLength(4);
+    });
+
+    it('should not flag samples drawn from the baseline distribution', async () => {
+      const engine = await createEngine();
+
+      const result = await engine.detectDrift(pattern(400).reverse());
+
+      expect(result.methods.ks.pValue).toBeGreaterThan(0.5);
+      expect(result.significance.significantMethods).toEqual([]);
+    });
+
+    it('should make the same KS statistic more significant at larger n', async () => {
+      const small = await createEngine({}, pattern(40));
+      const large = await createEngine({}, pattern(4000));
+
+      const smallResult = await small.detectDrift(pattern(40, 0.6));
+      const largeResult = await large.detectDrift(pattern(4000, 0.6));
+
+      expect(smallResult.scores.ks).toBeCloseTo(largeResult.scores.ks, 1);
+      expect(smallResult.methods.ks.significant).toBe(false);
+      expect(largeResult.methods.ks.significant).toBe(true);
+    });
+
+    it('should adjust p-values with Bonferroni and Benjamini-Hochberg', async () => {
+      const pValues = [0.01, 0.04, 0.03, 0.005];
+
+      expect(StatisticsUtil.adjustPValues(pValues, 'bonferroni')).toEqual([0.04, 0.16, 0.12, 0.02]);
+      expect(StatisticsUtil.adjustPValues(pValues, 'bh')).toEqual([0.02, 0.04, 0.04, 0.02]);
+
+      const engine = await createEngine({ multipleTesting: 'bonferroni' });
+      const result = await engine.detectDrift(pattern(400, 0.2));
+      expect(result.methods.ks.adjustedPValue).toBeCloseTo(Math.min(1, result.methods.ks.pValue * 4), 10);
+    });
+
+    it('should only resample when permutations and bootstrap rounds are configured', async () => {
+      const engine = new DriftEngine({ dbPath: ':memory:' }, mocks);
+      await engine.setBaseline(pattern(400));
+
+      const result = await engine.detectDrift(pattern(400, 3));
+
+      expect(result.methods.psi.pValue).toBeNull();
+      expect(result.methods.statistical.confidenceInterval).toBeNull();
+      expect(result.methods.ks.pValue).toBeLessThan(0.01);
+      expect(result.significance.significantMethods).toEqual(['ks']);
+    });
+
+    it('should be reproducible with a seed and skip permutations when disabled', async () => {
+      const first = await (await createEngine()).detectDrift(pattern(400, 0.3));
+      const second = await (await createEngine()).detectDrift(pattern(400, 0.3));
+      expect(second.methods.psi.pValue).toBe(first.methods.psi.pValue);
+
+      const engine = await createEngine({ permutations: 0, bootstrapSamples: 0 });
+      const result = await engine.detectDrift(pattern(400, 0.3));
+      expect(result.methods.psi.pValue).toBeNull();
+      expect(result.methods.statistical.confidenceInterval).toBeNull();
+      expect(typeof result.methods.ks.pValue).toBe('number');
+    });
+
+    it('should correct across features in multivariate detection', async () => {
+      const engine = await createEngine();
+      await engine.setMultivariateBaseline({ income: pattern(300), tenure: pattern(300) });
+
+      const result = await engine.detectMultivariateDrift({ income: pattern(300, 3), tenure: pattern(300).reverse() });
+
+      expect(result.significance.significantFeatures).toEqual(['income']);
+    });
+  });
 });
@@ -7,7 +7,11 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { FinancialDriftMonitor } from '../../src/use-cases/FinancialDriftMonitor.js';
+import { StatisticsUtil } from '../../src/utils/StatisticsUtil.js';
 import { createMockAgentDB } from '../helpers/agentdb-mocks.js';
+import { writeFileSync, unlinkSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 describe('FinancialDriftMonitor', () => {
   describe('Initialization', () => {
@@ -85,6 +89,70 @@ describe('FinancialDriftMonitor', () => {
       expect(result.featureDrifts.debtRatio).toBeDefined();
     });
 
+    it('should rank the features that drive a credit score shift', async () => {
+      // Score falls with debt ratio and rises with income; tenure has no effect
+      const applicants = count => ({
+        income: Array.from({ length: count }, (_, i) => 40000 + ((i * 37) % 100) * 400),
+        debtRatio: Array.from({ length: count }, (_, i) => 0.2 + ((i * 53) % 100) / 500),
+        tenure: Array.from({ length: count }, (_, i) => (i * 11) % 20)
+      });
+      const score = (features, i) => 600 + features.income[i] / 1000 - 300 * features.debtRatio[i];
+
+      const baseline = applicants(200);
+      await monitor.setFeatureBaseline(
+        baseline,
+        baseline.income.map((_, i) => score(baseline, i))
+      );
+
+      // Applicants now carry far more debt
+      const current = applicants(200);
+      current.debtRatio = current.debtRatio.map(ratio => ratio + 0.15);
+      const result = await monitor.monitorCreditScoring(
+        current.income.map((_, i) => score(current, i)),
+        current
+      );
+
+      const drivers = Object.keys(result.featureDrifts);
+      expect(drivers[0]).toBe('debtRatio');
+      expect(result.featureDrifts.debtRatio).toMatchObject({ rank: 1, isDrift: true, drift: 'drifting' });
+      expect(result.featureDrifts.debtRatio.share).toBeGreaterThan(0.95);
+      expect(result.featureDrifts.debtRatio.effectSize).toBeGreaterThan(2);
+      expect(result.featureDrifts.income.isDrift).toBe(false);
+      expect(result.featureDrifts.tenure.contribution).toBeCloseTo(0, 6);
+      expect(result.featureAttribution.rSquared).toBeCloseTo(1, 6);
+      expect(result.featureAttribution.explainedShift).toBeCloseTo(result.featureAttribution.scoreShift, 6);
+    });
+
+    it('should correct feature drift p-values across features', async () => {
+      const draws = (seed, shift = 0) => {
+        const random = StatisticsUtil.createRandom(seed);
+        return Array.from({ length: 150 }, () => random() + shift);
+      };
+      const table = (offset, shifted) =>
+        Object.fromEntries(Array.from({ length: 12 }, (_, k) => [`f${k}`, draws(offset + k, k === 0 ? shifted : 0)]));
+      await monitor.setFeatureBaseline(table(100, 0));
+
+      const result = await monitor.monitorCreditScoring([650, 700, 720], table(200, 0.5));
+      const drivers = Object.entries(result.featureDrifts).filter(([, drift]) => drift.isDrift);
+
+      expect(drivers.map(([name]) => name)).toEqual(['f0']);
+      expect(result.featureDrifts.f0.adjustedPValue).toBeLessThan(0.05);
+      for (const drift of Object.values(result.featureDrifts)) {
+        expect(drift.adjustedPValue).toBeGreaterThanOrEqual(drift.pValue);
+      }
+    });
+
+    it('should reject applicant features that are not arrays of baseline-typed values', async () => {
+      await monitor.setFeatureBaseline({ income: [50000, 60000, 70000, 80000] });
+
+      await expect(monitor.monitorCreditScoring([650, 700], { income: 50000 })).rejects.toThrow(
+        'Applicant feature income must be an array'
+      );
+      await expect(monitor.monitorCreditScoring([650, 700], { income: ['50000', 'n/a'] })).rejects.toThrow(
+        'Invalid value in applicant feature income at index 0'
+      );
+    });
+
     it('should assess economic factor impact on credit models', async () => {
       const currentScores = [650, 700, 720];
 
@@ -94,6 +162,58 @@ describe('FinancialDriftMonitor', () => {
       expect(result.economicFactors.interestRateChange).toBeDefined();
     });
 
+    it('should measure economic indicator moves over the prediction window', async () => {
+      const asOf = Date.UTC(2024, 5, 30);
+      monitor.addEconomicIndicators([
+        { indicator: 'interestRate', date: '2024-05-01', value: 0.045 },
+        { indicator: 'interestRate', date: '2024-06-28', value: 0.0525 },
+        { indicator: 'unemploymentRate', date: '2024-05-01', value: 0.04 },
+        { indicator: 'unemploymentRate', date: '2024-06-28', value: 0.041 },
+        { indicator: 'interestRate', date: '2024-07-15', value: 0.06 }
+      ]);
+
+      const first = await monitor.monitorCreditScoring([650, 700, 720], null, { timestamp: asOf });
+      const second = await monitor.monitorCreditScoring([650, 700, 720], null, { timestamp: asOf });
+
+      expect(first.economicFactors.interestRateChange).toBeCloseTo(0.0075, 10);
+      expect(first.economicFactors.unemploymentChange).toBeCloseTo(0.001, 10);
+      expect(first.economicFactors.stressedIndicators).toEqual(['interestRate']);
+      expect(first.economicFactors.indicators.interestRate).toMatchObject({ value: 0.0525, previous: 0.045 });
+      expect(second.overallRisk).toBe(first.overallRisk);
+      expect(monitor.getAuditLog()[0].economicFactors).toEqual(first.economicFactors);
+    });
+
+    it('should reject a batch with a non-numeric indicator value without adding any of it', () => {
+      for (const value of [null, '', true, []]) {
+        expect(() =>
+          monitor.addEconomicIndicators([
+            { indicator: 'interestRate', date: '2024-05-01', value: 0.045 },
+            { indicator: 'unemploymentRate', date: '2024-05-01', value }
+          ])
+        ).toThrow('Invalid economic indicator record');
+      }
+
+      expect(monitor.economicIndicators.names()).toEqual([]);
+      expect(monitor.addEconomicIndicators([{ indicator: 'cpi', date: '2024-05-01', value: ' 310.5 ' }])).toBe(1);
+      expect(monitor.economicIndicators.valueAt('cpi', Date.UTC(2024, 5, 1)).value).toBe(310.5);
+    });
+
+    it('should load economic indicators from wide CSV files', async () => {
+      const file = join(tmpdir(), `indicators-${process.pid}.csv`);
+      writeFileSync(file, 'date,interestRate,cpi\n2024-01-31,0.05,300.0\n2024-02-29,0.05,306.0\n');
+
+      try {
+        expect(await monitor.loadEconomicIndicators(file)).toBe(4);
+      } finally {
+        unlinkSync(file);
+      }
+
+      const factors = monitor._checkEconomicFactors(Date.UTC(2024, 2, 1));
+      expect(factors.interestRateChange).toBe(0);
+      expect(factors.inflation).toBeCloseTo(0.02, 10);
+      expect(factors.stressedIndicators).toEqual(['cpi']);
+    });
+
     it('should calculate overall credit risk from multiple signals', async () => {
       const currentScores = [550, 600, 620];
 
@@ -322,6 +442,36 @@ describe('FinancialDriftMonitor', () => {
       expect(stats.falsePositiveRate).toBeDefined();
     });
 
+    it('should route each model type to its own named baseline', async () => {
+      await monitor.setBaseline('fraud_detection', [0.01, 0.02, 0.015, 0.012, 0.018]);
+
+      const fraud = await monitor.monitorFraudDetection([0.01, 0.02, 0.015, 0.012, 0.018]);
+      const credit = await monitor.monitorCreditScoring([655, 705, 715]);
+
+      expect(fraud.fraudDrift.stream).toBe('fraud_detection');
+      expect(fraud.isDrift).toBe(false);
+      expect(credit.scoreDrift.stream).toBe('default');
+      expect(monitor.getStats().totalChecks).toBe(2);
+      expect(monitor.getStats('fraud_detection').totalChecks).toBe(1);
+    });
+
+    it('should score fraud batches on precision and recall once outcomes arrive', async () => {
+      const scores = Array.from({ length: 100 }, (_, i) => i / 100);
+      const outcomes = scores.map(score => (score >= 0.9 ? 1 : 0));
+      await monitor.setBaseline('fraud_detection', scores);
+      monitor.setPerformanceBaseline('fraud_detection', scores, outcomes);
+
+      const checked = await monitor.monitorFraudDetection(scores, null, { batchId: 'tx-2024-06-01' });
+      // Half of the confirmed fraud now scores below the decision threshold
+      const confirmed = scores.map(score => (score >= 0.9 || (score >= 0.2 && score < 0.25) ? 1 : 0));
+      const performance = await monitor.attachLabels(checked.batchId, confirmed);
+
+      expect(checked.batchId).toBe('tx-2024-06-01');
+      expect(Object.keys(performance.metrics)).toEqual(['precision', 'recall', 'auc', 'positiveRate']);
+      expect(performance.metrics.recall.current).toBeCloseTo(10 / 15, 10);
+      expect(performance.degradedMetrics).toContain('recall');
+    });
+
     it('should maintain performance under load', async () => {
       const startTime = Date.now();
 
@@ -1,6 +1,10 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { HealthcareDriftMonitor } from '../../src/use-cases/HealthcareDriftMonitor.js';
+import { StatisticsUtil } from '../../src/utils/StatisticsUtil.js';
 import { createMockAgentDB } from '../helpers/agentdb-mocks.js';
+import { writeFileSync, unlinkSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 describe('HealthcareDriftMonitor', () => {
   let monitor;
@@ -127,6 +131,95 @@ describe('HealthcareDriftMonitor', () => {
     });
   });
 
+  describe('Demographic Drift Analysis', () => {
+    it('should compare each demographic feature against its own baseline', async () => {
+      await monitor.setBaseline([0.75, 0.78, 0.76, 0.77, 0.79]);
+      await monitor.setMultivariateBaseline({
+        age: Array.from({ length: 40 }, (_, i) => 40 + (i % 10)),
+        bmi: Array.from({ length: 40 }, (_, i) => 24 + (i % 4) * 0.5)
+      });
+
+      const result = await monitor.monitorPatientOutcomes([0.76, 0.77, 0.75, 0.78, 0.76], {
+        age: Array.from({ length: 40 }, (_, i) => 70 + (i % 10)),
+        bmi: Array.from({ length: 40 }, (_, i) => 24 + (i % 4) * 0.5)
+      });
+
+      const age = result.demographicDrift.find(d => d.feature === 'age');
+      const bmi = result.demographicDrift.find(d => d.feature === 'bmi');
+      expect(age.drift).toBe(true);
+      expect(bmi.drift).toBe(false);
+    });
+
+    it('should skip demographic analysis without a multivariate baseline', async () => {
+      await monitor.setBaseline([0.75, 0.78, 0.76, 0.77, 0.79]);
+
+      const result = await monitor.monitorPatientOutcomes([0.76, 0.77, 0.75, 0.78, 0.76], {
+        age: [45, 48, 42, 50, 46]
+      });
+
+      expect(result.demographicDrift).toEqual([]);
+    });
+  });
+
+  describe('Clinical Parameter Trends', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const days = count => Array.from({ length: count }, (_, i) => Date.UTC(2024, 0, 1) + i * DAY);
+    const wobble = i => ((i * 7) % 5) - 2;
+
+    it('should report drift, trends and reference-range excursions per clinical series', async () => {
+      const outcomes = [0.75, 0.78, 0.76, 0.77, 0.79, 0.74, 0.73, 0.72];
+      await monitor.setBaseline(outcomes);
+      monitor.setClinicalBaseline({
+        vital_signs: { heart_rate: { values: days(60).map((_, i) => 75 + wobble(i)), timestamps: days(60) } },
+        lab_results: { creatinine: days(60).map((_, i) => 1 + wobble(i) * 0.05) },
+        timestamps: days(60)
+      });
+
+      // Heart rates climb from 80 to beyond 110 over the month; creatinine holds
+      const result = await monitor.monitorPatientOutcomes(outcomes, {
+        vital_signs: { heart_rate: { values: days(30).map((_, i) => 80 + i + wobble(i)), timestamps: days(30) } },
+        lab_results: { creatinine: days(30).map((_, i) => 1 + wobble(i) * 0.05) },
+        timestamps: days(30)
+      });
+
+      const heartRate = result.clinicalDrift.find(series => series.name === 'heart_rate');
+      const creatinine = result.clinicalDrift.find(series => series.name === 'creatinine');
+
+      expect(heartRate).toMatchObject({ parameter: 'vital_signs', trend: 'increasing', significance: 'high' });
+      expect(heartRate.slope).toBeCloseTo(1, 1);
+      expect(heartRate.drift.isDrift).toBe(true);
+      expect(heartRate.baselineExcursionRate).toBe(0);
+      expect(heartRate.excursionRate).toBeCloseTo(9 / 30, 10);
+      expect(heartRate.excursionPValue).toBeLessThan(0.001);
+
+      expect(creatinine).toMatchObject({ parameter: 'lab_results', trend: 'stable', significance: 'low' });
+      expect(creatinine.drift.isDrift).toBe(false);
+      expect(creatinine.referenceRange).toEqual([0.6, 1.3]);
+
+      expect(result.outcomeDrift.isDrift).toBe(false);
+      expect(result.patientSafetyRisk).toBe('low');
+    });
+
+    it('should test short trends against the t distribution', async () => {
+      const outcomes = [0.75, 0.78, 0.76, 0.77, 0.79];
+      await monitor.setBaseline(outcomes);
+
+      // Slope 1.4 with t ≈ 2.16 on 2 df: p ≈ 0.03 under the normal approximation, 0.16 under t
+      const result = await monitor.monitorPatientOutcomes(outcomes, { vital_signs: { heart_rate: [80, 82, 81, 85] } });
+      const heartRate = result.clinicalDrift.find(series => series.name === 'heart_rate');
+
+      expect(heartRate.slope).toBeCloseTo(1.4, 10);
+      expect(heartRate.trendPValue).toBeCloseTo(0.163, 2);
+      expect(heartRate.trend).toBe('stable');
+    });
+
+    it('should name the series of an invalid clinical value', () => {
+      expect(() => monitor.setClinicalBaseline({ lab_results: { creatinine: [1, 'n/a'] } })).toThrow(
+        'Invalid value in clinical series creatinine at index 1: n/a'
+      );
+    });
+  });
+
   describe('Diagnostic System Monitoring', () => {
     it('should monitor diagnostic system performance', async () => {
       const baseline = [0.92, 0.94, 0.93, 0.91, 0.95, 0.92, 0.93];
@@ -170,6 +263,71 @@ describe('HealthcareDriftMonitor', () => {
     });
   });
 
+  describe('Diagnostic Fairness', () => {
+    it('should report parity, equalized odds and calibration gaps across demographic groups', async () => {
+      await monitor.setBaseline(Array.from({ length: 120 }, (_, i) => (i % 3 === 0 ? 0.6 : 0.2)));
+
+      // The model misses every positive case among men
+      const patients = Array.from({ length: 240 }, (_, i) => ({
+        sex: i % 2 === 0 ? 'F' : 'M',
+        age: 10 + (i % 80),
+        payer: i < 5 ? 'self_pay' : 'medicare',
+        label: Math.floor(i / 2) % 3 === 0 ? 1 : 0
+      }));
+      const scores = patients.map(p => (p.label === 1 ? (p.sex === 'F' ? 0.8 : 0.4) : 0.2));
+
+      const result = await monitor.monitorDiagnosticSystem(
+        scores,
+        {
+          sex: patients.map(p => p.sex),
+          age: patients.map(p => p.age),
+          payer: patients.map(p => p.payer),
+          ageGroups: ['18-30', '31-50']
+        },
+        { labels: patients.map(p => p.label) }
+      );
+
+      const sex = result.populationDrift.attributes.sex;
+      expect(Object.keys(result.populationDrift.attributes)).toEqual(['sex', 'ageBand', 'payer']);
+      expect(sex.demographicParity).toMatchObject({ highest: 'F', lowest: 'M' });
+      expect(sex.demographicParity.gap).toBeCloseTo(1 / 3, 10);
+      expect(sex.equalizedOdds).toMatchObject({ gap: 1, highest: 'F', significant: true });
+      expect(sex.equalizedOdds.falsePositiveRate.gap).toBe(0);
+      expect(sex.calibration.gap).toBeCloseTo(0.4 - 4 / 15, 10);
+
+      const selfPay = result.populationDrift.populations.find(p => p.group === 'self_pay');
+      expect(selfPay).toMatchObject({ sampleSize: 5, reliable: false, drift: null });
+      expect(result.populationDrift.attributes.payer.demographicParity).toBeNull();
+      expect(result.populationDrift.attributes.ageBand.groups.map(g => g.group)).toContain('<18');
+
+      expect(result.fairnessMetrics).toMatchObject({ disparityScore: 1, worstAttribute: 'sex' });
+      expect(result.recommendations).toContain('Review model for demographic bias');
+    });
+
+    it('should correct group drift for the number of groups tested', async () => {
+      const draws = (seed, count, shift = 0) => {
+        const random = StatisticsUtil.createRandom(seed);
+        return Array.from({ length: count }, () => 0.2 + 0.4 * random() + shift);
+      };
+      await monitor.setBaseline(draws(1, 300));
+
+      // Twelve sites score like the baseline; one scores far higher
+      const sites = Array.from({ length: 13 }, (_, k) => `S${k}`);
+      const scores = sites.flatMap((site, k) => draws(100 + k, 40, k === 12 ? 0.3 : 0));
+      const result = await monitor.monitorDiagnosticSystem(scores, {
+        site: sites.flatMap(site => new Array(40).fill(site))
+      });
+
+      const { groups } = result.populationDrift.attributes.site;
+      expect(groups.filter(group => group.drift.isDrift).map(group => group.group)).toEqual(['S12']);
+      expect(groups[12].drift.adjustedPValue).toBeLessThan(0.05);
+      for (const group of groups) {
+        expect(group.drift.adjustedPValue).toBeGreaterThanOrEqual(group.drift.pValue);
+        expect(group.drift.methods).toBeUndefined();
+      }
+    });
+  });
+
   describe('Treatment Recommendation Monitoring', () => {
     it('should monitor treatment recommendation drift', async () => {
       const baseline = [0.88, 0.9, 0.87, 0.89, 0.91, 0.88];
@@ -188,6 +346,87 @@ describe('HealthcareDriftMonitor', () => {
     });
   });
 
+  describe('Treatment Protocol Changes', () => {
+    const repeat = counts => Object.entries(counts).flatMap(([item, count]) => new Array(count).fill(item));
+
+    it('should detect formulary changes, mix shifts and dosage drift against the treatment baseline', async () => {
+      await monitor.setBaseline([0.88, 0.9, 0.87, 0.89, 0.91, 0.88]);
+      await monitor.setTreatmentBaseline({
+        medications: repeat({ metformin: 60, insulin: 30, sulfonylurea: 10 }),
+        protocols: repeat({ standard: 80, intensive: 20 }),
+        dosages: { metformin: Array.from({ length: 60 }, (_, i) => 500 + (i % 4) * 250) }
+      });
+
+      const result = await monitor.monitorTreatmentRecommendations([0.89, 0.88, 0.9, 0.87, 0.89], {
+        medications: repeat({ metformin: 40, insulin: 30, semaglutide: 30 }),
+        protocols: repeat({ standard: 40, intensive: 60 }),
+        dosages: { metformin: Array.from({ length: 40 }, (_, i) => 1500 + (i % 4) * 250) }
+      });
+
+      const { protocolDrift } = result;
+      expect(protocolDrift.newMedications).toBe(1);
+      expect(protocolDrift.discontinuedMedications).toBe(1);
+      expect(protocolDrift.changes).toContainEqual({
+        type: 'new',
+        field: 'medications',
+        item: 'semaglutide',
+        count: 30
+      });
+      expect(protocolDrift.changes).toContainEqual(
+        expect.objectContaining({ type: 'discontinued', field: 'medications', item: 'sulfonylurea' })
+      );
+
+      const mix = protocolDrift.changes.find(change => change.type === 'mix_shift' && change.field === 'protocols');
+      expect(mix.shifts.find(shift => shift.item === 'intensive').change).toBeCloseTo(0.4, 10);
+
+      const dosage = protocolDrift.changes.find(change => change.type === 'dosage_shift');
+      expect(dosage).toMatchObject({ item: 'metformin', baselineMedian: 875, currentMedian: 1875 });
+      expect(result.recommendations).toContain('Add new medications and procedures to the model formulary');
+    });
+
+    it('should name the medication of an invalid dosage', async () => {
+      await expect(monitor.setTreatmentBaseline({ dosages: { metformin: [500, 'high'] } })).rejects.toThrow(
+        'Invalid value in dosages of metformin at index 1: high'
+      );
+    });
+
+    it('should report guideline changes within the prediction window', async () => {
+      await monitor.setBaseline([0.88, 0.9, 0.87, 0.89, 0.91, 0.88]);
+      await monitor.setTreatmentBaseline({ medications: repeat({ metformin: 60, insulin: 40 }) });
+
+      const file = join(tmpdir(), `guidelines-${process.pid}.json`);
+      writeFileSync(
+        file,
+        JSON.stringify({
+          events: [
+            { id: 'ADA-2023', date: '2023-01-01', source: 'ADA' },
+            { id: 'ADA-2024-GLP1', date: '2024-03-01', source: 'ADA', affects: ['semaglutide'] }
+          ]
+        })
+      );
+      try {
+        expect(await monitor.loadGuidelineEvents(file)).toBe(2);
+      } finally {
+        unlinkSync(file);
+      }
+
+      const treatments = { medications: repeat({ metformin: 40, insulin: 30, semaglutide: 30 }) };
+      const before = await monitor.monitorTreatmentRecommendations([0.89, 0.88, 0.9], treatments, {
+        timestamp: Date.UTC(2024, 1, 20)
+      });
+      const after = await monitor.monitorTreatmentRecommendations([0.89, 0.88, 0.9], treatments, {
+        timestamp: Date.UTC(2024, 2, 10)
+      });
+
+      expect(before.practiceEvolution.newGuidelines).toBe(false);
+      expect(before.practiceEvolution.source).toBe('ADA');
+      expect(after.practiceEvolution.newGuidelines).toBe(true);
+      expect(after.practiceEvolution.lastUpdate).toBe(Date.UTC(2024, 2, 1));
+      expect(after.practiceEvolution.explainedChanges).toEqual([{ item: 'semaglutide', guideline: 'ADA-2024-GLP1' }]);
+      expect(after.recommendations).toContain('Update model with latest treatment protocols');
+    });
+  });
+
   describe('Disease Prevalence Monitoring', () => {
     it('should monitor disease prevalence changes', async () => {
       const baseline = [0.05, 0.06, 0.05, 0.04, 0.06, 0.05];
@@ -219,6 +458,80 @@ describe('HealthcareDriftMonitor', () => {
 
       expect(result.prevalenceDrift.isDrift).toBe(true);
       expect(result.epidemiologicalShift).toBeDefined();
+      expect(result.epidemiologicalShift.trend).toBe('increasing');
+      expect(result.epidemiologicalShift.changePercent).toBeCloseTo(196.2, 0);
+    });
+  });
+
+  describe('Disease Surveillance', () => {
+    const WEEK = 7 * 24 * 60 * 60 * 1000;
+    const START = Date.UTC(2021, 0, 4);
+    // Winter peak of 0.08, summer trough of 0.02, with small week-to-week noise
+    const seasonal = (timestamp, i) =>
+      0.05 + 0.03 * Math.cos((2 * Math.PI * (timestamp / WEEK)) / (365.25 / 7)) + ((i % 5) - 2) * 0.001;
+
+    beforeEach(async () => {
+      await monitor.setBaseline([0.05, 0.06, 0.05, 0.04, 0.06, 0.05]);
+
+      const history = [];
+      for (let i = 0; i < 156; i++) {
+        const timestamp = START + i * WEEK;
+        history.push({ timestamp, value: seasonal(timestamp, i), region: 'northeast' });
+        // A past outbreak in the south should not inflate its expected level
+        history.push({ timestamp, value: i >= 60 && i < 64 ? 0.3 : seasonal(timestamp, i), region: 'south' });
+      }
+      history.push({ date: '2023-12-25', value: 0.05, region: 'west' });
+
+      expect(monitor.setSurveillanceBaseline(history)).toEqual({ regions: ['northeast', 'south'], skipped: ['west'] });
+    });
+
+    it('should expect seasonal peaks and flag excess prevalence per region', async () => {
+      const winterWeek = START + 156 * WEEK;
+      const expected = seasonal(winterWeek, 1);
+
+      const result = await monitor.monitorDiseasePrevalence(
+        [expected],
+        { regions: { northeast: expected, south: [expected + 0.03, expected + 0.05], west: 0.2 } },
+        { timestamp: winterWeek }
+      );
+
+      const { regions, outbreaks } = result.surveillance;
+      expect(regions.northeast.expected).toBeCloseTo(expected, 2);
+      expect(regions.northeast.outbreak).toBe(false);
+      expect(regions.south.expected).toBeCloseTo(expected, 2);
+      expect(regions.south).toMatchObject({ outbreak: true });
+      expect(regions.south.excess).toBeCloseTo(0.04, 2);
+      expect(regions.west).toMatchObject({ expected: null, outbreak: false });
+      expect(outbreaks).toEqual(['south']);
+      expect(result.publicHealthImpact).toBe('high');
+      expect(result.recommendations).toContain('Investigate excess prevalence in: south');
+    });
+
+    it('should not flag a seasonal peak that a flat baseline would call a shift', async () => {
+      const winterWeek = START + 156 * WEEK;
+
+      const result = await monitor.monitorDiseasePrevalence(
+        [seasonal(winterWeek, 1)],
+        { region: 'northeast' },
+        {
+          timestamp: winterWeek
+        }
+      );
+
+      expect(result.surveillance.outbreaks).toEqual([]);
+      expect(result.surveillance.regions.northeast.zScore).toBeLessThan(2);
+    });
+    it('should widen the limit for weeks extrapolated far past the fit', async () => {
+      const margin = async timestamp => {
+        const result = await monitor.monitorDiseasePrevalence([0.05], { region: 'northeast' }, { timestamp });
+        const { expected, upperLimit } = result.surveillance.regions.northeast;
+        return upperLimit - expected;
+      };
+
+      const nextWeek = await margin(START + 156 * WEEK);
+      const threeYearsOut = await margin(START + 312 * WEEK);
+
+      expect(threeYearsOut).toBeGreaterThan(nextWeek * 1.05);
     });
   });
 
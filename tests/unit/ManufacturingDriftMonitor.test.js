@@ -1,6 +1,8 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { ManufacturingDriftMonitor } from '../../src/use-cases/ManufacturingDriftMonitor.js';
+import { StatisticsUtil } from '../../src/utils/StatisticsUtil.js';
 import { createMockAgentDB } from '../helpers/agentdb-mocks.js';
+import { seededNormal } from '../helpers/random.js';
 
 describe('ManufacturingDriftMonitor', () => {
   let monitor;
@@ -127,6 +129,26 @@ describe('ManufacturingDriftMonitor', () => {
     });
   });
 
+  describe('Production Parameter Drift', () => {
+    it('should compare each parameter against its own baseline', async () => {
+      await monitor.setBaseline([0.95, 0.96, 0.94, 0.97, 0.95]);
+      await monitor.setMultivariateBaseline({
+        temperature: Array.from({ length: 40 }, (_, i) => 22 + (i % 5) * 0.1),
+        pressure: Array.from({ length: 40 }, (_, i) => 101 + (i % 5) * 0.1)
+      });
+
+      const result = await monitor.monitorQualityControl([0.95, 0.96, 0.94, 0.97, 0.95], {
+        temperature: Array.from({ length: 40 }, (_, i) => 28 + (i % 5) * 0.1),
+        pressure: Array.from({ length: 40 }, (_, i) => 101 + (i % 5) * 0.1)
+      });
+
+      const temperature = result.parameterDrift.find(p => p.parameter === 'temperature');
+      const pressure = result.parameterDrift.find(p => p.parameter === 'pressure');
+      expect(temperature.drift).toBe(true);
+      expect(pressure.drift).toBe(false);
+    });
+  });
+
   describe('Predictive Maintenance Monitoring', () => {
     it('should monitor sensor readings for equipment', async () => {
       const baseline = [0.92, 0.93, 0.91, 0.94, 0.92, 0.93];
@@ -162,6 +184,242 @@ describe('ManufacturingDriftMonitor', () => {
     });
   });
 
+  describe('Remaining Useful Life', () => {
+    const HOUR_MS = 60 * 60 * 1000;
+    const wobble = i => 0.05 * Math.sin(i * 1.7);
+
+    it('should estimate RUL from the sensor that reaches its threshold first', async () => {
+      await monitor.setBaseline([0.92, 0.93, 0.91, 0.94, 0.92, 0.93]);
+
+      const vibration = Array.from({ length: 48 }, (_, i) => 2 + 0.05 * i + wobble(i));
+      const temperature = Array.from({ length: 48 }, (_, i) => 70 + 10 * wobble(i));
+      const equipmentData = {
+        equipmentId: 'press-001',
+        sensors: { vibration, temperature },
+        failureThreshold: { vibration: 7, temperature: 95 },
+        operatingHours: 8000,
+        ratedLifeHours: 20000
+      };
+
+      const result = await monitor.monitorPredictiveMaintenance([0.93, 0.92, 0.94, 0.91, 0.93], equipmentData);
+      const rul = result.remainingUsefulLife;
+
+      expect(rul.drivingSensor).toBe('vibration');
+      expect(rul.model).toBe('linear');
+      expect(rul.rulHours).toBeCloseTo(53, -1);
+      expect(rul.lower).toBeLessThan(rul.rulHours);
+      expect(rul.upper).toBeGreaterThan(rul.rulHours);
+      expect(rul.sensors.temperature.rulHours).toBeGreaterThan(rul.rulHours);
+      expect(rul.ratedLifeRemainingHours).toBe(12000);
+      expect(result.degradationPattern.estimatedLifespan).toBe(rul.rulHours);
+      expect(result.recommendations.some(r => r.includes('driven by vibration'))).toBe(true);
+    });
+
+    it('should fit piecewise degradation after the last maintenance', async () => {
+      await monitor.setBaseline([0.92, 0.93, 0.91, 0.94, 0.92, 0.93]);
+
+      const maintenance = Date.parse('2024-03-01T00:00:00Z');
+      const worn = Array.from({ length: 10 }, (_, i) => ({ timestamp: maintenance - (10 - i) * HOUR_MS, value: 25 }));
+      const readings = Array.from({ length: 40 }, (_, i) => ({
+        timestamp: maintenance + i * HOUR_MS,
+        value: (i < 20 ? 10 : 10 + 0.5 * (i - 20)) + wobble(i)
+      }));
+
+      const result = await monitor.monitorPredictiveMaintenance([0.93, 0.92, 0.94, 0.91, 0.93], {
+        sensors: { bearing_temperature: [...worn, ...readings] },
+        failureThreshold: 30,
+        lastMaintenance: '2024-03-01T00:00:00Z'
+      });
+      const sensor = result.remainingUsefulLife.sensors.bearing_temperature;
+
+      expect(sensor.samples).toBe(40);
+      expect(sensor.model).toBe('piecewise');
+      expect(sensor.breakpoint).toBeCloseTo(20, -1);
+      expect(sensor.rulHours).toBeCloseTo(21, 0);
+      expect(result.remainingUsefulLife.hoursSinceMaintenance).toBeGreaterThan(0);
+    });
+
+    it('should locate the breakpoint of a long series', async () => {
+      await monitor.setBaseline([0.92, 0.93, 0.91, 0.94, 0.92, 0.93]);
+
+      const wear = Array.from({ length: 5000 }, (_, i) => (i < 3000 ? 10 : 10 + 0.01 * (i - 3000)) + wobble(i));
+      const result = await monitor.monitorPredictiveMaintenance([0.93, 0.92, 0.94, 0.91, 0.93], {
+        sensors: { wear },
+        failureThreshold: 50
+      });
+      const sensor = result.remainingUsefulLife.sensors.wear;
+
+      expect(sensor.model).toBe('piecewise');
+      expect(sensor.breakpoint).toBeCloseTo(3000, -2);
+      expect(sensor.rulHours).toBeCloseTo(2000, -2);
+    });
+
+    it('should skip RUL when no configured model applies', async () => {
+      monitor = new ManufacturingDriftMonitor({ remainingUsefulLife: { models: ['exponential'] } }, mockDeps);
+      await monitor.setBaseline([0.92, 0.93, 0.91, 0.94, 0.92, 0.93]);
+
+      const coolant = Array.from({ length: 24 }, (_, i) => -20 + 0.5 * i + wobble(i));
+      const result = await monitor.monitorPredictiveMaintenance([0.93, 0.92, 0.94, 0.91, 0.93], {
+        sensors: { coolant },
+        failureThreshold: -2
+      });
+
+      expect(result.remainingUsefulLife).toBeNull();
+    });
+
+    it('should reject malformed sensor readings', async () => {
+      await monitor.setBaseline([0.92, 0.93, 0.91, 0.94, 0.92, 0.93]);
+      const readings = [0.93, 0.92, 0.94, 0.91, 0.93];
+
+      await expect(
+        monitor.monitorPredictiveMaintenance(readings, { sensors: { vibration: 4.2 }, failureThreshold: 7 })
+      ).rejects.toThrow('Sensor vibration readings must be an array');
+      await expect(
+        monitor.monitorPredictiveMaintenance(readings, {
+          sensors: {
+            vibration: [
+              { timestamp: '2024-03-01T00:00:00Z', value: 2 },
+              { timestamp: 'yesterday', value: 2.1 }
+            ]
+          },
+          failureThreshold: 7
+        })
+      ).rejects.toThrow('Invalid timestamp in sensor vibration at index 1: yesterday');
+    });
+
+    it('should skip RUL without a failure threshold', async () => {
+      await monitor.setBaseline([0.92, 0.93, 0.91, 0.94, 0.92, 0.93]);
+
+      const result = await monitor.monitorPredictiveMaintenance([0.93, 0.92, 0.94, 0.91, 0.93], {
+        sensorType: 'vibration'
+      });
+
+      expect(result.remainingUsefulLife).toBeNull();
+      expect(result.degradationPattern.estimatedLifespan).toBeNull();
+    });
+  });
+
+  describe('Vibration Spectral Analysis', () => {
+    const SAMPLE_RATE = 10240;
+    const RPM = 1800;
+
+    // Shaft harmonics at 30 Hz, optional gear tone and bearing impacts, plus seeded noise
+    const capture = (seed, { oneX = 1, twoX = 0.3, gear = 0, impacts = 0 } = {}) => {
+      const random = StatisticsUtil.createRandom(seed);
+      const scale = 0.95 + 0.1 * random();
+      const impactPeriod = Math.round(SAMPLE_RATE / 107);
+      const samples = Array.from({ length: 4096 }, (_, i) => {
+        const time = i / SAMPLE_RATE;
+        const phase = i % impactPeriod;
+        const impact = phase < 40 ? impacts * Math.exp(-phase / 6) * Math.sin(2 * Math.PI * 3000 * time) : 0;
+        return (
+          scale * oneX * Math.sin(2 * Math.PI * 30 * time) +
+          scale * twoX * Math.sin(2 * Math.PI * 60 * time) +
+          gear * Math.sin(2 * Math.PI * 720 * time) +
+          impact +
+          0.05 * (random() - 0.5)
+        );
+      });
+      return { samples, sampleRate: SAMPLE_RATE, rpm: RPM };
+    };
+    const captures = (firstSeed, count, options) =>
+      Array.from({ length: count }, (_, i) => capture(firstSeed + i, options));
+
+    beforeEach(async () => {
+      await monitor.setBaseline([0.92, 0.93, 0.91, 0.94, 0.92, 0.93]);
+    });
+
+    it('should extract order and band features from waveforms', () => {
+      const baseline = monitor.setVibrationBaseline(captures(1, 8));
+      const features = baseline.channels.vibration.features;
+
+      expect(baseline.channels.vibration.captures).toBe(8);
+      expect(features['order:1'].statistics.mean).toBeCloseTo(1, 1);
+      expect(features['order:2'].statistics.mean).toBeCloseTo(0.3, 1);
+      expect(features.crestFactor.statistics.mean).toBeCloseTo(Math.SQRT2, 0);
+      expect(features['band:low'].statistics.mean).toBeGreaterThan(features['band:high'].statistics.mean);
+    });
+
+    it('should flag imbalance from a rising 1x amplitude', async () => {
+      monitor.setVibrationBaseline({ drive_end: captures(1, 8) });
+
+      const result = await monitor.monitorPredictiveMaintenance([0.93, 0.92, 0.94, 0.91, 0.93], {
+        waveforms: { drive_end: captures(100, 6, { oneX: 3 }) }
+      });
+      const channel = result.spectralAnalysis.channels.drive_end;
+
+      expect(channel.features['order:1'].isDrift).toBe(true);
+      expect(channel.failureModes).toEqual(['imbalance']);
+      expect(result.failureMode).toMatchObject({ detected: true, mode: 'imbalance', channel: 'drive_end' });
+      expect(result.recommendations.some(r => r.includes('Vibration spectrum drift on drive_end'))).toBe(true);
+    });
+
+    it('should flag bearing wear from impacts with high-frequency energy', async () => {
+      monitor.setVibrationBaseline(captures(1, 8, { oneX: 0.3, twoX: 0.1 }));
+
+      const result = await monitor.monitorPredictiveMaintenance([0.93, 0.92, 0.94, 0.91, 0.93], {
+        waveforms: captures(200, 6, { oneX: 0.3, twoX: 0.1, impacts: 3 })
+      });
+
+      expect(result.spectralAnalysis.channels.vibration.features.kurtosis.mean).toBeGreaterThan(4);
+      expect(result.failureMode.mode).toBe('bearing_wear');
+    });
+
+    it('should match configured frequency rules', async () => {
+      const gearMonitor = new ManufacturingDriftMonitor(
+        {
+          vibration: {
+            signatures: [{ mode: 'gear_mesh', conditions: [{ feature: 'frequency:720', ratio: 3 }] }]
+          }
+        },
+        mockDeps
+      );
+      await gearMonitor.setBaseline([0.92, 0.93, 0.91, 0.94, 0.92, 0.93]);
+      gearMonitor.setVibrationBaseline(captures(1, 8, { gear: 0.05 }));
+
+      const stable = await gearMonitor.monitorPredictiveMaintenance([0.93, 0.92, 0.94, 0.91, 0.93], {
+        waveforms: captures(300, 6, { gear: 0.05 })
+      });
+      const worn = await gearMonitor.monitorPredictiveMaintenance([0.93, 0.92, 0.94, 0.91, 0.93], {
+        waveforms: captures(300, 6, { gear: 0.5 })
+      });
+
+      expect(stable.spectralAnalysis.failureModes).toEqual([]);
+      expect(worn.failureMode.mode).toBe('gear_mesh');
+      expect(worn.spectralAnalysis.failureModes[0].conditions[0].observedRatio).toBeCloseTo(10, 0);
+    });
+
+    it('should correct spectral p-values across features', async () => {
+      monitor.setVibrationBaseline(captures(1, 8));
+
+      const result = await monitor.monitorPredictiveMaintenance([0.93, 0.92, 0.94, 0.91, 0.93], {
+        waveforms: captures(400, 6)
+      });
+      const features = Object.values(result.spectralAnalysis.channels.vibration.features);
+
+      const corrected = features.filter(feature => feature.adjustedPValue !== undefined);
+
+      expect(corrected.length).toBeGreaterThan(10);
+      expect(corrected.every(feature => feature.adjustedPValue >= feature.pValue)).toBe(true);
+      expect(features.filter(feature => feature.isDrift && !feature.significant)).toEqual([]);
+      expect(result.spectralAnalysis.driftingFeatures).toEqual([]);
+    });
+
+    it('should reject captures with a different feature set', () => {
+      const { samples, sampleRate } = capture(9);
+
+      expect(() => monitor.setVibrationBaseline([...captures(1, 4), { samples, sampleRate }])).toThrow(
+        'Waveform 4 of channel vibration gives features'
+      );
+    });
+
+    it('should require a vibration baseline for waveforms', async () => {
+      await expect(
+        monitor.monitorPredictiveMaintenance([0.93, 0.92, 0.94, 0.91, 0.93], { waveforms: captures(1, 2) })
+      ).rejects.toThrow('Vibration baseline not set');
+    });
+  });
+
   describe('Process Optimization Monitoring', () => {
     it('should monitor process parameters', async () => {
       const baseline = [0.88, 0.9, 0.87, 0.89, 0.91, 0.88];
@@ -180,6 +438,64 @@ describe('ManufacturingDriftMonitor', () => {
     });
   });
 
+  describe('Statistical Process Control', () => {
+    it('should flag shifted samples and score capability against spec limits', async () => {
+      const spcMonitor = new ManufacturingDriftMonitor({ specLimits: { lsl: 9.4, usl: 10.6 } }, mockDeps);
+      await spcMonitor.setBaseline(seededNormal(1, 100, 10, 0.1));
+
+      const result = await spcMonitor.monitorQualityControl(seededNormal(2, 25, 10.5, 0.1), {});
+      const { controlCharts } = result;
+
+      expect(controlCharts.subgroupSize).toBe(5);
+      expect(controlCharts.samples).toHaveLength(5);
+      expect(controlCharts.inControl).toBe(false);
+      expect(controlCharts.outOfControlSamples).toEqual([0, 1, 2, 3, 4]);
+      expect(controlCharts.samples[0].violations.map(v => v.rule)).toContain('nelson_1');
+      expect(controlCharts.violations.some(v => v.chart === 'cusum')).toBe(true);
+
+      expect(controlCharts.capability.cpk).toBeLessThan(controlCharts.capability.cp);
+      expect(controlCharts.capability.capable).toBe(false);
+      expect(result.recommendations.some(r => r.startsWith('SPC:'))).toBe(true);
+      expect(result.recommendations.some(r => r.includes('not capable'))).toBe(true);
+    });
+
+    it('should keep stable production in control', async () => {
+      await monitor.setBaseline(seededNormal(1, 100, 10, 0.1));
+
+      const specLimits = { lsl: 9.4, usl: 10.6 };
+      const result = await monitor.monitorQualityControl(seededNormal(6, 25, 10, 0.1), {}, { specLimits });
+
+      expect(result.controlCharts.inControl).toBe(true);
+      expect(result.controlCharts.violations).toEqual([]);
+      expect(result.controlCharts.capability.cp).toBeGreaterThan(1.33);
+      expect(result.controlCharts.capability.capable).toBe(true);
+      expect(result.recommendations.some(r => r.startsWith('SPC:'))).toBe(false);
+    });
+
+    it('should apply run rules per sample on individuals charts', async () => {
+      const spcMonitor = new ManufacturingDriftMonitor({ controlCharts: { subgroupSize: 1 } }, mockDeps);
+      await spcMonitor.setBaseline(seededNormal(4, 50, 0.9, 0.01));
+
+      const trending = [0.9, 0.902, 0.904, 0.906, 0.908, 0.91, 0.912];
+      const result = await spcMonitor.monitorProcessOptimization(trending, {});
+      const trendViolations = result.controlCharts.violations.filter(v => v.rule === 'nelson_3');
+
+      expect(result.controlCharts.samples).toHaveLength(7);
+      expect(trendViolations.map(v => v.sample)).toEqual([5, 6]);
+      expect(result.controlCharts.capability).toBeNull();
+    });
+
+    it('should compute explicit control limits with Western Electric rules', () => {
+      const limits = monitor.setControlLimits(seededNormal(5, 40, 50, 2), { rules: 'western_electric' });
+
+      expect(limits.subgroups).toBe(8);
+      expect(limits.xbar.ucl).toBeGreaterThan(limits.xbar.center);
+      expect(limits.range.lcl).toBe(0);
+      expect(monitor.controlChart.chart.rules).toBe('western_electric');
+      expect(() => monitor.setControlLimits([1, 2, 3])).toThrow('at least 10 baseline values');
+    });
+  });
+
   describe('Supply Chain Monitoring', () => {
     it('should detect supplier quality changes', async () => {
       const baseline = [0.94, 0.95, 0.93, 0.96, 0.94];
@@ -216,6 +532,258 @@ describe('ManufacturingDriftMonitor', () => {
         expect(hasSupplierRec).toBe(true);
       }
     });
+
+    describe('Supplier Scorecards', () => {
+      const DAY_MS = 24 * 60 * 60 * 1000;
+      const START = Date.UTC(2024, 0, 1);
+
+      // Weekly lots ordered from START; late lots miss a promise date two days before arrival
+      const lot = (supplierId, week, { defectRate, leadDays = 10 + 0.5 * Math.sin(week), late = false }) => {
+        const orderDate = START + week * 7 * DAY_MS;
+        const deliveryDate = orderDate + leadDays * DAY_MS;
+        return {
+          supplierId,
+          lot: `${supplierId}-${week}`,
+          defectRate,
+          quantity: 1000,
+          orderDate: new Date(orderDate).toISOString(),
+          promisedDate: deliveryDate + (late ? -2 : 2) * DAY_MS,
+          deliveryDate
+        };
+      };
+      const lots = (supplierId, weeks, options) =>
+        Array.from({ length: weeks.length }, (_, i) =>
+          lot(supplierId, weeks[i], { defectRate: options.defectRate(i), ...options.lot?.(i) })
+        );
+      const range = (from, count) => Array.from({ length: count }, (_, i) => from + i);
+      const steady = seed => {
+        const random = StatisticsUtil.createRandom(seed);
+        return () => 0.008 + 0.006 * random();
+      };
+
+      beforeEach(async () => {
+        await monitor.setBaseline([0.94, 0.95, 0.93, 0.96, 0.94]);
+        monitor.setSupplierBaseline([
+          ...lots('SUP-A', range(0, 12), { defectRate: i => 0.01 + 0.001 * (i % 4) }),
+          ...lots('SUP-B', range(0, 12), { defectRate: steady(1) })
+        ]);
+      });
+
+      it('should score suppliers against their own baselines', async () => {
+        const supplierData = {
+          lots: [
+            ...lots('SUP-A', range(12, 8), { defectRate: i => 0.04 + 0.002 * (i % 3) }),
+            ...lots('SUP-B', range(12, 12), { defectRate: steady(1), lot: i => ({ late: i >= 6 }) })
+          ]
+        };
+
+        const result = await monitor.monitorSupplyChain([0.94, 0.95, 0.93, 0.96, 0.94], supplierData);
+        const { suppliers, ranking } = result.supplierPerformance;
+
+        expect(suppliers['SUP-A'].quality.drift.isDrift).toBe(true);
+        expect(suppliers['SUP-A'].quality.defectRate).toBeGreaterThan(0.04);
+        expect(suppliers['SUP-A'].quality.baselineDefectRate).toBeCloseTo(0.0115, 4);
+        expect(suppliers['SUP-B'].quality.drift.isDrift).toBe(false);
+        expect(suppliers['SUP-B'].delivery.onTimeRate).toBe(0.5);
+        expect(suppliers['SUP-B'].delivery.trend).toBe('declining');
+        expect(suppliers['SUP-A'].quality.lotVariability.std).toBeGreaterThan(0);
+        expect(ranking).toEqual(['SUP-A', 'SUP-B']);
+        expect(result.supplierPerformance.onTimeDelivery).toBe(0.7);
+        expect(result.disruptions.detected).toBe(false);
+        expect(result.recommendations.some(r => r.startsWith('Supplier SUP-A: defect rate'))).toBe(true);
+        expect(result.recommendations).toContain('Supplier SUP-B: on-time delivery declining');
+      });
+
+      it('should detect disruptions from lead-time spikes', async () => {
+        const supplierData = lots('SUP-A', range(12, 6), {
+          defectRate: () => 0.011,
+          lot: i => (i === 5 ? { leadDays: 30 } : {})
+        });
+
+        const result = await monitor.monitorSupplyChain([0.94, 0.95, 0.93, 0.96, 0.94], supplierData);
+
+        expect(result.disruptions).toMatchObject({ detected: true, type: 'lead_time_spike', severity: 'high' });
+        expect(result.disruptions.suppliers[0].spikes.map(spike => spike.lot)).toEqual(['SUP-A-17']);
+        expect(result.recommendations.some(r => r.startsWith('Lead-time spike at SUP-A'))).toBe(true);
+      });
+    });
+  });
+
+  describe('Production Line Comparison', () => {
+    // line_4 runs a different setup with consistently higher quality
+    const lineData = (degraded = false) => ({
+      line_1: { quality: seededNormal(1, 40, 0.95, 0.01), efficiency: seededNormal(11, 40, 0.9, 0.01) },
+      line_2: { quality: seededNormal(2, 40, 0.95, 0.01), efficiency: seededNormal(12, 40, 0.9, 0.01) },
+      line_3: {
+        plant: 'plant_2',
+        quality: degraded ? seededNormal(3, 40, 0.85, 0.01) : seededNormal(3, 40, 0.95, 0.01),
+        efficiency: seededNormal(13, 40, 0.9, 0.01),
+        parameters: { temperature: degraded ? seededNormal(23, 40, 190, 2) : seededNormal(23, 40, 180, 2) }
+      },
+      line_4: { quality: seededNormal(4, 40, 0.97, 0.01), efficiency: seededNormal(14, 40, 0.9, 0.01) }
+    });
+
+    it('should compare lines with their baselines and the fleet', async () => {
+      monitor.setLineBaselines(lineData());
+
+      const result = await monitor.monitorProductionLines(lineData(true));
+      const { lines, plants } = result;
+
+      expect(lines.line_3.qualityDrift.isDrift).toBe(true);
+      expect(lines.line_3.parameterDrift[0]).toMatchObject({ parameter: 'temperature', drift: true });
+      expect(lines.line_3.fleetComparison.quality.meanDifference).toBeLessThan(-0.05);
+      expect(['high', 'critical']).toContain(lines.line_3.productionImpact);
+      expect(lines.line_1.qualityDrift.isDrift).toBe(false);
+      expect(lines.line_1.productionImpact).toBe('none');
+
+      expect(result.outliers.map(outlier => [outlier.line, outlier.metric])).toEqual([['line_3', 'quality']]);
+      expect(plants.plant_2).toMatchObject({ lines: ['line_3'], productionImpact: lines.line_3.productionImpact });
+      expect(plants.plant_1.lines).toEqual(['line_1', 'line_2', 'line_4']);
+      expect(plants.plant_1.productionImpact).toBe('none');
+      expect(plants.plant_2.outlierLines).toEqual(['line_3']);
+
+      expect(lines.line_4.qualityDrift.isDrift).toBe(false);
+      expect(lines.line_4.fleetComparison.quality.isDrift).toBe(true);
+      expect(result.recommendations.some(r => r.startsWith('Line line_4 is stable against its own baseline'))).toBe(
+        true
+      );
+    });
+
+    it('should accept records tagged by line without baselines', async () => {
+      const tagged = (line, plant) => quality => ({ line, plant, quality, parameters: { speed: 100 } });
+      const records = [
+        ...seededNormal(5, 30, 0.95, 0.01).map(tagged('A', 'north')),
+        ...seededNormal(6, 30, 0.95, 0.01).map(tagged('B', 'north')),
+        ...seededNormal(7, 30, 0.8, 0.01).map(tagged('C', 'south'))
+      ];
+
+      const result = await monitor.monitorProductionLines(records);
+
+      expect(Object.keys(result.lines)).toEqual(['A', 'B', 'C']);
+      expect(result.lines.C.qualityDrift).toBeNull();
+      expect(result.lines.C.fleetComparison.quality.isDrift).toBe(true);
+      expect(result.lines.C.productionImpact).not.toBe('none');
+      expect(result.outliers[0]).toMatchObject({ line: 'C', metric: 'quality' });
+      expect(result.plants.south.productionImpact).toBe(result.lines.C.productionImpact);
+    });
+
+    it('should read only named parameters from tagged records', () => {
+      monitor = new ManufacturingDriftMonitor({ lineParameters: ['speed'] }, mockDeps);
+      const records = seededNormal(8, 20, 0.95, 0.01).map((quality, i) => ({
+        line: 'A',
+        quality,
+        timestamp: Date.parse('2024-03-01T00:00:00Z') + i * 60000,
+        speed: 100 + (i % 3),
+        parameters: { temperature: 180 + (i % 2) }
+      }));
+
+      monitor.setLineBaselines(records);
+
+      expect(Object.keys(monitor.lineBaselines.get('A').parameters).sort()).toEqual(['speed', 'temperature']);
+    });
+
+    it('should reject non-numeric line metrics', async () => {
+      const records = [
+        { line: 'A', quality: 0.95 },
+        { line: 'A', quality: 'n/a' }
+      ];
+
+      await expect(monitor.monitorProductionLines(records)).rejects.toThrow(
+        'Invalid value in quality of line A at index 1: n/a'
+      );
+    });
+  });
+
+  describe('Golden Batch', () => {
+    // Curing cycle: ramp to 150°C, hold, cool to 30°C; pressure follows temperature
+    const curingBatch = (seed, { ramp = 20, hold = 40, cool = 20, overshootAt = null } = {}) => {
+      const random = StatisticsUtil.createRandom(seed);
+      const temperature = [
+        ...Array.from({ length: ramp }, (_, i) => 30 + (120 * (i + 1)) / ramp),
+        ...Array.from({ length: hold }, (_, i) => (overshootAt !== null && i >= overshootAt ? 162 : 150)),
+        ...Array.from({ length: cool }, (_, i) => 150 - (120 * (i + 1)) / cool)
+      ].map(value => value + (random() - 0.5));
+      const pressure = temperature.map(value => 1 + value / 100 + (random() - 0.5) * 0.02);
+      return { parameters: { temperature, pressure } };
+    };
+    const phases = [
+      { name: 'ramp', start: 0 },
+      { name: 'hold', start: 0.25 },
+      { name: 'cool', start: 0.75 }
+    ];
+
+    beforeEach(() => {
+      monitor.setGoldenBatch(
+        [
+          curingBatch(1),
+          curingBatch(2, { ramp: 18, hold: 42 }),
+          curingBatch(3, { ramp: 22, hold: 38 }),
+          curingBatch(4, { cool: 22 }),
+          curingBatch(5, { hold: 41, cool: 19 })
+        ],
+        { phases }
+      );
+    });
+
+    it('should accept a batch that runs slower than the golden batches', async () => {
+      const result = await monitor.monitorBatch({ id: 'B-100', ...curingBatch(6, { ramp: 24, hold: 46, cool: 24 }) });
+
+      expect(result.modelType).toBe('golden_batch');
+      expect(result.batchId).toBe('B-100');
+      expect(result.isDeviation).toBe(false);
+      expect(result.deviationStart).toBeNull();
+      expect(result.productionImpact).toBe('none');
+      expect(result.parameters.temperature.distance).toBeLessThan(result.parameters.temperature.distanceThreshold);
+      expect(result.parameters.temperature.violations).toBe(0);
+    });
+
+    it('should report where a temperature overshoot started', async () => {
+      const result = await monitor.monitorBatch({ id: 'B-101', ...curingBatch(7, { overshootAt: 20 }) });
+      const { temperature, pressure } = result.parameters;
+
+      expect(result.isDeviation).toBe(true);
+      expect(result.deviationStart).toMatchObject({ parameter: 'temperature', phase: 'hold' });
+      expect(result.deviationStart.batchIndex).toBeGreaterThanOrEqual(40);
+      expect(result.deviationStart.batchIndex).toBeLessThanOrEqual(42);
+      expect(temperature.violations).toBeGreaterThan(15);
+      expect(temperature.firstViolations[0].value).toBeGreaterThan(temperature.firstViolations[0].upper);
+      expect(pressure.isDeviation).toBe(true);
+      expect(result.productionImpact).toBe('high');
+      expect(result.recommendations[0]).toContain('temperature left the golden envelope in the hold phase');
+    });
+
+    it('should accept flat golden batches with non-trajectory fields', async () => {
+      const flat = (id, seed) => ({ id, operator: 'day shift', ...curingBatch(seed).parameters });
+      const golden = monitor.setGoldenBatch([flat('G-1', 1), flat('G-2', 2), flat('G-3', 3)], { phases });
+
+      const result = await monitor.monitorBatch(flat('B-102', 9));
+
+      expect(golden.parameters).toEqual(['temperature', 'pressure']);
+      expect(result.batchId).toBe('B-102');
+      expect(result.isDeviation).toBe(false);
+    });
+
+    it('should align long batches within the band', async () => {
+      // A full 20000 × 20000 cost matrix would need 3.2 GB
+      const run = (seed, stretch) => {
+        const random = StatisticsUtil.createRandom(seed);
+        return {
+          temperature: Array.from({ length: 20000 }, (_, i) => 100 + 50 * Math.sin((i * stretch) / 2000) + random())
+        };
+      };
+      monitor.setGoldenBatch([run(1, 1), run(2, 1.001)], { window: 0.005 });
+
+      const result = await monitor.monitorBatch(run(3, 0.999));
+
+      expect(result.isDeviation).toBe(false);
+      expect(result.parameters.temperature.violations).toBe(0);
+    });
+
+    it('should require a golden batch', async () => {
+      const fresh = new ManufacturingDriftMonitor({}, mockDeps);
+
+      await expect(fresh.monitorBatch(curingBatch(8))).rejects.toThrow('No golden batch set');
+    });
   });
 
   describe('Production Alert System', () => {